@@ -53,21 +53,62 @@ module.exports = {
   // Supabase
   SUPABASE_URL: process.env.SUPABASE_URL,
   SUPABASE_KEY: process.env.SUPABASE_KEY,
+  SUPABASE_MEDIA_BUCKET: process.env.SUPABASE_MEDIA_BUCKET || 'whatsapp-media', // Bucket público para adjuntos (WhatsApp → GHL)
 
   // GHL OAuth
   GHL_CLIENT_ID: process.env.GHL_CLIENT_ID,
   GHL_CLIENT_SECRET: process.env.GHL_CLIENT_SECRET,
   GHL_REDIRECT_URI: process.env.GHL_REDIRECT_URI,
 
+  // Custom field de contacto GHL donde guardar las ubicaciones recibidas (id o key 'contact.xxx'), sobreescribible por cliente
+  GHL_LOCATION_FIELD: process.env.GHL_LOCATION_FIELD || null,
+
   // OpenAI (global key)
   OPENAI_API_KEY: process.env.OPENAI_API_KEY,
 
+  // Proveedor de IA para audio/imagen por defecto ('openai' | 'local'), sobreescribible por cliente
+  STT_PROVIDER: process.env.STT_PROVIDER || 'openai',
+  VISION_PROVIDER: process.env.VISION_PROVIDER || 'openai',
+
+  // Endpoint local compatible con OpenAI (faster-whisper-server, LocalAI, vLLM, Ollama /v1...)
+  LOCAL_STT_BASE_URL: process.env.LOCAL_STT_BASE_URL,
+  LOCAL_STT_MODEL: process.env.LOCAL_STT_MODEL || 'whisper-1',
+  LOCAL_VISION_BASE_URL: process.env.LOCAL_VISION_BASE_URL,
+  LOCAL_VISION_MODEL: process.env.LOCAL_VISION_MODEL || 'llava',
+  LOCAL_AI_API_KEY: process.env.LOCAL_AI_API_KEY, // Opcional (la mayoría de servidores locales no lo piden)
+
+  // Vídeo entrante: ffmpeg extrae audio + fotogramas (vídeos mayores o más largos se quedan como placeholder)
+  FFMPEG_PATH: process.env.FFMPEG_PATH || 'ffmpeg',
+  VIDEO_MAX_SIZE_MB: parseInt(process.env.VIDEO_MAX_SIZE_MB, 10) || 25,
+  VIDEO_MAX_DURATION_SECONDS: parseInt(process.env.VIDEO_MAX_DURATION_SECONDS, 10) || 180,
+  VIDEO_KEYFRAMES: parseInt(process.env.VIDEO_KEYFRAMES, 10) || 3,
+  VIDEO_PROCESSING_TIMEOUT_SECONDS: parseInt(process.env.VIDEO_PROCESSING_TIMEOUT_SECONDS, 10) || 45,
+
   // Langfuse (prompt management - base URL only, keys stored per-client in DB)
   LANGFUSE_BASE_URL: process.env.LANGFUSE_BASE_URL,
 
   // Evolution API
   EVOLUTION_BASE_URL: process.env.EVOLUTION_BASE_URL,
 
+  // Cola de reintentos persistida (sobrevive a deploys/crashes)
+  MESSAGE_QUEUE_FILE: process.env.MESSAGE_QUEUE_FILE || 'data/message-queue.jsonl',
+  DEAD_LETTER_FILE: process.env.DEAD_LETTER_FILE || 'data/dead-letter.jsonl', // Mensajes que agotaron reintentos
+  AGENT_BUFFER_FILE: process.env.AGENT_BUFFER_FILE || 'data/agent-buffer.jsonl', // Buffers del agente pendientes de procesar
+
+  // Estado compartido entre réplicas (caches, cola de reintentos, buffers del agente, locks). Sin URL: memoria
+  REDIS_URL: process.env.REDIS_URL || null,
+  REDIS_KEY_PREFIX: process.env.REDIS_KEY_PREFIX || 'pabs-wa:',
+
+  // Ventana para descartar webhooks re-entregados (mismo ID de mensaje)
+  IDEMPOTENCY_TTL_SECONDS: parseInt(process.env.IDEMPOTENCY_TTL_SECONDS, 10) || 86400, // 24 horas
+
+  // Admin API (sin key configurada los endpoints /admin quedan desactivados)
+  ADMIN_API_KEY: process.env.ADMIN_API_KEY,
+
+  // Firmas de webhooks (sin configurar no se verifican)
+  GHL_WEBHOOK_PUBLIC_KEY: process.env.GHL_WEBHOOK_PUBLIC_KEY, // PEM de GHL (x-ghl-signature / x-wh-signature)
+  AGENT_WEBHOOK_SECRET: process.env.AGENT_WEBHOOK_SECRET, // HMAC-SHA256 de /webhook/agent (x-agent-signature)
+
   // Admin alerts
   ADMIN_WHATSAPP: process.env.ADMIN_WHATSAPP,
   ADMIN_INSTANCE: process.env.ADMIN_INSTANCE,
@@ -82,5 +123,8 @@ module.exports = {
   N8N_AUTH_HEADER: process.env.N8N_AUTH_HEADER,
 
   // Branding
-  BRAND_NAME: process.env.BRAND_NAME || 'Pabs.ai'
+  BRAND_NAME: process.env.BRAND_NAME || 'Pabs.ai',
+
+  // Idioma por defecto de textos generados ('es' | 'en' | 'pt'), sobreescribible por cliente (clients_details.locale)
+  DEFAULT_LOCALE: process.env.DEFAULT_LOCALE || 'es'
 };
\ No newline at end of file
@@ -11,7 +11,17 @@ const { handleWhatsAppWebhook } = require('./webhooks/whatsapp');
 const { handleAgentWebhook } = require('./webhooks/agent');
 const { updateGHLTokens } = require('./services/supabase');
 const { createClient } = require('@supabase/supabase-js');
-const { validateGHLWebhook, validateWhatsAppWebhook, validateAgentWhitelist } = require('./utils/webhookAuth');
+const {
+  validateGHLWebhook,
+  validateWhatsAppWebhook,
+  validateAgentWhitelist,
+  verifyGHLSignature,
+  verifyWhatsAppToken,
+  verifyAgentSignature
+} = require('./utils/webhookAuth');
+const { deduplicateWebhook } = require('./utils/idempotency');
+const { validateAdminApiKey } = require('./utils/adminAuth');
+const { getLocale, t, SUPPORTED_LOCALES } = require('./utils/i18n');
 
 const supabase = createClient(config.SUPABASE_URL, config.SUPABASE_KEY);
 
@@ -53,7 +63,13 @@ const oauthLimiter = rateLimit({
   legacyHeaders: false
 });
 
-app.use(express.json({ limit: '1mb' }));
+app.use(express.json({
+  limit: '1mb',
+  // Guardar el body original para verificar firmas de webhooks
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.static(path.join(__dirname, 'public')));
 app.use('/panel', express.static(path.join(__dirname, 'public-v2'), {
   setHeaders: (res, filepath) => {
@@ -63,13 +79,13 @@ app.use('/panel', express.static(path.join(__dirname, 'public-v2'), {
   }
 }));
 
-// Webhooks (con validación de whitelist)
-app.post('/webhook/ghl', validateGHLWebhook, handleGHLWebhook);
-app.post('/webhook/whatsapp', validateWhatsAppWebhook, handleWhatsAppWebhook);
+// Webhooks (firma + validación de whitelist + descarte de duplicados)
+app.post('/webhook/ghl', verifyGHLSignature, validateGHLWebhook, deduplicateWebhook('ghl'), handleGHLWebhook);
+app.post('/webhook/whatsapp', validateWhatsAppWebhook, verifyWhatsAppToken, deduplicateWebhook('whatsapp'), handleWhatsAppWebhook);
 // Evolution API envía eventos con el tipo en la ruta (ej: /webhook/whatsapp/messages-upsert)
-app.post('/webhook/whatsapp/*', validateWhatsAppWebhook, handleWhatsAppWebhook);
+app.post('/webhook/whatsapp/*', validateWhatsAppWebhook, verifyWhatsAppToken, deduplicateWebhook('whatsapp'), handleWhatsAppWebhook);
 // Agent webhook (AI conversational agent system)
-app.post('/webhook/agent', validateAgentWhitelist, handleAgentWebhook);
+app.post('/webhook/agent', verifyAgentSignature, validateAgentWhitelist, deduplicateWebhook('agent'), handleAgentWebhook);
 
 // Check beta status
 app.get('/api/check-beta', async (req, res) => {
@@ -89,6 +105,12 @@ app.get('/api/check-beta', async (req, res) => {
 });
 
 // Panel v2 - Connection Management
+// Idioma de los mensajes: locale del cliente o, si no tiene, el del navegador (Accept-Language)
+function getPanelLocale(req, client = null) {
+  const browserLocale = req.headers['accept-language'] ? req.acceptsLanguages(...SUPPORTED_LOCALES) : null;
+  return getLocale(client, browserLocale || null);
+}
+
 // GET /panel/config - Configuración de branding
 app.get('/panel/config', (req, res) => {
   res.json({
@@ -99,6 +121,7 @@ app.get('/panel/config', (req, res) => {
 // GET /panel/status/:locationId - Estado de instancia
 app.get('/panel/status/:locationId', async (req, res) => {
   const { locationId } = req.params;
+  let locale = getPanelLocale(req);
 
   try {
     const { getClientByLocationId, updateClient } = require('./services/supabase');
@@ -107,16 +130,17 @@ app.get('/panel/status/:locationId', async (req, res) => {
     let client = await getClientByLocationId(locationId);
     if (!client) {
       return res.status(404).json({
-        error: 'Servicio no dado de alta. Contacte con el equipo.',
+        error: t(locale, 'panel.notConfigured'),
         notConfigured: true
       });
     }
+    locale = getPanelLocale(req, client);
 
     // ✅ Si usa API oficial, mostrar mensaje apropiado
     if (client.whatsapp_provider === 'official') {
       return res.json({
         state: 'official',
-        message: 'Esta cuenta usa la API Oficial. Para gestionar la conexión, debe ir a "Configuración → WhatsApp"',
+        message: t(locale, 'panel.official'),
         provider: 'official'
       });
     }
@@ -171,18 +195,19 @@ app.get('/panel/status/:locationId', async (req, res) => {
     // Si es error de cliente no encontrado, mensaje específico
     if (error.message && error.message.includes('not found')) {
       return res.status(404).json({
-        error: 'Servicio no dado de alta. Contacte con el equipo.',
+        error: t(locale, 'panel.notConfigured'),
         notConfigured: true
       });
     }
 
-    res.status(500).json({ error: 'Error al obtener estado de la instancia' });
+    res.status(500).json({ error: t(locale, 'panel.statusError') });
   }
 });
 
 // POST /panel/qr/:locationId - Generar QR code
 app.post('/panel/qr/:locationId', async (req, res) => {
   const { locationId } = req.params;
+  let locale = getPanelLocale(req);
 
   try {
     const { getClientByLocationId } = require('./services/supabase');
@@ -190,8 +215,9 @@ app.post('/panel/qr/:locationId', async (req, res) => {
 
     const client = await getClientByLocationId(locationId);
     if (!client) {
-      return res.status(404).json({ error: 'Cliente no encontrado' });
+      return res.status(404).json({ error: t(locale, 'panel.clientNotFound') });
     }
+    locale = getPanelLocale(req, client);
 
     const result = await connectInstance(client.instance_name, client.instance_apikey);
 
@@ -201,13 +227,13 @@ app.post('/panel/qr/:locationId', async (req, res) => {
     }
 
     // Si NO hay base64 → Instancia ya conectada
-    return res.json({ message: 'Conexión ya establecida' });
+    return res.json({ message: t(locale, 'panel.alreadyConnected') });
   } catch (error) {
     logger.error('Error generating QR code', {
       locationId,
       error: error.message
     });
-    res.status(500).json({ error: 'Error al generar código QR' });
+    res.status(500).json({ error: t(locale, 'panel.qrError') });
   }
 });
 
@@ -215,16 +241,17 @@ app.post('/panel/qr/:locationId', async (req, res) => {
 app.post('/panel/pairing/:locationId', async (req, res) => {
   const { locationId } = req.params;
   const { phoneNumber } = req.body;
+  let locale = getPanelLocale(req);
 
   // Validar número de teléfono
   if (!phoneNumber || typeof phoneNumber !== 'string') {
-    return res.status(400).json({ error: 'Número de teléfono requerido' });
+    return res.status(400).json({ error: t(locale, 'panel.phoneRequired') });
   }
 
   // Validar formato: solo dígitos, max 15 caracteres, sin +
   if (!/^\d{1,15}$/.test(phoneNumber)) {
     return res.status(400).json({
-      error: 'Formato de número inválido. Debe ser solo dígitos sin el signo +, máximo 15 caracteres.'
+      error: t(locale, 'panel.phoneInvalid')
     });
   }
 
@@ -234,8 +261,9 @@ app.post('/panel/pairing/:locationId', async (req, res) => {
 
     const client = await getClientByLocationId(locationId);
     if (!client) {
-      return res.status(404).json({ error: 'Cliente no encontrado' });
+      return res.status(404).json({ error: t(locale, 'panel.clientNotFound') });
     }
+    locale = getPanelLocale(req, client);
 
     // Intentar generar pairing code
     const result = await connectInstance(client.instance_name, client.instance_apikey, phoneNumber);
@@ -260,7 +288,7 @@ app.post('/panel/pairing/:locationId', async (req, res) => {
 
     // No se generó pairing code (caso inesperado)
     return res.status(400).json({
-      error: 'No se pudo generar el código de vinculación',
+      error: t(locale, 'panel.pairingFailed'),
       fallbackToQR: true
     });
   } catch (error) {
@@ -272,7 +300,7 @@ app.post('/panel/pairing/:locationId', async (req, res) => {
 
     // Error - Sugerir fallback a QR
     return res.status(400).json({
-      error: 'Pairing code no disponible. Por favor, usa QR Code.',
+      error: t(locale, 'panel.pairingUnavailable'),
       fallbackToQR: true
     });
   }
@@ -460,6 +488,295 @@ app.get('/health', async (req, res) => {
   res.status(statusCode).json(health);
 });
 
+// ============================================================================
+// ADMIN API - Operaciones protegidas con ADMIN_API_KEY
+// ============================================================================
+
+const adminRouter = express.Router();
+adminRouter.use(validateAdminApiKey);
+
+// No exponer la API key de la instancia en las respuestas
+function toPublicDeadLetter({ instanceApiKey, ...entry }) {
+  return entry;
+}
+
+// No exponer tokens ni claves de los clientes en las respuestas
+function toPublicClient({ ghl_access_token, ghl_refresh_token, instance_apikey, langfuse_public_key, langfuse_secret_key, webhook_secret, ...client }) {
+  return client;
+}
+
+// Clientes Evolution de una instancia (puede haber varias locations por instancia)
+async function getInstanceClients(instanceName) {
+  const { listClients } = require('./services/supabase');
+  const clients = await listClients();
+  return clients.filter(c => c.instance_name === instanceName && c.instance_apikey);
+}
+
+// GET /admin/clients - Listar clientes de clients_details
+adminRouter.get('/clients', async (req, res) => {
+  try {
+    const { listClients } = require('./services/supabase');
+    const clients = await listClients();
+    res.json({ count: clients.length, clients: clients.map(toPublicClient) });
+  } catch (error) {
+    logger.error('Error listing clients (admin)', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /admin/instances/:instanceName - Estado de conexión de la instancia
+adminRouter.get('/instances/:instanceName', async (req, res) => {
+  const { instanceName } = req.params;
+
+  try {
+    const { checkInstanceConnection } = require('./services/evolution');
+    const clients = await getInstanceClients(instanceName);
+
+    if (clients.length === 0) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+
+    const connection = await checkInstanceConnection(instanceName, clients[0].instance_apikey);
+    res.json({
+      instanceName,
+      locationIds: clients.map(c => c.location_id),
+      ...connection
+    });
+  } catch (error) {
+    logger.error('Error checking instance (admin)', { instanceName, error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /admin/instances/:instanceName/restart - Forzar reconexión automática
+adminRouter.post('/instances/:instanceName/restart', async (req, res) => {
+  const { instanceName } = req.params;
+
+  try {
+    const { attemptAutoRestart } = require('./utils/instanceMonitor');
+    const clients = await getInstanceClients(instanceName);
+
+    if (clients.length === 0) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+
+    logger.info('Admin forced instance restart', { instanceName });
+    const result = await attemptAutoRestart(
+      instanceName,
+      clients[0].instance_apikey,
+      clients.map(c => c.location_id),
+      { force: true }
+    );
+
+    // Forzado: solo se salta si otro reinicio de la instancia sigue en curso
+    if (result.skipped) {
+      return res.status(409).json({ error: 'Instance restart already in progress', instanceName, ...result });
+    }
+    res.json({ instanceName, ...result });
+  } catch (error) {
+    logger.error('Error restarting instance (admin)', { instanceName, error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /admin/stats - Cola de reintentos, dead-letter, buffers del agente y contadores
+adminRouter.get('/stats', async (req, res) => {
+  const messageCache = require('./services/messageCache');
+  const { getBufferStats } = require('./services/agentBuffer');
+  const { listDeadLetters } = require('./services/deadLetter');
+  const { getCounters } = require('./services/metrics');
+  const { getBackendName } = require('./services/storage');
+
+  try {
+    res.json({
+      storage: getBackendName(),
+      messageQueue: await messageCache.getStats(),
+      deadLetters: (await listDeadLetters()).length,
+      agentBuffers: await getBufferStats(),
+      metrics: getCounters()
+    });
+  } catch (error) {
+    logger.error('Error getting stats (admin)', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /admin/caches/flush - Vaciar caches
+// Body: { caches?: ['tokens', 'contacts', 'conversations', 'prompts'] } (default: todas)
+adminRouter.post('/caches/flush', async (req, res) => {
+  const { flushCache, CACHE_NAMES } = require('./services/cache');
+  const { clearCache: clearPromptCache } = require('./services/langfuse');
+  const available = [...CACHE_NAMES, 'prompts'];
+  const requested = req.body?.caches || available;
+
+  const unknown = [].concat(requested).filter(name => !available.includes(name));
+  if (unknown.length > 0) {
+    return res.status(400).json({ error: `Unknown caches: ${unknown.join(', ')}`, available });
+  }
+
+  try {
+    const flushed = {};
+    for (const name of [].concat(requested)) {
+      flushed[name] = name === 'prompts' ? clearPromptCache() : await flushCache(name);
+    }
+
+    logger.info('Admin flushed caches', { flushed });
+    res.json({ success: true, flushed });
+  } catch (error) {
+    logger.error('Error flushing caches (admin)', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /admin/feature-flags?locationId= - Definiciones globales (y evaluación para una location)
+adminRouter.get('/feature-flags', async (req, res) => {
+  const { getFlagDefinitions, evaluateFlags } = require('./services/featureFlags');
+  const { locationId } = req.query;
+
+  if (!locationId) {
+    return res.json({ definitions: getFlagDefinitions() });
+  }
+
+  try {
+    const { getClientByLocationId } = require('./services/supabase');
+    const client = await getClientByLocationId(locationId);
+
+    res.json({
+      definitions: getFlagDefinitions(),
+      locationId,
+      overrides: client.feature_flags || {},
+      flags: evaluateFlags(client)
+    });
+  } catch (error) {
+    const status = error.message.startsWith('Client not found') ? 404 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// POST /admin/feature-flags/reload - Recargar definiciones desde BD sin esperar al refresco
+adminRouter.post('/feature-flags/reload', async (req, res) => {
+  const { loadFeatureFlags, getFlagDefinitions } = require('./services/featureFlags');
+  await loadFeatureFlags();
+
+  logger.info('Admin reloaded feature flags');
+  res.json({ success: true, definitions: getFlagDefinitions() });
+});
+
+// GET /admin/dead-letters?instanceName=&locationId= - Listar mensajes que agotaron reintentos
+adminRouter.get('/dead-letters', async (req, res) => {
+  const { listDeadLetters } = require('./services/deadLetter');
+  const { instanceName, locationId } = req.query;
+
+  try {
+    const entries = await listDeadLetters({ instanceName, locationId });
+    res.json({ count: entries.length, deadLetters: entries.map(toPublicDeadLetter) });
+  } catch (error) {
+    logger.error('Error listing dead-letter messages', { instanceName, locationId, error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /admin/dead-letters/:id - Detalle de un mensaje
+adminRouter.get('/dead-letters/:id', async (req, res) => {
+  const { getDeadLetter } = require('./services/deadLetter');
+
+  try {
+    const entry = await getDeadLetter(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Dead-letter message not found' });
+    }
+    res.json(toPublicDeadLetter(entry));
+  } catch (error) {
+    logger.error('Error reading dead-letter message', { id: req.params.id, error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /admin/dead-letters/:id/replay - Reenviar un mensaje
+adminRouter.post('/dead-letters/:id/replay', async (req, res) => {
+  const { getDeadLetter } = require('./services/deadLetter');
+  const { replayDeadLetters } = require('./utils/instanceMonitor');
+
+  try {
+    const entry = await getDeadLetter(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Dead-letter message not found' });
+    }
+
+    const result = await replayDeadLetters([entry]);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    logger.error('Error replaying dead-letter message', { id: req.params.id, error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /admin/dead-letters/replay - Reenviar todos los de una instancia/location
+// Body: { instanceName?, locationId? } (al menos uno)
+adminRouter.post('/dead-letters/replay', async (req, res) => {
+  const { listDeadLetters } = require('./services/deadLetter');
+  const { replayDeadLetters } = require('./utils/instanceMonitor');
+  const { instanceName, locationId } = req.body || {};
+
+  if (!instanceName && !locationId) {
+    return res.status(400).json({ error: 'instanceName or locationId is required' });
+  }
+
+  try {
+    const result = await replayDeadLetters(await listDeadLetters({ instanceName, locationId }));
+    res.json({ success: true, ...result });
+  } catch (error) {
+    logger.error('Error replaying dead-letter messages', { instanceName, locationId, error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// DELETE /admin/dead-letters/:id - Descartar un mensaje
+adminRouter.delete('/dead-letters/:id', async (req, res) => {
+  const { removeDeadLetter } = require('./services/deadLetter');
+
+  try {
+    const entry = await removeDeadLetter(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Dead-letter message not found' });
+    }
+
+    logger.info('Dead-letter message discarded', { id: entry.id, instanceName: entry.instanceName, messageId: entry.messageId });
+    res.json({ success: true, discarded: 1 });
+  } catch (error) {
+    logger.error('Error discarding dead-letter message', { id: req.params.id, error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// DELETE /admin/dead-letters?instanceName=&locationId= - Descartar todos los de una instancia/location
+adminRouter.delete('/dead-letters', async (req, res) => {
+  const { listDeadLetters, removeDeadLetter } = require('./services/deadLetter');
+  const { instanceName, locationId } = req.query;
+
+  if (!instanceName && !locationId) {
+    return res.status(400).json({ error: 'instanceName or locationId is required' });
+  }
+
+  try {
+    let discarded = 0;
+    for (const entry of await listDeadLetters({ instanceName, locationId })) {
+      if (await removeDeadLetter(entry.id)) discarded++;
+    }
+
+    logger.info('Dead-letter messages discarded', { instanceName, locationId, discarded });
+    res.json({ success: true, discarded });
+  } catch (error) {
+    logger.error('Error discarding dead-letter messages', { instanceName, locationId, error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.use('/admin', adminRouter);
+
 // ============================================================================
 // ERROR HANDLER MIDDLEWARE - Captura global de errores
 // ============================================================================
@@ -537,8 +854,9 @@ let server;
 function gracefulShutdown(signal) {
   logger.info(`${signal} received, closing server gracefully`);
   
-  server.close(() => {
+  server.close(async () => {
     logger.info('Server closed');
+    await require('./services/storage').disconnect();
     process.exit(0);
   });
   
@@ -552,6 +870,28 @@ function gracefulShutdown(signal) {
 server = app.listen(PORT, '0.0.0.0', () => {
   logger.info(`Server running on port ${PORT} (bound to 0.0.0.0)`);
 
+  // Restaurar cola de reintentos persistida (mensajes pendientes antes del reinicio)
+  // (con Redis la cola ya es compartida y no se usa el fichero)
+  const { initPersistence } = require('./services/messageCache');
+  initPersistence().catch(error => {
+    logger.error('Failed to restore message queue', { error: error.message });
+  });
+  require('./services/deadLetter').initPersistence().catch(error => {
+    logger.error('Failed to restore dead-letter messages', { error: error.message });
+  });
+
+  // Restaurar buffers del agente y procesar los que vencieron durante el reinicio (y cada 30s los huérfanos)
+  const agentBuffer = require('./services/agentBuffer');
+  const { processBufferedMessages } = require('./webhooks/agent');
+  agentBuffer.initPersistence()
+    .catch(error => {
+      logger.error('Failed to restore agent buffers', { error: error.message });
+    })
+    .then(() => agentBuffer.startDebounceScheduler(job => processBufferedMessages(job)));
+
+  // Cargar feature flags globales (se refrescan cada 5 minutos)
+  require('./services/featureFlags').startFeatureFlagRefresh();
+
   // Iniciar monitor de instancias (cada 2 horas - backup, webhooks CONNECTION_UPDATE son primarios)
   const { startMonitoring } = require('./utils/instanceMonitor');
   startMonitoring(2);
@@ -1,75 +1,242 @@
-const NodeCache = require('node-cache');
+/**
+ * Agent Buffer Service - Agrupa los mensajes seguidos de un contacto antes de llamar al agente
+ * Buffers y debounce viven en services/storage.js (compartidos entre réplicas con Redis):
+ * cada mensaje deja su token como "último mensaje"; al vencer el timer solo dispara
+ * la réplica cuyo token sigue siendo el último, y lo reclama con lock (una sola vez en total)
+ *
+ * Durabilidad: el debounce pendiente guarda su hora de disparo y los datos del job, y no se borra
+ * hasta que el callback termina. Si el proceso muere (antes de disparar o durante Flowise),
+ * el scheduler (startDebounceScheduler) lo recoge al arrancar y lo procesa.
+ * Los mensajes que llegan durante el procesamiento se quedan en el buffer y su debounce
+ * dispara cuando termina el envío en curso (nunca dos envíos a la vez por contacto/canal).
+ * En memoria se persiste en disco (AGENT_BUFFER_FILE); con Redis ya sobrevive a reinicios
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
 const logger = require('../utils/logger');
 const { notifyAdmin } = require('../utils/notifications');
+const storage = require('./storage');
+const { createQueueStore } = require('./queueStore');
+
+// Tiempo que un buffer pendiente puede esperar a ser recuperado (1 hora, auto-expira)
+const BUFFER_TTL_SECONDS = 3600;
 
-// Buffer de mensajes por contacto (10 min TTL, auto-expira)
-const messageBuffer = new NodeCache({
-  stdTTL: 600,  // 10 minutos
-  checkperiod: 60,
-  useClones: false
+// Buffer de mensajes por contacto
+const messageBuffer = storage.createStore('agent-buffer', {
+  ttlSeconds: BUFFER_TTL_SECONDS,
+  checkPeriod: 60
 });
 
-// Timers de debouncing (Map porque necesitamos clearTimeout)
-const debounceTimers = new Map();
+// Último mensaje de cada contacto/canal: { token, dueAt, job, claimedAt?, claimedBy? } (el que debe disparar el debounce)
+// claimedAt/claimedBy = envío en curso (token del debounce que lo reclamó)
+const pendingDebounces = storage.createStore('agent-debounce', {
+  ttlSeconds: BUFFER_TTL_SECONDS,
+  checkPeriod: 60
+});
+
+// Persistencia en disco (solo backend memoria): una "cola" de 0-1 elementos por timerKey con el buffer incluido
+const debounceStore = createQueueStore('agent buffer');
+
+// Timers locales de esta réplica (Map porque necesitamos clearTimeout)
+const debounceTimers = new Map(); // timerKey → { timer, token }
+
+// Valores por defecto (se pueden cambiar por agente en agent_configs, ver AGENT_BUFFER.md)
+const DEFAULT_DEBOUNCE_MS = 7000;
+const MAX_MESSAGES_PER_BUFFER = 7; // Límite de mensajes por buffer (prevenir abuse)
+const DEFAULT_OVERFLOW_POLICY = 'drop';
+
+// Qué hacer con los mensajes que llegan con el buffer lleno:
+// drop = ignorarlo, merge = unirlo al último mensaje del buffer, flush = procesar el buffer ya
+const OVERFLOW_POLICIES = ['drop', 'merge', 'flush'];
 
-// Límite de mensajes por buffer (prevenir abuse)
-const MAX_MESSAGES_PER_BUFFER = 7;
+// Límites de la configuración por agente
+const MAX_DEBOUNCE_MS = 10 * 60 * 1000;
+const MAX_BUFFER_MESSAGES_LIMIT = 50;
+
+// Canales que son WhatsApp (SMS = proveedor de WhatsApp en GHL): usan el override "WhatsApp" si no tienen uno propio
+const WHATSAPP_CHANNELS = ['SMS', 'WhatsApp'];
+
+// Espera máxima por el lock al reclamar un debounce
+const CLAIM_LOCK_WAIT_MS = 2000;
+
+// Un debounce reclamado que no termina en este tiempo se da por perdido (réplica caída durante Flowise)
+const PROCESSING_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Un debounce que vence mientras sigue el envío anterior del mismo contacto se reintenta cada segundo
+const BUSY_RETRY_MS = 1000;
+
+// El scheduler periódico deja este margen al timer local antes de recoger un debounce vencido
+const RECOVERY_GRACE_MS = 30 * 1000;
+const RECOVERY_INTERVAL_MS = 30 * 1000;
+
+let schedulerInterval = null;
+
+/**
+ * Parsea un campo JSON de agent_configs (columna JSON o texto JSON)
+ * @param {Object|string|null} raw - Valor de la columna
+ * @param {Object} agentConfig - Para logs
+ * @returns {Object}
+ */
+function parseOverrides(raw, agentConfig) {
+  if (!raw) return {};
+
+  if (typeof raw === 'string') {
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      logger.warn('Invalid buffer_overrides JSON for agent', {
+        locationId: agentConfig.location_id,
+        agentName: agentConfig.agent_name
+      });
+      return {};
+    }
+  }
+
+  return raw;
+}
+
+/**
+ * Entero dentro de [min, max] o el valor por defecto si no es válido
+ */
+function toBoundedInt(value, min, max, fallback) {
+  const number = Number(value);
+  if (value === null || value === undefined || value === '' || !Number.isFinite(number)) return fallback;
+  return Math.min(Math.max(Math.round(number), min), max);
+}
+
+/**
+ * Configuración del buffer para un agente y canal
+ * Prioridad: buffer_overrides[canal] > columnas de agent_configs > defaults
+ * (en SMS/WhatsApp también vale el override "WhatsApp")
+ * @param {Object} agentConfig - Registro de agent_configs
+ * @param {string} canal - Canal del mensaje (SMS, WhatsApp, IG, FB, Live_Chat)
+ * @param {Object} options
+ * @param {boolean} options.hasAudio - El mensaje trae una nota de voz (usa audio_debounce_ms si existe)
+ * @returns {Object} { debounceMs, maxMessages, overflow }
+ */
+function getBufferSettings(agentConfig, canal, { hasAudio = false } = {}) {
+  const overrides = parseOverrides(agentConfig?.buffer_overrides, agentConfig || {});
+  const channelOverride = overrides[canal] || (WHATSAPP_CHANNELS.includes(canal) ? overrides.WhatsApp : null) || {};
+  const pick = (field) => (channelOverride[field] ?? agentConfig?.[field]);
+
+  const debounceMs = toBoundedInt(pick('debounce_ms'), 0, MAX_DEBOUNCE_MS, DEFAULT_DEBOUNCE_MS);
+  let overflow = pick('buffer_overflow') || DEFAULT_OVERFLOW_POLICY;
+
+  if (!OVERFLOW_POLICIES.includes(overflow)) {
+    logger.warn('Unknown buffer_overflow policy, using default', {
+      agentName: agentConfig?.agent_name,
+      canal,
+      overflow,
+      default: DEFAULT_OVERFLOW_POLICY
+    });
+    overflow = DEFAULT_OVERFLOW_POLICY;
+  }
+
+  return {
+    debounceMs: hasAudio
+      ? toBoundedInt(pick('audio_debounce_ms'), 0, MAX_DEBOUNCE_MS, debounceMs)
+      : debounceMs,
+    maxMessages: toBoundedInt(pick('max_buffer_messages'), 1, MAX_BUFFER_MESSAGES_LIMIT, MAX_MESSAGES_PER_BUFFER),
+    overflow
+  };
+}
+
+/**
+ * Une el mensaje al último del buffer (política merge): el buffer no crece pero no se pierde nada
+ * @param {string} key - Clave del buffer
+ * @param {string} messageText - Texto del mensaje
+ * @returns {Promise<number>} Tamaño del buffer
+ */
+function mergeIntoLastMessage(key, messageText) {
+  return storage.withLock(`buffer:${key}`, async () => {
+    const buffer = await messageBuffer.getList(key);
+    if (buffer.length === 0) {
+      return messageBuffer.push(key, messageText);
+    }
+
+    buffer[buffer.length - 1] = `${buffer[buffer.length - 1]}\n${messageText}`;
+    await messageBuffer.setList(key, buffer);
+    return buffer.length;
+  });
+}
 
 /**
  * Agregar mensaje al buffer
  * @param {string} contactId - ID del contacto en GHL
  * @param {string} canal - Tipo de canal (SMS/IG/FB)
  * @param {string} messageText - Texto del mensaje
+ * @param {Object} options - { maxMessages, overflow } (default: getBufferSettings sin agente)
+ * @returns {Promise<Object>} { added, bufferSize, flush }
+ *   added = false si se descartó (drop); flush = true si hay que procesar el buffer sin esperar al debounce
  */
-function pushMessage(contactId, canal, messageText) {
+async function pushMessage(contactId, canal, messageText, { maxMessages = MAX_MESSAGES_PER_BUFFER, overflow = DEFAULT_OVERFLOW_POLICY } = {}) {
   const key = `${contactId}_${canal}_buffer`;
 
-  // Obtener buffer existente o crear nuevo
-  const buffer = messageBuffer.get(key) || [];
+  // Obtener buffer existente
+  const buffer = await messageBuffer.getList(key);
 
   // Verificar límite de mensajes
-  if (buffer.length >= MAX_MESSAGES_PER_BUFFER) {
+  if (buffer.length >= maxMessages && overflow === 'drop') {
     logger.warn('⚠️ Buffer limit reached, ignoring new message', {
       contactId,
       canal,
       bufferSize: buffer.length,
-      limit: MAX_MESSAGES_PER_BUFFER
+      limit: maxMessages
     });
 
     notifyAdmin('Agent Buffer Limit Reached', {
       contactId,
       canal,
       bufferSize: buffer.length,
-      limit: MAX_MESSAGES_PER_BUFFER,
+      limit: maxMessages,
       message: 'Usuario enviando demasiados mensajes consecutivos'
     }).catch(err => logger.error('Failed to notify admin', { error: err.message }));
 
-    return;  // No agregar más mensajes
+    return { added: false, bufferSize: buffer.length, flush: false };  // No agregar más mensajes
   }
 
-  // Agregar mensaje
-  buffer.push(messageText);
+  if (buffer.length >= maxMessages && overflow === 'merge') {
+    const bufferSize = await mergeIntoLastMessage(key, messageText);
+
+    logger.info('📝 Buffer limit reached, message merged into last one', {
+      contactId,
+      canal,
+      bufferSize,
+      limit: maxMessages
+    });
+
+    return { added: true, bufferSize, flush: false };
+  }
 
-  // Guardar en caché
-  messageBuffer.set(key, buffer);
+  // Agregar mensaje (append atómico: otras réplicas pueden estar añadiendo al mismo buffer)
+  const bufferSize = await messageBuffer.push(key, messageText);
 
   logger.debug('📝 Message added to buffer', {
     contactId,
     canal,
-    bufferSize: buffer.length,
+    bufferSize,
     messagePreview: messageText.substring(0, 50)
   });
+
+  // flush: al llenarse el buffer se procesa ya, sin esperar al debounce
+  const flush = overflow === 'flush' && bufferSize >= maxMessages;
+  if (flush) {
+    logger.info('🚿 Buffer full, flushing early', { contactId, canal, bufferSize, limit: maxMessages });
+  }
+
+  return { added: true, bufferSize, flush };
 }
 
 /**
  * Obtener buffer de mensajes
  * @param {string} contactId
  * @param {string} canal
- * @returns {string[]} Array de mensajes
+ * @returns {Promise<string[]>} Array de mensajes
  */
-function getBuffer(contactId, canal) {
+async function getBuffer(contactId, canal) {
   const key = `${contactId}_${canal}_buffer`;
-  const buffer = messageBuffer.get(key) || [];
+  const buffer = await messageBuffer.getList(key);
 
   logger.debug('📋 Buffer retrieved', {
     contactId,
@@ -85,23 +252,52 @@ function getBuffer(contactId, canal) {
  * @param {string} contactId
  * @param {string} canal
  */
-function clearBuffer(contactId, canal) {
+async function clearBuffer(contactId, canal) {
   const key = `${contactId}_${canal}_buffer`;
-  messageBuffer.del(key);
+  await messageBuffer.del(key);
 
   logger.debug('🗑️ Buffer cleared', { contactId, canal });
 }
 
+/**
+ * Quitar del buffer los mensajes ya procesados
+ * Los que llegaron durante el procesamiento se quedan para el siguiente debounce
+ * @param {string} contactId
+ * @param {string} canal
+ * @param {string[]} messages - Mensajes procesados (los primeros del buffer, leídos con getBuffer)
+ */
+async function consumeBuffer(contactId, canal, messages) {
+  if (messages.length === 0) return;
+
+  const key = `${contactId}_${canal}_buffer`;
+  const last = messages[messages.length - 1];
+
+  // Mismo lock que mergeIntoLastMessage
+  await storage.withLock(`buffer:${key}`, async () => {
+    const buffer = await messageBuffer.getList(key);
+    const current = buffer[messages.length - 1];
+
+    // Política merge: con el buffer lleno, lo que llegó durante el procesamiento se unió al último mensaje procesado
+    if (current !== last && current?.startsWith(`${last}\n`)) {
+      await messageBuffer.setList(key, [current.substring(last.length + 1), ...buffer.slice(messages.length)]);
+    } else {
+      await messageBuffer.trimList(key, messages.length);
+    }
+  });
+
+  logger.debug('🗑️ Buffer consumed', { contactId, canal, consumed: messages.length });
+}
+
 /**
  * Verificar si el último mensaje del buffer coincide con el esperado
  * (Para evitar procesar si llegaron nuevos mensajes)
  * @param {string} contactId
  * @param {string} canal
  * @param {string} expectedMessage
- * @returns {boolean}
+ * @returns {Promise<boolean>}
  */
-function isLastMessage(contactId, canal, expectedMessage) {
-  const buffer = getBuffer(contactId, canal);
+async function isLastMessage(contactId, canal, expectedMessage) {
+  const buffer = await getBuffer(contactId, canal);
 
   if (buffer.length === 0) {
     return false;
@@ -122,22 +318,189 @@ function isLastMessage(contactId, canal, expectedMessage) {
   return isMatch;
 }
 
+/**
+ * Guarda en disco el debounce pendiente de un contacto/canal junto con su buffer (no-op con Redis)
+ * @param {string} timerKey - `${contactId}_${canal}`
+ * @param {Object|null} pending - { token, dueAt, job } o null si ya no hay nada pendiente
+ */
+async function persistDebounce(timerKey, pending) {
+  if (!debounceStore.isEnabled()) return;
+
+  const messages = pending ? await messageBuffer.getList(`${timerKey}_buffer`) : [];
+  debounceStore.persistQueue(timerKey, pending ? [{ ...pending, messages }] : []);
+}
+
+/**
+ * Reclama el debounce: solo gana si el token sigue siendo el del último mensaje
+ * y nadie lo está procesando ya (o quien lo procesaba superó PROCESSING_TIMEOUT_MS)
+ * Se hace con lock para que dos réplicas no disparen a la vez; el registro se marca como
+ * reclamado (claimedAt/claimedBy) y se mantiene hasta completeDebounce para poder recuperarlo si el proceso muere
+ * @param {string} timerKey - `${contactId}_${canal}`
+ * @param {string} token - Token del mensaje que programó el timer
+ * @returns {Promise<string>} 'claimed' si esta réplica debe ejecutar el callback,
+ *   'superseded' si llegó un mensaje posterior, 'busy' si sigue en curso el envío anterior (reintentar)
+ */
+async function claimDebounce(timerKey, token) {
+  const lockName = `debounce:${timerKey}`;
+  const lockToken = await storage.acquireLock(lockName, { ttlMs: 10000, waitMs: CLAIM_LOCK_WAIT_MS });
+  if (!lockToken) return 'busy';
+
+  try {
+    const pending = await pendingDebounces.get(timerKey);
+    if (pending?.token !== token) return 'superseded';
+    if (pending.claimedAt != null && Date.now() - pending.claimedAt < PROCESSING_TIMEOUT_MS) return 'busy';
+
+    await pendingDebounces.set(timerKey, { ...pending, claimedAt: Date.now(), claimedBy: token });
+    return 'claimed';
+  } finally {
+    await storage.releaseLock(lockName, lockToken);
+  }
+}
+
+/**
+ * Marca el debounce como terminado
+ * Si un mensaje posterior lo sustituyó durante el envío, solo se libera el reclamo: su debounce dispara ahora
+ * @param {string} timerKey - `${contactId}_${canal}`
+ * @param {string} token - Token del debounce procesado
+ */
+async function completeDebounce(timerKey, token) {
+  await storage.withLock(`debounce:${timerKey}`, async () => {
+    const pending = await pendingDebounces.get(timerKey);
+    if (pending?.claimedBy !== token) return;
+
+    if (pending.token !== token) {
+      const { claimedAt, claimedBy, ...next } = pending;
+      await pendingDebounces.set(timerKey, next);
+      await persistDebounce(timerKey, next);
+      return;
+    }
+
+    await pendingDebounces.del(timerKey);
+    await persistDebounce(timerKey, null);
+  });
+}
+
+/**
+ * Ejecuta el callback de un debounce reclamado y lo da por terminado al acabar (aunque falle)
+ * @param {string} timerKey - `${contactId}_${canal}`
+ * @param {string} token - Token del debounce reclamado
+ * @param {Function} callback - Procesamiento del buffer
+ */
+async function runDebounce(timerKey, token, callback) {
+  try {
+    await callback();
+  } catch (error) {
+    logger.error('❌ Debounce callback failed', { timerKey, error: error.message });
+  }
+
+  try {
+    await completeDebounce(timerKey, token);
+  } catch (error) {
+    // Queda reclamado: el scheduler lo reintentará tras PROCESSING_TIMEOUT_MS
+    logger.error('❌ Failed to complete debounce', { timerKey, error: error.message });
+  }
+}
+
+/**
+ * Programa el timer local de un debounce: al vencer lo reclama y ejecuta el callback
+ * Si sigue en curso el envío anterior del contacto, reintenta cada BUSY_RETRY_MS hasta que termine
+ * @param {string} contactId
+ * @param {string} canal
+ * @param {string} token - Token del debounce
+ * @param {Function} callback - Procesamiento del buffer
+ * @param {number} delay - Delay en milisegundos
+ */
+function armDebounceTimer(contactId, canal, token, callback, delay) {
+  const timerKey = `${contactId}_${canal}`;
+
+  const timer = setTimeout(async () => {
+    // Limpiar timer del Map (si no lo ha sustituido otro)
+    if (debounceTimers.get(timerKey)?.token === token) {
+      debounceTimers.delete(timerKey);
+    }
+
+    let claim;
+    try {
+      claim = await claimDebounce(timerKey, token);
+    } catch (error) {
+      logger.error('❌ Failed to claim debounce', { contactId, canal, error: error.message });
+      notifyAdmin('Agent Debounce Claim Failed', {
+        contactId,
+        canal,
+        error: error.message,
+        stack: error.stack
+      }).catch(err => logger.error('Failed to notify admin', { error: err.message }));
+      return;
+    }
+
+    if (claim === 'superseded') {
+      logger.debug('⏭️ Debounce superseded by a newer message', { contactId, canal });
+      return;
+    }
+
+    if (claim === 'busy') {
+      // Un timer local más nuevo ya se encargará
+      if (!debounceTimers.has(timerKey)) {
+        logger.debug('⏳ Debounce postponed until the current run finishes', { contactId, canal });
+        armDebounceTimer(contactId, canal, token, callback, BUSY_RETRY_MS);
+      }
+      return;
+    }
+
+    logger.info('⏰ Debounce timer expired, executing callback', {
+      contactId,
+      canal,
+      delay
+    });
+
+    // Ejecutar callback
+    await runDebounce(timerKey, token, callback);
+  }, delay);
+
+  debounceTimers.set(timerKey, { timer, token });
+}
+
 /**
  * Configurar debouncing para procesar buffer
- * Auto-reset si llegan nuevos mensajes
+ * Auto-reset si llegan nuevos mensajes (en esta u otra réplica)
+ * Si hay un envío en curso para el contacto/canal, el nuevo debounce conserva su reclamo y dispara cuando termine
  *
  * @param {string} contactId
  * @param {string} canal
  * @param {Function} callback - Función a ejecutar después del debounce
  * @param {number} delay - Delay en milisegundos (default: 7000)
+ * @param {Object} job - Datos serializables para procesar el buffer si el proceso se reinicia
+ *                       (se pasan al handler de startDebounceScheduler)
  */
-function setupDebounce(contactId, canal, callback, delay = 7000) {
+async function setupDebounce(contactId, canal, callback, delay = 7000, job = null) {
   const timerKey = `${contactId}_${canal}`;
+  const token = crypto.randomUUID();
+
+  // Este mensaje pasa a ser el último: los timers anteriores (de cualquier réplica) ya no disparan
+  await storage.withLock(`debounce:${timerKey}`, async () => {
+    const previous = await pendingDebounces.get(timerKey);
+    const pending = { token, dueAt: Date.now() + delay, job };
+
+    if (previous?.claimedAt != null) {
+      pending.claimedAt = previous.claimedAt;
+      pending.claimedBy = previous.claimedBy;
+
+      // También un flush (delay 0): no se lanza un segundo envío en paralelo con el mismo buffer
+      logger.info('⏳ Agent is still processing this contact, debounce will fire when it finishes', {
+        contactId,
+        canal,
+        delay
+      });
+    }
+
+    await pendingDebounces.set(timerKey, pending);
+    await persistDebounce(timerKey, pending);
+  });
 
   // Limpiar timer existente (auto-reset)
-  const existingTimer = debounceTimers.get(timerKey);
-  if (existingTimer) {
-    clearTimeout(existingTimer);
+  const existing = debounceTimers.get(timerKey);
+  if (existing) {
+    clearTimeout(existing.timer);
     logger.debug('⏱️ Debounce timer reset (new message arrived)', {
       contactId,
       canal,
@@ -152,34 +515,24 @@ function setupDebounce(contactId, canal, callback, delay = 7000) {
   }
 
   // Configurar nuevo timer
-  const timer = setTimeout(() => {
-    logger.info('⏰ Debounce timer expired, executing callback', {
-      contactId,
-      canal,
-      delay
-    });
-
-    // Limpiar timer del Map
-    debounceTimers.delete(timerKey);
-
-    // Ejecutar callback
-    callback();
-  }, delay);
-
-  debounceTimers.set(timerKey, timer);
+  armDebounceTimer(contactId, canal, token, callback, delay);
 }
 
 /**
  * Cancelar debouncing manualmente
  * @param {string} contactId
  * @param {string} canal
+ * @returns {Promise<boolean>} true si había un timer local
  */
-function cancelDebounce(contactId, canal) {
+async function cancelDebounce(contactId, canal) {
   const timerKey = `${contactId}_${canal}`;
-  const timer = debounceTimers.get(timerKey);
+  const existing = debounceTimers.get(timerKey);
+
+  await pendingDebounces.del(timerKey);
+  await persistDebounce(timerKey, null);
 
-  if (timer) {
-    clearTimeout(timer);
+  if (existing) {
+    clearTimeout(existing.timer);
     debounceTimers.delete(timerKey);
     logger.debug('❌ Debounce timer cancelled', { contactId, canal });
     return true;
@@ -191,14 +544,15 @@ function cancelDebounce(contactId, canal) {
 /**
  * Obtener stats del buffer (para debugging/monitoring)
  */
-function getBufferStats() {
-  const keys = messageBuffer.keys();
+async function getBufferStats() {
+  const keys = await messageBuffer.keys();
   const stats = {
     totalBuffers: keys.length,
-    buffers: keys.map(key => ({
+    buffers: await Promise.all(keys.map(async (key) => ({
       key,
-      size: (messageBuffer.get(key) || []).length
-    })),
+      size: (await messageBuffer.getList(key)).length
+    }))),
+    pendingDebounces: (await pendingDebounces.keys()).length,
     activeTimers: debounceTimers.size
   };
 
@@ -206,12 +560,111 @@ function getBufferStats() {
   return stats;
 }
 
+/**
+ * Activa la persistencia en disco y restaura los debounces pendientes de antes del reinicio
+ * (con sus buffers). Los que siguieran procesándose se liberan: el proceso que los tenía ya no existe
+ * Con Redis no se usa el fichero: buffers y debounces ya sobreviven a reinicios
+ * @param {string} file - Ruta del fichero (default: config.AGENT_BUFFER_FILE)
+ * @returns {Promise<number>} Número de debounces restaurados
+ */
+async function initPersistence(file = config.AGENT_BUFFER_FILE) {
+  if (storage.isShared()) return 0;
+
+  const state = debounceStore.init(file);
+  const minDueAt = Date.now() - BUFFER_TTL_SECONDS * 1000;
+  let restored = 0;
+
+  for (const [timerKey, [entry]] of Object.entries(state)) {
+    if (!entry || entry.dueAt < minDueAt || !entry.messages?.length) {
+      logger.warn('⚠️ Discarding stale agent buffer from disk', { timerKey, dueAt: entry?.dueAt });
+      debounceStore.persistQueue(timerKey, []);
+      continue;
+    }
+
+    const { messages, claimedAt, claimedBy, ...pending } = entry;
+    await messageBuffer.setList(`${timerKey}_buffer`, messages);
+    await pendingDebounces.set(timerKey, pending);
+    restored++;
+  }
+
+  if (restored > 0) {
+    logger.info('📤 Pending agent buffers restored from disk', { restored });
+  }
+
+  return restored;
+}
+
+/**
+ * Procesa los debounces vencidos que no tienen timer vivo (proceso reiniciado o réplica caída)
+ * @param {Function} handler - async (job) => procesa el buffer del job
+ * @param {Object} options
+ * @param {number} options.graceMs - Margen tras dueAt para dejar disparar al timer local
+ * @returns {Promise<number>} Número de debounces recuperados
+ */
+async function recoverOverdueDebounces(handler, { graceMs = RECOVERY_GRACE_MS } = {}) {
+  const now = Date.now();
+  let recovered = 0;
+
+  for (const timerKey of await pendingDebounces.keys()) {
+    const pending = await pendingDebounces.get(timerKey);
+    if (!pending?.job || pending.dueAt + graceMs > now) continue;
+    if ((await claimDebounce(timerKey, pending.token)) !== 'claimed') continue;
+
+    logger.warn('♻️ Recovering overdue agent buffer', {
+      timerKey,
+      overdueMs: now - pending.dueAt,
+      wasProcessing: pending.claimedAt != null
+    });
+
+    recovered++;
+    // Sin await: cada buffer se procesa en paralelo, como con los timers
+    runDebounce(timerKey, pending.token, () => handler(pending.job));
+  }
+
+  return recovered;
+}
+
+/**
+ * Arranca el scheduler de recuperación: una pasada inmediata (arranque) y después cada 30s
+ * @param {Function} handler - async (job) => procesa el buffer del job
+ */
+function startDebounceScheduler(handler) {
+  const sweep = (options) => recoverOverdueDebounces(handler, options).catch(error => {
+    logger.error('❌ Agent buffer recovery failed', { error: error.message });
+  });
+
+  sweep({ graceMs: 0 });
+
+  if (schedulerInterval) clearInterval(schedulerInterval);
+  schedulerInterval = setInterval(() => sweep(), RECOVERY_INTERVAL_MS);
+  schedulerInterval.unref();
+
+  logger.info('⏰ Agent buffer recovery scheduler started', { intervalMs: RECOVERY_INTERVAL_MS });
+}
+
+/**
+ * Detiene el scheduler de recuperación
+ */
+function stopDebounceScheduler() {
+  if (schedulerInterval) {
+    clearInterval(schedulerInterval);
+    schedulerInterval = null;
+  }
+}
+
 module.exports = {
+  OVERFLOW_POLICIES,
+  getBufferSettings,
   pushMessage,
   getBuffer,
   clearBuffer,
+  consumeBuffer,
   isLastMessage,
   setupDebounce,
   cancelDebounce,
-  getBufferStats
+  getBufferStats,
+  initPersistence,
+  recoverOverdueDebounces,
+  startDebounceScheduler,
+  stopDebounceScheduler
 };
@@ -0,0 +1,147 @@
+/**
+ * AI Provider Service - Proveedor de transcripción (STT) y descripción de imágenes (Vision)
+ *
+ * Proveedores disponibles (ambos hablan la API de OpenAI, ver services/openai.js):
+ *   openai → API de OpenAI (whisper-1 / gpt-4o-mini)
+ *   local  → endpoint propio compatible con OpenAI (faster-whisper-server, LocalAI, vLLM, Ollama /v1...)
+ *
+ * Selección por cliente en clients_details (columnas opcionales, null = default global):
+ *   stt_provider, stt_model, stt_base_url, vision_provider, vision_model, vision_base_url
+ * Defaults globales: STT_PROVIDER, VISION_PROVIDER, LOCAL_STT_*, LOCAL_VISION_* (config.js)
+ */
+
+const OpenAI = require('openai');
+const config = require('../config');
+const logger = require('../utils/logger');
+const openaiAPI = require('./openai');
+const { getLocale, getTranscriptionLanguage, t } = require('../utils/i18n');
+
+const PROVIDERS = {
+  openai: {
+    label: 'OpenAI',
+    defaultModel: () => ({
+      stt: openaiAPI.DEFAULT_MODELS.transcription,
+      vision: openaiAPI.DEFAULT_MODELS.vision
+    })
+  },
+  local: {
+    label: 'Local AI',
+    defaultModel: () => ({
+      stt: config.LOCAL_STT_MODEL,
+      vision: config.LOCAL_VISION_MODEL
+    }),
+    defaultBaseURL: () => ({
+      stt: config.LOCAL_STT_BASE_URL,
+      vision: config.LOCAL_VISION_BASE_URL
+    })
+  }
+};
+
+// Clientes del SDK para endpoints locales, uno por baseURL
+const localClients = new Map();
+
+function getLocalClient(baseURL) {
+  if (!localClients.has(baseURL)) {
+    localClients.set(baseURL, new OpenAI({
+      baseURL,
+      apiKey: config.LOCAL_AI_API_KEY || 'local' // El SDK exige una key aunque el servidor no la valide
+    }));
+  }
+  return localClients.get(baseURL);
+}
+
+/**
+ * Proveedor y modelo que usa un cliente para una capacidad
+ * @param {Object|null} client - Registro de clients_details (null = defaults globales)
+ * @param {string} capability - 'stt' | 'vision'
+ * @returns {Object} { provider, label, model, baseURL? }
+ */
+function resolveProvider(client, capability) {
+  const provider = client?.[`${capability}_provider`] ||
+    (capability === 'stt' ? config.STT_PROVIDER : config.VISION_PROVIDER);
+  const definition = PROVIDERS[provider];
+
+  if (!definition) {
+    throw new Error(`Unknown AI provider "${provider}" for ${capability}`);
+  }
+
+  const resolved = {
+    provider,
+    label: definition.label,
+    model: client?.[`${capability}_model`] || definition.defaultModel()[capability]
+  };
+
+  if (definition.defaultBaseURL) {
+    resolved.baseURL = client?.[`${capability}_base_url`] || definition.defaultBaseURL()[capability];
+    if (!resolved.baseURL) {
+      throw new Error(`${definition.label} ${capability} endpoint not configured (LOCAL_${capability.toUpperCase()}_BASE_URL)`);
+    }
+  }
+
+  return resolved;
+}
+
+/**
+ * Etiqueta del proveedor para logs/alertas (no lanza si la configuración es inválida)
+ */
+function getProviderLabel(client, capability) {
+  try {
+    return resolveProvider(client, capability).label;
+  } catch (error) {
+    return 'AI Provider';
+  }
+}
+
+function getSdkOptions(resolved) {
+  return resolved.baseURL
+    ? { sdk: getLocalClient(resolved.baseURL), model: resolved.model }
+    : { model: resolved.model };
+}
+
+/**
+ * Transcribe audio con el proveedor STT del cliente (con pista de idioma si el cliente tiene locale)
+ * @param {Object|null} client - Registro de clients_details
+ * @param {string} base64Audio - Audio en base64
+ * @param {string} mimeType - Tipo MIME del audio
+ * @returns {Promise<Object>} { text, provider, model }
+ */
+async function transcribeAudio(client, base64Audio, mimeType) {
+  const resolved = resolveProvider(client, 'stt');
+
+  logger.debug('AI provider selected', { capability: 'stt', provider: resolved.provider, model: resolved.model, locationId: client?.location_id });
+
+  const text = await openaiAPI.transcribeAudio(base64Audio, mimeType, {
+    ...getSdkOptions(resolved),
+    language: getTranscriptionLanguage(client)
+  });
+  return { text, provider: resolved.provider, model: resolved.model };
+}
+
+/**
+ * Describe una imagen con el proveedor Vision del cliente (prompt en el idioma del cliente)
+ * @param {Object|null} client - Registro de clients_details
+ * @param {string} base64Image - Imagen en base64
+ * @param {string} mimeType - Tipo MIME de la imagen (default image/jpeg)
+ * @param {Object} options - { prompt?: prompt propio (ej: fotogramas de vídeo), default vision.prompt }
+ * @returns {Promise<Object>} { text, provider, model }
+ */
+async function describeImage(client, base64Image, mimeType = 'image/jpeg', options = {}) {
+  const resolved = resolveProvider(client, 'vision');
+
+  logger.debug('AI provider selected', { capability: 'vision', provider: resolved.provider, model: resolved.model, locationId: client?.location_id });
+
+  const text = await openaiAPI.analyzeImage(base64Image, {
+    ...getSdkOptions(resolved),
+    mimeType,
+    prompt: options.prompt || t(getLocale(client), 'vision.prompt')
+  });
+  return { text, provider: resolved.provider, model: resolved.model };
+}
+
+module.exports = {
+  PROVIDERS,
+  resolveProvider,
+  getProviderLabel,
+  transcribeAudio,
+  describeImage
+};
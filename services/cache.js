@@ -2,68 +2,76 @@
  * Cache Service - Cachea tokens GHL y contactIds/conversationIds
  */
 
-const NodeCache = require('node-cache');
-
-// Cache de tokens GHL (1 hora TTL)
-const tokenCache = new NodeCache({
-  stdTTL: 3600,
-  checkperiod: 600,
-  useClones: false
-});
-
-// Cache de contactId por teléfono (1 hora TTL)
-const contactCache = new NodeCache({
-  stdTTL: 3600,
-  checkperiod: 600,
-  useClones: false
-});
-
-// Cache de conversationId por contactId (1 hora TTL)
-const conversationCache = new NodeCache({
-  stdTTL: 3600,
-  checkperiod: 600,
-  useClones: false
-});
+const storage = require('./storage');
+
+// Tokens GHL, contactId por teléfono y conversationId por contactId (1 hora TTL)
+// Compartidos entre réplicas si hay Redis (ver services/storage.js)
+const tokenCache = storage.createStore('tokens', { ttlSeconds: 3600 });
+const contactCache = storage.createStore('contacts', { ttlSeconds: 3600 });
+const conversationCache = storage.createStore('conversations', { ttlSeconds: 3600 });
 
 // ============= TOKENS GHL =============
 
-function getCachedToken(locationId) {
+async function getCachedToken(locationId) {
   return tokenCache.get(`token:${locationId}`);
 }
 
-function setCachedToken(locationId, accessToken, expiryTimestamp) {
-  tokenCache.set(`token:${locationId}`, {
+async function setCachedToken(locationId, accessToken, expiryTimestamp) {
+  await tokenCache.set(`token:${locationId}`, {
     access_token: accessToken,
     expiry: expiryTimestamp
   });
 }
 
-function invalidateToken(locationId) {
-  tokenCache.del(`token:${locationId}`);
+async function invalidateToken(locationId) {
+  await tokenCache.del(`token:${locationId}`);
 }
 
 // ============= CONTACTOS =============
 
-function getCachedContactId(locationId, phone) {
+async function getCachedContactId(locationId, phone) {
   const key = `contact:${locationId}:${phone}`;
   return contactCache.get(key);
 }
 
-function setCachedContactId(locationId, phone, contactId) {
+async function setCachedContactId(locationId, phone, contactId) {
   const key = `contact:${locationId}:${phone}`;
-  contactCache.set(key, contactId);
+  await contactCache.set(key, contactId);
 }
 
 // ============= CONVERSACIONES =============
 
-function getCachedConversationId(locationId, contactId) {
+async function getCachedConversationId(locationId, contactId) {
   const key = `conv:${locationId}:${contactId}`;
   return conversationCache.get(key);
 }
 
-function setCachedConversationId(locationId, contactId, conversationId) {
+async function setCachedConversationId(locationId, contactId, conversationId) {
   const key = `conv:${locationId}:${contactId}`;
-  conversationCache.set(key, conversationId);
+  await conversationCache.set(key, conversationId);
+}
+
+// ============= ADMIN =============
+
+// Caches que se pueden vaciar desde /admin/caches/flush
+const CACHES = {
+  tokens: tokenCache,
+  contacts: contactCache,
+  conversations: conversationCache
+};
+
+/**
+ * Vacía una caché (ej: tras cambiar tokens o contactos a mano en GHL)
+ * @param {string} name - 'tokens' | 'contacts' | 'conversations'
+ * @returns {Promise<number>} Número de claves eliminadas
+ */
+async function flushCache(name) {
+  const cache = CACHES[name];
+  if (!cache) {
+    throw new Error(`Unknown cache: ${name}`);
+  }
+
+  return cache.flush();
 }
 
 module.exports = {
@@ -76,5 +84,8 @@ module.exports = {
   setCachedContactId,
   // Conversaciones
   getCachedConversationId,
-  setCachedConversationId
+  setCachedConversationId,
+  // Admin
+  flushCache,
+  CACHE_NAMES: Object.keys(CACHES)
 };
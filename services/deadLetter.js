@@ -0,0 +1,187 @@
+/**
+ * Dead Letter Service - Mensajes que agotaron sus reintentos
+ * Se conservan hasta que un admin los reenvía o los descarta desde /admin/dead-letters
+ * - Memoria: se persisten en disco (DEAD_LETTER_FILE)
+ * - Redis (REDIS_URL): compartidos por todas las réplicas (cualquiera lista y reenvía los mismos)
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+const storage = require('./storage');
+const { createQueueStore } = require('./queueStore');
+
+const store = createQueueStore('dead letter');
+
+// Límite por instancia para que una instancia caída mucho tiempo no crezca sin control
+const MAX_DEAD_LETTERS_PER_INSTANCE = 500;
+
+// instanceName → entradas (orden de llegada), sin expiración
+const deadLetters = storage.createStore('dead-letters', { ttlSeconds: 0 });
+
+/**
+ * Entradas de una instancia
+ * @param {string} instanceName - Nombre de instancia
+ * @returns {Promise<Array>}
+ */
+async function getEntries(instanceName) {
+  return (await deadLetters.get(instanceName)) || [];
+}
+
+/**
+ * Guarda las entradas de una instancia en storage y en disco
+ * @param {string} instanceName - Nombre de instancia
+ * @param {Array} entries - Entradas completas de la instancia
+ */
+async function saveEntries(instanceName, entries) {
+  if (entries.length === 0) {
+    await deadLetters.del(instanceName);
+  } else {
+    await deadLetters.set(instanceName, entries);
+  }
+
+  store.persistQueue(instanceName, entries);
+}
+
+/**
+ * Lee, modifica y guarda las entradas de una instancia sin que otra réplica las cambie entretanto
+ * @param {string} instanceName - Nombre de instancia
+ * @param {Function} update - (entries) => resultado; puede modificar entries
+ * @returns {Promise<*>} Resultado de update
+ */
+function updateEntries(instanceName, update) {
+  return storage.withLock(`dead-letter:${instanceName}`, async () => {
+    const entries = await getEntries(instanceName);
+    const result = update(entries);
+    await saveEntries(instanceName, entries);
+    return result;
+  });
+}
+
+/**
+ * Activa la persistencia y restaura la dead-letter de antes del reinicio
+ * Con Redis no se usa el fichero: la dead-letter ya sobrevive a reinicios y la comparten todas las réplicas
+ * @param {string} file - Ruta del fichero (default: config.DEAD_LETTER_FILE)
+ * @returns {Promise<number>} Número de mensajes restaurados
+ */
+async function initPersistence(file = config.DEAD_LETTER_FILE) {
+  if (storage.isShared()) {
+    logger.info('💾 Dead-letter stored in Redis - file persistence disabled');
+    return 0;
+  }
+
+  const state = store.init(file);
+  let restored = 0;
+
+  for (const [instanceName, entries] of Object.entries(state)) {
+    await deadLetters.set(instanceName, entries);
+    restored += entries.length;
+  }
+
+  if (restored > 0) {
+    logger.info('📥 Dead-letter messages restored from disk', { restored });
+  }
+
+  return restored;
+}
+
+/**
+ * Mueve un mensaje a la dead-letter
+ * @param {Object} message - Mensaje de la cola de reintentos (messageCache)
+ * @param {Object} details - { reason, lastError }
+ * @returns {Promise<Object>} Entrada creada (incluye id y deadAt)
+ */
+async function addDeadLetter(message, { reason, lastError = null }) {
+  const entry = {
+    ...message,
+    id: crypto.randomUUID(),
+    reason,
+    lastError,
+    deadAt: Date.now()
+  };
+
+  await updateEntries(message.instanceName, (entries) => {
+    entries.push(entry);
+
+    // Descartar las más antiguas si se supera el límite
+    if (entries.length > MAX_DEAD_LETTERS_PER_INSTANCE) {
+      const dropped = entries.splice(0, entries.length - MAX_DEAD_LETTERS_PER_INSTANCE);
+      logger.warn('Dead-letter limit reached, dropping oldest messages', {
+        instanceName: message.instanceName,
+        dropped: dropped.length
+      });
+    }
+  });
+
+  logger.warn('☠️ Message moved to dead-letter', {
+    id: entry.id,
+    instanceName: entry.instanceName,
+    locationId: entry.locationId,
+    messageId: entry.messageId,
+    reason
+  });
+
+  return entry;
+}
+
+/**
+ * Lista mensajes de la dead-letter, opcionalmente filtrados
+ * @param {Object} filters - { instanceName, locationId }
+ * @returns {Promise<Array>} Entradas (más recientes primero)
+ */
+async function listDeadLetters({ instanceName, locationId } = {}) {
+  const instances = instanceName ? [instanceName] : await deadLetters.keys();
+  const sources = await Promise.all(instances.map(getEntries));
+
+  return sources
+    .flat()
+    .filter(entry => !locationId || entry.locationId === locationId)
+    .sort((a, b) => b.deadAt - a.deadAt);
+}
+
+/**
+ * Obtiene una entrada por id
+ * @param {string} id - ID de la entrada
+ * @returns {Promise<Object|null>}
+ */
+async function getDeadLetter(id) {
+  for (const instanceName of await deadLetters.keys()) {
+    const entry = (await getEntries(instanceName)).find(e => e.id === id);
+    if (entry) return entry;
+  }
+  return null;
+}
+
+/**
+ * Elimina una entrada (descartada o reenviada)
+ * @param {string} id - ID de la entrada
+ * @returns {Promise<Object|null>} Entrada eliminada o null si no existe (o si otra réplica ya la quitó)
+ */
+async function removeDeadLetter(id) {
+  const entry = await getDeadLetter(id);
+  if (!entry) return null;
+
+  return updateEntries(entry.instanceName, (entries) => {
+    const index = entries.findIndex(e => e.id === id);
+    return index === -1 ? null : entries.splice(index, 1)[0];
+  });
+}
+
+/**
+ * Vacía la dead-letter (tests/operaciones)
+ */
+async function clearDeadLetters() {
+  for (const instanceName of await deadLetters.keys()) {
+    await saveEntries(instanceName, []);
+  }
+}
+
+module.exports = {
+  initPersistence,
+  addDeadLetter,
+  listDeadLetters,
+  getDeadLetter,
+  removeDeadLetter,
+  clearDeadLetters,
+  MAX_DEAD_LETTERS_PER_INSTANCE
+};
@@ -0,0 +1,147 @@
+/**
+ * Document Extractor Service - Texto de documentos recibidos (PDF, DOCX, XLSX y texto plano)
+ * Permite que GHL muestre un extracto y que el agente (Flowise) lea facturas, DNIs, CVs...
+ * Solo extrae: el formato de los textos para GHL/Flowise vive en utils/mediaHelper.js
+ */
+
+const pdf = require('pdf-parse');
+const mammoth = require('mammoth');
+const ExcelJS = require('exceljs');
+
+const MAX_DOCUMENT_BYTES = 10 * 1024 * 1024; // 10MB (documentos más grandes no se procesan)
+const MAX_PDF_PAGES = 50;
+const MAX_TEXT_LENGTH = 20000; // Texto completo para el agente (Flowise)
+const EXCERPT_LENGTH = 1000; // Extracto para la conversación de GHL
+
+const TEXT_EXTENSIONS = ['txt', 'csv', 'md', 'json', 'xml', 'html', 'htm', 'log'];
+
+const MIME_TYPES = {
+  'application/pdf': 'pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx'
+};
+
+const EXTENSIONS = {
+  pdf: 'pdf',
+  docx: 'docx',
+  xlsx: 'xlsx'
+};
+
+/**
+ * Tipo de documento soportado a partir del MIME o, si es genérico (octet-stream), de la extensión
+ * @param {string} mimetype - Tipo MIME (puede incluir parámetros: "text/plain; charset=utf-8")
+ * @param {string} fileName - Nombre del archivo (opcional)
+ * @returns {string|null} 'pdf' | 'docx' | 'xlsx' | 'text' | null si no se puede extraer
+ */
+function getDocumentType(mimetype, fileName = '') {
+  const mime = (mimetype || '').split(';')[0].trim().toLowerCase();
+  if (MIME_TYPES[mime]) return MIME_TYPES[mime];
+  if (mime.startsWith('text/') || mime === 'application/json') return 'text';
+
+  const extension = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+  if (EXTENSIONS[extension]) return EXTENSIONS[extension];
+  return TEXT_EXTENSIONS.includes(extension) ? 'text' : null;
+}
+
+/**
+ * Texto de una celda de ExcelJS (fórmulas, texto enriquecido, hipervínculos, fechas)
+ */
+function cellToText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().substring(0, 10);
+  if (typeof value !== 'object') return String(value);
+  if (value.richText) return value.richText.map(part => part.text).join('');
+  if (value.result !== undefined) return cellToText(value.result);
+  if (value.text !== undefined) return cellToText(value.text);
+  return '';
+}
+
+async function extractSpreadsheet(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const lines = [];
+  let length = 0;
+
+  workbook.eachSheet(sheet => {
+    if (length > MAX_TEXT_LENGTH) return;
+    lines.push(`# ${sheet.name}`);
+
+    sheet.eachRow(row => {
+      if (length > MAX_TEXT_LENGTH) return;
+      // row.values empieza en el índice 1 (columna A)
+      const line = row.values.slice(1).map(cellToText).join('\t').trimEnd();
+      if (line) {
+        lines.push(line);
+        length += line.length;
+      }
+    });
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Limpia espacios: sin espacios al final de línea ni más de una línea en blanco seguida
+ */
+function normalizeText(text) {
+  return (text || '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Recorta un texto a maxLength caracteres (marca el corte con …)
+ */
+function truncateText(text, maxLength) {
+  return text.length > maxLength ? text.substring(0, maxLength - 1).trimEnd() + '…' : text;
+}
+
+/**
+ * Extrae el texto de un documento
+ * @param {Buffer} buffer - Contenido del archivo
+ * @param {string} mimetype - Tipo MIME
+ * @param {string} fileName - Nombre del archivo (opcional, para detectar el tipo)
+ * @returns {Promise<Object|null>} { type, text (máx. MAX_TEXT_LENGTH), truncated } o null si el tipo
+ *   no está soportado o supera MAX_DOCUMENT_BYTES. Lanza si el archivo está dañado
+ */
+async function extractText(buffer, mimetype, fileName = '') {
+  const type = getDocumentType(mimetype, fileName);
+  if (!type || buffer.length > MAX_DOCUMENT_BYTES) return null;
+
+  let text;
+  switch (type) {
+    case 'pdf':
+      text = (await pdf(buffer, { max: MAX_PDF_PAGES })).text;
+      break;
+
+    case 'docx':
+      text = (await mammoth.extractRawText({ buffer })).value;
+      break;
+
+    case 'xlsx':
+      text = await extractSpreadsheet(buffer);
+      break;
+
+    default:
+      text = buffer.toString('utf8');
+  }
+
+  const normalized = normalizeText(text);
+  return {
+    type,
+    text: truncateText(normalized, MAX_TEXT_LENGTH),
+    truncated: normalized.length > MAX_TEXT_LENGTH
+  };
+}
+
+module.exports = {
+  getDocumentType,
+  extractText,
+  truncateText,
+  MAX_DOCUMENT_BYTES,
+  MAX_TEXT_LENGTH,
+  EXCERPT_LENGTH
+};
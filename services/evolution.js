@@ -3,8 +3,13 @@ const config = require('../config');
 const logger = require('../utils/logger');
 const { withRetry } = require('../utils/retry');
 
-async function sendText(instanceName, apiKey, number, text) {
-  const delay = Math.min(Math.max(text.length * 50, 2000), 10000);
+/**
+ * Envía un mensaje de texto
+ * @param {Object} options - { delay? } ms de espera en Evolution antes de enviar
+ *   (por defecto proporcional al texto; 0 si ya se simuló "escribiendo..." con sendPresence)
+ */
+async function sendText(instanceName, apiKey, number, text, options = {}) {
+  const delay = options.delay ?? Math.min(Math.max(text.length * 50, 2000), 10000);
   
   const response = await withRetry(() => 
     axios.post(
@@ -26,6 +31,168 @@ async function sendText(instanceName, apiKey, number, text) {
   return response.data;
 }
 
+// Límite de caracteres de WhatsApp para captions de media
+const MAX_CAPTION_LENGTH = 1024;
+
+// Extensiones para detectar el tipo de media a partir de la URL del adjunto
+const MEDIA_EXTENSIONS = {
+  image: ['jpg', 'jpeg', 'png', 'gif', 'webp'],
+  video: ['mp4', '3gp', 'mov', 'avi', 'mkv'],
+  audio: ['ogg', 'oga', 'opus', 'mp3', 'm4a', 'aac', 'wav', 'amr', 'webm']
+};
+
+/**
+ * Detecta el tipo de media de Evolution a partir de la URL de un adjunto
+ * @param {string} url - URL del archivo
+ * @returns {string} 'image' | 'video' | 'audio' | 'document'
+ */
+function getMediaTypeFromUrl(url) {
+  const fileName = getFileNameFromUrl(url);
+  const extension = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+
+  for (const [mediatype, extensions] of Object.entries(MEDIA_EXTENSIONS)) {
+    if (extensions.includes(extension)) {
+      return mediatype;
+    }
+  }
+
+  return 'document';
+}
+
+/**
+ * Extrae el nombre de archivo de una URL (sin query string)
+ * @param {string} url - URL del archivo
+ * @returns {string} Nombre del archivo (ej: "factura.pdf")
+ */
+function getFileNameFromUrl(url) {
+  try {
+    const pathname = new URL(url).pathname;
+    return decodeURIComponent(pathname.split('/').pop() || 'archivo');
+  } catch (error) {
+    return url.split('?')[0].split('/').pop() || 'archivo';
+  }
+}
+
+/**
+ * Envía un archivo (imagen, video o documento) por URL
+ * @param {string} instanceName - Nombre de la instancia
+ * @param {string} apiKey - API key de la instancia
+ * @param {string} number - Número WhatsApp (formato 34660722687@s.whatsapp.net)
+ * @param {string} mediatype - 'image' | 'video' | 'document'
+ * @param {string} mediaUrl - URL pública del archivo
+ * @param {Object} options - { caption?, fileName? }
+ * @returns {Object} Respuesta de Evolution API (incluye key del mensaje enviado)
+ */
+async function sendMedia(instanceName, apiKey, number, mediatype, mediaUrl, options = {}) {
+  const payload = {
+    number,
+    mediatype,
+    media: mediaUrl,
+    fileName: options.fileName || getFileNameFromUrl(mediaUrl)
+  };
+
+  if (options.caption) {
+    payload.caption = options.caption;
+  }
+
+  const response = await withRetry(() =>
+    axios.post(
+      `${config.EVOLUTION_BASE_URL}/message/sendMedia/${instanceName}`,
+      payload,
+      {
+        headers: {
+          'apikey': apiKey,
+          'Content-Type': 'application/json'
+        }
+      }
+    )
+  );
+
+  return response.data;
+}
+
+/**
+ * Envía un audio como nota de voz (PTT)
+ * @param {string} instanceName - Nombre de la instancia
+ * @param {string} apiKey - API key de la instancia
+ * @param {string} number - Número WhatsApp (formato 34660722687@s.whatsapp.net)
+ * @param {string} audioUrl - URL pública del audio
+ * @returns {Object} Respuesta de Evolution API (incluye key del mensaje enviado)
+ */
+async function sendWhatsAppAudio(instanceName, apiKey, number, audioUrl) {
+  const response = await withRetry(() =>
+    axios.post(
+      `${config.EVOLUTION_BASE_URL}/message/sendWhatsAppAudio/${instanceName}`,
+      {
+        number,
+        audio: audioUrl
+      },
+      {
+        headers: {
+          'apikey': apiKey,
+          'Content-Type': 'application/json'
+        }
+      }
+    )
+  );
+
+  return response.data;
+}
+
+/**
+ * Indica si un texto puede enviarse como caption de los adjuntos
+ * (hace falta al menos un adjunto no-audio y no superar el límite de WhatsApp)
+ * @param {string} text - Texto del mensaje
+ * @param {string[]} attachments - URLs de los adjuntos
+ * @returns {boolean}
+ */
+function canUseAsCaption(text, attachments = []) {
+  return !!text &&
+    text.length <= MAX_CAPTION_LENGTH &&
+    attachments.some(url => getMediaTypeFromUrl(url) !== 'audio');
+}
+
+/**
+ * Envía adjuntos en orden eligiendo el endpoint según su tipo
+ * El caption se añade al primer adjunto que lo admita (los audios van como nota de voz)
+ * @param {string} instanceName - Nombre de la instancia
+ * @param {string} apiKey - API key de la instancia
+ * @param {string} number - Número WhatsApp (formato 34660722687@s.whatsapp.net)
+ * @param {string[]} attachments - URLs públicas de los adjuntos
+ * @param {string} caption - Texto a usar como caption (opcional)
+ * @returns {Object[]} Respuestas de Evolution API (una por adjunto)
+ */
+async function sendAttachments(instanceName, apiKey, number, attachments, caption = '') {
+  const results = [];
+  let captionPending = !!caption;
+
+  for (let i = 0; i < attachments.length; i++) {
+    const mediaUrl = attachments[i];
+    const mediatype = getMediaTypeFromUrl(mediaUrl);
+
+    if (mediatype === 'audio') {
+      results.push(await sendWhatsAppAudio(instanceName, apiKey, number, mediaUrl));
+    } else {
+      results.push(await sendMedia(instanceName, apiKey, number, mediatype, mediaUrl, {
+        caption: captionPending ? caption : ''
+      }));
+      captionPending = false;
+    }
+
+    logger.info(`✅ Attachment ${i + 1}/${attachments.length} sent`, {
+      instanceName,
+      mediatype
+    });
+
+    // Pequeño delay entre adjuntos (500ms) para mantener el orden
+    if (i < attachments.length - 1) {
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+  }
+
+  return results;
+}
+
 /**
  * Verifica el estado de conexión de una instancia
  * @returns {Object} { connected: boolean, state: string, error: string|null }
@@ -160,6 +327,296 @@ async function restartInstance(instanceName, apiKey) {
   }
 }
 
+// ============================================================================
+// NATURAL BEHAVIOR - Leído, "escribiendo..." y presencia (ver NATURAL_BEHAVIOR.md)
+// ============================================================================
+
+/**
+ * Marca un mensaje recibido como leído (doble check azul)
+ * @param {string} instanceName - Nombre de la instancia
+ * @param {string} apiKey - API key de la instancia
+ * @param {string} remoteJid - JID del chat (ej: 34660722687@s.whatsapp.net)
+ * @param {string} messageId - key.id del mensaje recibido
+ * @returns {Object} Respuesta de Evolution API
+ */
+async function markMessageAsRead(instanceName, apiKey, remoteJid, messageId) {
+  const response = await withRetry(() =>
+    axios.post(
+      `${config.EVOLUTION_BASE_URL}/chat/markMessageAsRead/${instanceName}`,
+      {
+        readMessages: [{
+          remoteJid,
+          fromMe: false,
+          id: messageId
+        }]
+      },
+      {
+        headers: {
+          'apikey': apiKey,
+          'Content-Type': 'application/json'
+        }
+      }
+    )
+  );
+
+  return response.data;
+}
+
+/**
+ * Muestra presencia en un chat concreto ("escribiendo...", "grabando audio...")
+ * @param {string} instanceName - Nombre de la instancia
+ * @param {string} apiKey - API key de la instancia
+ * @param {string} number - Número WhatsApp (formato 34660722687@s.whatsapp.net)
+ * @param {string} presence - 'composing' | 'recording' | 'available' | 'unavailable' | 'paused'
+ * @param {number|null} delay - Duración de la presencia en ms (opcional)
+ * @returns {Object} Respuesta de Evolution API
+ */
+async function sendPresence(instanceName, apiKey, number, presence, delay = null) {
+  const body = { number, presence };
+  if (delay) {
+    body.delay = delay;
+  }
+
+  const response = await withRetry(() =>
+    axios.post(
+      `${config.EVOLUTION_BASE_URL}/chat/sendPresence/${instanceName}`,
+      body,
+      {
+        headers: {
+          'apikey': apiKey,
+          'Content-Type': 'application/json'
+        }
+      }
+    )
+  );
+
+  return response.data;
+}
+
+/**
+ * Cambia la presencia global de la instancia (en línea / desconectado)
+ * @param {string} instanceName - Nombre de la instancia
+ * @param {string} apiKey - API key de la instancia
+ * @param {string} presence - 'available' | 'unavailable'
+ * @returns {Object} Respuesta de Evolution API
+ */
+async function setPresence(instanceName, apiKey, presence) {
+  const response = await withRetry(() =>
+    axios.post(
+      `${config.EVOLUTION_BASE_URL}/instance/setPresence/${instanceName}`,
+      { presence },
+      {
+        headers: {
+          'apikey': apiKey,
+          'Content-Type': 'application/json'
+        }
+      }
+    )
+  );
+
+  return response.data;
+}
+
+// ============================================================================
+// MENSAJES INTERACTIVOS - Botones, listas y encuestas (ver services/interactiveMessages.js)
+// ============================================================================
+
+/**
+ * Envía un mensaje con botones de respuesta rápida (máx. 3)
+ * @param {Object} content - { title, description, footer, buttons: [{ id, displayText }] }
+ * @returns {Object} Respuesta de Evolution API (incluye key del mensaje enviado)
+ */
+async function sendButtons(instanceName, apiKey, number, content) {
+  const response = await withRetry(() =>
+    axios.post(
+      `${config.EVOLUTION_BASE_URL}/message/sendButtons/${instanceName}`,
+      {
+        number,
+        title: content.title,
+        description: content.description,
+        footer: content.footer || '',
+        buttons: content.buttons.map(button => ({ type: 'reply', ...button }))
+      },
+      {
+        headers: {
+          'apikey': apiKey,
+          'Content-Type': 'application/json'
+        }
+      }
+    )
+  );
+
+  return response.data;
+}
+
+/**
+ * Envía un mensaje de lista (menú desplegable)
+ * @param {Object} content - { title, description, buttonText, footerText, sections: [{ title, rows: [{ rowId, title }] }] }
+ * @returns {Object} Respuesta de Evolution API
+ */
+async function sendList(instanceName, apiKey, number, content) {
+  const response = await withRetry(() =>
+    axios.post(
+      `${config.EVOLUTION_BASE_URL}/message/sendList/${instanceName}`,
+      {
+        number,
+        ...content
+      },
+      {
+        headers: {
+          'apikey': apiKey,
+          'Content-Type': 'application/json'
+        }
+      }
+    )
+  );
+
+  return response.data;
+}
+
+/**
+ * Envía una encuesta
+ * @param {string} name - Pregunta de la encuesta
+ * @param {Array<string>} values - Opciones (máx. 12)
+ * @param {number} selectableCount - Opciones que puede marcar el contacto (default 1)
+ * @returns {Object} Respuesta de Evolution API
+ */
+async function sendPoll(instanceName, apiKey, number, name, values, selectableCount = 1) {
+  const response = await withRetry(() =>
+    axios.post(
+      `${config.EVOLUTION_BASE_URL}/message/sendPoll/${instanceName}`,
+      {
+        number,
+        name,
+        selectableCount,
+        values
+      },
+      {
+        headers: {
+          'apikey': apiKey,
+          'Content-Type': 'application/json'
+        }
+      }
+    )
+  );
+
+  return response.data;
+}
+
+// ============================================================================
+// UBICACIONES, CONTACTOS Y STICKERS (ver services/richMessages.js)
+// ============================================================================
+
+/**
+ * Envía una ubicación (pin de mapa)
+ * @param {Object} location - { latitude, longitude, name, address }
+ * @returns {Object} Respuesta de Evolution API (incluye key del mensaje enviado)
+ */
+async function sendLocation(instanceName, apiKey, number, location) {
+  const response = await withRetry(() =>
+    axios.post(
+      `${config.EVOLUTION_BASE_URL}/message/sendLocation/${instanceName}`,
+      {
+        number,
+        name: location.name || '',
+        address: location.address || '',
+        latitude: location.latitude,
+        longitude: location.longitude
+      },
+      {
+        headers: {
+          'apikey': apiKey,
+          'Content-Type': 'application/json'
+        }
+      }
+    )
+  );
+
+  return response.data;
+}
+
+/**
+ * Envía una o varias tarjetas de contacto (Evolution genera el vCard)
+ * @param {Array<Object>} contacts - [{ fullName, phoneNumber (solo dígitos), organization?, email? }]
+ * @returns {Object} Respuesta de Evolution API
+ */
+async function sendContact(instanceName, apiKey, number, contacts) {
+  const response = await withRetry(() =>
+    axios.post(
+      `${config.EVOLUTION_BASE_URL}/message/sendContact/${instanceName}`,
+      {
+        number,
+        contact: contacts.map(contact => ({
+          fullName: contact.fullName,
+          wuid: contact.phoneNumber,
+          phoneNumber: `+${contact.phoneNumber}`,
+          organization: contact.organization || '',
+          email: contact.email || ''
+        }))
+      },
+      {
+        headers: {
+          'apikey': apiKey,
+          'Content-Type': 'application/json'
+        }
+      }
+    )
+  );
+
+  return response.data;
+}
+
+/**
+ * Envía un sticker (Evolution convierte la imagen a webp)
+ * @param {string} stickerUrl - URL pública de la imagen
+ * @returns {Object} Respuesta de Evolution API
+ */
+async function sendSticker(instanceName, apiKey, number, stickerUrl) {
+  const response = await withRetry(() =>
+    axios.post(
+      `${config.EVOLUTION_BASE_URL}/message/sendSticker/${instanceName}`,
+      {
+        number,
+        sticker: stickerUrl
+      },
+      {
+        headers: {
+          'apikey': apiKey,
+          'Content-Type': 'application/json'
+        }
+      }
+    )
+  );
+
+  return response.data;
+}
+
+// ============================================================================
+// GRUPOS - Metadatos para mapear grupos a contactos GHL
+// ============================================================================
+
+/**
+ * Obtiene la información de un grupo (subject, participantes...)
+ * @param {string} instanceName - Nombre de la instancia
+ * @param {string} apiKey - API key de la instancia
+ * @param {string} groupJid - JID del grupo (formato 120363025246125486@g.us)
+ * @returns {Object} { id, subject, size, participants, ... }
+ */
+async function getGroupInfo(instanceName, apiKey, groupJid) {
+  const response = await withRetry(() =>
+    axios.get(
+      `${config.EVOLUTION_BASE_URL}/group/findGroupInfos/${instanceName}`,
+      {
+        params: { groupJid },
+        headers: { apikey: apiKey },
+        timeout: 10000
+      }
+    )
+  );
+
+  return response.data;
+}
+
 async function getMediaBase64(instanceName, apiKey, messageId) {
   const response = await withRetry(() =>
     axios.post(
@@ -280,11 +737,27 @@ async function getInstanceInfo(instanceName, apiKey) {
 
 module.exports = {
   sendText,
+  sendMedia,
+  sendWhatsAppAudio,
+  sendAttachments,
+  canUseAsCaption,
+  getMediaTypeFromUrl,
+  getFileNameFromUrl,
   checkInstanceConnection,
   checkWhatsAppNumber,
   restartInstance,
   getMediaBase64,
   connectInstance,
   getConnectionState,
-  getInstanceInfo
+  getInstanceInfo,
+  markMessageAsRead,
+  sendPresence,
+  setPresence,
+  sendButtons,
+  sendList,
+  sendPoll,
+  sendLocation,
+  sendContact,
+  sendSticker,
+  getGroupInfo
 };
\ No newline at end of file
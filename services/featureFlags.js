@@ -0,0 +1,169 @@
+/**
+ * Feature Flags Service - Activación de features por location sin tocar código
+ *
+ * Orden de evaluación de un flag para un cliente:
+ *   1. Override por location: clients_details.feature_flags (JSON, ej: { "natural_behavior": true })
+ *   2. Columna legacy del cliente a true (is_beta, split_messages, natural_behavior)
+ *   3. Definición global en la tabla feature_flags: enabled + rollout_percentage (0-100)
+ *   4. Default en código (FLAG_DEFAULTS) o false
+ *
+ * Las definiciones globales se cargan en memoria al arrancar y se refrescan periódicamente,
+ * así la evaluación es síncrona y se puede usar en cualquier punto de los webhooks.
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const supabaseService = require('./supabase');
+
+// Flags conocidos con su valor por defecto (si no hay definición en BD)
+const FLAG_DEFAULTS = {
+  beta: false,
+  split_messages: false,
+  natural_behavior: false,
+  whatsapp_groups: false,
+  reply_tags: false,
+  referral_contacts: false
+};
+
+// Columnas de clients_details que ya activaban features antes de los flags
+const LEGACY_COLUMNS = {
+  beta: 'is_beta',
+  split_messages: 'split_messages',
+  natural_behavior: 'natural_behavior'
+};
+
+const REFRESH_INTERVAL_MINUTES = 5;
+
+// name → { name, enabled, rollout_percentage, description }
+let definitions = new Map();
+let refreshTimer = null;
+
+/**
+ * Carga las definiciones globales desde BD (si falla se mantienen las anteriores)
+ * @returns {number} Número de flags cargados
+ */
+async function loadFeatureFlags() {
+  try {
+    const rows = await supabaseService.getFeatureFlagDefinitions();
+    definitions = new Map(rows.map(row => [row.name, row]));
+
+    logger.info('🚩 Feature flags loaded', { flags: Array.from(definitions.keys()) });
+    return definitions.size;
+  } catch (error) {
+    logger.warn('Failed to load feature flags, keeping previous definitions', {
+      error: error.message,
+      flags: definitions.size
+    });
+    return definitions.size;
+  }
+}
+
+/**
+ * Carga los flags ahora y los refresca cada REFRESH_INTERVAL_MINUTES
+ */
+async function startFeatureFlagRefresh() {
+  await loadFeatureFlags();
+
+  if (!refreshTimer) {
+    refreshTimer = setInterval(loadFeatureFlags, REFRESH_INTERVAL_MINUTES * 60 * 1000);
+  }
+}
+
+/**
+ * Overrides por location del cliente (columna JSON o texto JSON)
+ * @param {Object} client - Cliente de clients_details
+ * @returns {Object} { flagName: boolean }
+ */
+function getLocationOverrides(client) {
+  const raw = client?.feature_flags;
+  if (!raw) return {};
+
+  if (typeof raw === 'string') {
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      logger.warn('Invalid feature_flags JSON for client', { locationId: client.location_id });
+      return {};
+    }
+  }
+
+  return raw;
+}
+
+/**
+ * Bucket estable 0-99 de una location para un flag (misma location = mismo resultado)
+ * @param {string} flagName - Nombre del flag
+ * @param {string} locationId - Location ID
+ * @returns {number}
+ */
+function getRolloutBucket(flagName, locationId) {
+  const hash = crypto.createHash('md5').update(`${flagName}:${locationId}`).digest();
+  return hash.readUInt32BE(0) % 100;
+}
+
+/**
+ * Indica si un flag está activo para un cliente
+ * @param {Object} client - Cliente de clients_details
+ * @param {string} flagName - Nombre del flag (ej: 'natural_behavior')
+ * @returns {boolean}
+ */
+function isFeatureEnabled(client, flagName) {
+  if (!client) return false;
+
+  const override = getLocationOverrides(client)[flagName];
+  if (typeof override === 'boolean') {
+    return override;
+  }
+
+  const legacyColumn = LEGACY_COLUMNS[flagName];
+  if (legacyColumn && client[legacyColumn] === true) {
+    return true;
+  }
+
+  const definition = definitions.get(flagName);
+  if (definition) {
+    if (!definition.enabled) return false;
+
+    const percentage = definition.rollout_percentage ?? 100;
+    return getRolloutBucket(flagName, client.location_id) < percentage;
+  }
+
+  return FLAG_DEFAULTS[flagName] ?? false;
+}
+
+/**
+ * Evalúa todos los flags conocidos para un cliente (admin/diagnóstico)
+ * @param {Object} client - Cliente de clients_details
+ * @returns {Object} { flagName: boolean }
+ */
+function evaluateFlags(client) {
+  const names = new Set([
+    ...Object.keys(FLAG_DEFAULTS),
+    ...definitions.keys(),
+    ...Object.keys(getLocationOverrides(client))
+  ]);
+
+  const result = {};
+  names.forEach(name => {
+    result[name] = isFeatureEnabled(client, name);
+  });
+  return result;
+}
+
+/**
+ * Definiciones globales cargadas
+ * @returns {Array}
+ */
+function getFlagDefinitions() {
+  return Array.from(definitions.values());
+}
+
+module.exports = {
+  loadFeatureFlags,
+  startFeatureFlagRefresh,
+  isFeatureEnabled,
+  evaluateFlags,
+  getFlagDefinitions,
+  getRolloutBucket,
+  FLAG_DEFAULTS
+};
@@ -2,6 +2,7 @@ const axios = require('axios');
 const logger = require('../utils/logger');
 const { withRetry } = require('../utils/retry');
 const { notifyAdmin } = require('../utils/notifications');
+const { payloadToMarkup } = require('./richMessages');
 
 /**
  * Llamar al agente de Flowise
@@ -80,6 +81,24 @@ async function callFlowiseAgent(agentConfig, question, overrideConfig) {
   }
 }
 
+/**
+ * Partes de la respuesta ya parseada
+ * Los campos location/contact/sticker del JSON se devuelven como markup en richParts (ver services/richMessages.js)
+ * @param {Object} parsed - JSON de Flowise
+ * @returns {Object} { parte1, parte2, parte3, richParts? }
+ */
+function toResponseParts(parsed) {
+  const richParts = payloadToMarkup(parsed);
+
+  // Convertir \n literales en saltos de línea reales
+  return {
+    parte1: parsed.parte1 ? parsed.parte1.replace(/\\n/g, '\n') : null,
+    parte2: parsed.parte2 ? parsed.parte2.replace(/\\n/g, '\n') : null,
+    parte3: parsed.parte3 ? parsed.parte3.replace(/\\n/g, '\n') : null,
+    ...(richParts.length > 0 && { richParts })
+  };
+}
+
 /**
  * Parser robusto de respuesta de Flowise
  * Niveles de fallback:
@@ -113,12 +132,7 @@ function parseFlowiseResponse(flowiseData) {
       hasParte3: !!parsed.parte3
     });
 
-    // Convertir \n literales en saltos de línea reales
-    return {
-      parte1: parsed.parte1 ? parsed.parte1.replace(/\\n/g, '\n') : null,
-      parte2: parsed.parte2 ? parsed.parte2.replace(/\\n/g, '\n') : null,
-      parte3: parsed.parte3 ? parsed.parte3.replace(/\\n/g, '\n') : null
-    };
+    return toResponseParts(parsed);
   } catch (e1) {
     logger.debug('Parse attempt 1 failed, trying cleanup...', { error: e1.message });
   }
@@ -143,12 +157,7 @@ function parseFlowiseResponse(flowiseData) {
       hasParte3: !!parsed.parte3
     });
 
-    // Convertir \n literales en saltos de línea reales
-    return {
-      parte1: parsed.parte1 ? parsed.parte1.replace(/\\n/g, '\n') : null,
-      parte2: parsed.parte2 ? parsed.parte2.replace(/\\n/g, '\n') : null,
-      parte3: parsed.parte3 ? parsed.parte3.replace(/\\n/g, '\n') : null
-    };
+    return toResponseParts(parsed);
   } catch (e2) {
     logger.debug('Parse attempt 2 failed, using fallback...', { error: e2.message });
   }
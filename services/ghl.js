@@ -5,6 +5,7 @@ const { updateGHLTokens } = require('./supabase');
 const { withRetry } = require('../utils/retry');
 const { notifyAdmin } = require('../utils/notifications');
 const { getCachedToken, setCachedToken, invalidateToken } = require('./cache');
+const storage = require('./storage');
 
 const GHL_API_BASE = 'https://services.leadconnectorhq.com';
 
@@ -13,7 +14,7 @@ async function ensureValidToken(client) {
   const now = Date.now();
 
   // 1. Verificar caché primero
-  const cached = getCachedToken(client.location_id);
+  const cached = await getCachedToken(client.location_id);
   if (cached && cached.expiry > now + 5 * 60 * 1000) {
     return cached.access_token;
   }
@@ -22,14 +23,24 @@ async function ensureValidToken(client) {
   const expiry = new Date(client.ghl_token_expiry);
   if (expiry > new Date(now + 5 * 60 * 1000)) {
     // Cachear token válido de BD
-    setCachedToken(client.location_id, client.ghl_access_token, expiry.getTime());
+    await setCachedToken(client.location_id, client.ghl_access_token, expiry.getTime());
     return client.ghl_access_token;
   }
 
-  // 3. Necesita refresh
-  logger.info('Refreshing GHL token', { location_id: client.location_id });
+  // 3. Necesita refresh. El refresh_token de GHL es de un solo uso: una sola réplica refresca a la vez
+  // (sin lock tras 15s se intenta igualmente)
+  const lockName = `token-refresh:${client.location_id}`;
+  const lockToken = await storage.acquireLock(lockName, { ttlMs: 30000, waitMs: 15000 });
 
   try {
+    // Otra réplica pudo refrescarlo mientras esperábamos el lock
+    const refreshed = await getCachedToken(client.location_id);
+    if (refreshed && refreshed.expiry > Date.now() + 5 * 60 * 1000) {
+      return refreshed.access_token;
+    }
+
+    logger.info('Refreshing GHL token', { location_id: client.location_id });
+
     // GHL requiere application/x-www-form-urlencoded según documentación
     const params = new URLSearchParams({
       client_id: config.GHL_CLIENT_ID,
@@ -57,12 +68,12 @@ async function ensureValidToken(client) {
 
     // Actualizar caché con nuevo token
     const newExpiry = Date.now() + expires_in * 1000;
-    setCachedToken(client.location_id, access_token, newExpiry);
+    await setCachedToken(client.location_id, access_token, newExpiry);
 
     return access_token;
   } catch (error) {
     // Invalidar caché en caso de error
-    invalidateToken(client.location_id);
+    await invalidateToken(client.location_id);
 
     logger.error('Failed to refresh GHL token', {
       location_id: client.location_id,
@@ -79,6 +90,10 @@ async function ensureValidToken(client) {
     });
 
     throw error;
+  } finally {
+    if (lockToken) {
+      await storage.releaseLock(lockName, lockToken);
+    }
   }
 }
 
@@ -143,11 +158,12 @@ async function searchContact(client, phone) {
   return response.data;
 }
 
-async function createContact(client, name, phone) {
+async function createContact(client, name, phone, extra = {}) {
   const payload = {
     locationId: client.location_id,
     phone,
-    source: 'SMS'
+    source: 'SMS',
+    ...extra
   };
 
   // Solo incluir name si existe y no está vacío
@@ -160,6 +176,25 @@ async function createContact(client, name, phone) {
   return response.data.contact;
 }
 
+// Actualiza campos del contacto (customFields: [{ id | key, field_value }])
+async function updateContact(client, contactId, data) {
+  const response = await ghlRequest(client, 'PUT', `/contacts/${contactId}`, data);
+
+  return response.data.contact;
+}
+
+// Contacto que representa un grupo de WhatsApp (sin teléfono, ver services/groups.js)
+async function createGroupContact(client, subject) {
+  const response = await ghlRequest(client, 'POST', '/contacts/', {
+    locationId: client.location_id,
+    name: subject,
+    source: 'WhatsApp Group',
+    tags: ['whatsapp-group']
+  });
+
+  return response.data.contact;
+}
+
 async function searchConversation(client, contactId) {
   const params = new URLSearchParams({
     contactId,
@@ -184,10 +219,10 @@ async function createConversation(client, contactId) {
   return response.data.conversation;
 }
 
-async function registerMessage(client, conversationId, contactId, message, direction) {
+async function registerMessage(client, conversationId, contactId, message, direction, attachments = []) {
   // Axios con Content-Type: application/json hace JSON.stringify() automático
   // Los saltos de línea se escapan correctamente
-  await ghlRequest(client, 'POST', '/conversations/messages/inbound', {
+  const payload = {
     type: 'SMS',
     message,
     conversationId,
@@ -195,7 +230,14 @@ async function registerMessage(client, conversationId, contactId, message, direc
     conversationProviderId: client.conversation_provider_id,
     contactId,
     locationId: client.location_id
-  });
+  };
+
+  // Solo incluir attachments si hay URLs (GHL las muestra como adjuntos reales)
+  if (attachments && attachments.length > 0) {
+    payload.attachments = attachments;
+  }
+
+  await ghlRequest(client, 'POST', '/conversations/messages/inbound', payload);
 }
 
 /**
@@ -272,6 +314,8 @@ module.exports = {
   getContact,
   searchContact,
   createContact,
+  updateContact,
+  createGroupContact,
   searchConversation,
   createConversation,
   registerMessage,
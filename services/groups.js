@@ -0,0 +1,163 @@
+/**
+ * Groups Service - Grupos de WhatsApp como contactos de GHL (opt-in, flag whatsapp_groups)
+ * - Cada grupo se mapea a un contacto GHL con el subject del grupo como nombre
+ * - Los mensajes entrantes llevan delante el nombre del participante
+ * - Las respuestas desde GHL a un contacto-grupo se envían al JID del grupo
+ * El mapeo se persiste en la tabla whatsapp_groups (location_id, group_jid, contact_id, subject)
+ */
+
+const NodeCache = require('node-cache');
+const logger = require('../utils/logger');
+const supabaseService = require('./supabase');
+const ghlAPI = require('./ghl');
+const evolutionAPI = require('./evolution');
+const { isFeatureEnabled } = require('./featureFlags');
+
+const GROUP_JID_SUFFIX = '@g.us';
+
+// Mapeo en memoria (1 hora TTL): group:<jid> → contactId, contact:<contactId> → jid (o false si no es grupo)
+const groupCache = new NodeCache({
+  stdTTL: 3600,
+  checkperiod: 600,
+  useClones: false
+});
+
+// Creaciones en curso: evita dos contactos si llegan mensajes seguidos de un grupo nuevo
+const pendingGroups = new Map();
+
+/**
+ * @param {string} jid - remoteJid de WhatsApp
+ * @returns {boolean}
+ */
+function isGroupJid(jid) {
+  return typeof jid === 'string' && jid.endsWith(GROUP_JID_SUFFIX);
+}
+
+/**
+ * Indica si el cliente procesa mensajes de grupos (solo Evolution API)
+ * @param {Object} client - Cliente de clients_details
+ * @returns {boolean}
+ */
+function isGroupSupportEnabled(client) {
+  return client?.whatsapp_provider === 'evolution' && isFeatureEnabled(client, 'whatsapp_groups');
+}
+
+/**
+ * Texto de un mensaje de grupo con el participante delante ("Ana: hola")
+ * @param {Object} messageData - data del webhook de Evolution
+ * @param {string} text - Texto ya procesado del mensaje
+ * @returns {string}
+ */
+function formatGroupMessage(messageData, text) {
+  const participant = messageData.key?.participant || '';
+  const sender = messageData.pushName?.trim() ||
+    (participant.endsWith('@s.whatsapp.net') ? '+' + participant.replace(/@s\.whatsapp\.net$/, '').replace(/:\d+$/, '') : 'Participante');
+
+  return `${sender}: ${text}`;
+}
+
+/**
+ * Obtiene (o crea) el contacto GHL de un grupo
+ * @param {Object} client - Cliente de clients_details
+ * @param {string} groupJid - JID del grupo
+ * @returns {string} contactId de GHL
+ */
+async function getGroupContactId(client, groupJid) {
+  const cached = groupCache.get(`${client.location_id}:group:${groupJid}`);
+  if (cached) return cached;
+
+  const pendingKey = `${client.location_id}:${groupJid}`;
+  if (!pendingGroups.has(pendingKey)) {
+    pendingGroups.set(pendingKey, resolveGroupContact(client, groupJid)
+      .finally(() => pendingGroups.delete(pendingKey)));
+  }
+
+  return pendingGroups.get(pendingKey);
+}
+
+async function resolveGroupContact(client, groupJid) {
+  let group = await supabaseService.getWhatsAppGroup(client.location_id, { groupJid });
+
+  if (!group) {
+    const subject = await getGroupSubject(client, groupJid);
+    const contact = await ghlAPI.createGroupContact(client, subject);
+
+    group = await supabaseService.saveWhatsAppGroup({
+      location_id: client.location_id,
+      group_jid: groupJid,
+      contact_id: contact.id,
+      subject
+    });
+
+    logger.info('👥 Group mapped to new GHL contact', {
+      locationId: client.location_id,
+      groupJid,
+      contactId: contact.id,
+      subject
+    });
+  }
+
+  cacheGroup(client.location_id, group.group_jid, group.contact_id);
+  return group.contact_id;
+}
+
+/**
+ * Subject del grupo desde Evolution (si falla se usa un nombre genérico)
+ */
+async function getGroupSubject(client, groupJid) {
+  try {
+    const info = await evolutionAPI.getGroupInfo(client.instance_name, client.instance_apikey, groupJid);
+    if (info?.subject?.trim()) return info.subject.trim();
+  } catch (error) {
+    logger.warn('Could not fetch group info from Evolution API', {
+      instanceName: client.instance_name,
+      groupJid,
+      error: error.message
+    });
+  }
+
+  return `Grupo WhatsApp ${groupJid.replace(GROUP_JID_SUFFIX, '')}`;
+}
+
+/**
+ * JID del grupo al que corresponde un contacto GHL (null si es un contacto normal)
+ * @param {Object} client - Cliente de clients_details
+ * @param {string} contactId - contactId de GHL
+ * @returns {string|null}
+ */
+async function getGroupJidByContactId(client, contactId) {
+  if (!isGroupSupportEnabled(client) || !contactId) return null;
+
+  const cached = groupCache.get(`${client.location_id}:contact:${contactId}`);
+  if (cached !== undefined) return cached || null;
+
+  const group = await supabaseService.getWhatsAppGroup(client.location_id, { contactId });
+  if (!group) {
+    groupCache.set(`${client.location_id}:contact:${contactId}`, false);
+    return null;
+  }
+
+  cacheGroup(client.location_id, group.group_jid, group.contact_id);
+  return group.group_jid;
+}
+
+function cacheGroup(locationId, groupJid, contactId) {
+  groupCache.set(`${locationId}:group:${groupJid}`, contactId);
+  groupCache.set(`${locationId}:contact:${contactId}`, groupJid);
+}
+
+/**
+ * Limpia el mapeo en memoria (tests/operaciones)
+ */
+function clearGroupCache() {
+  groupCache.flushAll();
+}
+
+module.exports = {
+  isGroupJid,
+  isGroupSupportEnabled,
+  formatGroupMessage,
+  getGroupContactId,
+  getGroupJidByContactId,
+  clearGroupCache
+};
@@ -0,0 +1,303 @@
+/**
+ * Interactive Messages Service - Botones, listas y encuestas de WhatsApp desde GHL/Flowise
+ *
+ * Markup en el texto saliente (un bloque por mensaje, opcionalmente entre ```):
+ *   [buttons: Sí | No]            (alias [botones: ...])  máx. 3, si hay más se envía como lista
+ *   [list: Opción A | Opción B]   (alias [lista: ...])    máx. 10
+ *   [poll: Lunes | Martes]        (alias [encuesta: ...]) máx. 12
+ * El resto del texto es el cuerpo del mensaje (o la pregunta de la encuesta)
+ *
+ * Las respuestas del contacto (botón, fila de lista, voto) se convierten en texto legible para GHL
+ * y, con el flag reply_tags, en tags del contacto para ramificar workflows
+ */
+
+const crypto = require('crypto');
+const NodeCache = require('node-cache');
+const logger = require('../utils/logger');
+const evolutionAPI = require('./evolution');
+
+const MARKUP_REGEX = /(?:```\s*)?\[(buttons|botones|list|lista|poll|encuesta)\s*:\s*([^\]\n]+)\](?:\s*```)?/i;
+
+const TYPE_ALIASES = {
+  buttons: 'buttons',
+  botones: 'buttons',
+  list: 'list',
+  lista: 'list',
+  poll: 'poll',
+  encuesta: 'poll'
+};
+
+// Límites de WhatsApp por tipo
+const MAX_OPTIONS = {
+  buttons: 3,
+  list: 10,
+  poll: 12
+};
+
+const DEFAULT_TITLES = {
+  list: 'Opciones',
+  listButton: 'Ver opciones',
+  poll: 'Encuesta'
+};
+
+// Tags de respuesta: respuesta-<opción> (ver getReplyTags)
+const REPLY_TAG_PREFIX = 'respuesta';
+const MAX_TAG_LENGTH = 50;
+
+// Encuestas enviadas: `${instance}:${key.id}` → { name, values } (los votos solo traen el ID de la encuesta)
+const sentPolls = new NodeCache({
+  stdTTL: 172800, // 48 horas
+  checkperiod: 3600,
+  useClones: false
+});
+
+/**
+ * Detecta el markup interactivo en un texto
+ * @param {string} text - Texto saliente (GHL o parte de Flowise)
+ * @returns {Object|null} { type: 'buttons'|'list'|'poll', options: string[], text: cuerpo sin markup }
+ */
+function parseInteractiveMarkup(text) {
+  const match = typeof text === 'string' ? text.match(MARKUP_REGEX) : null;
+  if (!match) return null;
+
+  let type = TYPE_ALIASES[match[1].toLowerCase()];
+  let options = match[2].split('|').map(option => option.trim()).filter(Boolean);
+
+  if (options.length === 0) return null;
+
+  // WhatsApp no admite más de 3 botones: se convierte en lista
+  if (type === 'buttons' && options.length > MAX_OPTIONS.buttons) {
+    type = 'list';
+  }
+
+  if (options.length > MAX_OPTIONS[type]) {
+    logger.warn('Too many interactive options - truncating', { type, options: options.length, max: MAX_OPTIONS[type] });
+    options = options.slice(0, MAX_OPTIONS[type]);
+  }
+
+  return {
+    type,
+    options,
+    text: text.replace(match[0], '').replace(/\n{3,}/g, '\n\n').trim()
+  };
+}
+
+/**
+ * Versión en texto plano (canales sin mensajes interactivos o si el envío falla)
+ * @param {Object} interactive - Resultado de parseInteractiveMarkup
+ * @returns {string} cuerpo + opciones numeradas
+ */
+function toPlainText(interactive) {
+  const options = interactive.options.map((option, i) => `${i + 1}. ${option}`).join('\n');
+  return interactive.text ? `${interactive.text}\n\n${options}` : options;
+}
+
+/**
+ * Sustituye el markup por su versión en texto plano (sin markup devuelve el texto tal cual)
+ * @param {string} text
+ * @returns {string}
+ */
+function stripInteractiveMarkup(text) {
+  const interactive = parseInteractiveMarkup(text);
+  return interactive ? toPlainText(interactive) : text;
+}
+
+/**
+ * Envía un mensaje interactivo por Evolution API
+ * Botones y listas dependen de la versión de WhatsApp del contacto: si Evolution los rechaza
+ * se envía el texto plano con las opciones numeradas
+ * @param {string} instanceName - Nombre de instancia
+ * @param {string} apiKey - API key de la instancia
+ * @param {string} number - Número WhatsApp (formato 34660722687@s.whatsapp.net o JID de grupo)
+ * @param {Object} interactive - Resultado de parseInteractiveMarkup
+ * @returns {Object} Respuesta de Evolution API (incluye key del mensaje enviado)
+ */
+async function sendInteractiveMessage(instanceName, apiKey, number, interactive) {
+  const { type, options, text } = interactive;
+
+  try {
+    let sent;
+
+    if (type === 'buttons') {
+      sent = await evolutionAPI.sendButtons(instanceName, apiKey, number, {
+        title: '',
+        description: text || ' ',
+        buttons: options.map((option, i) => ({ id: `opt_${i + 1}`, displayText: option }))
+      });
+    } else if (type === 'list') {
+      sent = await evolutionAPI.sendList(instanceName, apiKey, number, {
+        title: DEFAULT_TITLES.list,
+        description: text || DEFAULT_TITLES.list,
+        buttonText: DEFAULT_TITLES.listButton,
+        footerText: '',
+        sections: [{
+          title: DEFAULT_TITLES.list,
+          rows: options.map((option, i) => ({ rowId: `opt_${i + 1}`, title: option, description: '' }))
+        }]
+      });
+    } else {
+      const name = text || DEFAULT_TITLES.poll;
+      sent = await evolutionAPI.sendPoll(instanceName, apiKey, number, name, options);
+      rememberPoll(instanceName, sent?.key?.id, { name, values: options });
+    }
+
+    logger.info('🔘 Interactive message sent', { instanceName, type, options: options.length });
+    return sent;
+  } catch (error) {
+    logger.warn('Interactive message rejected - sending plain text instead', {
+      instanceName,
+      type,
+      error: error.message,
+      status: error.response?.status
+    });
+    return evolutionAPI.sendText(instanceName, apiKey, number, toPlainText(interactive));
+  }
+}
+
+function rememberPoll(instanceName, pollMessageId, poll) {
+  if (pollMessageId) {
+    sentPolls.set(`${instanceName}:${pollMessageId}`, poll);
+  }
+}
+
+/**
+ * Opciones votadas en una encuesta
+ * Los votos descifrados traen el nombre de la opción o su SHA-256 (Buffer/base64/hex, según versión)
+ * @returns {Object} { poll: { name, values } | undefined, selected: string[], total: votos recibidos }
+ */
+function resolvePollVote(instanceName, pollUpdate) {
+  const poll = sentPolls.get(`${instanceName}:${pollUpdate.pollCreationMessageKey?.id}`);
+  const selectedOptions = pollUpdate.vote?.selectedOptions || pollUpdate.selectedOptions || [];
+
+  const selected = selectedOptions
+    .map(option => {
+      const isHex = typeof option === 'string' && /^[0-9a-f]{64}$/i.test(option);
+      const isHash = isHex || (typeof option === 'string' && /^[A-Za-z0-9+/]{43}=$/.test(option));
+      if (typeof option === 'string' && !isHash && (!poll || poll.values.includes(option))) return option;
+      if (!poll) return null;
+
+      const hash = Buffer.isBuffer(option) ? option.toString('hex')
+        : option?.type === 'Buffer' ? Buffer.from(option.data).toString('hex')
+        : isHex ? option.toLowerCase()
+        : Buffer.from(String(option), 'base64').toString('hex');
+
+      return poll.values.find(value => crypto.createHash('sha256').update(value).digest('hex') === hash) || null;
+    })
+    .filter(Boolean);
+
+  return { poll, selected, total: selectedOptions.length };
+}
+
+/**
+ * Respuesta del contacto a un mensaje interactivo
+ * @param {string} instanceName - Nombre de instancia
+ * @param {Object} message - message de Baileys
+ * @returns {Object|null} { type: 'button'|'list'|'poll', text, selected: string[], selectedId?, question?, retracted? }
+ */
+function parseInteractiveResponse(instanceName, message) {
+  if (!message) return null;
+
+  if (message.buttonsResponseMessage) {
+    const response = message.buttonsResponseMessage;
+    return singleSelection('button', response.selectedDisplayText || response.selectedButtonId, response.selectedButtonId);
+  }
+
+  // Botones de plantilla (templateMessage / hydratedButtons)
+  if (message.templateButtonReplyMessage) {
+    const response = message.templateButtonReplyMessage;
+    return singleSelection('button', response.selectedDisplayText || response.selectedId, response.selectedId);
+  }
+
+  // Botones "native flow" (versiones recientes de Evolution envían así sendButtons)
+  if (message.interactiveResponseMessage) {
+    const response = message.interactiveResponseMessage;
+    let params = {};
+    try {
+      params = JSON.parse(response.nativeFlowResponseMessage?.paramsJson || '{}');
+    } catch (error) {
+      logger.debug('Invalid nativeFlowResponseMessage params', { error: error.message });
+    }
+    return singleSelection('button', response.body?.text || params.display_text || params.id, params.id);
+  }
+
+  if (message.listResponseMessage) {
+    const response = message.listResponseMessage;
+    const rowId = response.singleSelectReply?.selectedRowId;
+    return singleSelection('list', response.title || rowId, rowId);
+  }
+
+  if (message.pollUpdateMessage) {
+    const { poll, selected, total } = resolvePollVote(instanceName, message.pollUpdateMessage);
+    return {
+      type: 'poll',
+      text: selected.join(', '),
+      selected,
+      question: poll?.name,
+      retracted: total === 0 // Un voto sin opciones = el contacto desmarcó su voto
+    };
+  }
+
+  return null;
+}
+
+function singleSelection(type, text, selectedId) {
+  return {
+    type,
+    text: text || '',
+    selected: text ? [text] : [],
+    selectedId
+  };
+}
+
+/**
+ * Tags de GHL para las opciones elegidas ("Sí, por favor" → respuesta-si-por-favor)
+ * Permiten ramificar workflows según la respuesta (opt-in con el flag reply_tags)
+ * @param {Object} response - Resultado de parseInteractiveResponse
+ * @returns {Array<string>}
+ */
+function getReplyTags(response) {
+  return (response?.selected || [])
+    .map(option => option
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .substring(0, MAX_TAG_LENGTH))
+    .filter(Boolean)
+    .map(slug => `${REPLY_TAG_PREFIX}-${slug}`);
+}
+
+/**
+ * Texto para registrar en GHL
+ * @param {Object} response - Resultado de parseInteractiveResponse
+ * @returns {string}
+ */
+function formatInteractiveResponse(response) {
+  switch (response.type) {
+    case 'button':
+      return `🔘 ${response.text}`;
+
+    case 'list':
+      return `📋 ${response.text}`;
+
+    case 'poll': {
+      const question = response.question ? ` en "${response.question}"` : '';
+      if (response.text) return `📊 Voto${question}: ${response.text}`;
+      return response.retracted ? `📊 [voto retirado${question}]` : `📊 [voto${question}] - Ver más en WhatsApp`;
+    }
+
+    default:
+      return response.text;
+  }
+}
+
+module.exports = {
+  parseInteractiveMarkup,
+  toPlainText,
+  stripInteractiveMarkup,
+  sendInteractiveMessage,
+  parseInteractiveResponse,
+  formatInteractiveResponse,
+  getReplyTags
+};
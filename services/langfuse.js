@@ -106,10 +106,13 @@ function invalidatePrompt(agentName) {
 
 /**
  * Limpiar todo el caché de prompts
+ * @returns {number} Número de prompts eliminados
  */
 function clearCache() {
+  const cleared = promptCache.keys().length;
   promptCache.flushAll();
-  logger.debug('All prompts cache cleared');
+  logger.debug('All prompts cache cleared', { cleared });
+  return cleared;
 }
 
 module.exports = {
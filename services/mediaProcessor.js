@@ -1,16 +1,22 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
 const mediaHelper = require('../utils/mediaHelper');
+const documentExtractor = require('./documentExtractor');
 const { notifyAdmin } = require('../utils/notifications');
+const { getLocale, t } = require('../utils/i18n');
+
+// Extensiones de notas de voz/audio (para elegir la ventana de debounce antes de descargar)
+const AUDIO_EXTENSIONS = ['ogg', 'oga', 'opus', 'mp3', 'm4a', 'wav', 'aac', 'amr', 'weba'];
 
 /**
- * Procesa attachment (audio/imagen) y devuelve texto
+ * Procesa attachment (audio/imagen/documento) y devuelve texto
  * Descarga el archivo y usa mediaHelper para procesarlo
  *
  * @param {string} attachmentUrl - URL del archivo
+ * @param {Object|null} client - Registro de clients_details (proveedor de IA e idioma de los textos)
  * @returns {Promise<string>} - Texto procesado
  */
-async function processAttachment(attachmentUrl) {
+async function processAttachment(attachmentUrl, client = null) {
   try {
     logger.info('📥 Downloading attachment', { url: attachmentUrl.substring(0, 100) });
 
@@ -37,40 +43,45 @@ async function processAttachment(attachmentUrl) {
 
     // Detectar extensión del archivo desde la URL
     const fileExtension = attachmentUrl.split('.').pop().toLowerCase().split('?')[0];
+    const fileName = getFileNameFromUrl(attachmentUrl);
 
     // Procesar según tipo usando helpers compartidos
     if (contentType.startsWith('audio/')) {
-      return await mediaHelper.processAudioToText(base64, contentType, context);
+      return await mediaHelper.processAudioToText(base64, contentType, context, client);
 
     } else if (contentType.startsWith('image/')) {
-      return await mediaHelper.processImageToText(base64, '', context);
+      return await mediaHelper.processImageToText(base64, '', context, client, contentType);
 
     } else if (contentType.startsWith('video/') || fileExtension === 'mp4') {
-      // Instagram/FB envían audios como video/mp4 - intentar transcribir primero
+      // Transcripción + resumen visual (Instagram/FB envían audios como video/mp4: sin imagen se tratan como audio)
+      logger.info('🎬 Video detected, extracting audio and keyframes');
+      const videoText = await mediaHelper.processVideoToText(base64, contentType, context, client);
+      if (videoText) {
+        return videoText;
+      }
+
+      // Sin ffmpeg o fuera de límites: los mp4 pueden ser notas de voz, Whisper acepta el archivo tal cual
       if (fileExtension === 'mp4') {
-        logger.info('🎬 MP4 detected, attempting Whisper transcription (could be audio or video)');
-
-        try {
-          // Intentar transcribir con Whisper
-          const transcription = await mediaHelper.processAudioToText(base64, 'audio/mp4', context);
-          logger.info('✅ MP4 transcribed successfully (was audio)');
-          return transcription;
-        } catch (whisperError) {
-          // Si Whisper falla, es un video real
-          logger.info('🎥 MP4 transcription failed, treating as video', {
-            error: whisperError.message
-          });
-          return mediaHelper.formatOtherMediaType('video');
-        }
-      } else {
-        // Otros formatos de video (no mp4)
-        logger.info('🎥 Video detected, returning placeholder');
-        return mediaHelper.formatOtherMediaType('video');
+        return await mediaHelper.processAudioToText(base64, 'audio/mp4', context, client);
       }
+      return mediaHelper.formatOtherMediaType('video', {}, getLocale(client));
+
+    } else if (documentExtractor.getDocumentType(contentType, fileName)) {
+      // Documentos: el agente recibe el texto completo (hasta MAX_TEXT_LENGTH), no solo el extracto de GHL
+      const documentText = await mediaHelper.processDocumentToText(
+        base64,
+        contentType,
+        fileName,
+        context,
+        client,
+        documentExtractor.MAX_TEXT_LENGTH
+      );
+      const label = mediaHelper.formatOtherMediaType('document', { fileName, attached: true }, getLocale(client));
+      return documentText ? `${label}\n${documentText}` : label;
 
     } else {
       logger.warn('⚠️ Unsupported attachment type', { contentType, fileExtension });
-      return mediaHelper.formatOtherMediaType('unknown');
+      return mediaHelper.formatOtherMediaType('unknown', {}, getLocale(client));
     }
 
   } catch (error) {
@@ -91,10 +102,34 @@ async function processAttachment(attachmentUrl) {
     });
 
     // Fallback
-    return '📎 [archivo no procesado]';
+    return t(getLocale(client), 'media.fileFailed');
   }
 }
 
+/**
+ * Nombre del archivo a partir de la URL (último segmento, sin query)
+ */
+function getFileNameFromUrl(url) {
+  const lastSegment = url.split('?')[0].split('/').pop() || '';
+  try {
+    return decodeURIComponent(lastSegment);
+  } catch (error) {
+    return lastSegment;
+  }
+}
+
+/**
+ * Indica si la URL de un attachment es un audio (por extensión; los mp4 de IG/FB no se cuentan)
+ * @param {string} url - URL del archivo
+ * @returns {boolean}
+ */
+function isAudioAttachment(url) {
+  if (typeof url !== 'string') return false;
+  const fileExtension = url.split('?')[0].split('.').pop().toLowerCase();
+  return AUDIO_EXTENSIONS.includes(fileExtension);
+}
+
 module.exports = {
-  processAttachment
+  processAttachment,
+  isAudioAttachment
 };
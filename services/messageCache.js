@@ -1,16 +1,32 @@
 /**
  * Message Cache Service - Cola de mensajes fallidos por instancia caída
  * Almacena mensajes para reintento cuando la instancia se reconecte
+ * - Memoria: la cola se persiste en disco (queueStore) para sobrevivir reinicios
+ * - Redis (REDIS_URL): la cola es compartida por todas las réplicas y Redis es la persistencia
+ * Los cambios de la cola de una instancia se hacen con lock (queue:<instancia>) para no pisarse entre réplicas
  */
 
-const NodeCache = require('node-cache');
+const config = require('../config');
 const logger = require('../utils/logger');
+const storage = require('./storage');
+const { createQueueStore } = require('./queueStore');
+const deadLetter = require('./deadLetter');
 
-// Cache de mensajes pendientes (TTL 8 horas - tiempo máximo de retry)
-const messageCache = new NodeCache({
-  stdTTL: 28800, // 8 horas
-  checkperiod: 300, // Check cada 5 min
-  useClones: true // Clonar objetos para evitar mutaciones
+const queueStore = createQueueStore('message queue');
+
+// Tiempo máximo que un mensaje puede estar en cola (8 horas - tiempo máximo de retry)
+const QUEUE_TTL_SECONDS = 28800;
+
+// Cache de mensajes pendientes (check cada 5 min)
+// Si la cola de una instancia expira, reflejarlo también en disco
+const messageCache = storage.createStore('message-queue', {
+  ttlSeconds: QUEUE_TTL_SECONDS,
+  checkPeriod: 300,
+  onExpired: (key) => {
+    if (key.startsWith('pending:')) {
+      queueStore.persistQueue(key.replace('pending:', ''), []);
+    }
+  }
 });
 
 // Configuración de retry
@@ -19,6 +35,71 @@ const RETRY_CONFIG = {
   delays: [5 * 60, 10 * 60, 20 * 60, 40 * 60, 60 * 60] // 5min, 10min, 20min, 40min, 1h (en segundos)
 };
 
+/**
+ * Guarda la cola de una instancia en memoria y en disco
+ * @param {string} instanceName - Nombre de instancia
+ * @param {Array} queue - Cola completa
+ */
+async function saveQueue(instanceName, queue) {
+  const key = `pending:${instanceName}`;
+
+  if (queue.length === 0) {
+    await messageCache.del(key);
+  } else {
+    await messageCache.set(key, queue);
+  }
+
+  queueStore.persistQueue(instanceName, queue);
+}
+
+/**
+ * Lee, modifica y guarda la cola de una instancia sin que otra réplica la cambie entretanto
+ * @param {string} instanceName - Nombre de instancia
+ * @param {Function} update - (queue) => resultado (o promesa); puede modificar queue
+ * @returns {Promise<*>} Resultado de update
+ */
+function updateQueue(instanceName, update) {
+  return storage.withLock(`queue:${instanceName}`, async () => {
+    const queue = await getQueuedMessages(instanceName);
+    const result = await update(queue);
+    await saveQueue(instanceName, queue);
+    return result;
+  });
+}
+
+/**
+ * Activa la persistencia y restaura los mensajes pendientes de antes del reinicio
+ * Los mensajes que superaron el tiempo máximo en cola se descartan
+ * Con Redis no se usa el fichero: la cola ya sobrevive a reinicios y la comparten todas las réplicas
+ * @param {string} file - Ruta del fichero de persistencia (default: config.MESSAGE_QUEUE_FILE)
+ * @returns {Promise<number>} Número de mensajes restaurados
+ */
+async function initPersistence(file = config.MESSAGE_QUEUE_FILE) {
+  if (storage.isShared()) {
+    logger.info('💾 Message queue stored in Redis - file persistence disabled');
+    return 0;
+  }
+
+  const state = queueStore.init(file);
+  const minQueuedAt = Date.now() - QUEUE_TTL_SECONDS * 1000;
+  let restored = 0;
+
+  for (const [instanceName, queue] of Object.entries(state)) {
+    const pending = queue.filter(msg => msg.queuedAt >= minQueuedAt);
+    await saveQueue(instanceName, pending);
+    restored += pending.length;
+  }
+
+  if (restored > 0) {
+    logger.info('📤 Pending messages restored from disk', {
+      restored,
+      instances: await getInstancesWithPendingMessages()
+    });
+  }
+
+  return restored;
+}
+
 /**
  * Encola un mensaje fallido para reintento posterior
  * @param {Object} messageData - Datos del mensaje
@@ -28,66 +109,67 @@ const RETRY_CONFIG = {
  * @param {string} messageData.contactId - Contact ID de GHL
  * @param {string} messageData.messageId - Message ID de GHL (opcional)
  * @param {string} messageData.messageText - Texto del mensaje
+ * @param {string[]} messageData.attachments - URLs de adjuntos (opcional)
  * @param {string} messageData.waNumber - Número de WhatsApp formateado
  * @param {string} messageData.contactPhone - Teléfono del contacto
+ * @param {boolean} messageData.splitWithLLM - Dividir con LLM al reenviar (split_messages, opcional)
+ * @param {Object} options - { immediate: true } para reintentar ya (replay desde dead-letter)
+ * @returns {Promise<boolean>} false si el mensaje ya estaba en cola
  */
-function enqueueMessage(messageData) {
+async function enqueueMessage(messageData, { immediate = false } = {}) {
   const { instanceName } = messageData;
-  const key = `pending:${instanceName}`;
 
-  // Obtener cola existente o crear nueva
-  let queue = messageCache.get(key) || [];
-
-  // Evitar duplicados por messageId
-  if (messageData.messageId) {
-    const exists = queue.some(m => m.messageId === messageData.messageId);
-    if (exists) {
-      logger.info('Message already in queue, skipping', {
-        messageId: messageData.messageId,
-        instanceName
-      });
-      return false;
+  return updateQueue(instanceName, (queue) => {
+    // Evitar duplicados por messageId
+    if (messageData.messageId) {
+      const exists = queue.some(m => m.messageId === messageData.messageId);
+      if (exists) {
+        logger.info('Message already in queue, skipping', {
+          messageId: messageData.messageId,
+          instanceName
+        });
+        return false;
+      }
     }
-  }
 
-  // Añadir mensaje con metadata de retry
-  const queuedMessage = {
-    ...messageData,
-    retryCount: 0,
-    queuedAt: Date.now(),
-    nextRetryAt: Date.now() + (RETRY_CONFIG.delays[0] * 1000)
-  };
+    // Añadir mensaje con metadata de retry
+    const queuedMessage = {
+      ...messageData,
+      retryCount: 0,
+      queuedAt: Date.now(),
+      nextRetryAt: immediate ? Date.now() : Date.now() + (RETRY_CONFIG.delays[0] * 1000)
+    };
 
-  queue.push(queuedMessage);
-  messageCache.set(key, queue);
+    queue.push(queuedMessage);
 
-  logger.info('Message enqueued for retry', {
-    instanceName,
-    messageId: messageData.messageId,
-    contactPhone: messageData.contactPhone,
-    queueSize: queue.length
-  });
+    logger.info('Message enqueued for retry', {
+      instanceName,
+      messageId: messageData.messageId,
+      contactPhone: messageData.contactPhone,
+      queueSize: queue.length
+    });
 
-  return true;
+    return true;
+  });
 }
 
 /**
  * Obtiene todos los mensajes pendientes para una instancia
  * @param {string} instanceName - Nombre de instancia
- * @returns {Array} Cola de mensajes
+ * @returns {Promise<Array>} Cola de mensajes
  */
-function getQueuedMessages(instanceName) {
+async function getQueuedMessages(instanceName) {
   const key = `pending:${instanceName}`;
-  return messageCache.get(key) || [];
+  return (await messageCache.get(key)) || [];
 }
 
 /**
  * Obtiene mensajes listos para reintentar (nextRetryAt <= ahora)
  * @param {string} instanceName - Nombre de instancia
- * @returns {Array} Mensajes listos para retry
+ * @returns {Promise<Array>} Mensajes listos para retry
  */
-function getMessagesReadyForRetry(instanceName) {
-  const queue = getQueuedMessages(instanceName);
+async function getMessagesReadyForRetry(instanceName) {
+  const queue = await getQueuedMessages(instanceName);
   const now = Date.now();
 
   return queue.filter(msg => msg.nextRetryAt <= now && msg.retryCount < RETRY_CONFIG.maxRetries);
@@ -98,24 +180,27 @@ function getMessagesReadyForRetry(instanceName) {
  * @param {string} instanceName - Nombre de instancia
  * @param {string} messageId - ID del mensaje (o índice si no hay ID)
  * @param {boolean} success - Si el envío fue exitoso
+ * @param {string} errorMessage - Error del último intento (opcional)
+ * @returns {Promise<Object|null>} Entrada de dead-letter si el mensaje agotó sus reintentos
  */
-function updateMessageRetry(instanceName, messageId, success) {
-  const key = `pending:${instanceName}`;
-  let queue = messageCache.get(key) || [];
+async function updateMessageRetry(instanceName, messageId, success, errorMessage = null) {
+  return updateQueue(instanceName, (queue) => {
+    const msgIndex = queue.findIndex(m => m.messageId === messageId);
+    if (msgIndex === -1) return null;
 
-  const msgIndex = queue.findIndex(m => m.messageId === messageId);
-  if (msgIndex === -1) return;
+    if (success) {
+      // Mensaje enviado exitosamente - remover de la cola
+      queue.splice(msgIndex, 1);
+      logger.info('Message sent successfully, removed from queue', {
+        instanceName,
+        messageId
+      });
+      return null;
+    }
 
-  if (success) {
-    // Mensaje enviado exitosamente - remover de la cola
-    queue.splice(msgIndex, 1);
-    logger.info('Message sent successfully, removed from queue', {
-      instanceName,
-      messageId
-    });
-  } else {
     // Incrementar contador y calcular próximo retry
     queue[msgIndex].retryCount++;
+    queue[msgIndex].lastError = errorMessage;
     const nextDelayIndex = Math.min(queue[msgIndex].retryCount, RETRY_CONFIG.delays.length - 1);
     queue[msgIndex].nextRetryAt = Date.now() + (RETRY_CONFIG.delays[nextDelayIndex] * 1000);
 
@@ -127,41 +212,43 @@ function updateMessageRetry(instanceName, messageId, success) {
       nextRetryIn: `${RETRY_CONFIG.delays[nextDelayIndex] / 60} minutes`
     });
 
-    // Si alcanzó max retries, remover de la cola
+    // Si alcanzó max retries, mover a dead-letter
     if (queue[msgIndex].retryCount >= RETRY_CONFIG.maxRetries) {
-      logger.warn('Message exceeded max retries, removing from queue', {
+      logger.warn('Message exceeded max retries, moving to dead-letter', {
         instanceName,
         messageId,
         contactPhone: queue[msgIndex].contactPhone
       });
-      queue.splice(msgIndex, 1);
+      const [exhausted] = queue.splice(msgIndex, 1);
+      return deadLetter.addDeadLetter(exhausted, {
+        reason: 'max_retries',
+        lastError: errorMessage
+      });
     }
-  }
 
-  messageCache.set(key, queue);
+    return null;
+  });
 }
 
 /**
  * Limpia la cola de una instancia
  * @param {string} instanceName - Nombre de instancia
  */
-function clearQueue(instanceName) {
-  const key = `pending:${instanceName}`;
-  const queue = messageCache.get(key) || [];
-  messageCache.del(key);
+async function clearQueue(instanceName) {
+  const cleared = await updateQueue(instanceName, (queue) => queue.splice(0, queue.length).length);
 
   logger.info('Message queue cleared', {
     instanceName,
-    messagesCleared: queue.length
+    messagesCleared: cleared
   });
 }
 
 /**
  * Obtiene todas las instancias con mensajes pendientes
- * @returns {Array} Lista de nombres de instancia
+ * @returns {Promise<Array>} Lista de nombres de instancia
  */
-function getInstancesWithPendingMessages() {
-  const keys = messageCache.keys();
+async function getInstancesWithPendingMessages() {
+  const keys = await messageCache.keys();
   return keys
     .filter(k => k.startsWith('pending:'))
     .map(k => k.replace('pending:', ''));
@@ -169,27 +256,24 @@ function getInstancesWithPendingMessages() {
 
 /**
  * Obtiene estadísticas del cache
- * @returns {Object} Estadísticas
+ * @returns {Promise<Object>} Estadísticas
  */
-function getStats() {
-  const instances = getInstancesWithPendingMessages();
-  let totalMessages = 0;
-
-  instances.forEach(instance => {
-    totalMessages += getQueuedMessages(instance).length;
-  });
+async function getStats() {
+  const instances = await getInstancesWithPendingMessages();
+  const counts = await Promise.all(instances.map(async (name) => ({
+    name,
+    pendingCount: (await getQueuedMessages(name)).length
+  })));
 
   return {
     instancesWithPending: instances.length,
-    totalPendingMessages: totalMessages,
-    instances: instances.map(i => ({
-      name: i,
-      pendingCount: getQueuedMessages(i).length
-    }))
+    totalPendingMessages: counts.reduce((total, instance) => total + instance.pendingCount, 0),
+    instances: counts
   };
 }
 
 module.exports = {
+  initPersistence,
   enqueueMessage,
   getQueuedMessages,
   getMessagesReadyForRetry,
@@ -0,0 +1,170 @@
+/**
+ * Message Events Service - Respuestas citadas, reacciones, ediciones y borrados de WhatsApp
+ * Se registran en la conversación de GHL como notas legibles (nunca alertan al admin)
+ * Guarda el texto de los mensajes recientes para poder referenciarlos al reaccionar/editar/borrar
+ */
+
+const NodeCache = require('node-cache');
+
+// Texto de mensajes recientes: `${instance}:${key.id}` → texto (TTL 48 horas, igual que los acks)
+const messageTexts = new NodeCache({
+  stdTTL: 172800,
+  checkperiod: 3600,
+  useClones: false
+});
+
+const PREVIEW_LENGTH = 100;
+
+// protocolMessage.type de Baileys (string o número; el 0 se omite en el JSON de protobuf)
+const PROTOCOL_TYPES = {
+  REVOKE: ['REVOKE', 0, undefined],
+  MESSAGE_EDIT: ['MESSAGE_EDIT', 14]
+};
+
+/**
+ * Recorta un texto para citarlo en una sola línea
+ */
+function preview(text) {
+  const singleLine = (text || '').replace(/\s+/g, ' ').trim();
+  return singleLine.length > PREVIEW_LENGTH ? singleLine.substring(0, PREVIEW_LENGTH - 1) + '…' : singleLine;
+}
+
+/**
+ * Texto (o placeholder de media) de un objeto message de WhatsApp
+ * @param {Object} message - message de Baileys (conversation, extendedTextMessage, imageMessage...)
+ * @returns {string} '' si no hay contenido reconocible
+ */
+function extractText(message) {
+  if (!message) return '';
+
+  if (message.conversation) return message.conversation;
+  if (message.extendedTextMessage?.text) return message.extendedTextMessage.text;
+  if (message.imageMessage) return message.imageMessage.caption || '🖼️ [imagen]';
+  if (message.videoMessage) return message.videoMessage.caption || '🎥 [video]';
+  if (message.audioMessage) return '🎤 [audio]';
+  if (message.documentMessage) return message.documentMessage.caption || `📎 [${message.documentMessage.fileName || 'documento'}]`;
+  if (message.stickerMessage) return '😊 [sticker]';
+  if (message.locationMessage) return '📍 [ubicación]';
+  if (message.contactMessage) return `👤 [contacto: ${message.contactMessage.displayName || 'contacto'}]`;
+
+  return '';
+}
+
+/**
+ * Guarda el texto de un mensaje para referenciarlo después
+ * @param {string} instanceName - Nombre de instancia
+ * @param {string} messageId - key.id del mensaje
+ * @param {string} text - Texto registrado en GHL
+ */
+function rememberMessage(instanceName, messageId, text) {
+  if (!messageId || !text) return;
+  messageTexts.set(`${instanceName}:${messageId}`, text);
+}
+
+/**
+ * @returns {string|undefined} Texto del mensaje si se recibió hace menos de 48h
+ */
+function getRememberedMessage(instanceName, messageId) {
+  return messageId ? messageTexts.get(`${instanceName}:${messageId}`) : undefined;
+}
+
+/**
+ * Texto del mensaje citado en una respuesta (null si no es una respuesta)
+ * Evolution v2 manda contextInfo en data; v1 dentro del tipo de mensaje (extendedTextMessage, imageMessage...)
+ * @param {string} instanceName - Nombre de instancia
+ * @param {Object} messageData - data del webhook de Evolution
+ * @returns {string|null}
+ */
+function getQuotedText(instanceName, messageData) {
+  const contextInfo = messageData.contextInfo ||
+    Object.values(messageData.message || {}).find(content => content?.contextInfo)?.contextInfo;
+
+  if (!contextInfo?.quotedMessage && !contextInfo?.stanzaId) return null;
+
+  return extractText(contextInfo.quotedMessage) ||
+    getRememberedMessage(instanceName, contextInfo.stanzaId) ||
+    null;
+}
+
+/**
+ * Añade el contexto de la cita al texto del mensaje
+ * @returns {string} ↪ citando: "texto citado"\nrespuesta
+ */
+function formatQuote(quotedText, text) {
+  return `↪ citando: "${preview(quotedText)}"\n${text}`;
+}
+
+/**
+ * Detecta reacciones, ediciones y borrados
+ * @param {Object} message - message de Baileys
+ * @returns {Object|null} { type: 'reaction'|'edit'|'revoke'|'protocol', targetId, emoji?, text?, protocolType? }
+ */
+function parseMessageEvent(message) {
+  if (!message) return null;
+
+  if (message.reactionMessage) {
+    return {
+      type: 'reaction',
+      targetId: message.reactionMessage.key?.id,
+      emoji: message.reactionMessage.text || '' // Vacío = reacción quitada
+    };
+  }
+
+  const protocol = message.editedMessage?.message?.protocolMessage || message.protocolMessage;
+  if (!protocol) return null;
+
+  if (PROTOCOL_TYPES.MESSAGE_EDIT.includes(protocol.type)) {
+    return { type: 'edit', targetId: protocol.key?.id, text: extractText(protocol.editedMessage) };
+  }
+
+  if (PROTOCOL_TYPES.REVOKE.includes(protocol.type) && protocol.key?.id) {
+    return { type: 'revoke', targetId: protocol.key.id };
+  }
+
+  // Otros mensajes de protocolo (ajustes de mensajes temporales, sync...) no son para el CRM
+  return { type: 'protocol', protocolType: protocol.type };
+}
+
+/**
+ * Nota para la conversación de GHL
+ * @param {Object} event - Resultado de parseMessageEvent
+ * @param {Object} options - { original?: texto del mensaje afectado, fromMe?: boolean }
+ * @returns {string}
+ */
+function formatMessageEvent(event, { original, fromMe = false } = {}) {
+  const reference = original ? `: "${preview(original)}"` : '';
+
+  switch (event.type) {
+    case 'reaction':
+      return event.emoji
+        ? `${event.emoji} [reacción a un mensaje]${reference}`
+        : `[reacción eliminada]${reference}`;
+
+    case 'edit':
+      return `✏️ [mensaje editado] ${event.text}` + (original ? `\n(antes: "${preview(original)}")` : '');
+
+    case 'revoke':
+      return `🗑️ [mensaje eliminado ${fromMe ? 'desde WhatsApp' : 'por el contacto'}]${reference}`;
+
+    default:
+      return `[${event.type}]`;
+  }
+}
+
+/**
+ * Limpia los textos recordados (tests/operaciones)
+ */
+function clearRememberedMessages() {
+  messageTexts.flushAll();
+}
+
+module.exports = {
+  extractText,
+  rememberMessage,
+  getRememberedMessage,
+  getQuotedText,
+  formatQuote,
+  parseMessageEvent,
+  formatMessageEvent,
+  clearRememberedMessages
+};
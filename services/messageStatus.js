@@ -0,0 +1,142 @@
+/**
+ * Message Status Service - Sincroniza acks de WhatsApp con el estado del mensaje en GHL
+ * Guarda el vínculo entre el key.id de Evolution (mensaje enviado) y el messageId de GHL
+ */
+
+const NodeCache = require('node-cache');
+const logger = require('../utils/logger');
+
+// Vínculos Evolution key.id → GHL messageId (TTL 48 horas - ventana razonable para lecturas)
+const messageLinks = new NodeCache({
+  stdTTL: 172800, // 48 horas
+  checkperiod: 3600,
+  useClones: false
+});
+
+// Estados de Evolution API (Baileys) - pueden llegar como string o como número
+const EVOLUTION_STATUS = {
+  0: 'ERROR',
+  1: 'PENDING',
+  2: 'SERVER_ACK',
+  3: 'DELIVERY_ACK',
+  4: 'READ',
+  5: 'PLAYED'
+};
+
+// Mapeo de estado Evolution → estado GHL
+const STATUS_MAP = {
+  ERROR: 'failed',
+  SERVER_ACK: 'delivered',
+  DELIVERY_ACK: 'delivered',
+  READ: 'read',
+  PLAYED: 'read'
+};
+
+// Orden de estados GHL para no retroceder (ej: read → delivered por acks desordenados)
+const STATUS_RANK = {
+  failed: 0,
+  delivered: 1,
+  read: 2
+};
+
+/**
+ * Vincula un mensaje enviado por Evolution con el mensaje original de GHL
+ * @param {Object} evolutionResponse - Respuesta de sendText/sendMedia (contiene key.id)
+ * @param {Object} ghlMessage - { locationId, messageId }
+ * @returns {boolean} true si se pudo vincular
+ */
+function linkOutboundMessage(evolutionResponse, ghlMessage) {
+  const evolutionMessageId = evolutionResponse?.key?.id;
+  const { locationId, messageId } = ghlMessage;
+
+  if (!evolutionMessageId || !messageId) {
+    logger.debug('Cannot link outbound message (missing ids)', {
+      evolutionMessageId,
+      messageId
+    });
+    return false;
+  }
+
+  messageLinks.set(`evo:${evolutionMessageId}`, { locationId, messageId });
+
+  logger.debug('🔗 Outbound message linked', { evolutionMessageId, messageId, locationId });
+  return true;
+}
+
+/**
+ * Obtiene el mensaje de GHL vinculado a un key.id de Evolution
+ * @param {string} evolutionMessageId - key.id del mensaje en WhatsApp
+ * @returns {Object|undefined} { locationId, messageId }
+ */
+function getLinkedMessage(evolutionMessageId) {
+  return messageLinks.get(`evo:${evolutionMessageId}`);
+}
+
+/**
+ * Convierte un estado de Evolution (string o número) en estado GHL
+ * @param {string|number} status - Estado de Evolution (ej: 'DELIVERY_ACK' o 3)
+ * @returns {string|null} 'delivered' | 'read' | 'failed' | null si no aplica
+ */
+function mapEvolutionStatus(status) {
+  const normalized = typeof status === 'number' ? EVOLUTION_STATUS[status] : String(status).toUpperCase();
+  return STATUS_MAP[normalized] || null;
+}
+
+/**
+ * Extrae las actualizaciones de estado de un evento messages.update
+ * Soporta formato v2 ({ keyId, status }) y v1 ([{ key: { id }, update: { status } }])
+ * @param {Object|Array} data - req.body.data del webhook
+ * @returns {Array} [{ evolutionMessageId, status }]
+ */
+function extractStatusUpdates(data) {
+  const items = Array.isArray(data) ? data : [data];
+
+  return items
+    .filter(Boolean)
+    .map(item => ({
+      evolutionMessageId: item.keyId || item.key?.id,
+      status: item.status ?? item.update?.status
+    }))
+    .filter(update => update.evolutionMessageId && update.status !== undefined);
+}
+
+/**
+ * Decide si un nuevo estado debe enviarse a GHL (evita retroceder y duplicados)
+ * Guarda el último estado enviado en el vínculo
+ * @param {string} evolutionMessageId - key.id del mensaje en WhatsApp
+ * @param {string} ghlStatus - Estado GHL candidato
+ * @returns {boolean} true si hay que actualizar GHL
+ */
+function shouldUpdateStatus(evolutionMessageId, ghlStatus) {
+  const link = getLinkedMessage(evolutionMessageId);
+  if (!link) return false;
+
+  // Un fallo solo se reporta si todavía no hubo ningún ack positivo
+  if (ghlStatus === 'failed' && link.lastStatus) {
+    return false;
+  }
+
+  if (link.lastStatus && STATUS_RANK[ghlStatus] <= STATUS_RANK[link.lastStatus]) {
+    return false;
+  }
+
+  link.lastStatus = ghlStatus;
+  messageLinks.set(`evo:${evolutionMessageId}`, link);
+  return true;
+}
+
+/**
+ * Limpia todos los vínculos (tests/operaciones)
+ */
+function clearLinks() {
+  messageLinks.flushAll();
+}
+
+module.exports = {
+  linkOutboundMessage,
+  getLinkedMessage,
+  mapEvolutionStatus,
+  extractStatusUpdates,
+  shouldUpdateStatus,
+  clearLinks
+};
@@ -0,0 +1,58 @@
+/**
+ * Metrics Service - Contadores en memoria (se exponen en /admin/stats)
+ * Se reinician con el proceso: sirven para detectar picos, no como histórico
+ */
+
+// name → Map(labelKey → valor)
+const counters = new Map();
+
+/**
+ * Serializa las etiquetas en orden estable (ej: "endpoint=ghl,reason=invalid_signature")
+ */
+function labelKey(labels) {
+  return Object.keys(labels)
+    .sort()
+    .map(key => `${key}=${labels[key]}`)
+    .join(',');
+}
+
+/**
+ * Incrementa un contador
+ * @param {string} name - Nombre del contador (ej: 'webhook_rejected')
+ * @param {Object} labels - Etiquetas (ej: { endpoint: 'ghl', reason: 'invalid_signature' })
+ * @param {number} value - Incremento (default 1)
+ */
+function incrementCounter(name, labels = {}, value = 1) {
+  if (!counters.has(name)) {
+    counters.set(name, new Map());
+  }
+
+  const series = counters.get(name);
+  const key = labelKey(labels);
+  series.set(key, (series.get(key) || 0) + value);
+}
+
+/**
+ * Obtiene todos los contadores
+ * @returns {Object} { name: { labelKey: valor } }
+ */
+function getCounters() {
+  const result = {};
+  counters.forEach((series, name) => {
+    result[name] = Object.fromEntries(series);
+  });
+  return result;
+}
+
+/**
+ * Reinicia todos los contadores (tests/operaciones)
+ */
+function resetMetrics() {
+  counters.clear();
+}
+
+module.exports = {
+  incrementCounter,
+  getCounters,
+  resetMetrics
+};
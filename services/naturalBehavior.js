@@ -0,0 +1,214 @@
+/**
+ * Natural Behavior Service - Simula comportamiento humano en WhatsApp (Evolution API)
+ * - Marca como leídos los mensajes entrantes con cierta probabilidad
+ * - Muestra "escribiendo..." antes de enviar, con duración proporcional al texto
+ * - Pone la instancia en línea al leer y desconectada un rato después de responder
+ * Activación con el feature flag natural_behavior (ver NATURAL_BEHAVIOR.md)
+ * Los fallos nunca rompen el flujo principal: solo se loguean como warning
+ */
+
+const NodeCache = require('node-cache');
+const logger = require('../utils/logger');
+const evolutionAPI = require('./evolution');
+const { isFeatureEnabled } = require('./featureFlags');
+
+const DEFAULTS = {
+  readProbability: 75, // % de mensajes marcados como leídos
+  typingSpeed: 80 // ms por carácter
+};
+
+const TIMING = {
+  readDelay: [1000, 3000], // Tiempo en "ver la notificación"
+  typing: [2000, 8000], // Límites de "escribiendo..." para texto
+  recording: [3000, 10000], // "grabando audio..." (aleatorio)
+  offlineDelay: [10000, 15000], // Desconectarse tras responder
+  recentReadWindow: 5000 // Si se leyó hace poco, casi seguro se vuelve a leer
+};
+
+const RECENT_READ_PROBABILITY = 95;
+
+// Último read por chat (caché volátil, se pierde al reiniciar - aceptable)
+const recentReads = new NodeCache({
+  stdTTL: 60,
+  checkperiod: 60,
+  useClones: false
+});
+
+// Timers de "desconectarse" pendientes por instancia
+const offlineTimers = new Map();
+
+/**
+ * Número aleatorio entero entre min y max (inclusive)
+ */
+function randomBetween(min, max) {
+  return Math.floor(min + Math.random() * (max - min + 1));
+}
+
+/**
+ * Indica si el cliente tiene activado el comportamiento natural (flag natural_behavior)
+ * @param {Object} client - Cliente de clients_details
+ * @returns {boolean}
+ */
+function isEnabled(client) {
+  return client?.whatsapp_provider === 'evolution' && isFeatureEnabled(client, 'natural_behavior');
+}
+
+/**
+ * Decide si marcar como leído un mensaje entrante
+ * @param {Object} client - Cliente (read_probability opcional, 0-100)
+ * @param {string} remoteJid - JID del chat
+ * @returns {boolean}
+ */
+function shouldMarkAsRead(client, remoteJid) {
+  const lastRead = recentReads.get(`${client.instance_name}:${remoteJid}`);
+  const probability = lastRead && Date.now() - lastRead < TIMING.recentReadWindow
+    ? RECENT_READ_PROBABILITY
+    : client.read_probability ?? DEFAULTS.readProbability;
+
+  return Math.random() * 100 < probability;
+}
+
+/**
+ * Calcula cuánto dura el "escribiendo..." / "grabando..."
+ * @param {string} text - Texto a enviar
+ * @param {string} messageType - 'text' | 'audio'
+ * @param {number} typingSpeed - ms por carácter (default 80)
+ * @returns {number} Milisegundos
+ */
+function calculateTypingDelay(text, messageType = 'text', typingSpeed = DEFAULTS.typingSpeed) {
+  if (messageType === 'audio') {
+    return randomBetween(...TIMING.recording);
+  }
+
+  const [min, max] = TIMING.typing;
+  return Math.min(Math.max((text || '').length * typingSpeed, min), max);
+}
+
+/**
+ * Programa el "leído" de un mensaje entrante (si toca según la probabilidad)
+ * @param {Object} client - Cliente de clients_details
+ * @param {string} remoteJid - JID del chat
+ * @param {string} messageId - key.id del mensaje recibido
+ * @returns {boolean} true si se programó el read receipt
+ */
+function scheduleReadReceipt(client, remoteJid, messageId) {
+  if (!isEnabled(client) || !shouldMarkAsRead(client, remoteJid)) {
+    return false;
+  }
+
+  const readDelay = randomBetween(...TIMING.readDelay);
+
+  setTimeout(async () => {
+    try {
+      await evolutionAPI.setPresence(client.instance_name, client.instance_apikey, 'available');
+      await evolutionAPI.markMessageAsRead(client.instance_name, client.instance_apikey, remoteJid, messageId);
+      recentReads.set(`${client.instance_name}:${remoteJid}`, Date.now());
+
+      logger.debug('👀 Message marked as read', { instanceName: client.instance_name, messageId, readDelay });
+    } catch (error) {
+      logger.warn('Failed to mark message as read (natural behavior)', {
+        instanceName: client.instance_name,
+        messageId,
+        error: error.message
+      });
+    }
+  }, readDelay);
+
+  return true;
+}
+
+/**
+ * Muestra "escribiendo..." (o "grabando...") y espera el tiempo calculado
+ * @param {Object} client - Cliente (typing_speed opcional, ms por carácter)
+ * @param {string} number - Número WhatsApp (formato 34660722687@s.whatsapp.net)
+ * @param {string} text - Texto que se va a enviar
+ * @param {string} messageType - 'text' | 'audio'
+ * @returns {number} Milisegundos esperados
+ */
+async function simulateTyping(client, number, text, messageType = 'text') {
+  const typingDelay = calculateTypingDelay(text, messageType, client.typing_speed ?? DEFAULTS.typingSpeed);
+  const presence = messageType === 'audio' ? 'recording' : 'composing';
+
+  // Si íbamos a desconectarnos, seguimos en línea
+  cancelOffline(client.instance_name);
+
+  // La espera corre en paralelo a la llamada: si Evolution falla, igualmente se mantiene el ritmo
+  await Promise.all([
+    evolutionAPI.sendPresence(client.instance_name, client.instance_apikey, number, presence, typingDelay)
+      .catch(error => logger.warn('Failed to send presence (natural behavior)', {
+        instanceName: client.instance_name,
+        presence,
+        error: error.message
+      })),
+    new Promise(resolve => setTimeout(resolve, typingDelay))
+  ]);
+
+  return typingDelay;
+}
+
+/**
+ * Programa la desconexión de la instancia tras responder (se reinicia con cada envío)
+ * @param {Object} client - Cliente de clients_details
+ */
+function scheduleOffline(client) {
+  cancelOffline(client.instance_name);
+
+  const timer = setTimeout(async () => {
+    offlineTimers.delete(client.instance_name);
+    try {
+      await evolutionAPI.setPresence(client.instance_name, client.instance_apikey, 'unavailable');
+    } catch (error) {
+      logger.warn('Failed to set presence unavailable (natural behavior)', {
+        instanceName: client.instance_name,
+        error: error.message
+      });
+    }
+  }, randomBetween(...TIMING.offlineDelay));
+
+  offlineTimers.set(client.instance_name, timer);
+}
+
+/**
+ * Cancela la desconexión pendiente de una instancia
+ * @param {string} instanceName - Nombre de instancia
+ */
+function cancelOffline(instanceName) {
+  const timer = offlineTimers.get(instanceName);
+  if (timer) {
+    clearTimeout(timer);
+    offlineTimers.delete(instanceName);
+  }
+}
+
+/**
+ * Envía un texto mostrando antes "escribiendo..." si el cliente lo tiene activado
+ * Sin comportamiento natural equivale a evolutionAPI.sendText
+ * @param {Object} client - Cliente de clients_details
+ * @param {string} number - Número WhatsApp (formato 34660722687@s.whatsapp.net)
+ * @param {string} text - Texto a enviar
+ * @returns {Object} Respuesta de Evolution API (incluye key del mensaje enviado)
+ */
+async function sendTextWithTyping(client, number, text) {
+  if (!isEnabled(client)) {
+    return evolutionAPI.sendText(client.instance_name, client.instance_apikey, number, text);
+  }
+
+  await simulateTyping(client, number, text);
+
+  // El "escribiendo..." ya se mostró: Evolution no debe esperar otra vez
+  const sent = await evolutionAPI.sendText(client.instance_name, client.instance_apikey, number, text, { delay: 0 });
+  scheduleOffline(client);
+
+  return sent;
+}
+
+module.exports = {
+  isEnabled,
+  shouldMarkAsRead,
+  calculateTypingDelay,
+  scheduleReadReceipt,
+  simulateTyping,
+  scheduleOffline,
+  cancelOffline,
+  sendTextWithTyping
+};
@@ -4,39 +4,59 @@ const config = require('../config');
 const logger = require('../utils/logger');
 const { withRetry } = require('../utils/retry');
 
+// Modelos por defecto en OpenAI (los endpoints locales usan LOCAL_*_MODEL, ver services/aiProvider.js)
+const DEFAULT_MODELS = {
+  transcription: 'whisper-1',
+  vision: 'gpt-4o-mini'
+};
+
+const DEFAULT_VISION_PROMPT = 'Describe la imagen en una sola linea y texto sin formato. Nunca uses comillas dobles "", mejor usa parentesis () ya que se usará dentro de un JSON.';
+
 const openai = new OpenAI({ apiKey: config.OPENAI_API_KEY });
 
-async function transcribeAudio(base64Audio, mimeType) {
+/**
+ * Transcribe audio con la API de transcripciones (OpenAI o compatible)
+ * @param {Object} options - { sdk?: cliente OpenAI (default OpenAI global), model?, language?: ISO-639-1 (sin él autodetecta) }
+ */
+async function transcribeAudio(base64Audio, mimeType, options = {}) {
+  const { sdk = openai, model = DEFAULT_MODELS.transcription, language } = options;
   const buffer = Buffer.from(base64Audio, 'base64');
 
   // Usar toFile de OpenAI para crear un file-like object compatible con Node.js
   const file = await toFile(buffer, 'audio.ogg', { type: mimeType });
 
   const response = await withRetry(() =>
-    openai.audio.transcriptions.create({
+    sdk.audio.transcriptions.create({
       file,
-      model: 'whisper-1'
+      model,
+      ...(language && { language })
     })
   );
 
   return response.text;
 }
 
-async function analyzeImage(base64Image) {
+/**
+ * Describe una imagen con chat completions + image_url (OpenAI o compatible: vLLM, Ollama...)
+ * @param {Object} options - { sdk?: cliente OpenAI (default OpenAI global), model?, mimeType?, prompt? }
+ */
+async function analyzeImage(base64Image, options = {}) {
+  const { sdk = openai, model = DEFAULT_MODELS.vision, mimeType = 'image/jpeg', prompt = DEFAULT_VISION_PROMPT } = options;
+
   const response = await withRetry(() =>
-    openai.chat.completions.create({
-      model: 'gpt-4o-mini',
+    sdk.chat.completions.create({
+      model,
       messages: [{
         role: 'user',
         content: [
           {
             type: 'text',
-            text: 'Describe la imagen en una sola linea y texto sin formato. Nunca uses comillas dobles "", mejor usa parentesis () ya que se usará dentro de un JSON.'
+            text: prompt
           },
           {
             type: 'image_url',
             image_url: {
-              url: `data:image/jpeg;base64,${base64Image}`
+              url: `data:${mimeType};base64,${base64Image}`
             }
           }
         ]
@@ -54,5 +74,6 @@ async function analyzeImage(base64Image) {
 
 module.exports = {
   transcribeAudio,
-  analyzeImage
-};
\ No newline at end of file
+  analyzeImage,
+  DEFAULT_MODELS
+};
@@ -0,0 +1,131 @@
+/**
+ * Queue Store - Persistencia append-only de colas por instancia
+ * Cada cambio añade una línea JSON con el snapshot de la cola de una instancia.
+ * Al arrancar se reproduce el fichero (la última línea de cada instancia gana)
+ * y se compacta para que no crezca indefinidamente.
+ * Usado por la cola de reintentos (messageCache) y la dead-letter (deadLetter).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * Crea un store independiente (un fichero por store)
+ * @param {string} name - Nombre para logs (ej: 'message queue', 'dead letter')
+ * @returns {Object} { init, persistQueue, isEnabled }
+ */
+function createQueueStore(name) {
+  // Ruta del fichero (null = persistencia desactivada, solo memoria)
+  let filePath = null;
+
+  /**
+   * Activa la persistencia y carga el estado guardado
+   * @param {string} file - Ruta del fichero JSONL
+   * @returns {Object} Estado restaurado { instanceName: queue[] }
+   */
+  function init(file) {
+    filePath = path.resolve(file);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    const state = load();
+    compact(state);
+
+    logger.info(`💾 ${name} persistence enabled`, {
+      file: filePath,
+      instancesRestored: Object.keys(state).length
+    });
+
+    return state;
+  }
+
+  /**
+   * Lee el fichero y reconstruye el estado (última línea por instancia)
+   * Las líneas corruptas (ej: escritura cortada por un crash) se ignoran
+   * @returns {Object} { instanceName: queue[] }
+   */
+  function load() {
+    if (!fs.existsSync(filePath)) {
+      return {};
+    }
+
+    const state = {};
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+
+    lines.forEach((line, index) => {
+      if (!line.trim()) return;
+
+      try {
+        const entry = JSON.parse(line);
+        state[entry.instanceName] = entry.queue || [];
+      } catch (error) {
+        logger.warn(`Skipping corrupted line in ${name} file`, {
+          file: filePath,
+          line: index + 1,
+          error: error.message
+        });
+      }
+    });
+
+    // Descartar instancias sin mensajes pendientes
+    Object.keys(state).forEach(instanceName => {
+      if (state[instanceName].length === 0) {
+        delete state[instanceName];
+      }
+    });
+
+    return state;
+  }
+
+  /**
+   * Reescribe el fichero con una línea por instancia (escritura atómica)
+   * @param {Object} state - { instanceName: queue[] }
+   */
+  function compact(state) {
+    const tmpPath = `${filePath}.tmp`;
+    const content = Object.entries(state)
+      .map(([instanceName, queue]) => JSON.stringify({ instanceName, queue, at: Date.now() }))
+      .join('\n');
+
+    fs.writeFileSync(tmpPath, content ? `${content}\n` : '');
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  /**
+   * Guarda el snapshot de la cola de una instancia (no-op si no está activada)
+   * @param {string} instanceName - Nombre de instancia
+   * @param {Array} queue - Cola completa de la instancia ([] si se vació)
+   */
+  function persistQueue(instanceName, queue) {
+    if (!filePath) return;
+
+    try {
+      fs.appendFileSync(filePath, JSON.stringify({ instanceName, queue, at: Date.now() }) + '\n');
+    } catch (error) {
+      // No romper el flujo: la cola en memoria sigue funcionando
+      logger.error(`Failed to persist ${name}`, {
+        instanceName,
+        file: filePath,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Indica si la persistencia está activada
+   * @returns {boolean}
+   */
+  function isEnabled() {
+    return filePath !== null;
+  }
+
+  return {
+    init,
+    persistQueue,
+    isEnabled
+  };
+}
+
+module.exports = {
+  createQueueStore
+};
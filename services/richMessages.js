@@ -0,0 +1,280 @@
+/**
+ * Rich Messages Service - Ubicaciones, tarjetas de contacto y stickers de WhatsApp desde GHL/Flowise
+ *
+ * Markup en el texto saliente (uno o varios bloques, opcionalmente entre ```):
+ *   [location: 40.4168, -3.7038 | Oficina Madrid | Calle Mayor 1]   (alias [ubicacion: ...])
+ *   [contact: Ana García | +34 660 722 687 | Pabs Inmobiliaria | ana@pabs.ai]   (alias [contacto: ...])
+ *   [sticker: https://cdn.example.com/gracias.webp]
+ * El resto del texto se envía antes como mensaje normal, y después cada bloque en su orden
+ *
+ * También se aceptan como payload estructurado (campos location/contact/sticker del webhook de GHL
+ * o del JSON de Flowise), que se convierte al mismo markup con payloadToMarkup
+ */
+
+const logger = require('../utils/logger');
+const evolutionAPI = require('./evolution');
+
+const MARKUP_REGEX = /(?:```\s*)?\[(location|ubicaci[oó]n|contact|contacto|sticker)\s*:\s*([^\]\n]+)\](?:\s*```)?/i;
+const MARKUP_REGEX_ALL = new RegExp(MARKUP_REGEX.source, 'gi');
+
+const TYPE_ALIASES = {
+  location: 'location',
+  ubicacion: 'location',
+  'ubicación': 'location',
+  contact: 'contact',
+  contacto: 'contact',
+  sticker: 'sticker'
+};
+
+// Campos del payload estructurado (inglés o español, igual que el markup)
+const PAYLOAD_FIELDS = {
+  location: ['location', 'ubicacion'],
+  contact: ['contact', 'contacto'],
+  sticker: ['sticker']
+};
+
+function parseLocation(segments) {
+  const [coords, name = '', address = ''] = segments;
+  const [latitude, longitude] = coords.split(/[\s,]+/).filter(Boolean).map(Number);
+
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude) ||
+      Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    return null;
+  }
+
+  return { latitude, longitude, name, address };
+}
+
+function parseContact(segments) {
+  const [fullName, phone = '', ...extra] = segments;
+  const phoneNumber = phone.replace(/\D/g, '');
+
+  if (!fullName || phoneNumber.length < 6) {
+    return null;
+  }
+
+  return {
+    fullName,
+    phoneNumber,
+    organization: extra.find(value => !value.includes('@')) || '',
+    email: extra.find(value => value.includes('@')) || ''
+  };
+}
+
+function parseSticker(segments) {
+  const url = segments[0];
+  return /^https?:\/\/\S+$/i.test(url) ? { url } : null;
+}
+
+const PARSERS = {
+  location: parseLocation,
+  contact: parseContact,
+  sticker: parseSticker
+};
+
+/**
+ * Parsea un bloque de markup encontrado por MARKUP_REGEX
+ * @param {Array} match - Resultado de la regex
+ * @returns {Object|null} { type, data } o null si no es válido (se envía como texto)
+ */
+function parseMatch(match) {
+  const type = TYPE_ALIASES[match[1].toLowerCase()];
+  const segments = match[2].split('|').map(segment => segment.trim());
+  const data = PARSERS[type](segments);
+
+  if (!data) {
+    logger.warn('Invalid rich message markup - sending as text', { type, markup: match[0] });
+    return null;
+  }
+
+  return { type, data };
+}
+
+function cleanText(text) {
+  return text.replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Detecta el markup de ubicación/contacto/sticker en un texto (solo el primer bloque)
+ * @param {string} text - Texto saliente (GHL o parte de Flowise)
+ * @returns {Object|null} { type: 'location'|'contact'|'sticker', data, text: resto del texto sin markup }
+ */
+function parseRichMarkup(text) {
+  const match = typeof text === 'string' ? text.match(MARKUP_REGEX) : null;
+  const rich = match ? parseMatch(match) : null;
+  if (!rich) return null;
+
+  return { ...rich, text: cleanText(text.replace(match[0], '')) };
+}
+
+/**
+ * Detecta todos los bloques de markup de un texto
+ * (un payload de GHL puede traer a la vez location, contact y sticker: payloadToMarkup genera un bloque por campo)
+ * @param {string} text - Texto saliente
+ * @returns {Object|null} { items: [{ type, data }] (en orden), text: resto del texto sin markup }
+ *   o null si no hay ningún bloque válido
+ */
+function parseAllRichMarkup(text) {
+  if (typeof text !== 'string') return null;
+
+  const items = [];
+  let rest = text;
+
+  for (const match of text.matchAll(MARKUP_REGEX_ALL)) {
+    const rich = parseMatch(match);
+    if (!rich) continue;
+
+    items.push(rich);
+    rest = rest.replace(match[0], '');
+  }
+
+  return items.length > 0 ? { items, text: cleanText(rest) } : null;
+}
+
+/**
+ * Convierte un payload estructurado en markup
+ * location: { latitude|lat, longitude|lng, name?, address? }
+ * contact: { fullName|name, phoneNumber|phone, organization|company?, email? }
+ * sticker: 'https://...' | { url }
+ * @param {Object} payload - Body del webhook de GHL o JSON de Flowise
+ * @returns {Array<string>} Un markup por campo válido (los incompletos se descartan con un warn,
+ *   para no enviar el markup como texto al contacto)
+ */
+function payloadToMarkup(payload) {
+  if (!payload || typeof payload !== 'object') return [];
+
+  const markups = [];
+  const field = type => PAYLOAD_FIELDS[type].map(name => payload[name]).find(Boolean);
+
+  // Solo se añade si el parser del markup lo aceptaría (coordenadas, teléfono, URL)
+  const addMarkup = (type, segments, value) => {
+    if (!PARSERS[type](segments.map(segment => String(segment ?? '').trim()))) {
+      logger.warn('Invalid rich message payload - skipped', { type, value });
+      return;
+    }
+    markups.push(`[${type}: ${segments.join(' | ')}]`);
+  };
+
+  const location = field('location');
+  if (location && typeof location === 'object') {
+    const latitude = location.latitude ?? location.lat ?? '';
+    const longitude = location.longitude ?? location.lng ?? '';
+    const segments = [`${latitude}, ${longitude}`, location.name || '', location.address || ''];
+    while (!segments[segments.length - 1]) segments.pop(); // Sin nombre ni dirección: solo coordenadas
+    addMarkup('location', segments, location);
+  }
+
+  const contact = field('contact');
+  if (contact && typeof contact === 'object') {
+    // Nombre y teléfono en su posición; empresa y email opcionales detrás
+    const segments = [
+      contact.fullName || contact.name || '',
+      contact.phoneNumber || contact.phone || '',
+      ...[contact.organization || contact.company, contact.email].filter(Boolean)
+    ];
+    addMarkup('contact', segments, contact);
+  }
+
+  const sticker = field('sticker');
+  if (sticker) {
+    addMarkup('sticker', [typeof sticker === 'string' ? sticker : sticker.url || ''], sticker);
+  }
+
+  return markups;
+}
+
+/**
+ * Enlace de Google Maps para unas coordenadas
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {string}
+ */
+function getMapsUrl(latitude, longitude) {
+  return `https://www.google.com/maps?q=${latitude},${longitude}`;
+}
+
+/**
+ * Versión en texto plano (canales sin este tipo de mensaje o si el envío falla)
+ * Los stickers no tienen equivalente en texto
+ * @param {Object} rich - Resultado de parseRichMarkup
+ * @returns {string}
+ */
+function toPlainText(rich) {
+  const { type, data } = rich;
+
+  if (type === 'location') {
+    const label = [data.name, data.address].filter(Boolean).join(' - ');
+    return `📍 ${label ? label + '\n' : ''}${getMapsUrl(data.latitude, data.longitude)}`;
+  }
+
+  if (type === 'contact') {
+    return [
+      `👤 ${data.fullName}`,
+      `📞 +${data.phoneNumber}`,
+      data.organization && `🏢 ${data.organization}`,
+      data.email && `✉️ ${data.email}`
+    ].filter(Boolean).join('\n');
+  }
+
+  return '';
+}
+
+/**
+ * Sustituye el markup por su versión en texto plano (sin markup devuelve el texto tal cual)
+ * @param {string} text
+ * @returns {string}
+ */
+function stripRichMarkup(text) {
+  const rich = parseAllRichMarkup(text);
+  if (!rich) return text;
+
+  return [rich.text, ...rich.items.map(toPlainText)].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Envía la ubicación, tarjeta de contacto o sticker por Evolution API (el texto lo envía el llamante)
+ * Si Evolution rechaza ubicación o contacto se envía su versión en texto; un sticker fallido se omite
+ * @param {string} instanceName - Nombre de instancia
+ * @param {string} apiKey - API key de la instancia
+ * @param {string} number - Número WhatsApp (formato 34660722687@s.whatsapp.net o JID de grupo)
+ * @param {Object} rich - { type, data } (parseRichMarkup o un item de parseAllRichMarkup)
+ * @returns {Object|null} Respuesta de Evolution API (incluye key del mensaje enviado)
+ */
+async function sendRichMessage(instanceName, apiKey, number, rich) {
+  const { type, data } = rich;
+
+  try {
+    let sent;
+
+    if (type === 'location') {
+      sent = await evolutionAPI.sendLocation(instanceName, apiKey, number, data);
+    } else if (type === 'contact') {
+      sent = await evolutionAPI.sendContact(instanceName, apiKey, number, [data]);
+    } else {
+      sent = await evolutionAPI.sendSticker(instanceName, apiKey, number, data.url);
+    }
+
+    logger.info('📍 Rich message sent', { instanceName, type });
+    return sent;
+  } catch (error) {
+    logger.warn('Rich message rejected - sending plain text instead', {
+      instanceName,
+      type,
+      error: error.message,
+      status: error.response?.status
+    });
+
+    const plainText = toPlainText(rich);
+    return plainText ? evolutionAPI.sendText(instanceName, apiKey, number, plainText) : null;
+  }
+}
+
+module.exports = {
+  parseRichMarkup,
+  parseAllRichMarkup,
+  payloadToMarkup,
+  toPlainText,
+  stripRichMarkup,
+  getMapsUrl,
+  sendRichMessage
+};
@@ -0,0 +1,228 @@
+/**
+ * Shared Data Service - Tarjetas de contacto (vCard) y ubicaciones que envían los contactos por WhatsApp
+ * - vCard: nombre, teléfonos, emails y empresa de contactMessage / contactsArrayMessage
+ * - Referidos (opt-in, flag referral_contacts): cada persona compartida se crea como contacto GHL
+ *   con tags de quién la recomendó
+ * - Ubicaciones: se guardan con enlace de Google Maps en un custom field del contacto
+ *   (clients_details.location_field o GHL_LOCATION_FIELD)
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const ghlAPI = require('./ghl');
+const { getMapsUrl } = require('./richMessages');
+const { isFeatureEnabled } = require('./featureFlags');
+
+const REFERRAL_TAG = 'referido';
+const MAX_TAG_LENGTH = 50;
+
+/**
+ * Quita los escapes de vCard (\, \; \n)
+ */
+function unescapeValue(value) {
+  return value
+    .replace(/\\n/gi, ' ')
+    .replace(/\\([,;\\])/g, '$1')
+    .trim();
+}
+
+/**
+ * Parsea un vCard (2.1/3.0/4.0, el formato que envía WhatsApp)
+ * @param {string} vcard - Texto del vCard
+ * @returns {Object} { name, phones: ['+34660722687'], emails, organization }
+ */
+function parseVCard(vcard) {
+  const result = { name: '', phones: [], emails: [], organization: '' };
+  if (typeof vcard !== 'string') return result;
+
+  // Las líneas largas continúan en la siguiente empezando por espacio o tabulador
+  const lines = vcard.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  let structuredName = '';
+
+  for (const line of lines) {
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    // "item1.TEL;type=CELL;waid=34660722687" → property TEL, params
+    const [property, ...params] = line.substring(0, separator).split(';');
+    const field = property.replace(/^[^.]+\./, '').toUpperCase();
+    const value = line.substring(separator + 1).trim();
+
+    if (field === 'FN') {
+      result.name = unescapeValue(value);
+    } else if (field === 'N') {
+      const [family = '', given = ''] = value.split(';').map(unescapeValue);
+      structuredName = [given, family].filter(Boolean).join(' ');
+    } else if (field === 'TEL') {
+      // waid = número de WhatsApp sin formato; si no, el valor tal cual (con + si es internacional)
+      const waid = params.map(param => param.match(/^waid=(\d+)$/i)?.[1]).find(Boolean);
+      const digits = value.replace(/\D/g, '');
+      const phone = waid ? `+${waid}` : (value.startsWith('+') ? `+${digits}` : digits);
+
+      if (phone.replace('+', '').length >= 6 && !result.phones.includes(phone)) {
+        result.phones.push(phone);
+      }
+    } else if (field === 'EMAIL' && value.includes('@')) {
+      result.emails.push(unescapeValue(value));
+    } else if (field === 'ORG') {
+      result.organization = unescapeValue(value.split(';')[0]);
+    }
+  }
+
+  result.name = result.name || structuredName;
+  return result;
+}
+
+/**
+ * Contactos compartidos en un mensaje de WhatsApp (uno o varios)
+ * @param {Object} message - messageData.message del webhook de Evolution
+ * @returns {Array<Object>} [{ name, phones, emails, organization }]
+ */
+function parseSharedContacts(message) {
+  const cards = message?.contactMessage
+    ? [message.contactMessage]
+    : (message?.contactsArrayMessage?.contacts || []);
+
+  return cards.map(card => {
+    const contact = parseVCard(card.vcard);
+    return { ...contact, name: contact.name || card.displayName || '' };
+  });
+}
+
+/**
+ * Texto de un contacto compartido para registrar en GHL ("Ana García (+34660722687, ana@pabs.ai)")
+ * @param {Object} contact - Resultado de parseVCard
+ * @returns {string}
+ */
+function formatSharedContact(contact) {
+  const details = [...contact.phones, ...contact.emails];
+  const name = contact.name || contact.phones[0] || '';
+  return details.length > 0 && name !== details[0] ? `${name} (${details.join(', ')})` : name;
+}
+
+/**
+ * Valor del custom field de ubicación ("Oficina Madrid - Calle Mayor 1 https://www.google.com/maps?q=...")
+ * @param {Object} location - { latitude, longitude, name?, address? }
+ * @returns {string}
+ */
+function formatLocationValue(location) {
+  const label = [location.name, location.address].filter(Boolean).join(' - ');
+  return [label, getMapsUrl(location.latitude, location.longitude)].filter(Boolean).join(' ');
+}
+
+/**
+ * Guarda la ubicación en el custom field configurado del contacto (no crítico: solo loguea si falla)
+ * @param {Object} client - Cliente de clients_details
+ * @param {string} contactId - Contacto GHL que envió la ubicación
+ * @param {Object} location - { latitude, longitude, name?, address? }
+ * @returns {Promise<boolean>} true si se guardó
+ */
+async function saveLocation(client, contactId, location) {
+  const field = client.location_field || config.GHL_LOCATION_FIELD;
+  if (!field || location.latitude == null || location.longitude == null) return false;
+
+  const field_value = formatLocationValue(location);
+  // 'contact.xxx' es la key del campo; cualquier otro valor se trata como su id
+  const customField = field.startsWith('contact.') ? { key: field, field_value } : { id: field, field_value };
+
+  try {
+    await ghlAPI.updateContact(client, contactId, { customFields: [customField] });
+    logger.info('📍 Location stored in GHL contact', { locationId: client.location_id, contactId, field });
+    return true;
+  } catch (error) {
+    logger.warn('Failed to store location in GHL contact', {
+      locationId: client.location_id,
+      contactId,
+      field,
+      error: error.message,
+      status: error.response?.status
+    });
+    return false;
+  }
+}
+
+/**
+ * Tag de GHL a partir de un texto ("Ana García" → "ana-garcia")
+ */
+function slugify(text) {
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Tags de un contacto referido: 'referido' y 'referido-por-<quien lo compartió>'
+ * @param {Object} referrer - { name, phone } del contacto que comparte
+ * @returns {Array<string>}
+ */
+function getReferralTags(referrer) {
+  const slug = slugify(referrer.name || referrer.phone || '');
+  const referrerTag = `${REFERRAL_TAG}-por-${slug}`.substring(0, MAX_TAG_LENGTH).replace(/-+$/, '');
+  return slug ? [REFERRAL_TAG, referrerTag] : [REFERRAL_TAG];
+}
+
+/**
+ * Crea en GHL las personas compartidas que aún no existen (solo con el flag referral_contacts)
+ * Los contactos que ya existen no se tocan; los errores solo se loguean
+ * @param {Object} client - Cliente de clients_details
+ * @param {Object} referrer - { contactId, name, phone } del contacto que comparte
+ * @param {Array<Object>} contacts - Resultado de parseSharedContacts
+ * @returns {Promise<Array<string>>} IDs de los contactos creados
+ */
+async function createReferredContacts(client, referrer, contacts) {
+  if (!isFeatureEnabled(client, 'referral_contacts')) return [];
+
+  const tags = getReferralTags(referrer);
+  const created = [];
+
+  for (const contact of contacts) {
+    const phone = contact.phones[0];
+    if (!phone) continue;
+
+    try {
+      const existing = await ghlAPI.searchContact(client, phone);
+      if (existing.total > 0) {
+        logger.info('Referred contact already exists - skipping', { locationId: client.location_id, phone });
+        continue;
+      }
+
+      const extra = { tags, source: 'WhatsApp referral' };
+      if (contact.emails[0]) extra.email = contact.emails[0];
+      if (contact.organization) extra.companyName = contact.organization;
+
+      const newContact = await ghlAPI.createContact(client, contact.name, phone, extra);
+      created.push(newContact.id);
+
+      logger.info('👥 Referred contact created', {
+        locationId: client.location_id,
+        contactId: newContact.id,
+        referrerContactId: referrer.contactId,
+        tags
+      });
+    } catch (error) {
+      // GHL rechaza duplicados con 400 aunque la búsqueda no los encontrara (otro formato de teléfono)
+      logger.warn('Failed to create referred contact', {
+        locationId: client.location_id,
+        phone,
+        referrerContactId: referrer.contactId,
+        error: error.message,
+        status: error.response?.status
+      });
+    }
+  }
+
+  return created;
+}
+
+module.exports = {
+  parseVCard,
+  parseSharedContacts,
+  formatSharedContact,
+  formatLocationValue,
+  saveLocation,
+  getReferralTags,
+  createReferredContacts
+};
@@ -0,0 +1,305 @@
+/**
+ * Storage Service - Estado compartido entre réplicas del servidor
+ * - Sin REDIS_URL: en memoria (NodeCache), una sola réplica como hasta ahora
+ * - Con REDIS_URL: Redis, todas las réplicas ven los mismos caches, colas, buffers y timers
+ *
+ * createStore(namespace) devuelve un store clave/valor con TTL (valores JSON) y listas append-only;
+ * acquireLock/releaseLock son locks distribuidos con expiración (SET NX PX en Redis)
+ * Todas las operaciones son async aunque el backend sea memoria
+ */
+
+const crypto = require('crypto');
+const NodeCache = require('node-cache');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Intervalo de sondeo mientras se espera un lock ocupado
+const LOCK_POLL_MS = 50;
+
+// Libera el lock solo si sigue siendo nuestro (otro proceso pudo tomarlo tras expirar)
+const RELEASE_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0`;
+
+let redisClient = null;
+
+/**
+ * Cliente de Redis compartido (se crea en el primer uso)
+ * @returns {Object|null} Cliente ioredis o null si no hay REDIS_URL
+ */
+function getRedis() {
+  if (!config.REDIS_URL) return null;
+
+  if (!redisClient) {
+    const Redis = require('ioredis');
+    redisClient = new Redis(config.REDIS_URL, { maxRetriesPerRequest: 3 });
+
+    redisClient.on('error', (error) => {
+      logger.error('Redis connection error', { error: error.message });
+    });
+    redisClient.on('ready', () => {
+      logger.info('🧱 Redis storage connected');
+    });
+  }
+
+  return redisClient;
+}
+
+/**
+ * Backend activo
+ * @returns {string} 'redis' | 'memory'
+ */
+function getBackendName() {
+  return config.REDIS_URL ? 'redis' : 'memory';
+}
+
+/**
+ * Indica si el estado se comparte entre réplicas (Redis)
+ * @returns {boolean}
+ */
+function isShared() {
+  return getBackendName() === 'redis';
+}
+
+// ============================================================================
+// BACKEND EN MEMORIA
+// ============================================================================
+
+const memoryLocks = new Map(); // name → { token, expiresAt }
+
+function createMemoryStore(namespace, { ttlSeconds, checkPeriod, onExpired }) {
+  // useClones: mismo comportamiento que Redis (los valores se copian, no se comparten referencias)
+  const cache = new NodeCache({ stdTTL: ttlSeconds, checkperiod: checkPeriod, useClones: true });
+
+  if (onExpired) {
+    cache.on('expired', (key) => onExpired(key));
+  }
+
+  return {
+    async get(key) {
+      return cache.get(key);
+    },
+    async set(key, value, ttl = ttlSeconds) {
+      cache.set(key, value, ttl);
+    },
+    async add(key, value, ttl = ttlSeconds) {
+      if (cache.has(key)) return false;
+      cache.set(key, value, ttl);
+      return true;
+    },
+    async del(key) {
+      cache.del(key);
+    },
+    async keys() {
+      return cache.keys();
+    },
+    async flush() {
+      const count = cache.keys().length;
+      cache.flushAll();
+      return count;
+    },
+    async push(key, value, ttl = ttlSeconds) {
+      const list = cache.get(key) || [];
+      list.push(value);
+      cache.set(key, list, ttl);
+      return list.length;
+    },
+    async getList(key) {
+      return cache.get(key) || [];
+    },
+    async setList(key, values, ttl = ttlSeconds) {
+      cache.set(key, values, ttl);
+    },
+    async trimList(key, count) {
+      const list = cache.get(key) || [];
+      if (list.length <= count) {
+        cache.del(key);
+        return;
+      }
+
+      // Conserva el TTL restante, como LTRIM
+      const expiresAt = cache.getTtl(key);
+      const ttl = expiresAt ? Math.max(Math.ceil((expiresAt - Date.now()) / 1000), 1) : 0;
+      cache.set(key, list.slice(count), ttl);
+    }
+  };
+}
+
+// ============================================================================
+// BACKEND REDIS
+// ============================================================================
+
+function createRedisStore(namespace, { ttlSeconds }) {
+  const prefix = `${config.REDIS_KEY_PREFIX}${namespace}:`;
+  const withTtl = (ttl) => (ttl > 0 ? ['EX', ttl] : []);
+
+  return {
+    async get(key) {
+      const value = await getRedis().get(prefix + key);
+      return value === null ? undefined : JSON.parse(value);
+    },
+    async set(key, value, ttl = ttlSeconds) {
+      await getRedis().set(prefix + key, JSON.stringify(value), ...withTtl(ttl));
+    },
+    async add(key, value, ttl = ttlSeconds) {
+      const result = await getRedis().set(prefix + key, JSON.stringify(value), ...withTtl(ttl), 'NX');
+      return result === 'OK';
+    },
+    async del(key) {
+      await getRedis().del(prefix + key);
+    },
+    async keys() {
+      const keys = [];
+      let cursor = '0';
+      do {
+        const [next, batch] = await getRedis().scan(cursor, 'MATCH', `${prefix}*`, 'COUNT', 200);
+        cursor = next;
+        keys.push(...batch.map(key => key.substring(prefix.length)));
+      } while (cursor !== '0');
+      return keys;
+    },
+    async flush() {
+      const keys = await this.keys();
+      if (keys.length > 0) {
+        await getRedis().del(...keys.map(key => prefix + key));
+      }
+      return keys.length;
+    },
+    async push(key, value, ttl = ttlSeconds) {
+      const pipeline = getRedis().multi().rpush(prefix + key, JSON.stringify(value));
+      if (ttl > 0) pipeline.expire(prefix + key, ttl);
+      const [[error, length]] = await pipeline.exec();
+      if (error) throw error;
+      return length;
+    },
+    async getList(key) {
+      const values = await getRedis().lrange(prefix + key, 0, -1);
+      return values.map(value => JSON.parse(value));
+    },
+    async setList(key, values, ttl = ttlSeconds) {
+      const pipeline = getRedis().multi().del(prefix + key);
+      if (values.length > 0) {
+        pipeline.rpush(prefix + key, ...values.map(value => JSON.stringify(value)));
+        if (ttl > 0) pipeline.expire(prefix + key, ttl);
+      }
+      await pipeline.exec();
+    },
+    async trimList(key, count) {
+      await getRedis().ltrim(prefix + key, count, -1);
+    }
+  };
+}
+
+// ============================================================================
+// API
+// ============================================================================
+
+/**
+ * Crea un store con namespace propio
+ * @param {string} namespace - Prefijo de las claves (ej: 'tokens', 'message-queue')
+ * @param {Object} options
+ * @param {number} options.ttlSeconds - TTL por defecto de cada clave (0 = sin expiración)
+ * @param {number} options.checkPeriod - Segundos entre limpiezas de claves expiradas (solo memoria)
+ * @param {Function} options.onExpired - (key) => void al expirar una clave (solo memoria)
+ * @returns {Object} { get, set, add, del, keys, flush, push, getList, setList, trimList } (async)
+ *   add = set solo si la clave no existe (atómico), devuelve true si la creó
+ *   trimList = quita los primeros count elementos de la lista (atómico frente a push)
+ */
+function createStore(namespace, { ttlSeconds = 3600, checkPeriod = 600, onExpired = null } = {}) {
+  return isShared()
+    ? createRedisStore(namespace, { ttlSeconds })
+    : createMemoryStore(namespace, { ttlSeconds, checkPeriod, onExpired });
+}
+
+async function tryAcquire(name, token, ttlMs) {
+  if (isShared()) {
+    const result = await getRedis().set(`${config.REDIS_KEY_PREFIX}lock:${name}`, token, 'PX', ttlMs, 'NX');
+    return result === 'OK';
+  }
+
+  const current = memoryLocks.get(name);
+  if (current && current.expiresAt > Date.now()) return false;
+
+  memoryLocks.set(name, { token, expiresAt: Date.now() + ttlMs });
+  return true;
+}
+
+/**
+ * Toma un lock distribuido
+ * @param {string} name - Nombre del lock (ej: 'restart:instancia')
+ * @param {Object} options
+ * @param {number} options.ttlMs - Expiración del lock (si el proceso muere, se libera solo)
+ * @param {number} options.waitMs - Tiempo máximo esperando a que se libere (0 = no esperar)
+ * @returns {Promise<string|null>} Token para liberarlo, o null si está ocupado
+ */
+async function acquireLock(name, { ttlMs = 30000, waitMs = 0 } = {}) {
+  const token = crypto.randomUUID();
+  const deadline = Date.now() + waitMs;
+
+  while (!(await tryAcquire(name, token, ttlMs))) {
+    if (Date.now() >= deadline) return null;
+    await new Promise(resolve => setTimeout(resolve, LOCK_POLL_MS));
+  }
+
+  return token;
+}
+
+/**
+ * Libera un lock (solo si el token coincide)
+ * @param {string} name - Nombre del lock
+ * @param {string} token - Token devuelto por acquireLock
+ * @returns {Promise<boolean>} true si se liberó
+ */
+async function releaseLock(name, token) {
+  if (isShared()) {
+    const released = await getRedis().eval(RELEASE_SCRIPT, 1, `${config.REDIS_KEY_PREFIX}lock:${name}`, token);
+    return released === 1;
+  }
+
+  if (memoryLocks.get(name)?.token !== token) return false;
+  memoryLocks.delete(name);
+  return true;
+}
+
+/**
+ * Ejecuta fn con el lock tomado y lo libera al terminar
+ * @param {string} name - Nombre del lock
+ * @param {Function} fn - async () => resultado
+ * @param {Object} options - Igual que acquireLock (default: espera hasta 5s)
+ * @returns {Promise<*>} Resultado de fn
+ * @throws Si no se consigue el lock en waitMs
+ */
+async function withLock(name, fn, { ttlMs = 30000, waitMs = 5000 } = {}) {
+  const token = await acquireLock(name, { ttlMs, waitMs });
+  if (!token) {
+    throw new Error(`Could not acquire lock: ${name}`);
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await releaseLock(name, token);
+  }
+}
+
+/**
+ * Cierra la conexión de Redis (apagado del servidor)
+ */
+async function disconnect() {
+  if (redisClient) {
+    await redisClient.quit().catch(() => {});
+    redisClient = null;
+  }
+}
+
+module.exports = {
+  createStore,
+  acquireLock,
+  releaseLock,
+  withLock,
+  getBackendName,
+  isShared,
+  disconnect
+};
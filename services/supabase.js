@@ -19,9 +19,16 @@ function cleanClient(client) {
     ghl_refresh_token: client.ghl_refresh_token?.trim(),
     langfuse_public_key: client.langfuse_public_key?.trim(),
     langfuse_secret_key: client.langfuse_secret_key?.trim(),
+    webhook_secret: client.webhook_secret?.trim() || null, // Token compartido del webhook Evolution (opcional)
     whatsapp_provider: client.whatsapp_provider?.trim() || 'evolution', // Default a 'evolution'
     // is_beta es booleano, no necesita limpieza - se preserva automáticamente
-    is_beta: client.is_beta ?? false // Fallback a false si no existe
+    is_beta: client.is_beta ?? false, // Fallback a false si no existe
+    // Sistema de IA ('flowise' | 'ghl_native') y división con LLM (ver AI_PROVIDER.md)
+    // Sin columnas (BD pre-migración) se derivan de is_beta: beta = GHL Conversation AI + splitter
+    ai_provider: client.ai_provider?.trim() || (client.is_beta ? 'ghl_native' : 'flowise'),
+    split_messages: client.split_messages ?? (client.is_beta === true && (client.whatsapp_provider?.trim() || 'evolution') === 'evolution'),
+    // Comportamiento natural (leído aleatorio + "escribiendo..."); read_probability/typing_speed opcionales
+    natural_behavior: client.natural_behavior ?? false
   };
 }
 
@@ -91,6 +98,24 @@ async function getClientByInstanceName(instanceName) {
   return cleanClient(allData[0]);
 }
 
+/**
+ * Lista todos los clientes (admin API)
+ * @returns {Array} Clientes limpiados, ordenados por location_id
+ */
+async function listClients() {
+  const { data, error } = await supabase
+    .from('clients_details')
+    .select('*')
+    .order('location_id', { ascending: true });
+
+  if (error) {
+    logger.error('Error listing clients', { error: error.message });
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return (data || []).map(cleanClient);
+}
+
 async function updateGHLTokens(locationId, accessToken, refreshToken, expiresIn) {
   const expiryDate = new Date(Date.now() + expiresIn * 1000);
 
@@ -212,10 +237,113 @@ async function getAgentConfig(locationId, agentName) {
   return config;
 }
 
+/**
+ * Busca el mapeo grupo WhatsApp ↔ contacto GHL (tabla whatsapp_groups, ver services/groups.js)
+ * @param {string} locationId - Location ID
+ * @param {Object} filter - { groupJid } o { contactId }
+ * @returns {Object|null} { location_id, group_jid, contact_id, subject } o null
+ */
+async function getWhatsAppGroup(locationId, { groupJid, contactId }) {
+  const column = groupJid ? 'group_jid' : 'contact_id';
+
+  const { data, error } = await supabase
+    .from('whatsapp_groups')
+    .select('*')
+    .eq('location_id', locationId)
+    .eq(column, groupJid || contactId);
+
+  if (error) {
+    logger.error('Error querying WhatsApp group', { locationId, groupJid, contactId, error: error.message });
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data?.[0] || null;
+}
+
+/**
+ * Guarda (o actualiza) el mapeo grupo WhatsApp ↔ contacto GHL
+ * @param {Object} group - { location_id, group_jid, contact_id, subject }
+ */
+async function saveWhatsAppGroup(group) {
+  const { data, error } = await supabase
+    .from('whatsapp_groups')
+    .upsert({
+      ...group,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'location_id,group_jid' })
+    .select();
+
+  if (error) {
+    logger.error('Error saving WhatsApp group', { ...group, error: error.message });
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data?.[0] || group;
+}
+
+/**
+ * Definiciones globales de feature flags (tabla feature_flags, ver services/featureFlags.js)
+ * @returns {Array} [{ name, enabled, rollout_percentage, description }]
+ */
+async function getFeatureFlagDefinitions() {
+  const { data, error } = await supabase
+    .from('feature_flags')
+    .select('*');
+
+  if (error) {
+    logger.error('Error querying feature flags', { error: error.message });
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+/**
+ * Sube un archivo al bucket público de media y devuelve su URL pública
+ * (GHL necesita una URL accesible para mostrar adjuntos en la conversación)
+ * @param {string} filePath - Ruta dentro del bucket (ej: "locationId/messageId.ogg")
+ * @param {Buffer} buffer - Contenido del archivo
+ * @param {string} contentType - Tipo MIME del archivo
+ * @returns {Promise<string>} URL pública del archivo
+ */
+async function uploadMedia(filePath, buffer, contentType) {
+  const bucket = supabase.storage.from(config.SUPABASE_MEDIA_BUCKET);
+
+  const { error } = await bucket.upload(filePath, buffer, {
+    contentType,
+    upsert: true
+  });
+
+  if (error) {
+    logger.error('Error uploading media to storage', {
+      bucket: config.SUPABASE_MEDIA_BUCKET,
+      filePath,
+      error: error.message
+    });
+    throw new Error(`Storage error: ${error.message}`);
+  }
+
+  const { data } = bucket.getPublicUrl(filePath);
+
+  logger.info('Media uploaded to storage', {
+    bucket: config.SUPABASE_MEDIA_BUCKET,
+    filePath,
+    size: buffer.length
+  });
+
+  return data.publicUrl;
+}
+
 module.exports = {
+  cleanClient,
   getClientByLocationId,
   getClientByInstanceName,
+  listClients,
   updateGHLTokens,
   updateClient,
-  getAgentConfig
+  getAgentConfig,
+  getFeatureFlagDefinitions,
+  getWhatsAppGroup,
+  saveWhatsAppGroup,
+  uploadMedia
 };
\ No newline at end of file
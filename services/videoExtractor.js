@@ -0,0 +1,155 @@
+/**
+ * Video Extractor Service - Pista de audio y fotogramas de vídeos recibidos (ffmpeg local)
+ * Solo extrae: la transcripción y la descripción las hace mediaHelper con el proveedor de IA del cliente
+ *
+ * Requiere el binario de ffmpeg (FFMPEG_PATH, en Docker se instala con apk)
+ * Límites: VIDEO_MAX_SIZE_MB, VIDEO_MAX_DURATION_SECONDS, VIDEO_KEYFRAMES (config.js)
+ * y un plazo total (deadline) que comparten todas las llamadas a ffmpeg
+ */
+
+const { execFile } = require('child_process');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const FFMPEG_TIMEOUT_MS = 60000;
+const FRAME_WIDTH = 480; // Ancho de cada fotograma en el mosaico
+
+/**
+ * Ejecuta ffmpeg y devuelve su stderr (ffmpeg escribe ahí la información del archivo)
+ * @param {Array<string>} args - Argumentos de ffmpeg
+ * @param {boolean} allowFailure - No lanzar si termina con código distinto de 0 (sondeo con -i)
+ * @param {number} deadline - Timestamp límite (la ejecución se corta al llegar, como mucho FFMPEG_TIMEOUT_MS)
+ * @returns {Promise<string>} stderr
+ */
+function runFfmpeg(args, allowFailure = false, deadline = Infinity) {
+  const timeout = Math.min(FFMPEG_TIMEOUT_MS, deadline - Date.now());
+  if (timeout <= 0) {
+    return Promise.reject(limitError('FFMPEG_TIMEOUT', 'ffmpeg failed: video processing time limit reached'));
+  }
+
+  return new Promise((resolve, reject) => {
+    execFile(config.FFMPEG_PATH, ['-hide_banner', ...args], {
+      timeout,
+      maxBuffer: 1024 * 1024
+    }, (error, stdout, stderr) => {
+      // ENOENT (ffmpeg no instalado) y timeouts siempre son error
+      if (error && (!allowFailure || typeof error.code !== 'number')) {
+        if (error.killed && error.code == null) {
+          error.code = 'FFMPEG_TIMEOUT';
+        }
+        error.message = `ffmpeg failed: ${error.message}`;
+        return reject(error);
+      }
+      resolve(stderr || '');
+    });
+  });
+}
+
+/**
+ * Duración y pistas del vídeo a partir de la salida de `ffmpeg -i`
+ * @param {string} output - stderr de ffmpeg
+ * @returns {Object} { duration: segundos (0 si se desconoce), hasAudio, hasVideo }
+ */
+function parseProbeOutput(output) {
+  const match = output.match(/Duration:\s*(\d+):(\d{2}):(\d{2}(?:\.\d+)?)/);
+  const duration = match ? Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]) : 0;
+
+  return {
+    duration,
+    hasAudio: /Stream #.*Audio:/.test(output),
+    // Las carátulas (attached pic) de algunos audios no cuentan como vídeo
+    hasVideo: output.split('\n').some(line => /Stream #.*Video:/.test(line) && !line.includes('attached pic'))
+  };
+}
+
+/**
+ * Crea un error con código para que el llamante distinga límites de fallos
+ */
+function limitError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Extrae el audio (mp3 mono 16kHz, suficiente para Whisper) y un mosaico con VIDEO_KEYFRAMES fotogramas
+ * repartidos a lo largo del vídeo (una sola imagen = una sola llamada de Vision)
+ * Si el contenedor no indica la duración (Duration: N/A) se mide en el audio extraído
+ * (cortado en VIDEO_MAX_DURATION_SECONDS) antes de devolverlo para transcribir
+ * @param {Buffer} buffer - Vídeo
+ * @param {Object} options
+ * @param {number} options.deadline - Timestamp límite para todo el proceso (default: sin límite propio)
+ * @returns {Promise<Object>} { duration, audio: base64|null, frames: base64 jpeg|null, frameCount }
+ *   Lanza con code VIDEO_TOO_LARGE / VIDEO_TOO_LONG si supera los límites (o la duración no se puede medir)
+ *   y FFMPEG_TIMEOUT si se agota el plazo
+ */
+async function extractVideoMedia(buffer, { deadline = Infinity } = {}) {
+  const maxBytes = config.VIDEO_MAX_SIZE_MB * 1024 * 1024;
+  if (buffer.length > maxBytes) {
+    throw limitError('VIDEO_TOO_LARGE', `Video exceeds ${config.VIDEO_MAX_SIZE_MB}MB`);
+  }
+
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'wa-video-'));
+  const inputPath = path.join(workDir, 'input');
+  const audioPath = path.join(workDir, 'audio.mp3');
+  const framesPath = path.join(workDir, 'frames.jpg');
+
+  try {
+    await fs.writeFile(inputPath, buffer);
+
+    const maxDuration = config.VIDEO_MAX_DURATION_SECONDS;
+    const probe = parseProbeOutput(await runFfmpeg(['-i', inputPath], true, deadline));
+    if (probe.duration > maxDuration) {
+      throw limitError('VIDEO_TOO_LONG', `Video exceeds ${maxDuration}s (${Math.round(probe.duration)}s)`);
+    }
+
+    let audio = null;
+    if (probe.hasAudio) {
+      // -t: sin duración conocida, nunca se extrae (ni se transcribe) más que el límite
+      await runFfmpeg(['-y', '-i', inputPath, '-vn', '-t', String(maxDuration + 1), '-ac', '1', '-ar', '16000', '-b:a', '48k', audioPath], false, deadline);
+
+      if (!probe.duration) {
+        probe.duration = parseProbeOutput(await runFfmpeg(['-i', audioPath], true, deadline)).duration;
+        if (!probe.duration || probe.duration > maxDuration) {
+          throw limitError('VIDEO_TOO_LONG', `Video exceeds ${maxDuration}s or its duration is unknown`);
+        }
+      }
+
+      audio = (await fs.readFile(audioPath)).toString('base64');
+    }
+
+    let frames = null;
+    const frameCount = probe.hasVideo ? config.VIDEO_KEYFRAMES : 0;
+    if (frameCount > 0) {
+      // fps = N/duración reparte los N fotogramas por todo el vídeo; tile los une en una fila
+      const fps = probe.duration > 0 ? `${frameCount}/${probe.duration.toFixed(2)}` : '1';
+      await runFfmpeg([
+        '-y', '-i', inputPath,
+        '-vf', `fps=${fps},scale=${FRAME_WIDTH}:-2,tile=${frameCount}x1`,
+        '-frames:v', '1', '-q:v', '5',
+        framesPath
+      ], false, deadline);
+      frames = (await fs.readFile(framesPath)).toString('base64');
+    }
+
+    logger.info('🎞️ Video media extracted', {
+      duration: probe.duration,
+      size: buffer.length,
+      hasAudio: !!audio,
+      frameCount
+    });
+
+    return { duration: probe.duration, audio, frames, frameCount };
+
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+module.exports = {
+  extractVideoMedia,
+  parseProbeOutput
+};
@@ -0,0 +1,64 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const config = require('../../config');
+const { validateAdminApiKey } = require('../../utils/adminAuth');
+
+describe('Admin Authentication', () => {
+  let req, res, next;
+  const originalKey = config.ADMIN_API_KEY;
+
+  beforeEach(() => {
+    config.ADMIN_API_KEY = 'admin-secret';
+    req = {
+      headers: {},
+      ip: '127.0.0.1',
+      originalUrl: '/admin/stats',
+      get: (name) => req.headers[name.toLowerCase()]
+    };
+    res = {
+      status: sinon.stub().returnsThis(),
+      json: sinon.stub()
+    };
+    next = sinon.stub();
+  });
+
+  afterEach(() => {
+    config.ADMIN_API_KEY = originalKey;
+    sinon.restore();
+  });
+
+  it('should accept x-admin-key header', () => {
+    req.headers['x-admin-key'] = 'admin-secret';
+
+    validateAdminApiKey(req, res, next);
+
+    expect(next.calledOnce).to.be.true;
+  });
+
+  it('should accept Authorization Bearer header', () => {
+    req.headers.authorization = 'Bearer admin-secret';
+
+    validateAdminApiKey(req, res, next);
+
+    expect(next.calledOnce).to.be.true;
+  });
+
+  it('should reject invalid or missing key', () => {
+    req.headers['x-admin-key'] = 'wrong';
+
+    validateAdminApiKey(req, res, next);
+
+    expect(res.status.calledWith(401)).to.be.true;
+    expect(next.called).to.be.false;
+  });
+
+  it('should disable admin API when no key is configured', () => {
+    config.ADMIN_API_KEY = undefined;
+    req.headers['x-admin-key'] = 'admin-secret';
+
+    validateAdminApiKey(req, res, next);
+
+    expect(res.status.calledWith(503)).to.be.true;
+    expect(next.called).to.be.false;
+  });
+});
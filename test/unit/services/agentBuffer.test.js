@@ -1,11 +1,18 @@
 const { expect } = require('chai');
 const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const {
   pushMessage,
   getBuffer,
   clearBuffer,
+  consumeBuffer,
   setupDebounce,
-  cancelDebounce
+  cancelDebounce,
+  getBufferSettings,
+  initPersistence,
+  recoverOverdueDebounces
 } = require('../../../services/agentBuffer');
 
 describe('Agent Buffer Service', () => {
@@ -13,87 +20,322 @@ describe('Agent Buffer Service', () => {
   const canal = 'SMS';
   let clock;
 
-  beforeEach(() => {
-    clearBuffer(contactId, canal);
+  beforeEach(async () => {
+    await clearBuffer(contactId, canal);
     clock = sinon.useFakeTimers();
   });
 
-  afterEach(() => {
-    cancelDebounce(contactId, canal);
+  afterEach(async () => {
+    await cancelDebounce(contactId, canal);
     clock.restore();
   });
 
   describe('Buffer Management', () => {
-    it('should push and retrieve messages from buffer', () => {
-      pushMessage(contactId, canal, 'Message 1');
-      pushMessage(contactId, canal, 'Message 2');
+    it('should push and retrieve messages from buffer', async () => {
+      await pushMessage(contactId, canal, 'Message 1');
+      await pushMessage(contactId, canal, 'Message 2');
 
-      const buffer = getBuffer(contactId, canal);
+      const buffer = await getBuffer(contactId, canal);
       expect(buffer).to.have.lengthOf(2);
       expect(buffer).to.deep.equal(['Message 1', 'Message 2']);
     });
 
-    it('should enforce limit of 7 messages per buffer', () => {
+    it('should enforce limit of 7 messages per buffer', async () => {
       for (let i = 0; i < 10; i++) {
-        pushMessage(contactId, canal, `Message ${i}`);
+        await pushMessage(contactId, canal, `Message ${i}`);
       }
 
-      const buffer = getBuffer(contactId, canal);
+      const buffer = await getBuffer(contactId, canal);
       expect(buffer).to.have.lengthOf(7);
+      expect((await pushMessage(contactId, canal, 'Message 11')).added).to.be.false;
     });
 
-    it('should keep separate buffers per canal', () => {
-      pushMessage(contactId, 'SMS', 'SMS message');
-      pushMessage(contactId, 'IG', 'IG message');
+    it('should merge into the last message when full with merge policy', async () => {
+      const options = { maxMessages: 2, overflow: 'merge' };
+      await pushMessage(contactId, canal, 'Uno', options);
+      await pushMessage(contactId, canal, 'Dos', options);
+      const result = await pushMessage(contactId, canal, 'Tres', options);
 
-      const smsBuffer = getBuffer(contactId, 'SMS');
-      const igBuffer = getBuffer(contactId, 'IG');
+      expect(result).to.deep.equal({ added: true, bufferSize: 2, flush: false });
+      expect(await getBuffer(contactId, canal)).to.deep.equal(['Uno', 'Dos\nTres']);
+    });
+
+    it('should ask for an early flush when full with flush policy', async () => {
+      const options = { maxMessages: 2, overflow: 'flush' };
+      expect((await pushMessage(contactId, canal, 'Uno', options)).flush).to.be.false;
+      expect((await pushMessage(contactId, canal, 'Dos', options)).flush).to.be.true;
+    });
+
+    it('should keep separate buffers per canal', async () => {
+      await pushMessage(contactId, 'SMS', 'SMS message');
+      await pushMessage(contactId, 'IG', 'IG message');
+
+      const smsBuffer = await getBuffer(contactId, 'SMS');
+      const igBuffer = await getBuffer(contactId, 'IG');
 
       expect(smsBuffer).to.have.lengthOf(1);
       expect(igBuffer).to.have.lengthOf(1);
     });
 
-    it('should clear buffer', () => {
-      pushMessage(contactId, canal, 'Message 1');
-      clearBuffer(contactId, canal);
+    it('should clear buffer', async () => {
+      await pushMessage(contactId, canal, 'Message 1');
+      await clearBuffer(contactId, canal);
 
-      const buffer = getBuffer(contactId, canal);
+      const buffer = await getBuffer(contactId, canal);
       expect(buffer).to.have.lengthOf(0);
     });
   });
 
+  describe('getBufferSettings', () => {
+    it('should use defaults without agent settings', () => {
+      expect(getBufferSettings({ agent_name: 'ventas' }, 'SMS')).to.deep.equal({
+        debounceMs: 7000,
+        maxMessages: 7,
+        overflow: 'drop'
+      });
+    });
+
+    it('should apply agent columns and channel overrides', () => {
+      const agentConfig = {
+        agent_name: 'ventas',
+        debounce_ms: 5000,
+        max_buffer_messages: 10,
+        buffer_overflow: 'merge',
+        buffer_overrides: JSON.stringify({
+          WhatsApp: { audio_debounce_ms: 15000 },
+          Live_Chat: { debounce_ms: 2000, buffer_overflow: 'flush' }
+        })
+      };
+
+      expect(getBufferSettings(agentConfig, 'IG')).to.deep.equal({ debounceMs: 5000, maxMessages: 10, overflow: 'merge' });
+      expect(getBufferSettings(agentConfig, 'Live_Chat')).to.deep.equal({ debounceMs: 2000, maxMessages: 10, overflow: 'flush' });
+      // SMS = WhatsApp en GHL: usa el override "WhatsApp"
+      expect(getBufferSettings(agentConfig, 'SMS').debounceMs).to.equal(5000);
+      expect(getBufferSettings(agentConfig, 'SMS', { hasAudio: true }).debounceMs).to.equal(15000);
+      expect(getBufferSettings(agentConfig, 'IG', { hasAudio: true }).debounceMs).to.equal(5000);
+    });
+
+    it('should ignore invalid values', () => {
+      const settings = getBufferSettings({
+        agent_name: 'ventas',
+        debounce_ms: 'abc',
+        max_buffer_messages: 0,
+        buffer_overflow: 'explode',
+        buffer_overrides: '{not json'
+      }, 'SMS');
+
+      expect(settings).to.deep.equal({ debounceMs: 7000, maxMessages: 1, overflow: 'drop' });
+    });
+  });
+
   describe('Debounce Timer', () => {
-    it('should execute callback after delay', () => {
+    it('should execute callback after delay', async () => {
       const callback = sinon.spy();
-      setupDebounce(contactId, canal, callback, 7000);
+      await setupDebounce(contactId, canal, callback, 7000);
 
-      clock.tick(7000);
+      await clock.tickAsync(7000);
       expect(callback.calledOnce).to.be.true;
     });
 
-    it('should reset timer when new message arrives', () => {
+    it('should reset timer when new message arrives', async () => {
       const callback = sinon.spy();
 
-      setupDebounce(contactId, canal, callback, 7000);
-      clock.tick(5000);
+      await setupDebounce(contactId, canal, callback, 7000);
+      await clock.tickAsync(5000);
 
-      setupDebounce(contactId, canal, callback, 7000);
-      clock.tick(5000);
+      await setupDebounce(contactId, canal, callback, 7000);
+      await clock.tickAsync(5000);
       expect(callback.called).to.be.false;
 
-      clock.tick(2000);
+      await clock.tickAsync(2000);
       expect(callback.calledOnce).to.be.true;
     });
 
-    it('should cancel debounce manually', () => {
+    it('should only fire the callback of the latest message', async () => {
+      const first = sinon.spy();
+      const second = sinon.spy();
+
+      await setupDebounce(contactId, canal, first, 7000);
+      await setupDebounce(contactId, canal, second, 3000);
+
+      await clock.tickAsync(7000);
+      expect(first.called).to.be.false;
+      expect(second.calledOnce).to.be.true;
+    });
+
+    it('should cancel debounce manually', async () => {
       const callback = sinon.spy();
-      setupDebounce(contactId, canal, callback, 7000);
+      await setupDebounce(contactId, canal, callback, 7000);
 
-      const cancelled = cancelDebounce(contactId, canal);
+      const cancelled = await cancelDebounce(contactId, canal);
       expect(cancelled).to.be.true;
 
-      clock.tick(7000);
+      await clock.tickAsync(7000);
       expect(callback.called).to.be.false;
     });
   });
+
+  describe('Messages arriving during processing', () => {
+    it('should only consume the processed messages', async () => {
+      await pushMessage(contactId, canal, 'Uno');
+      const processed = await getBuffer(contactId, canal);
+      await pushMessage(contactId, canal, 'Dos');
+
+      await consumeBuffer(contactId, canal, processed);
+      expect(await getBuffer(contactId, canal)).to.deep.equal(['Dos']);
+    });
+
+    it('should keep text merged into the last processed message', async () => {
+      const options = { maxMessages: 2, overflow: 'merge' };
+      await pushMessage(contactId, canal, 'Uno', options);
+      await pushMessage(contactId, canal, 'Dos', options);
+      const processed = await getBuffer(contactId, canal);
+      await pushMessage(contactId, canal, 'Tres', options);
+
+      await consumeBuffer(contactId, canal, processed);
+      expect(await getBuffer(contactId, canal)).to.deep.equal(['Tres']);
+    });
+
+    it('should process a message that arrives mid-run after the run finishes', async () => {
+      let finishFirst;
+      const firstRun = new Promise(resolve => { finishFirst = resolve; });
+      const runs = [];
+      const processBuffer = (waitFor) => async () => {
+        const buffer = await getBuffer(contactId, canal);
+        runs.push(buffer);
+        await waitFor;
+        await consumeBuffer(contactId, canal, buffer);
+      };
+
+      await pushMessage(contactId, canal, 'm1');
+      await setupDebounce(contactId, canal, processBuffer(firstRun), 7000);
+      await clock.tickAsync(7000);
+
+      // m2 llega mientras Flowise procesa m1: no se procesa en paralelo
+      await pushMessage(contactId, canal, 'm2');
+      await setupDebounce(contactId, canal, processBuffer(), 7000);
+      await clock.tickAsync(10000);
+      expect(runs).to.deep.equal([['m1']]);
+
+      finishFirst();
+      await clock.tickAsync(1000);
+      expect(runs).to.deep.equal([['m1'], ['m2']]);
+      expect(await getBuffer(contactId, canal)).to.deep.equal([]);
+    });
+  });
+
+  describe('Flush policy during processing', () => {
+    it('should not flush again while the flushed buffer is still being processed', async () => {
+      const options = { maxMessages: 3, overflow: 'flush' };
+      let finishFirst;
+      const firstRun = new Promise(resolve => { finishFirst = resolve; });
+      const runs = [];
+      const processBuffer = (waitFor) => async () => {
+        const buffer = await getBuffer(contactId, canal);
+        runs.push(buffer);
+        await waitFor;
+        await consumeBuffer(contactId, canal, buffer);
+      };
+
+      // Igual que handleAgentWebhook: flush = debounce de 0ms
+      const receive = async (text, waitFor) => {
+        const { flush } = await pushMessage(contactId, canal, text, options);
+        await setupDebounce(contactId, canal, processBuffer(waitFor), flush ? 0 : 7000);
+      };
+
+      await receive('m1');
+      await receive('m2');
+      await receive('m3', firstRun);
+      await clock.tickAsync(0);
+      expect(runs).to.deep.equal([['m1', 'm2', 'm3']]);
+
+      // Buffer lleno y Flowise en curso: m4 pide flush pero espera al envío de m1-m3
+      await receive('m4');
+      await clock.tickAsync(5000);
+      expect(runs).to.have.lengthOf(1);
+
+      finishFirst();
+      await clock.tickAsync(1000);
+      expect(runs).to.deep.equal([['m1', 'm2', 'm3'], ['m4']]);
+    });
+  });
+
+  describe('Recovery', () => {
+    const job = { contact_id: contactId, location_id: 'loc-001', canal, agente: 'ventas' };
+
+    it('should recover an overdue debounce whose timer was lost, only once', async () => {
+      const callback = sinon.spy();
+      const handler = sinon.spy();
+
+      await pushMessage(contactId, canal, 'Hola');
+      await setupDebounce(contactId, canal, callback, 7000, job);
+
+      // Simula que el timer no disparó (proceso reiniciado): el reloj avanza sin ejecutar timers
+      clock.setSystemTime(Date.now() + 8000);
+      expect(await recoverOverdueDebounces(handler, { graceMs: 0 })).to.equal(1);
+      await clock.tickAsync(0);
+      expect(handler.calledOnceWith(job)).to.be.true;
+
+      // El timer original ya no puede reclamarlo
+      await clock.tickAsync(7000);
+      expect(callback.called).to.be.false;
+      expect(await recoverOverdueDebounces(handler, { graceMs: 0 })).to.equal(0);
+    });
+
+    it('should not recover debounces that are not due yet', async () => {
+      const handler = sinon.spy();
+      await setupDebounce(contactId, canal, sinon.spy(), 7000, job);
+
+      expect(await recoverOverdueDebounces(handler, { graceMs: 0 })).to.equal(0);
+    });
+
+    it('should keep the debounce until the callback finishes', async () => {
+      let finish;
+      const callback = () => new Promise(resolve => { finish = resolve; });
+      const handler = sinon.spy();
+
+      await setupDebounce(contactId, canal, callback, 7000, job);
+      await clock.tickAsync(7000);
+
+      // Procesando (Flowise en curso): no se recupera hasta que se da por perdido
+      expect(await recoverOverdueDebounces(handler, { graceMs: 0 })).to.equal(0);
+      clock.setSystemTime(Date.now() + 11 * 60 * 1000);
+      expect(await recoverOverdueDebounces(handler, { graceMs: 0 })).to.equal(1);
+
+      finish();
+      await clock.tickAsync(0);
+      expect(await recoverOverdueDebounces(handler, { graceMs: 0 })).to.equal(0);
+    });
+
+    describe('initPersistence', () => {
+      let tmpDir;
+
+      beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-buffer-'));
+      });
+
+      afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+      });
+
+      it('should restore pending buffers from disk and drop stale ones', async () => {
+        const file = path.join(tmpDir, 'agent-buffer.jsonl');
+        const now = Date.now();
+        const lines = [
+          { instanceName: `${contactId}_${canal}`, queue: [{ token: 't1', dueAt: now - 1000, job, claimedAt: now - 500, messages: ['Hola', '¿Precio?'] }] },
+          { instanceName: 'old_SMS', queue: [{ token: 't2', dueAt: now - 2 * 60 * 60 * 1000, job, messages: ['Viejo'] }] }
+        ];
+        fs.writeFileSync(file, lines.map(line => JSON.stringify(line)).join('\n') + '\n');
+
+        expect(await initPersistence(file)).to.equal(1);
+        expect(await getBuffer(contactId, canal)).to.deep.equal(['Hola', '¿Precio?']);
+
+        // El proceso que lo estaba procesando ya no existe: se recupera aunque estuviera reclamado
+        const handler = sinon.spy();
+        expect(await recoverOverdueDebounces(handler, { graceMs: 0 })).to.equal(1);
+        await clock.tickAsync(0);
+        expect(handler.calledOnceWith(job)).to.be.true;
+      });
+    });
+  });
 });
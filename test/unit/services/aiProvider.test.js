@@ -0,0 +1,121 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const config = require('../../../config');
+const openaiAPI = require('../../../services/openai');
+const aiProvider = require('../../../services/aiProvider');
+
+describe('AI Provider Service', () => {
+  const originalConfig = {};
+  const CONFIG_KEYS = ['STT_PROVIDER', 'VISION_PROVIDER', 'LOCAL_STT_BASE_URL', 'LOCAL_STT_MODEL', 'LOCAL_VISION_BASE_URL', 'LOCAL_VISION_MODEL'];
+
+  beforeEach(() => {
+    CONFIG_KEYS.forEach(key => { originalConfig[key] = config[key]; });
+    Object.assign(config, {
+      STT_PROVIDER: 'openai',
+      VISION_PROVIDER: 'openai',
+      LOCAL_STT_BASE_URL: 'http://whisper:8000/v1',
+      LOCAL_STT_MODEL: 'Systran/faster-whisper-small',
+      LOCAL_VISION_BASE_URL: 'http://ollama:11434/v1',
+      LOCAL_VISION_MODEL: 'llava'
+    });
+  });
+
+  afterEach(() => {
+    Object.assign(config, originalConfig);
+    sinon.restore();
+  });
+
+  describe('resolveProvider', () => {
+    it('should use OpenAI defaults when the client has no overrides', () => {
+      expect(aiProvider.resolveProvider(null, 'stt')).to.deep.equal({ provider: 'openai', label: 'OpenAI', model: 'whisper-1' });
+      expect(aiProvider.resolveProvider({ location_id: 'loc-001' }, 'vision')).to.deep.equal({ provider: 'openai', label: 'OpenAI', model: 'gpt-4o-mini' });
+    });
+
+    it('should follow the global provider from config', () => {
+      config.STT_PROVIDER = 'local';
+
+      expect(aiProvider.resolveProvider(null, 'stt')).to.deep.equal({
+        provider: 'local',
+        label: 'Local AI',
+        model: 'Systran/faster-whisper-small',
+        baseURL: 'http://whisper:8000/v1'
+      });
+    });
+
+    it('should let client columns override provider, model and endpoint', () => {
+      const client = {
+        vision_provider: 'local',
+        vision_model: 'qwen2.5-vl',
+        vision_base_url: 'http://vllm:8000/v1',
+        stt_model: 'gpt-4o-mini-transcribe'
+      };
+
+      expect(aiProvider.resolveProvider(client, 'vision')).to.deep.equal({
+        provider: 'local',
+        label: 'Local AI',
+        model: 'qwen2.5-vl',
+        baseURL: 'http://vllm:8000/v1'
+      });
+      expect(aiProvider.resolveProvider(client, 'stt').model).to.equal('gpt-4o-mini-transcribe');
+    });
+
+    it('should reject unknown providers and local providers without endpoint', () => {
+      config.LOCAL_STT_BASE_URL = undefined;
+
+      expect(() => aiProvider.resolveProvider({ stt_provider: 'acme' }, 'stt')).to.throw('Unknown AI provider');
+      expect(() => aiProvider.resolveProvider({ stt_provider: 'local' }, 'stt')).to.throw('LOCAL_STT_BASE_URL');
+      expect(aiProvider.getProviderLabel({ stt_provider: 'acme' }, 'stt')).to.equal('AI Provider');
+    });
+  });
+
+  describe('transcribeAudio', () => {
+    it('should call OpenAI with the default SDK and model', async () => {
+      const stub = sinon.stub(openaiAPI, 'transcribeAudio').resolves('hola');
+
+      const result = await aiProvider.transcribeAudio(null, 'YXVkaW8=', 'audio/ogg');
+
+      expect(result).to.deep.equal({ text: 'hola', provider: 'openai', model: 'whisper-1' });
+      expect(stub.firstCall.args[2]).to.deep.equal({ model: 'whisper-1', language: undefined });
+    });
+
+    it('should pass the client locale as language hint', async () => {
+      const stub = sinon.stub(openaiAPI, 'transcribeAudio').resolves('hello');
+
+      await aiProvider.transcribeAudio({ locale: 'en-US' }, 'YXVkaW8=', 'audio/ogg');
+
+      expect(stub.firstCall.args[2].language).to.equal('en');
+    });
+
+    it('should call the local endpoint with its own SDK client', async () => {
+      const stub = sinon.stub(openaiAPI, 'transcribeAudio').resolves('hola');
+
+      const result = await aiProvider.transcribeAudio({ stt_provider: 'local' }, 'YXVkaW8=', 'audio/ogg');
+
+      const options = stub.firstCall.args[2];
+      expect(result.provider).to.equal('local');
+      expect(options.model).to.equal('Systran/faster-whisper-small');
+      expect(options.sdk.baseURL).to.equal('http://whisper:8000/v1');
+    });
+  });
+
+  describe('describeImage', () => {
+    it('should pass model and mime type to the vision call', async () => {
+      const stub = sinon.stub(openaiAPI, 'analyzeImage').resolves('un perro');
+
+      const result = await aiProvider.describeImage({ vision_provider: 'local' }, 'aW1n', 'image/png');
+
+      const options = stub.firstCall.args[1];
+      expect(result).to.deep.equal({ text: 'un perro', provider: 'local', model: 'llava' });
+      expect(options.mimeType).to.equal('image/png');
+      expect(options.sdk.baseURL).to.equal('http://ollama:11434/v1');
+    });
+
+    it('should ask for the description in the client language', async () => {
+      const stub = sinon.stub(openaiAPI, 'analyzeImage').resolves('uma praia');
+
+      await aiProvider.describeImage({ locale: 'pt-BR' }, 'aW1n');
+
+      expect(stub.firstCall.args[1].prompt).to.include('Descreva a imagem');
+    });
+  });
+});
@@ -0,0 +1,92 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const deadLetter = require('../../../services/deadLetter');
+
+describe('Dead Letter Service', () => {
+
+  const buildMessage = (overrides = {}) => ({
+    instanceName: 'inst-a',
+    instanceApiKey: 'key-a',
+    locationId: 'loc-001',
+    messageId: 'msg-001',
+    messageText: 'Hola',
+    retryCount: 5,
+    ...overrides
+  });
+
+  beforeEach(async () => {
+    await deadLetter.clearDeadLetters();
+  });
+
+  describe('addDeadLetter', () => {
+    it('should store message with id, reason and deadAt', async () => {
+      const entry = await deadLetter.addDeadLetter(buildMessage(), { reason: 'max_retries', lastError: 'Timeout' });
+
+      expect(entry.id).to.be.a('string');
+      expect(entry).to.include({ messageId: 'msg-001', reason: 'max_retries', lastError: 'Timeout' });
+      expect(entry.deadAt).to.be.a('number');
+      expect(await deadLetter.getDeadLetter(entry.id)).to.deep.equal(entry);
+    });
+
+    it('should drop oldest entries over the per-instance limit', async () => {
+      for (let i = 0; i <= deadLetter.MAX_DEAD_LETTERS_PER_INSTANCE; i++) {
+        await deadLetter.addDeadLetter(buildMessage({ messageId: `msg-${i}` }), { reason: 'max_retries' });
+      }
+
+      const entries = await deadLetter.listDeadLetters({ instanceName: 'inst-a' });
+      expect(entries).to.have.lengthOf(deadLetter.MAX_DEAD_LETTERS_PER_INSTANCE);
+      expect(entries.map(e => e.messageId)).to.not.include('msg-0');
+    });
+  });
+
+  describe('listDeadLetters', () => {
+    it('should filter by instance and location', async () => {
+      await deadLetter.addDeadLetter(buildMessage(), { reason: 'max_retries' });
+      await deadLetter.addDeadLetter(buildMessage({ messageId: 'msg-002', locationId: 'loc-002' }), { reason: 'max_retries' });
+      await deadLetter.addDeadLetter(buildMessage({ instanceName: 'inst-b', messageId: 'msg-003' }), { reason: 'max_retries' });
+
+      expect(await deadLetter.listDeadLetters()).to.have.lengthOf(3);
+      expect(await deadLetter.listDeadLetters({ instanceName: 'inst-a' })).to.have.lengthOf(2);
+      expect((await deadLetter.listDeadLetters({ locationId: 'loc-002' }))[0].messageId).to.equal('msg-002');
+      expect(await deadLetter.listDeadLetters({ instanceName: 'inst-b', locationId: 'loc-002' })).to.have.lengthOf(0);
+    });
+  });
+
+  describe('removeDeadLetter', () => {
+    it('should remove and return the entry', async () => {
+      const entry = await deadLetter.addDeadLetter(buildMessage(), { reason: 'max_retries' });
+
+      expect((await deadLetter.removeDeadLetter(entry.id)).messageId).to.equal('msg-001');
+      expect(await deadLetter.getDeadLetter(entry.id)).to.be.null;
+      expect(await deadLetter.removeDeadLetter(entry.id)).to.be.null;
+    });
+  });
+
+  describe('initPersistence', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dead-letter-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should restore entries saved before restart', async () => {
+      const file = path.join(tmpDir, 'dead-letter.jsonl');
+      fs.writeFileSync(file, JSON.stringify({
+        instanceName: 'inst-a',
+        queue: [{ ...buildMessage(), id: 'dl-1', reason: 'max_retries', deadAt: Date.now() }]
+      }) + '\n');
+
+      const restored = await deadLetter.initPersistence(file);
+
+      expect(restored).to.equal(1);
+      expect((await deadLetter.getDeadLetter('dl-1')).messageId).to.equal('msg-001');
+    });
+  });
+
+});
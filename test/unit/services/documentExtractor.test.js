@@ -0,0 +1,92 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const mammoth = require('mammoth');
+const ExcelJS = require('exceljs');
+const documentExtractor = require('../../../services/documentExtractor');
+const { processDocumentToText } = require('../../../utils/mediaHelper');
+
+describe('Document Extractor Service', () => {
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('getDocumentType', () => {
+    it('should detect supported types from mimetype', () => {
+      expect(documentExtractor.getDocumentType('application/pdf')).to.equal('pdf');
+      expect(documentExtractor.getDocumentType('application/vnd.openxmlformats-officedocument.wordprocessingml.document')).to.equal('docx');
+      expect(documentExtractor.getDocumentType('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet')).to.equal('xlsx');
+      expect(documentExtractor.getDocumentType('text/csv; charset=utf-8')).to.equal('text');
+    });
+
+    it('should fall back to the file extension for generic mimetypes', () => {
+      expect(documentExtractor.getDocumentType('application/octet-stream', 'Factura.PDF')).to.equal('pdf');
+      expect(documentExtractor.getDocumentType('application/octet-stream', 'notas.txt')).to.equal('text');
+      expect(documentExtractor.getDocumentType('application/zip', 'fotos.zip')).to.be.null;
+      expect(documentExtractor.getDocumentType(undefined, 'sin-extension')).to.be.null;
+    });
+  });
+
+  describe('extractText', () => {
+    it('should extract and normalize plain text', async () => {
+      const buffer = Buffer.from('Hola   \r\n\r\n\r\n\r\nmundo\n');
+
+      const result = await documentExtractor.extractText(buffer, 'text/plain', 'nota.txt');
+
+      expect(result).to.deep.equal({ type: 'text', text: 'Hola\n\nmundo', truncated: false });
+    });
+
+    it('should extract DOCX text with mammoth', async () => {
+      sinon.stub(mammoth, 'extractRawText').resolves({ value: 'Curriculum Vitae\n\nAna García' });
+
+      const result = await documentExtractor.extractText(Buffer.from('docx'), 'application/octet-stream', 'cv.docx');
+
+      expect(result.type).to.equal('docx');
+      expect(result.text).to.equal('Curriculum Vitae\n\nAna García');
+    });
+
+    it('should extract every sheet of an XLSX as tab separated rows', async () => {
+      const workbook = new ExcelJS.Workbook();
+      const sheet = workbook.addWorksheet('Pedidos');
+      sheet.addRow(['Producto', 'Cantidad']);
+      sheet.addRow(['Camiseta', 3]);
+      sheet.addRow(['Total', { formula: 'B2', result: 3 }]);
+      const buffer = Buffer.from(await workbook.xlsx.writeBuffer());
+
+      const result = await documentExtractor.extractText(buffer, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+
+      expect(result.text).to.equal('# Pedidos\nProducto\tCantidad\nCamiseta\t3\nTotal\t3');
+    });
+
+    it('should truncate long documents and skip unsupported or oversized files', async () => {
+      const longText = Buffer.from('a'.repeat(documentExtractor.MAX_TEXT_LENGTH + 10));
+      const result = await documentExtractor.extractText(longText, 'text/plain');
+
+      expect(result.truncated).to.be.true;
+      expect(result.text).to.have.length(documentExtractor.MAX_TEXT_LENGTH);
+      expect(result.text.endsWith('…')).to.be.true;
+
+      expect(await documentExtractor.extractText(Buffer.from('zip'), 'application/zip')).to.be.null;
+      const oversized = Buffer.alloc(documentExtractor.MAX_DOCUMENT_BYTES + 1);
+      expect(await documentExtractor.extractText(oversized, 'text/plain')).to.be.null;
+    });
+  });
+
+  describe('processDocumentToText', () => {
+    it('should return a bounded excerpt in the client language', async () => {
+      const base64 = Buffer.from('b'.repeat(5000)).toString('base64');
+
+      const text = await processDocumentToText(base64, 'text/plain', 'log.txt', {}, { locale: 'en' });
+
+      expect(text.startsWith('document content: bbb')).to.be.true;
+      expect(text).to.have.length('document content: '.length + documentExtractor.EXCERPT_LENGTH);
+    });
+
+    it('should return null for unsupported, empty or damaged documents', async () => {
+      sinon.stub(mammoth, 'extractRawText').rejects(new Error('Corrupted zip'));
+
+      expect(await processDocumentToText('', 'application/zip', 'fotos.zip')).to.be.null;
+      expect(await processDocumentToText(Buffer.from('  ').toString('base64'), 'text/plain')).to.be.null;
+      expect(await processDocumentToText('ZG9jeA==', 'application/octet-stream', 'cv.docx')).to.be.null;
+    });
+  });
+});
@@ -1,5 +1,6 @@
 const { expect } = require('chai');
 const nock = require('nock');
+const { getMediaTypeFromUrl, canUseAsCaption } = require('../../../services/evolution');
 
 // Mock config
 const EVOLUTION_BASE_URL = 'https://test.evolution.com';
@@ -76,6 +77,33 @@ describe('Evolution Service', () => {
     });
   });
 
+  describe('getMediaTypeFromUrl', () => {
+    it('should detect media type from URL extension', () => {
+      expect(getMediaTypeFromUrl('https://cdn.example.com/foto.JPG')).to.equal('image');
+      expect(getMediaTypeFromUrl('https://cdn.example.com/clip.mp4?token=abc')).to.equal('video');
+      expect(getMediaTypeFromUrl('https://cdn.example.com/nota.ogg')).to.equal('audio');
+    });
+
+    it('should fallback to document for unknown extensions', () => {
+      expect(getMediaTypeFromUrl('https://cdn.example.com/factura.pdf')).to.equal('document');
+      expect(getMediaTypeFromUrl('https://cdn.example.com/download')).to.equal('document');
+    });
+  });
+
+  describe('canUseAsCaption', () => {
+    it('should allow caption when there is a non-audio attachment', () => {
+      expect(canUseAsCaption('Aquí tienes', ['https://cdn.example.com/factura.pdf'])).to.be.true;
+    });
+
+    it('should not allow caption for audio-only attachments', () => {
+      expect(canUseAsCaption('Escucha esto', ['https://cdn.example.com/nota.ogg'])).to.be.false;
+    });
+
+    it('should not allow caption for texts over the WhatsApp limit', () => {
+      expect(canUseAsCaption('a'.repeat(1025), ['https://cdn.example.com/foto.png'])).to.be.false;
+    });
+  });
+
   describe('restartInstance', () => {
     it('should return success=true when restart succeeds (state=open)', () => {
       const responseData = { instance: { state: 'open' } };
@@ -0,0 +1,135 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const supabaseService = require('../../../services/supabase');
+const featureFlags = require('../../../services/featureFlags');
+const { isBetaClient, executeBetaAware } = require('../../../utils/betaFeatures');
+
+describe('Feature Flags Service', () => {
+  let definitionsStub;
+
+  beforeEach(async () => {
+    definitionsStub = sinon.stub(supabaseService, 'getFeatureFlagDefinitions').resolves([]);
+    await featureFlags.loadFeatureFlags();
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  async function loadDefinitions(rows) {
+    definitionsStub.resolves(rows);
+    await featureFlags.loadFeatureFlags();
+  }
+
+  describe('isFeatureEnabled', () => {
+    it('should default to false for unknown clients and flags', () => {
+      expect(featureFlags.isFeatureEnabled(null, 'beta')).to.be.false;
+      expect(featureFlags.isFeatureEnabled({ location_id: 'loc-001' }, 'unknown_flag')).to.be.false;
+    });
+
+    it('should map legacy columns to their flags', () => {
+      const client = { location_id: 'loc-001', is_beta: true, natural_behavior: true };
+
+      expect(featureFlags.isFeatureEnabled(client, 'beta')).to.be.true;
+      expect(featureFlags.isFeatureEnabled(client, 'natural_behavior')).to.be.true;
+      expect(featureFlags.isFeatureEnabled(client, 'split_messages')).to.be.false;
+    });
+
+    it('should let per-location overrides win over legacy columns and global definitions', async () => {
+      await loadDefinitions([{ name: 'split_messages', enabled: true, rollout_percentage: 100 }]);
+
+      const client = {
+        location_id: 'loc-001',
+        split_messages: true,
+        feature_flags: { split_messages: false, new_media: true }
+      };
+
+      expect(featureFlags.isFeatureEnabled(client, 'split_messages')).to.be.false;
+      expect(featureFlags.isFeatureEnabled(client, 'new_media')).to.be.true;
+    });
+
+    it('should accept overrides stored as JSON text', () => {
+      const client = { location_id: 'loc-001', feature_flags: '{"new_media": true}' };
+
+      expect(featureFlags.isFeatureEnabled(client, 'new_media')).to.be.true;
+    });
+
+    it('should apply global definitions when there is no override', async () => {
+      await loadDefinitions([
+        { name: 'new_media', enabled: true, rollout_percentage: null },
+        { name: 'disabled_flag', enabled: false, rollout_percentage: 100 }
+      ]);
+
+      const client = { location_id: 'loc-001' };
+      expect(featureFlags.isFeatureEnabled(client, 'new_media')).to.be.true;
+      expect(featureFlags.isFeatureEnabled(client, 'disabled_flag')).to.be.false;
+    });
+
+    it('should roll out by a stable bucket per location', async () => {
+      await loadDefinitions([{ name: 'new_media', enabled: true, rollout_percentage: 30 }]);
+
+      const locations = Array.from({ length: 200 }, (_, i) => `loc-${i}`);
+      const enabled = locations.filter(id => featureFlags.isFeatureEnabled({ location_id: id }, 'new_media'));
+
+      enabled.forEach(id => {
+        expect(featureFlags.getRolloutBucket('new_media', id)).to.be.below(30);
+      });
+      expect(enabled.length).to.be.within(30, 90);
+
+      // Misma location, mismo resultado
+      expect(featureFlags.isFeatureEnabled({ location_id: enabled[0] }, 'new_media')).to.be.true;
+    });
+  });
+
+  describe('loadFeatureFlags', () => {
+    it('should keep previous definitions when the query fails', async () => {
+      await loadDefinitions([{ name: 'new_media', enabled: true }]);
+      definitionsStub.rejects(new Error('relation "feature_flags" does not exist'));
+
+      const count = await featureFlags.loadFeatureFlags();
+
+      expect(count).to.equal(1);
+      expect(featureFlags.isFeatureEnabled({ location_id: 'loc-001' }, 'new_media')).to.be.true;
+    });
+  });
+
+  describe('evaluateFlags', () => {
+    it('should evaluate defaults, definitions and overrides', async () => {
+      await loadDefinitions([{ name: 'new_media', enabled: true }]);
+
+      const flags = featureFlags.evaluateFlags({ location_id: 'loc-001', feature_flags: { custom: true } });
+
+      expect(flags).to.deep.equal({
+        beta: false,
+        split_messages: false,
+        natural_behavior: false,
+        whatsapp_groups: false,
+        reply_tags: false,
+        referral_contacts: false,
+        new_media: true,
+        custom: true
+      });
+    });
+  });
+
+  describe('betaFeatures', () => {
+    it('should keep isBetaClient bound to is_beta by default', () => {
+      expect(isBetaClient({ location_id: 'loc-001', is_beta: true })).to.be.true;
+      expect(isBetaClient({ location_id: 'loc-001', is_beta: false })).to.be.false;
+    });
+
+    it('should support the legacy executeBetaAware signature', async () => {
+      const result = await executeBetaAware({ location_id: 'loc-001', is_beta: true }, async () => 'beta', async () => 'prod');
+
+      expect(result).to.equal('beta');
+    });
+
+    it('should run executeBetaAware per named flag', async () => {
+      const client = { location_id: 'loc-001', is_beta: true, feature_flags: { new_media: false } };
+
+      const result = await executeBetaAware(client, 'new_media', async () => 'beta', async () => 'prod');
+
+      expect(result).to.equal('prod');
+    });
+  });
+});
@@ -48,6 +48,23 @@ describe('Flowise Service', () => {
       expect(result.parte2).to.equal('Segunda');
     });
 
+    it('should return location, contact and sticker fields as markup parts', () => {
+      const mockResponse = [{
+        text: JSON.stringify({
+          parte1: 'Te paso la dirección y el contacto de Ana',
+          location: { lat: 40.4168, lng: -3.7038, name: 'Oficina Madrid', address: 'Calle Mayor 1' },
+          contacto: { name: 'Ana García', phone: '+34 660 722 687' }
+        })
+      }];
+
+      const result = parseFlowiseResponse(mockResponse);
+
+      expect(result.richParts).to.deep.equal([
+        '[location: 40.4168, -3.7038 | Oficina Madrid | Calle Mayor 1]',
+        '[contact: Ana García | +34 660 722 687]'
+      ]);
+    });
+
     it('should fallback when JSON is completely invalid', () => {
       const mockResponse = [{
         text: 'This is not JSON at all'
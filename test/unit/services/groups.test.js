@@ -0,0 +1,109 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const supabaseService = require('../../../services/supabase');
+const ghlAPI = require('../../../services/ghl');
+const evolutionAPI = require('../../../services/evolution');
+const groups = require('../../../services/groups');
+
+describe('Groups Service', () => {
+  const groupJid = '120363025246125486@g.us';
+  const client = {
+    location_id: 'loc-001',
+    instance_name: 'test-instance',
+    instance_apikey: 'key',
+    whatsapp_provider: 'evolution',
+    feature_flags: { whatsapp_groups: true }
+  };
+
+  beforeEach(() => {
+    groups.clearGroupCache();
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('isGroupSupportEnabled', () => {
+    it('should require the whatsapp_groups flag and Evolution API', () => {
+      expect(groups.isGroupSupportEnabled(client)).to.be.true;
+      expect(groups.isGroupSupportEnabled({ ...client, feature_flags: {} })).to.be.false;
+      expect(groups.isGroupSupportEnabled({ ...client, whatsapp_provider: 'official' })).to.be.false;
+    });
+  });
+
+  describe('formatGroupMessage', () => {
+    it('should prefix the participant pushName', () => {
+      const text = groups.formatGroupMessage({ key: { participant: '34600000000@s.whatsapp.net' }, pushName: 'Ana' }, 'hola');
+
+      expect(text).to.equal('Ana: hola');
+    });
+
+    it('should fall back to the participant phone', () => {
+      const text = groups.formatGroupMessage({ key: { participant: '34600000000:3@s.whatsapp.net' } }, 'hola');
+
+      expect(text).to.equal('+34600000000: hola');
+    });
+  });
+
+  describe('getGroupContactId', () => {
+    it('should reuse an existing mapping', async () => {
+      sinon.stub(supabaseService, 'getWhatsAppGroup').resolves({ group_jid: groupJid, contact_id: 'contact-1' });
+      const createStub = sinon.stub(ghlAPI, 'createGroupContact');
+
+      const contactId = await groups.getGroupContactId(client, groupJid);
+
+      expect(contactId).to.equal('contact-1');
+      expect(createStub.called).to.be.false;
+    });
+
+    it('should create a single contact named after the group subject', async () => {
+      sinon.stub(supabaseService, 'getWhatsAppGroup').resolves(null);
+      sinon.stub(evolutionAPI, 'getGroupInfo').resolves({ id: groupJid, subject: 'Clientes VIP' });
+      const createStub = sinon.stub(ghlAPI, 'createGroupContact').resolves({ id: 'contact-2' });
+      const saveStub = sinon.stub(supabaseService, 'saveWhatsAppGroup').callsFake(async group => group);
+
+      const [first, second] = await Promise.all([
+        groups.getGroupContactId(client, groupJid),
+        groups.getGroupContactId(client, groupJid)
+      ]);
+
+      expect(first).to.equal('contact-2');
+      expect(second).to.equal('contact-2');
+      expect(createStub.calledOnceWith(client, 'Clientes VIP')).to.be.true;
+      expect(saveStub.firstCall.args[0]).to.include({ group_jid: groupJid, contact_id: 'contact-2', subject: 'Clientes VIP' });
+
+      // El mapeo queda en caché en ambos sentidos
+      expect(await groups.getGroupJidByContactId(client, 'contact-2')).to.equal(groupJid);
+    });
+
+    it('should use a generic subject if Evolution fails', async () => {
+      sinon.stub(supabaseService, 'getWhatsAppGroup').resolves(null);
+      sinon.stub(evolutionAPI, 'getGroupInfo').rejects(new Error('Network error'));
+      const createStub = sinon.stub(ghlAPI, 'createGroupContact').resolves({ id: 'contact-3' });
+      sinon.stub(supabaseService, 'saveWhatsAppGroup').callsFake(async group => group);
+
+      await groups.getGroupContactId(client, groupJid);
+
+      expect(createStub.firstCall.args[1]).to.equal('Grupo WhatsApp 120363025246125486');
+    });
+  });
+
+  describe('getGroupJidByContactId', () => {
+    it('should skip the lookup for clients without group support', async () => {
+      const lookupStub = sinon.stub(supabaseService, 'getWhatsAppGroup');
+
+      const jid = await groups.getGroupJidByContactId({ ...client, feature_flags: {} }, 'contact-1');
+
+      expect(jid).to.be.null;
+      expect(lookupStub.called).to.be.false;
+    });
+
+    it('should cache contacts that are not groups', async () => {
+      const lookupStub = sinon.stub(supabaseService, 'getWhatsAppGroup').resolves(null);
+
+      expect(await groups.getGroupJidByContactId(client, 'contact-9')).to.be.null;
+      expect(await groups.getGroupJidByContactId(client, 'contact-9')).to.be.null;
+      expect(lookupStub.calledOnce).to.be.true;
+    });
+  });
+});
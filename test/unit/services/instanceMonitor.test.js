@@ -1,4 +1,8 @@
 const { expect } = require('chai');
+const sinon = require('sinon');
+const evolutionAPI = require('../../../services/evolution');
+const storage = require('../../../services/storage');
+const { attemptAutoRestart } = require('../../../utils/instanceMonitor');
 
 describe('Instance Monitor', () => {
 
@@ -28,6 +32,49 @@ describe('Instance Monitor', () => {
       expect(result.success).to.be.false;
       expect(result.needsQR).to.be.true;
     });
+
+    describe('cooldown', () => {
+      let restartStub;
+      let instanceName;
+      let testCount = 0;
+
+      beforeEach(() => {
+        // Los locks de memoria duran toda la ejecución: una instancia distinta por test
+        instanceName = `inst-restart-${++testCount}`;
+        restartStub = sinon.stub(evolutionAPI, 'restartInstance').resolves({ success: false, state: 'close', needsQR: true });
+        sinon.stub(evolutionAPI, 'sendText').resolves({});
+      });
+
+      afterEach(() => {
+        sinon.restore();
+      });
+
+      it('should skip automatic restarts within the cooldown window', async () => {
+        await attemptAutoRestart(instanceName, 'key', ['loc-001']);
+        const result = await attemptAutoRestart(instanceName, 'key', ['loc-001']);
+
+        expect(result).to.deep.equal({ success: false, needsQR: false, skipped: true });
+        expect(restartStub.calledOnce).to.be.true;
+      });
+
+      it('should let an admin force a restart right after an automatic one', async () => {
+        await attemptAutoRestart(instanceName, 'key', ['loc-001']);
+        const result = await attemptAutoRestart(instanceName, 'key', ['loc-001'], { force: true });
+
+        expect(result.skipped).to.be.undefined;
+        expect(result.needsQR).to.be.true;
+        expect(restartStub.calledTwice).to.be.true;
+      });
+
+      it('should not force a restart while another one is in progress', async () => {
+        const token = await storage.acquireLock(`restarting:${instanceName}`);
+        const result = await attemptAutoRestart(instanceName, 'key', [], { force: true });
+        await storage.releaseLock(`restarting:${instanceName}`, token);
+
+        expect(result).to.include({ skipped: true, inProgress: true });
+        expect(restartStub.called).to.be.false;
+      });
+    });
   });
 
 });
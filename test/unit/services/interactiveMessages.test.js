@@ -0,0 +1,140 @@
+const { expect } = require('chai');
+const crypto = require('crypto');
+const sinon = require('sinon');
+const evolutionAPI = require('../../../services/evolution');
+const interactiveMessages = require('../../../services/interactiveMessages');
+
+describe('Interactive Messages Service', () => {
+  const waNumber = '34660722687@s.whatsapp.net';
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('parseInteractiveMarkup', () => {
+    it('should parse buttons and keep the rest as body', () => {
+      const interactive = interactiveMessages.parseInteractiveMarkup('¿Confirmas la cita?\n```[buttons: Sí | No]```');
+
+      expect(interactive).to.deep.equal({ type: 'buttons', options: ['Sí', 'No'], text: '¿Confirmas la cita?' });
+    });
+
+    it('should accept Spanish aliases', () => {
+      expect(interactiveMessages.parseInteractiveMarkup('[encuesta: Lunes | Martes]').type).to.equal('poll');
+      expect(interactiveMessages.parseInteractiveMarkup('Elige: [lista: A | B]').type).to.equal('list');
+    });
+
+    it('should turn more than 3 buttons into a list', () => {
+      const interactive = interactiveMessages.parseInteractiveMarkup('[buttons: A | B | C | D]');
+
+      expect(interactive.type).to.equal('list');
+      expect(interactive.options).to.have.length(4);
+    });
+
+    it('should ignore text without markup', () => {
+      expect(interactiveMessages.parseInteractiveMarkup('Hola [Juan]')).to.be.null;
+      expect(interactiveMessages.parseInteractiveMarkup(null)).to.be.null;
+    });
+  });
+
+  describe('stripInteractiveMarkup', () => {
+    it('should render numbered options', () => {
+      expect(interactiveMessages.stripInteractiveMarkup('¿Confirmas?\n[buttons: Sí | No]'))
+        .to.equal('¿Confirmas?\n\n1. Sí\n2. No');
+    });
+  });
+
+  describe('sendInteractiveMessage', () => {
+    it('should send buttons through Evolution API', async () => {
+      const buttonsStub = sinon.stub(evolutionAPI, 'sendButtons').resolves({ key: { id: 'BTN1' } });
+
+      const sent = await interactiveMessages.sendInteractiveMessage('inst', 'key', waNumber,
+        interactiveMessages.parseInteractiveMarkup('¿Confirmas? [buttons: Sí | No]'));
+
+      expect(sent.key.id).to.equal('BTN1');
+      expect(buttonsStub.firstCall.args[3]).to.deep.include({
+        description: '¿Confirmas?',
+        buttons: [{ id: 'opt_1', displayText: 'Sí' }, { id: 'opt_2', displayText: 'No' }]
+      });
+    });
+
+    it('should fall back to plain text when Evolution rejects buttons', async () => {
+      sinon.stub(evolutionAPI, 'sendButtons').rejects(new Error('Request failed with status code 400'));
+      const textStub = sinon.stub(evolutionAPI, 'sendText').resolves({ key: { id: 'TXT1' } });
+
+      await interactiveMessages.sendInteractiveMessage('inst', 'key', waNumber,
+        interactiveMessages.parseInteractiveMarkup('¿Confirmas? [buttons: Sí | No]'));
+
+      expect(textStub.firstCall.args[3]).to.equal('¿Confirmas?\n\n1. Sí\n2. No');
+    });
+  });
+
+  describe('parseInteractiveResponse', () => {
+    it('should parse button and list responses', () => {
+      const button = interactiveMessages.parseInteractiveResponse('inst', {
+        buttonsResponseMessage: { selectedButtonId: 'opt_1', selectedDisplayText: 'Sí' }
+      });
+      const list = interactiveMessages.parseInteractiveResponse('inst', {
+        listResponseMessage: { title: 'Opción B', singleSelectReply: { selectedRowId: 'opt_2' } }
+      });
+
+      expect(interactiveMessages.formatInteractiveResponse(button)).to.equal('🔘 Sí');
+      expect(interactiveMessages.formatInteractiveResponse(list)).to.equal('📋 Opción B');
+    });
+
+    it('should parse template and native flow button replies', () => {
+      const template = interactiveMessages.parseInteractiveResponse('inst', {
+        templateButtonReplyMessage: { selectedId: 'opt_2', selectedDisplayText: 'No', selectedIndex: 1 }
+      });
+      const nativeFlow = interactiveMessages.parseInteractiveResponse('inst', {
+        interactiveResponseMessage: {
+          body: { text: 'Cambiar hora' },
+          nativeFlowResponseMessage: { name: 'quick_reply', paramsJson: '{"id":"opt_3"}' }
+        }
+      });
+
+      expect(template).to.include({ type: 'button', text: 'No', selectedId: 'opt_2' });
+      expect(nativeFlow).to.include({ type: 'button', text: 'Cambiar hora', selectedId: 'opt_3' });
+    });
+
+    it('should resolve hashed poll votes using the sent poll', async () => {
+      sinon.stub(evolutionAPI, 'sendPoll').resolves({ key: { id: 'POLL1' } });
+      await interactiveMessages.sendInteractiveMessage('inst', 'key', waNumber,
+        interactiveMessages.parseInteractiveMarkup('¿Qué día? [poll: Lunes | Martes]'));
+
+      const hash = crypto.createHash('sha256').update('Martes').digest();
+      const response = interactiveMessages.parseInteractiveResponse('inst', {
+        pollUpdateMessage: {
+          pollCreationMessageKey: { id: 'POLL1' },
+          vote: { selectedOptions: [{ type: 'Buffer', data: Array.from(hash) }] }
+        }
+      });
+
+      expect(interactiveMessages.formatInteractiveResponse(response)).to.equal('📊 Voto en "¿Qué día?": Martes');
+    });
+
+    it('should note retracted and unknown poll votes', () => {
+      const retracted = interactiveMessages.parseInteractiveResponse('inst', {
+        pollUpdateMessage: { pollCreationMessageKey: { id: 'UNKNOWN' }, vote: { selectedOptions: [] } }
+      });
+      const unknown = interactiveMessages.parseInteractiveResponse('inst', {
+        pollUpdateMessage: { pollCreationMessageKey: { id: 'UNKNOWN' }, vote: { selectedOptions: ['a'.repeat(64)] } }
+      });
+
+      expect(interactiveMessages.formatInteractiveResponse(retracted)).to.equal('📊 [voto retirado]');
+      expect(interactiveMessages.formatInteractiveResponse(unknown)).to.equal('📊 [voto] - Ver más en WhatsApp');
+    });
+  });
+
+  describe('getReplyTags', () => {
+    it('should slugify each selected option', () => {
+      expect(interactiveMessages.getReplyTags({ selected: ['Sí, por favor'] })).to.deep.equal(['respuesta-si-por-favor']);
+      expect(interactiveMessages.getReplyTags({ selected: ['Lunes', 'Martes'] }))
+        .to.deep.equal(['respuesta-lunes', 'respuesta-martes']);
+    });
+
+    it('should return no tags for empty selections', () => {
+      expect(interactiveMessages.getReplyTags({ selected: [] })).to.deep.equal([]);
+      expect(interactiveMessages.getReplyTags({ selected: ['👍'] })).to.deep.equal([]);
+    });
+  });
+});
@@ -1,17 +1,24 @@
 const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const messageCache = require('../../../services/messageCache');
+const deadLetter = require('../../../services/deadLetter');
 
 describe('Message Cache Service', () => {
 
   // Limpiar cache entre tests
-  beforeEach(() => {
+  beforeEach(async () => {
     // Limpiar todas las instancias con mensajes pendientes
-    const instances = messageCache.getInstancesWithPendingMessages();
-    instances.forEach(inst => messageCache.clearQueue(inst));
+    const instances = await messageCache.getInstancesWithPendingMessages();
+    for (const inst of instances) {
+      await messageCache.clearQueue(inst);
+    }
+    await deadLetter.clearDeadLetters();
   });
 
   describe('enqueueMessage', () => {
-    it('should enqueue message correctly', () => {
+    it('should enqueue message correctly', async () => {
       const messageData = {
         instanceName: 'test-instance',
         messageId: 'msg-001',
@@ -22,15 +29,32 @@ describe('Message Cache Service', () => {
         contactPhone: '+34660722687'
       };
 
-      const result = messageCache.enqueueMessage(messageData);
+      const result = await messageCache.enqueueMessage(messageData);
       expect(result).to.be.true;
 
-      const queue = messageCache.getQueuedMessages('test-instance');
+      const queue = await messageCache.getQueuedMessages('test-instance');
       expect(queue).to.have.lengthOf(1);
       expect(queue[0].messageId).to.equal('msg-001');
     });
 
-    it('should prevent duplicate messages by messageId', () => {
+    it('should keep splitWithLLM flag for beta messages', async () => {
+      await messageCache.enqueueMessage({
+        instanceName: 'test-beta',
+        messageId: 'msg-beta',
+        locationId: 'loc-001',
+        contactId: 'contact-001',
+        messageText: 'Hola. ¿Qué tal?',
+        waNumber: '34660722687@s.whatsapp.net',
+        contactPhone: '+34660722687',
+        splitWithLLM: true
+      });
+
+      const queue = await messageCache.getQueuedMessages('test-beta');
+      expect(queue[0].splitWithLLM).to.be.true;
+      expect(queue[0].retryCount).to.equal(0);
+    });
+
+    it('should prevent duplicate messages by messageId', async () => {
       const messageData = {
         instanceName: 'test-instance',
         messageId: 'msg-duplicate',
@@ -42,18 +66,18 @@ describe('Message Cache Service', () => {
       };
 
       // Encolar dos veces el mismo mensaje
-      messageCache.enqueueMessage(messageData);
-      const result = messageCache.enqueueMessage(messageData);
+      await messageCache.enqueueMessage(messageData);
+      const result = await messageCache.enqueueMessage(messageData);
 
       expect(result).to.be.false; // Segunda vez retorna false
 
-      const queue = messageCache.getQueuedMessages('test-instance');
+      const queue = await messageCache.getQueuedMessages('test-instance');
       expect(queue).to.have.lengthOf(1); // Solo 1 mensaje
     });
   });
 
   describe('getMessagesReadyForRetry', () => {
-    it('should return only messages ready for retry', () => {
+    it('should return only messages ready for retry', async () => {
       // Mensaje listo para retry (nextRetryAt en el pasado)
       const readyMessage = {
         instanceName: 'test-instance-ready',
@@ -65,20 +89,33 @@ describe('Message Cache Service', () => {
         contactPhone: '+34660722687'
       };
 
-      messageCache.enqueueMessage(readyMessage);
+      await messageCache.enqueueMessage(readyMessage);
 
       // Forzar nextRetryAt al pasado modificando directamente
       // (en producción esto ocurre naturalmente con el tiempo)
-      const ready = messageCache.getMessagesReadyForRetry('test-instance-ready');
+      const ready = await messageCache.getMessagesReadyForRetry('test-instance-ready');
 
       // El mensaje recién encolado tiene nextRetryAt en el futuro (5 min)
       // así que no debería estar listo inmediatamente
       expect(ready).to.be.an('array');
     });
+
+    it('should return immediate messages right away (dead-letter replay)', async () => {
+      await messageCache.enqueueMessage({
+        instanceName: 'test-instance-replay',
+        messageId: 'msg-replay',
+        messageText: 'Replayed message',
+        waNumber: '34660722687@s.whatsapp.net'
+      }, { immediate: true });
+
+      const ready = await messageCache.getMessagesReadyForRetry('test-instance-replay');
+      expect(ready).to.have.lengthOf(1);
+      expect(ready[0].messageId).to.equal('msg-replay');
+    });
   });
 
   describe('updateMessageRetry', () => {
-    it('should remove message from queue on success', () => {
+    it('should remove message from queue on success', async () => {
       const messageData = {
         instanceName: 'test-success',
         messageId: 'msg-success',
@@ -89,17 +126,55 @@ describe('Message Cache Service', () => {
         contactPhone: '+34660722687'
       };
 
-      messageCache.enqueueMessage(messageData);
-      expect(messageCache.getQueuedMessages('test-success')).to.have.lengthOf(1);
+      await messageCache.enqueueMessage(messageData);
+      expect(await messageCache.getQueuedMessages('test-success')).to.have.lengthOf(1);
 
       // Marcar como enviado exitosamente
-      messageCache.updateMessageRetry('test-success', 'msg-success', true);
+      await messageCache.updateMessageRetry('test-success', 'msg-success', true);
 
       // Debería estar vacía
-      expect(messageCache.getQueuedMessages('test-success')).to.have.lengthOf(0);
+      expect(await messageCache.getQueuedMessages('test-success')).to.have.lengthOf(0);
     });
 
-    it('should increment retryCount on failure', () => {
+    it('should move message to dead-letter after max retries', async () => {
+      await messageCache.enqueueMessage({
+        instanceName: 'test-exhausted',
+        messageId: 'msg-exhausted',
+        messageText: 'Test message',
+        waNumber: '34660722687@s.whatsapp.net'
+      });
+
+      let deadLetterEntry = null;
+      for (let i = 0; i < messageCache.RETRY_CONFIG.maxRetries; i++) {
+        deadLetterEntry = await messageCache.updateMessageRetry('test-exhausted', 'msg-exhausted', false, 'Connection Closed');
+      }
+
+      expect(await messageCache.getQueuedMessages('test-exhausted')).to.have.lengthOf(0);
+      expect(await messageCache.getInstancesWithPendingMessages()).to.not.include('test-exhausted');
+
+      expect(deadLetterEntry).to.include({
+        messageId: 'msg-exhausted',
+        reason: 'max_retries',
+        lastError: 'Connection Closed'
+      });
+      expect(await deadLetter.listDeadLetters({ instanceName: 'test-exhausted' })).to.have.lengthOf(1);
+    });
+
+    it('should not dead-letter before max retries', async () => {
+      await messageCache.enqueueMessage({
+        instanceName: 'test-retrying',
+        messageId: 'msg-retrying',
+        messageText: 'Test message',
+        waNumber: '34660722687@s.whatsapp.net'
+      });
+
+      const result = await messageCache.updateMessageRetry('test-retrying', 'msg-retrying', false, 'Timeout');
+
+      expect(result).to.be.null;
+      expect(await deadLetter.listDeadLetters()).to.have.lengthOf(0);
+    });
+
+    it('should increment retryCount on failure', async () => {
       const messageData = {
         instanceName: 'test-fail',
         messageId: 'msg-fail',
@@ -110,13 +185,46 @@ describe('Message Cache Service', () => {
         contactPhone: '+34660722687'
       };
 
-      messageCache.enqueueMessage(messageData);
+      await messageCache.enqueueMessage(messageData);
 
       // Simular fallo
-      messageCache.updateMessageRetry('test-fail', 'msg-fail', false);
+      await messageCache.updateMessageRetry('test-fail', 'msg-fail', false);
+
+      const queue = await messageCache.getQueuedMessages('test-fail');
+      expect(queue).to.have.lengthOf(1);
+      expect(queue[0].retryCount).to.equal(1);
+    });
+  });
+
+  describe('initPersistence', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'message-cache-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should restore pending messages and discard expired ones', async () => {
+      const file = path.join(tmpDir, 'message-queue.jsonl');
+      const now = Date.now();
+
+      fs.writeFileSync(file, JSON.stringify({
+        instanceName: 'test-restored',
+        queue: [
+          { messageId: 'msg-recent', retryCount: 1, queuedAt: now - 60 * 1000, nextRetryAt: now },
+          { messageId: 'msg-expired', retryCount: 2, queuedAt: now - 9 * 60 * 60 * 1000, nextRetryAt: now }
+        ]
+      }) + '\n');
+
+      const restored = await messageCache.initPersistence(file);
 
-      const queue = messageCache.getQueuedMessages('test-fail');
+      expect(restored).to.equal(1);
+      const queue = await messageCache.getQueuedMessages('test-restored');
       expect(queue).to.have.lengthOf(1);
+      expect(queue[0].messageId).to.equal('msg-recent');
       expect(queue[0].retryCount).to.equal(1);
     });
   });
@@ -0,0 +1,101 @@
+const { expect } = require('chai');
+const messageEvents = require('../../../services/messageEvents');
+
+describe('Message Events Service', () => {
+  beforeEach(() => {
+    messageEvents.clearRememberedMessages();
+  });
+
+  describe('getQuotedText', () => {
+    it('should read the quoted message from extendedTextMessage.contextInfo', () => {
+      const messageData = {
+        message: {
+          extendedTextMessage: {
+            text: 'Sí, a las 5',
+            contextInfo: { stanzaId: 'ABC', quotedMessage: { conversation: '¿Quedamos mañana?' } }
+          }
+        }
+      };
+
+      expect(messageEvents.getQuotedText('inst', messageData)).to.equal('¿Quedamos mañana?');
+    });
+
+    it('should fall back to the remembered text (Evolution v2 contextInfo)', () => {
+      messageEvents.rememberMessage('inst', 'ABC', 'Transcripción del audio');
+
+      const messageData = { contextInfo: { stanzaId: 'ABC', quotedMessage: {} }, message: { conversation: 'Vale' } };
+
+      expect(messageEvents.getQuotedText('inst', messageData)).to.equal('Transcripción del audio');
+    });
+
+    it('should return null for messages that are not replies', () => {
+      expect(messageEvents.getQuotedText('inst', { message: { conversation: 'Hola' } })).to.be.null;
+    });
+  });
+
+  describe('formatQuote', () => {
+    it('should prefix a single-line preview of the quoted text', () => {
+      const text = messageEvents.formatQuote('línea 1\nlínea 2', 'respuesta');
+
+      expect(text).to.equal('↪ citando: "línea 1 línea 2"\nrespuesta');
+    });
+  });
+
+  describe('parseMessageEvent', () => {
+    it('should parse reactions', () => {
+      const event = messageEvents.parseMessageEvent({ reactionMessage: { key: { id: 'ABC' }, text: '👍' } });
+
+      expect(event).to.deep.equal({ type: 'reaction', targetId: 'ABC', emoji: '👍' });
+    });
+
+    it('should parse edits (editedMessage wrapper and plain protocolMessage)', () => {
+      const wrapped = messageEvents.parseMessageEvent({
+        editedMessage: {
+          message: {
+            protocolMessage: { key: { id: 'ABC' }, type: 'MESSAGE_EDIT', editedMessage: { conversation: 'Nuevo texto' } }
+          }
+        }
+      });
+      const plain = messageEvents.parseMessageEvent({
+        protocolMessage: { key: { id: 'ABC' }, type: 14, editedMessage: { extendedTextMessage: { text: 'Nuevo texto' } } }
+      });
+
+      expect(wrapped).to.deep.equal({ type: 'edit', targetId: 'ABC', text: 'Nuevo texto' });
+      expect(plain).to.deep.equal(wrapped);
+    });
+
+    it('should parse revokes (type omitted or REVOKE)', () => {
+      expect(messageEvents.parseMessageEvent({ protocolMessage: { key: { id: 'ABC' } } }))
+        .to.deep.equal({ type: 'revoke', targetId: 'ABC' });
+      expect(messageEvents.parseMessageEvent({ protocolMessage: { key: { id: 'ABC' }, type: 'REVOKE' } }))
+        .to.deep.equal({ type: 'revoke', targetId: 'ABC' });
+    });
+
+    it('should flag other protocol messages and ignore normal messages', () => {
+      expect(messageEvents.parseMessageEvent({ protocolMessage: { type: 'EPHEMERAL_SETTING' } }))
+        .to.deep.equal({ type: 'protocol', protocolType: 'EPHEMERAL_SETTING' });
+      expect(messageEvents.parseMessageEvent({ conversation: 'Hola' })).to.be.null;
+    });
+  });
+
+  describe('formatMessageEvent', () => {
+    it('should reference the original message when known', () => {
+      const note = messageEvents.formatMessageEvent({ type: 'reaction', emoji: '❤️' }, { original: 'Gracias!' });
+
+      expect(note).to.equal('❤️ [reacción a un mensaje]: "Gracias!"');
+    });
+
+    it('should mark edits with the previous text', () => {
+      const note = messageEvents.formatMessageEvent({ type: 'edit', text: 'A las 6' }, { original: 'A las 5' });
+
+      expect(note).to.equal('✏️ [mensaje editado] A las 6\n(antes: "A las 5")');
+    });
+
+    it('should note deletions by the contact', () => {
+      expect(messageEvents.formatMessageEvent({ type: 'revoke' }))
+        .to.equal('🗑️ [mensaje eliminado por el contacto]');
+      expect(messageEvents.formatMessageEvent({ type: 'reaction', emoji: '' }))
+        .to.equal('[reacción eliminada]');
+    });
+  });
+});
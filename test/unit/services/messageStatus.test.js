@@ -0,0 +1,90 @@
+const { expect } = require('chai');
+const messageStatus = require('../../../services/messageStatus');
+
+describe('Message Status Service', () => {
+
+  beforeEach(() => {
+    messageStatus.clearLinks();
+  });
+
+  describe('linkOutboundMessage', () => {
+    it('should link Evolution key.id with GHL messageId', () => {
+      const linked = messageStatus.linkOutboundMessage(
+        { key: { id: 'EVO123', remoteJid: '34660722687@s.whatsapp.net', fromMe: true } },
+        { locationId: 'loc-001', messageId: 'ghl-msg-001' }
+      );
+
+      expect(linked).to.be.true;
+      expect(messageStatus.getLinkedMessage('EVO123')).to.deep.include({
+        locationId: 'loc-001',
+        messageId: 'ghl-msg-001'
+      });
+    });
+
+    it('should not link when Evolution response has no key', () => {
+      const linked = messageStatus.linkOutboundMessage({}, { locationId: 'loc-001', messageId: 'ghl-msg-001' });
+      expect(linked).to.be.false;
+    });
+  });
+
+  describe('mapEvolutionStatus', () => {
+    it('should map string statuses', () => {
+      expect(messageStatus.mapEvolutionStatus('SERVER_ACK')).to.equal('delivered');
+      expect(messageStatus.mapEvolutionStatus('DELIVERY_ACK')).to.equal('delivered');
+      expect(messageStatus.mapEvolutionStatus('READ')).to.equal('read');
+      expect(messageStatus.mapEvolutionStatus('PLAYED')).to.equal('read');
+      expect(messageStatus.mapEvolutionStatus('ERROR')).to.equal('failed');
+    });
+
+    it('should map numeric statuses and ignore pending', () => {
+      expect(messageStatus.mapEvolutionStatus(3)).to.equal('delivered');
+      expect(messageStatus.mapEvolutionStatus(4)).to.equal('read');
+      expect(messageStatus.mapEvolutionStatus(1)).to.be.null;
+    });
+  });
+
+  describe('extractStatusUpdates', () => {
+    it('should parse v2 payload (keyId + status)', () => {
+      const updates = messageStatus.extractStatusUpdates({
+        keyId: 'EVO123',
+        remoteJid: '34660722687@s.whatsapp.net',
+        fromMe: true,
+        status: 'READ'
+      });
+
+      expect(updates).to.deep.equal([{ evolutionMessageId: 'EVO123', status: 'READ' }]);
+    });
+
+    it('should parse v1 payload (array with key/update)', () => {
+      const updates = messageStatus.extractStatusUpdates([
+        { key: { id: 'EVO1' }, update: { status: 3 } },
+        { key: { id: 'EVO2' }, update: {} }
+      ]);
+
+      expect(updates).to.deep.equal([{ evolutionMessageId: 'EVO1', status: 3 }]);
+    });
+  });
+
+  describe('shouldUpdateStatus', () => {
+    beforeEach(() => {
+      messageStatus.linkOutboundMessage({ key: { id: 'EVO123' } }, { locationId: 'loc-001', messageId: 'ghl-msg-001' });
+    });
+
+    it('should only move status forward', () => {
+      expect(messageStatus.shouldUpdateStatus('EVO123', 'delivered')).to.be.true;
+      expect(messageStatus.shouldUpdateStatus('EVO123', 'delivered')).to.be.false;
+      expect(messageStatus.shouldUpdateStatus('EVO123', 'read')).to.be.true;
+      expect(messageStatus.shouldUpdateStatus('EVO123', 'delivered')).to.be.false;
+    });
+
+    it('should not report failed after a positive ack', () => {
+      messageStatus.shouldUpdateStatus('EVO123', 'delivered');
+      expect(messageStatus.shouldUpdateStatus('EVO123', 'failed')).to.be.false;
+    });
+
+    it('should ignore unlinked messages', () => {
+      expect(messageStatus.shouldUpdateStatus('UNKNOWN', 'read')).to.be.false;
+    });
+  });
+
+});
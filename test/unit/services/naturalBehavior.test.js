@@ -0,0 +1,145 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const nock = require('nock');
+const config = require('../../../config');
+const evolutionAPI = require('../../../services/evolution');
+const naturalBehavior = require('../../../services/naturalBehavior');
+
+describe('Natural Behavior Service', () => {
+  const client = {
+    instance_name: 'inst-natural',
+    instance_apikey: 'key-natural',
+    whatsapp_provider: 'evolution',
+    natural_behavior: true
+  };
+  const waNumber = '34660722687@s.whatsapp.net';
+
+  afterEach(() => {
+    sinon.restore();
+    nock.cleanAll();
+    naturalBehavior.cancelOffline(client.instance_name);
+  });
+
+  describe('isEnabled', () => {
+    it('should require natural_behavior and Evolution provider', () => {
+      expect(naturalBehavior.isEnabled(client)).to.be.true;
+      expect(naturalBehavior.isEnabled({ ...client, natural_behavior: false })).to.be.false;
+      expect(naturalBehavior.isEnabled({ ...client, whatsapp_provider: 'official' })).to.be.false;
+    });
+  });
+
+  describe('calculateTypingDelay', () => {
+    it('should scale with text length within 2-8s', () => {
+      expect(naturalBehavior.calculateTypingDelay('Hola')).to.equal(2000);
+      expect(naturalBehavior.calculateTypingDelay('a'.repeat(50))).to.equal(4000);
+      expect(naturalBehavior.calculateTypingDelay('a'.repeat(500))).to.equal(8000);
+    });
+
+    it('should honour per-client typing speed', () => {
+      expect(naturalBehavior.calculateTypingDelay('a'.repeat(50), 'text', 120)).to.equal(6000);
+    });
+
+    it('should use 3-10s for audio', () => {
+      const delay = naturalBehavior.calculateTypingDelay('', 'audio');
+      expect(delay).to.be.within(3000, 10000);
+    });
+  });
+
+  describe('shouldMarkAsRead', () => {
+    it('should follow read_probability', () => {
+      sinon.stub(Math, 'random').returns(0.5);
+
+      expect(naturalBehavior.shouldMarkAsRead({ ...client, read_probability: 75 }, waNumber)).to.be.true;
+      expect(naturalBehavior.shouldMarkAsRead({ ...client, read_probability: 40 }, waNumber)).to.be.false;
+    });
+  });
+
+  describe('scheduleReadReceipt', () => {
+    it('should not schedule for disabled clients', () => {
+      const result = naturalBehavior.scheduleReadReceipt({ ...client, natural_behavior: false }, waNumber, 'MSG1');
+      expect(result).to.be.false;
+    });
+
+    it('should mark as read after a random delay', async () => {
+      const clock = sinon.useFakeTimers();
+      sinon.stub(Math, 'random').returns(0);
+      const setPresence = sinon.stub(evolutionAPI, 'setPresence').resolves({});
+      const markAsRead = sinon.stub(evolutionAPI, 'markMessageAsRead').resolves({});
+
+      expect(naturalBehavior.scheduleReadReceipt(client, waNumber, 'MSG1')).to.be.true;
+      expect(markAsRead.called).to.be.false;
+
+      await clock.tickAsync(1000);
+
+      expect(setPresence.calledWith('inst-natural', 'key-natural', 'available')).to.be.true;
+      expect(markAsRead.calledWith('inst-natural', 'key-natural', waNumber, 'MSG1')).to.be.true;
+    });
+  });
+
+  describe('sendTextWithTyping', () => {
+    it('should send directly when disabled', async () => {
+      const sendText = sinon.stub(evolutionAPI, 'sendText').resolves({ key: { id: 'EVO1' } });
+      const sendPresence = sinon.stub(evolutionAPI, 'sendPresence');
+
+      const sent = await naturalBehavior.sendTextWithTyping({ ...client, natural_behavior: false }, waNumber, 'Hola');
+
+      expect(sent.key.id).to.equal('EVO1');
+      expect(sendPresence.called).to.be.false;
+      expect(sendText.firstCall.args).to.have.lengthOf(4);
+    });
+
+    it('should show composing before sending and skip Evolution delay', async () => {
+      const clock = sinon.useFakeTimers();
+      const sendPresence = sinon.stub(evolutionAPI, 'sendPresence').resolves({});
+      const sendText = sinon.stub(evolutionAPI, 'sendText').resolves({ key: { id: 'EVO2' } });
+
+      const promise = naturalBehavior.sendTextWithTyping(client, waNumber, 'Hola');
+      await clock.tickAsync(1999);
+      expect(sendText.called).to.be.false;
+
+      await clock.tickAsync(1);
+      const sent = await promise;
+
+      expect(sent.key.id).to.equal('EVO2');
+      expect(sendPresence.calledWith('inst-natural', 'key-natural', waNumber, 'composing', 2000)).to.be.true;
+      expect(sendText.firstCall.args[4]).to.deep.equal({ delay: 0 });
+    });
+
+    it('should keep sending when presence fails', async () => {
+      const clock = sinon.useFakeTimers();
+      sinon.stub(evolutionAPI, 'sendPresence').rejects(new Error('Evolution down'));
+      const sendText = sinon.stub(evolutionAPI, 'sendText').resolves({ key: { id: 'EVO3' } });
+
+      const promise = naturalBehavior.sendTextWithTyping(client, waNumber, 'Hola');
+      await clock.tickAsync(2000);
+      await promise;
+
+      expect(sendText.calledOnce).to.be.true;
+    });
+  });
+
+  describe('Evolution endpoints', () => {
+    it('markMessageAsRead should post readMessages payload', async () => {
+      const scope = nock(config.EVOLUTION_BASE_URL)
+        .post('/chat/markMessageAsRead/inst-natural', {
+          readMessages: [{ remoteJid: waNumber, fromMe: false, id: 'MSG1' }]
+        })
+        .reply(200, { read: 'success' });
+
+      await evolutionAPI.markMessageAsRead('inst-natural', 'key-natural', waNumber, 'MSG1');
+      expect(scope.isDone()).to.be.true;
+    });
+
+    it('sendPresence should include delay only when provided', async () => {
+      const scope = nock(config.EVOLUTION_BASE_URL)
+        .post('/chat/sendPresence/inst-natural', { number: waNumber, presence: 'composing', delay: 3000 })
+        .reply(200, {})
+        .post('/instance/setPresence/inst-natural', { presence: 'unavailable' })
+        .reply(200, {});
+
+      await evolutionAPI.sendPresence('inst-natural', 'key-natural', waNumber, 'composing', 3000);
+      await evolutionAPI.setPresence('inst-natural', 'key-natural', 'unavailable');
+      expect(scope.isDone()).to.be.true;
+    });
+  });
+});
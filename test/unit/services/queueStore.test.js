@@ -0,0 +1,61 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createQueueStore } = require('../../../services/queueStore');
+
+describe('Queue Store (persistencia de cola)', () => {
+  let tmpDir;
+  let file;
+  let queueStore;
+
+  beforeEach(() => {
+    queueStore = createQueueStore('test queue');
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'queue-store-'));
+    file = path.join(tmpDir, 'message-queue.jsonl');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should restore the last snapshot of each instance', () => {
+    fs.writeFileSync(file, [
+      JSON.stringify({ instanceName: 'inst-a', queue: [{ messageId: 'm1' }] }),
+      JSON.stringify({ instanceName: 'inst-b', queue: [{ messageId: 'm2' }] }),
+      JSON.stringify({ instanceName: 'inst-a', queue: [{ messageId: 'm1' }, { messageId: 'm3' }] })
+    ].join('\n') + '\n');
+
+    const state = queueStore.init(file);
+
+    expect(state['inst-a']).to.have.lengthOf(2);
+    expect(state['inst-b']).to.have.lengthOf(1);
+  });
+
+  it('should drop emptied queues and skip corrupted lines', () => {
+    fs.writeFileSync(file, [
+      JSON.stringify({ instanceName: 'inst-a', queue: [{ messageId: 'm1' }] }),
+      JSON.stringify({ instanceName: 'inst-a', queue: [] }),
+      '{"instanceName":"inst-b","que'
+    ].join('\n') + '\n');
+
+    const state = queueStore.init(file);
+
+    expect(state).to.deep.equal({});
+  });
+
+  it('should compact the file on init and append on persist', () => {
+    fs.writeFileSync(file, [
+      JSON.stringify({ instanceName: 'inst-a', queue: [{ messageId: 'm1' }] }),
+      JSON.stringify({ instanceName: 'inst-a', queue: [{ messageId: 'm1' }, { messageId: 'm2' }] })
+    ].join('\n') + '\n');
+
+    queueStore.init(file);
+    expect(fs.readFileSync(file, 'utf8').trim().split('\n')).to.have.lengthOf(1);
+
+    queueStore.persistQueue('inst-a', []);
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+    expect(lines).to.have.lengthOf(2);
+    expect(JSON.parse(lines[1]).queue).to.deep.equal([]);
+  });
+});
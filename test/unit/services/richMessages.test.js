@@ -0,0 +1,164 @@
+const { expect } = require('chai');
+const nock = require('nock');
+const sinon = require('sinon');
+const config = require('../../../config');
+const evolutionAPI = require('../../../services/evolution');
+const richMessages = require('../../../services/richMessages');
+
+describe('Rich Messages Service', () => {
+  const waNumber = '34660722687@s.whatsapp.net';
+
+  afterEach(() => {
+    sinon.restore();
+    nock.cleanAll();
+  });
+
+  describe('parseRichMarkup', () => {
+    it('should parse a location and keep the rest as text', () => {
+      const rich = richMessages.parseRichMarkup('Te esperamos aquí:\n```[location: 40.4168, -3.7038 | Oficina Madrid | Calle Mayor 1]```');
+
+      expect(rich).to.deep.equal({
+        type: 'location',
+        data: { latitude: 40.4168, longitude: -3.7038, name: 'Oficina Madrid', address: 'Calle Mayor 1' },
+        text: 'Te esperamos aquí:'
+      });
+    });
+
+    it('should parse contacts with optional organization and email', () => {
+      const rich = richMessages.parseRichMarkup('[contacto: Ana García | +34 660 722 687 | ana@pabs.ai]');
+
+      expect(rich.data).to.deep.equal({
+        fullName: 'Ana García',
+        phoneNumber: '34660722687',
+        organization: '',
+        email: 'ana@pabs.ai'
+      });
+    });
+
+    it('should ignore invalid markup and text without markup', () => {
+      expect(richMessages.parseRichMarkup('[location: 200, 10]')).to.be.null;
+      expect(richMessages.parseRichMarkup('[sticker: gracias.webp]')).to.be.null;
+      expect(richMessages.parseRichMarkup('Hola [Juan]')).to.be.null;
+    });
+  });
+
+  describe('parseAllRichMarkup', () => {
+    it('should parse every block of a payload with several structured fields', () => {
+      const payload = {
+        body: 'Aquí tienes',
+        location: { latitude: 40.4168, longitude: -3.7038, name: 'Oficina Madrid' },
+        contact: { name: 'Ana', phone: '+34660722687' }
+      };
+      // Igual que /webhook/ghl: texto + un bloque por campo
+      const messageText = [payload.body, ...richMessages.payloadToMarkup(payload)].join('\n');
+
+      const rich = richMessages.parseAllRichMarkup(messageText);
+
+      expect(rich.text).to.equal('Aquí tienes');
+      expect(rich.items).to.deep.equal([
+        { type: 'location', data: { latitude: 40.4168, longitude: -3.7038, name: 'Oficina Madrid', address: '' } },
+        { type: 'contact', data: { fullName: 'Ana', phoneNumber: '34660722687', organization: '', email: '' } }
+      ]);
+    });
+
+    it('should leave invalid blocks in the text and return null without valid ones', () => {
+      const rich = richMessages.parseAllRichMarkup('[location: 200, 10]\n[sticker: https://cdn.example.com/gracias.webp]');
+
+      expect(rich.items.map(item => item.type)).to.deep.equal(['sticker']);
+      expect(rich.text).to.equal('[location: 200, 10]');
+      expect(richMessages.parseAllRichMarkup('Hola [Juan]')).to.be.null;
+    });
+  });
+
+  describe('payloadToMarkup', () => {
+    it('should convert structured fields into markup', () => {
+      const markups = richMessages.payloadToMarkup({
+        body: 'Hola',
+        ubicacion: { latitude: 40.4168, longitude: -3.7038 },
+        sticker: { url: 'https://cdn.example.com/gracias.webp' }
+      });
+
+      expect(markups).to.deep.equal([
+        '[location: 40.4168, -3.7038]',
+        '[sticker: https://cdn.example.com/gracias.webp]'
+      ]);
+    });
+
+    it('should skip incomplete payloads instead of producing invalid markup', () => {
+      expect(richMessages.payloadToMarkup({ location: { name: 'Oficina' } })).to.deep.equal([]);
+      expect(richMessages.payloadToMarkup({ contact: { name: 'Ana' } })).to.deep.equal([]);
+      expect(richMessages.payloadToMarkup({ sticker: { name: 'gracias' } })).to.deep.equal([]);
+    });
+
+    it('should keep optional contact fields after the phone', () => {
+      expect(richMessages.payloadToMarkup({ contact: { name: 'Ana', phone: '+34 660 722 687', email: 'ana@pabs.ai' } }))
+        .to.deep.equal(['[contact: Ana | +34 660 722 687 | ana@pabs.ai]']);
+    });
+  });
+
+  describe('stripRichMarkup', () => {
+    it('should render a Google Maps link and contact details', () => {
+      expect(richMessages.stripRichMarkup('Estamos aquí\n[location: 40.4168, -3.7038 | Oficina Madrid]'))
+        .to.equal('Estamos aquí\n\n📍 Oficina Madrid\nhttps://www.google.com/maps?q=40.4168,-3.7038');
+      expect(richMessages.stripRichMarkup('[contact: Ana García | 34660722687 | Pabs]'))
+        .to.equal('👤 Ana García\n📞 +34660722687\n🏢 Pabs');
+    });
+
+    it('should render every block', () => {
+      expect(richMessages.stripRichMarkup('Hola\n[location: 40.4168, -3.7038]\n[contact: Ana | +34660722687]'))
+        .to.equal('Hola\n\n📍 https://www.google.com/maps?q=40.4168,-3.7038\n\n👤 Ana\n📞 +34660722687');
+    });
+
+    it('should drop stickers', () => {
+      expect(richMessages.stripRichMarkup('[sticker: https://cdn.example.com/gracias.webp]')).to.equal('');
+    });
+  });
+
+  describe('sendRichMessage', () => {
+    it('should send a contact card through Evolution API', async () => {
+      let body;
+      nock(config.EVOLUTION_BASE_URL)
+        .post('/message/sendContact/inst', requestBody => {
+          body = requestBody;
+          return true;
+        })
+        .reply(201, { key: { id: 'CONTACT1' } });
+
+      const sent = await richMessages.sendRichMessage('inst', 'key', waNumber,
+        richMessages.parseRichMarkup('[contact: Ana García | +34 660 722 687 | Pabs]'));
+
+      expect(sent.key.id).to.equal('CONTACT1');
+      expect(body).to.deep.equal({
+        number: waNumber,
+        contact: [{
+          fullName: 'Ana García',
+          wuid: '34660722687',
+          phoneNumber: '+34660722687',
+          organization: 'Pabs',
+          email: ''
+        }]
+      });
+    });
+
+    it('should fall back to plain text when Evolution rejects a location', async () => {
+      sinon.stub(evolutionAPI, 'sendLocation').rejects(new Error('Request failed with status code 400'));
+      const textStub = sinon.stub(evolutionAPI, 'sendText').resolves({ key: { id: 'TXT1' } });
+
+      await richMessages.sendRichMessage('inst', 'key', waNumber,
+        richMessages.parseRichMarkup('[location: 40.4168, -3.7038]'));
+
+      expect(textStub.firstCall.args[3]).to.equal('📍 https://www.google.com/maps?q=40.4168,-3.7038');
+    });
+
+    it('should skip a rejected sticker', async () => {
+      sinon.stub(evolutionAPI, 'sendSticker').rejects(new Error('Request failed with status code 400'));
+      const textStub = sinon.stub(evolutionAPI, 'sendText');
+
+      const sent = await richMessages.sendRichMessage('inst', 'key', waNumber,
+        richMessages.parseRichMarkup('[sticker: https://cdn.example.com/gracias.webp]'));
+
+      expect(sent).to.be.null;
+      expect(textStub.called).to.be.false;
+    });
+  });
+});
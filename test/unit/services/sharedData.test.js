@@ -0,0 +1,114 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const config = require('../../../config');
+const ghlAPI = require('../../../services/ghl');
+const sharedData = require('../../../services/sharedData');
+
+describe('Shared Data Service', () => {
+  const vcard = [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    'N:García;Ana;;;',
+    'FN:Ana García',
+    'ORG:Pabs Inmobiliaria;',
+    'item1.TEL;type=CELL;waid=34660722687:+34 660 72 26 87',
+    'item1.X-ABLabel:Móvil',
+    'TEL;type=WORK:+34 910 000 000',
+    'EMAIL;type=INTERNET:ana@pabs.ai',
+    'END:VCARD'
+  ].join('\n');
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('parseVCard', () => {
+    it('should read name, phones, emails and organization', () => {
+      expect(sharedData.parseVCard(vcard)).to.deep.equal({
+        name: 'Ana García',
+        phones: ['+34660722687', '+34910000000'],
+        emails: ['ana@pabs.ai'],
+        organization: 'Pabs Inmobiliaria'
+      });
+    });
+
+    it('should use the structured name and unfold long lines', () => {
+      const card = sharedData.parseVCard('BEGIN:VCARD\r\nN:Pérez;Luis\r\nEMAIL:luis@exam\r\n ple.com\r\nEND:VCARD');
+
+      expect(card.name).to.equal('Luis Pérez');
+      expect(card.emails).to.deep.equal(['luis@example.com']);
+    });
+  });
+
+  describe('parseSharedContacts', () => {
+    it('should parse every card of a contacts array', () => {
+      const contacts = sharedData.parseSharedContacts({
+        contactsArrayMessage: {
+          displayName: '2 contactos',
+          contacts: [{ displayName: 'Ana', vcard }, { displayName: 'Luis', vcard: 'BEGIN:VCARD\nTEL:612345678\nEND:VCARD' }]
+        }
+      });
+
+      expect(contacts.map(sharedData.formatSharedContact)).to.deep.equal([
+        'Ana García (+34660722687, +34910000000, ana@pabs.ai)',
+        'Luis (612345678)'
+      ]);
+    });
+  });
+
+  describe('saveLocation', () => {
+    const location = { latitude: 40.4168, longitude: -3.7038, name: 'Oficina Madrid', address: '' };
+
+    it('should store the location with a maps link in the configured field', async () => {
+      const updateStub = sinon.stub(ghlAPI, 'updateContact').resolves({});
+
+      const saved = await sharedData.saveLocation({ location_id: 'loc-001', location_field: 'contact.ultima_ubicacion' }, 'contact-1', location);
+
+      expect(saved).to.be.true;
+      expect(updateStub.firstCall.args[2]).to.deep.equal({
+        customFields: [{
+          key: 'contact.ultima_ubicacion',
+          field_value: 'Oficina Madrid https://www.google.com/maps?q=40.4168,-3.7038'
+        }]
+      });
+    });
+
+    it('should do nothing without a configured field', async () => {
+      sinon.stub(config, 'GHL_LOCATION_FIELD').value(null);
+      const updateStub = sinon.stub(ghlAPI, 'updateContact');
+
+      expect(await sharedData.saveLocation({ location_id: 'loc-001' }, 'contact-1', location)).to.be.false;
+      expect(updateStub.called).to.be.false;
+    });
+  });
+
+  describe('createReferredContacts', () => {
+    const referrer = { contactId: 'contact-1', name: 'José Núñez', phone: '+34600000000' };
+    const contacts = [sharedData.parseVCard(vcard), sharedData.parseVCard('BEGIN:VCARD\nFN:Luis\nTEL:+34 612 345 678\nEND:VCARD')];
+
+    it('should create new contacts tagged with the referrer', async () => {
+      sinon.stub(ghlAPI, 'searchContact')
+        .onFirstCall().resolves({ total: 0, contacts: [] })
+        .onSecondCall().resolves({ total: 1, contacts: [{ id: 'existing' }] });
+      const createStub = sinon.stub(ghlAPI, 'createContact').resolves({ id: 'new-1' });
+
+      const created = await sharedData.createReferredContacts(
+        { location_id: 'loc-001', feature_flags: { referral_contacts: true } }, referrer, contacts);
+
+      expect(created).to.deep.equal(['new-1']);
+      expect(createStub.firstCall.args.slice(1)).to.deep.equal(['Ana García', '+34660722687', {
+        tags: ['referido', 'referido-por-jose-nunez'],
+        source: 'WhatsApp referral',
+        email: 'ana@pabs.ai',
+        companyName: 'Pabs Inmobiliaria'
+      }]);
+    });
+
+    it('should not create contacts without the referral_contacts flag', async () => {
+      const searchStub = sinon.stub(ghlAPI, 'searchContact');
+
+      expect(await sharedData.createReferredContacts({ location_id: 'loc-001' }, referrer, contacts)).to.deep.equal([]);
+      expect(searchStub.called).to.be.false;
+    });
+  });
+});
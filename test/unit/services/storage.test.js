@@ -0,0 +1,320 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const storage = require('../../../services/storage');
+
+describe('Storage Service (memory backend)', () => {
+
+  it('should use the memory backend without REDIS_URL', () => {
+    expect(storage.getBackendName()).to.equal('memory');
+    expect(storage.isShared()).to.be.false;
+  });
+
+  describe('createStore', () => {
+    let store;
+
+    beforeEach(() => {
+      store = storage.createStore('test', { ttlSeconds: 60 });
+    });
+
+    it('should set, get and delete values', async () => {
+      await store.set('key', { a: 1 });
+      expect(await store.get('key')).to.deep.equal({ a: 1 });
+
+      await store.del('key');
+      expect(await store.get('key')).to.be.undefined;
+    });
+
+    it('should return copies of stored values (like Redis)', async () => {
+      const value = { list: [1] };
+      await store.set('key', value);
+      value.list.push(2);
+
+      const stored = await store.get('key');
+      stored.list.push(3);
+      expect(await store.get('key')).to.deep.equal({ list: [1] });
+    });
+
+    it('should append to lists and return the new length', async () => {
+      expect(await store.push('list', 'a')).to.equal(1);
+      expect(await store.push('list', 'b')).to.equal(2);
+      expect(await store.getList('list')).to.deep.equal(['a', 'b']);
+      expect(await store.getList('missing')).to.deep.equal([]);
+    });
+
+    it('should trim the first elements of a list', async () => {
+      await store.push('list', 'a');
+      await store.push('list', 'b');
+
+      await store.trimList('list', 1);
+      expect(await store.getList('list')).to.deep.equal(['b']);
+
+      await store.trimList('list', 5);
+      expect(await store.keys()).to.not.include('list');
+    });
+
+    it('should keep namespaces isolated and flush only its own keys', async () => {
+      const other = storage.createStore('other');
+      await store.set('key', 1);
+      await other.set('key', 2);
+
+      expect(await store.flush()).to.equal(1);
+      expect(await store.keys()).to.deep.equal([]);
+      expect(await other.get('key')).to.equal(2);
+    });
+  });
+
+  describe('locks', () => {
+    it('should not hand out a lock that is already taken', async () => {
+      const token = await storage.acquireLock('test:busy', { ttlMs: 1000 });
+      expect(token).to.be.a('string');
+      expect(await storage.acquireLock('test:busy')).to.be.null;
+
+      expect(await storage.releaseLock('test:busy', 'other-token')).to.be.false;
+      expect(await storage.releaseLock('test:busy', token)).to.be.true;
+      expect(await storage.acquireLock('test:busy')).to.be.a('string');
+    });
+
+    it('should wait for a lock to be released', async () => {
+      const token = await storage.acquireLock('test:wait');
+      setTimeout(() => storage.releaseLock('test:wait', token), 20);
+
+      const next = await storage.acquireLock('test:wait', { waitMs: 500 });
+      expect(next).to.be.a('string');
+      await storage.releaseLock('test:wait', next);
+    });
+
+    it('should free an expired lock', async () => {
+      const clock = sinon.useFakeTimers();
+      try {
+        await storage.acquireLock('test:expired', { ttlMs: 1000 });
+        clock.tick(1001);
+        expect(await storage.acquireLock('test:expired')).to.be.a('string');
+      } finally {
+        clock.restore();
+      }
+    });
+
+    it('should run withLock and release it afterwards', async () => {
+      const result = await storage.withLock('test:with', async () => 'done');
+      expect(result).to.equal('done');
+
+      const token = await storage.acquireLock('test:with');
+      expect(token).to.be.a('string');
+
+      let error;
+      try {
+        await storage.withLock('test:with', async () => 'never', { waitMs: 0 });
+      } catch (err) {
+        error = err;
+      }
+      expect(error.message).to.equal('Could not acquire lock: test:with');
+      await storage.releaseLock('test:with', token);
+    });
+  });
+});
+
+describe('Storage Service (Redis backend)', () => {
+  const config = require('../../../config');
+  const RedisMock = require('ioredis-mock');
+  const modulePaths = [
+    '../../../services/storage',
+    '../../../services/agentBuffer',
+    '../../../services/deadLetter',
+    '../../../utils/idempotency'
+  ].map(mod => require.resolve(mod));
+  const ioredisPath = require.resolve('ioredis');
+  let originalModules;
+  let replicas;
+
+  /**
+   * Carga una copia nueva de storage y sus consumidores (= otra réplica con su propio cliente Redis)
+   * Los clientes de ioredis-mock con la misma URL comparten los datos, como un Redis real
+   */
+  function loadReplica() {
+    modulePaths.forEach(modulePath => delete require.cache[modulePath]);
+    const replica = {
+      storage: require('../../../services/storage'),
+      agentBuffer: require('../../../services/agentBuffer'),
+      deadLetter: require('../../../services/deadLetter'),
+      idempotency: require('../../../utils/idempotency')
+    };
+    replicas.push(replica);
+    return replica;
+  }
+
+  beforeEach(async () => {
+    originalModules = [ioredisPath, ...modulePaths].map(modulePath => require.cache[modulePath]);
+    require.cache[ioredisPath] = { id: ioredisPath, filename: ioredisPath, loaded: true, exports: RedisMock };
+    sinon.stub(config, 'REDIS_URL').value('redis://localhost:6379');
+    replicas = [];
+    await new RedisMock('redis://localhost:6379').flushall();
+  });
+
+  afterEach(async () => {
+    for (const replica of replicas) {
+      replica.agentBuffer.stopDebounceScheduler();
+      await replica.storage.disconnect();
+    }
+    [ioredisPath, ...modulePaths].forEach((modulePath, index) => {
+      if (originalModules[index]) {
+        require.cache[modulePath] = originalModules[index];
+      } else {
+        delete require.cache[modulePath];
+      }
+    });
+    sinon.restore();
+  });
+
+  it('should use the Redis backend with REDIS_URL', () => {
+    const { storage } = loadReplica();
+    expect(storage.getBackendName()).to.equal('redis');
+    expect(storage.isShared()).to.be.true;
+  });
+
+  describe('createStore', () => {
+    it('should store JSON values under the namespace prefix with TTL', async () => {
+      const { storage } = loadReplica();
+      const store = storage.createStore('tokens', { ttlSeconds: 120 });
+      const redis = new RedisMock('redis://localhost:6379');
+
+      await store.set('loc-1', { access_token: 'abc' });
+
+      expect(await redis.get(`${config.REDIS_KEY_PREFIX}tokens:loc-1`)).to.equal('{"access_token":"abc"}');
+      expect(await redis.ttl(`${config.REDIS_KEY_PREFIX}tokens:loc-1`)).to.equal(120);
+      expect(await store.get('loc-1')).to.deep.equal({ access_token: 'abc' });
+      expect(await store.get('missing')).to.be.undefined;
+    });
+
+    it('should append to lists with TTL and read them back', async () => {
+      const { storage } = loadReplica();
+      const store = storage.createStore('agent-buffer', { ttlSeconds: 600 });
+      const redis = new RedisMock('redis://localhost:6379');
+
+      expect(await store.push('c1_SMS_buffer', 'Hola')).to.equal(1);
+      expect(await store.push('c1_SMS_buffer', '¿Precio?')).to.equal(2);
+
+      expect(await store.getList('c1_SMS_buffer')).to.deep.equal(['Hola', '¿Precio?']);
+      expect(await redis.ttl(`${config.REDIS_KEY_PREFIX}agent-buffer:c1_SMS_buffer`)).to.equal(600);
+
+      await store.setList('c1_SMS_buffer', ['Hola\n¿Precio?']);
+      expect(await store.getList('c1_SMS_buffer')).to.deep.equal(['Hola\n¿Precio?']);
+
+      await store.push('c1_SMS_buffer', 'Gracias');
+      await store.trimList('c1_SMS_buffer', 1);
+      expect(await store.getList('c1_SMS_buffer')).to.deep.equal(['Gracias']);
+      expect(await redis.ttl(`${config.REDIS_KEY_PREFIX}agent-buffer:c1_SMS_buffer`)).to.equal(600);
+    });
+
+    it('should list and flush only the keys of its namespace', async () => {
+      const { storage } = loadReplica();
+      const contacts = storage.createStore('contacts');
+      const conversations = storage.createStore('conversations');
+
+      await contacts.set('loc_a', 'c1');
+      await contacts.set('loc_b', 'c2');
+      await conversations.set('loc_a', 'conv1');
+
+      expect((await contacts.keys()).sort()).to.deep.equal(['loc_a', 'loc_b']);
+      expect(await contacts.flush()).to.equal(2);
+      expect(await contacts.keys()).to.deep.equal([]);
+      expect(await conversations.get('loc_a')).to.equal('conv1');
+    });
+
+    it('should share data between replicas', async () => {
+      const replicaA = loadReplica();
+      const replicaB = loadReplica();
+
+      await replicaA.storage.createStore('message-queue').set('pending:inst', [{ messageId: 'm1' }]);
+      expect(await replicaB.storage.createStore('message-queue').get('pending:inst')).to.deep.equal([{ messageId: 'm1' }]);
+    });
+  });
+
+  describe('locks', () => {
+    it('should only release a lock with the token that took it', async () => {
+      const replicaA = loadReplica();
+      const replicaB = loadReplica();
+
+      const token = await replicaA.storage.acquireLock('restart:inst', { ttlMs: 5000 });
+      expect(token).to.be.a('string');
+      expect(await replicaB.storage.acquireLock('restart:inst')).to.be.null;
+
+      expect(await replicaB.storage.releaseLock('restart:inst', 'other-token')).to.be.false;
+      expect(await replicaB.storage.acquireLock('restart:inst')).to.be.null;
+
+      expect(await replicaA.storage.releaseLock('restart:inst', token)).to.be.true;
+      expect(await replicaB.storage.acquireLock('restart:inst')).to.be.a('string');
+    });
+  });
+
+  describe('webhook idempotency across replicas', () => {
+    it('should let only one replica claim a message', async () => {
+      const replicaA = loadReplica();
+      const replicaB = loadReplica();
+
+      const claims = await Promise.all([
+        replicaA.idempotency.claimMessage('ghl', 'msg-001'),
+        replicaB.idempotency.claimMessage('ghl', 'msg-001')
+      ]);
+      expect(claims.filter(Boolean)).to.have.lengthOf(1);
+
+      await replicaA.idempotency.releaseMessage('ghl', 'msg-001');
+      expect(await replicaB.idempotency.claimMessage('ghl', 'msg-001')).to.be.true;
+    });
+  });
+
+  describe('dead-letter across replicas', () => {
+    const message = { instanceName: 'inst-a', locationId: 'loc-001', messageId: 'msg-001', messageText: 'Hola' };
+
+    it('should list and discard entries added by another replica', async () => {
+      const replicaA = loadReplica();
+      const replicaB = loadReplica();
+
+      const entry = await replicaA.deadLetter.addDeadLetter(message, { reason: 'max_retries' });
+      await replicaB.deadLetter.addDeadLetter({ ...message, messageId: 'msg-002' }, { reason: 'max_retries' });
+
+      expect(await replicaB.deadLetter.listDeadLetters({ instanceName: 'inst-a' })).to.have.lengthOf(2);
+      expect((await replicaB.deadLetter.removeDeadLetter(entry.id)).messageId).to.equal('msg-001');
+      expect(await replicaA.deadLetter.getDeadLetter(entry.id)).to.be.null;
+      expect(await replicaA.deadLetter.listDeadLetters()).to.have.lengthOf(1);
+    });
+  });
+
+  describe('agent debounce across replicas', () => {
+    const job = { contact_id: 'c1', location_id: 'loc-001', canal: 'SMS', agente: 'ventas' };
+
+    it('should only fire the debounce of the latest message, whichever replica received it', async () => {
+      const replicaA = loadReplica();
+      const replicaB = loadReplica();
+      const callbackA = sinon.spy();
+      const callbackB = sinon.spy();
+
+      await replicaA.agentBuffer.setupDebounce('c1', 'SMS', callbackA, 30, job);
+      await replicaB.agentBuffer.setupDebounce('c1', 'SMS', callbackB, 60, job);
+      await new Promise(resolve => setTimeout(resolve, 150));
+
+      expect(callbackA.called).to.be.false;
+      expect(callbackB.calledOnce).to.be.true;
+    });
+
+    it('should let only one replica recover an overdue debounce', async () => {
+      const replicaA = loadReplica();
+      const replicaB = loadReplica();
+      const handler = sinon.spy();
+
+      await replicaA.agentBuffer.setupDebounce('c1', 'SMS', sinon.spy(), 5000, job);
+
+      // Réplica A "muere" (su timer no dispara) y las dos pasan el scheduler a la vez
+      sinon.stub(Date, 'now').returns(Date.now() + 10000);
+      const recovered = await Promise.all([
+        replicaA.agentBuffer.recoverOverdueDebounces(handler, { graceMs: 0 }),
+        replicaB.agentBuffer.recoverOverdueDebounces(handler, { graceMs: 0 })
+      ]);
+      Date.now.restore();
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      expect(recovered[0] + recovered[1]).to.equal(1);
+      expect(handler.calledOnceWith(job)).to.be.true;
+      await replicaA.agentBuffer.cancelDebounce('c1', 'SMS');
+    });
+  });
+});
@@ -0,0 +1,36 @@
+const { expect } = require('chai');
+const { cleanClient } = require('../../../services/supabase');
+
+describe('Supabase Service', () => {
+
+  describe('cleanClient', () => {
+    it('should trim text fields', () => {
+      const client = cleanClient({ location_id: ' loc-001\r\n', instance_name: ' ' });
+
+      expect(client.location_id).to.equal('loc-001');
+      expect(client.instance_name).to.be.null;
+    });
+
+    it('should keep ai_provider and split_messages when columns exist', () => {
+      const client = cleanClient({ location_id: 'loc-001', is_beta: true, ai_provider: 'flowise', split_messages: true });
+
+      expect(client.ai_provider).to.equal('flowise');
+      expect(client.split_messages).to.be.true;
+    });
+
+    it('should derive ai_provider and split_messages from is_beta when columns are missing', () => {
+      const beta = cleanClient({ location_id: 'loc-001', is_beta: true });
+      const regular = cleanClient({ location_id: 'loc-002' });
+
+      expect(beta).to.include({ ai_provider: 'ghl_native', split_messages: true });
+      expect(regular).to.include({ ai_provider: 'flowise', split_messages: false });
+    });
+
+    it('should not enable the splitter from is_beta for official API clients', () => {
+      const client = cleanClient({ location_id: 'loc-001', is_beta: true, whatsapp_provider: 'official' });
+
+      expect(client.split_messages).to.be.false;
+    });
+  });
+
+});
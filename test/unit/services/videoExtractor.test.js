@@ -0,0 +1,201 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../../../config');
+const videoExtractor = require('../../../services/videoExtractor');
+const aiProvider = require('../../../services/aiProvider');
+const { processVideoToText } = require('../../../utils/mediaHelper');
+
+describe('Video Extractor Service', () => {
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('parseProbeOutput', () => {
+    it('should read duration and streams from ffmpeg output', () => {
+      const output = [
+        "Input #0, mov,mp4,m4a,3gp,3g2,mj2, from 'input':",
+        '  Duration: 00:01:05.50, start: 0.000000, bitrate: 1205 kb/s',
+        '    Stream #0:0(und): Video: h264 (High) (avc1 / 0x31637661), yuv420p, 720x1280, 30 fps',
+        '    Stream #0:1(und): Audio: aac (LC) (mp4a / 0x6134706D), 44100 Hz, mono, fltp, 64 kb/s'
+      ].join('\n');
+
+      expect(videoExtractor.parseProbeOutput(output)).to.deep.equal({ duration: 65.5, hasAudio: true, hasVideo: true });
+    });
+
+    it('should ignore cover art and unknown durations', () => {
+      const output = [
+        '  Duration: N/A, bitrate: N/A',
+        '    Stream #0:0: Audio: aac (LC), 48000 Hz, stereo',
+        '    Stream #0:1: Video: mjpeg, yuvj420p, 600x600 (attached pic)'
+      ].join('\n');
+
+      expect(videoExtractor.parseProbeOutput(output)).to.deep.equal({ duration: 0, hasAudio: true, hasVideo: false });
+    });
+  });
+
+  describe('extractVideoMedia', () => {
+    it('should reject videos over the size cap before running ffmpeg', async () => {
+      sinon.stub(config, 'VIDEO_MAX_SIZE_MB').value(1);
+
+      try {
+        await videoExtractor.extractVideoMedia(Buffer.alloc(1024 * 1024 + 1));
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.code).to.equal('VIDEO_TOO_LARGE');
+      }
+    });
+
+    it('should fail clearly when ffmpeg is not installed', async () => {
+      sinon.stub(config, 'FFMPEG_PATH').value('/nonexistent/ffmpeg');
+
+      try {
+        await videoExtractor.extractVideoMedia(Buffer.from('video'));
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.code).to.equal('ENOENT');
+        expect(error.message).to.include('ffmpeg failed');
+      }
+    });
+
+    it('should not run ffmpeg once the deadline has passed', async () => {
+      sinon.stub(config, 'FFMPEG_PATH').value('/nonexistent/ffmpeg');
+
+      try {
+        await videoExtractor.extractVideoMedia(Buffer.from('video'), { deadline: Date.now() - 1 });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.code).to.equal('FFMPEG_TIMEOUT');
+      }
+    });
+
+    describe('unknown duration (Duration: N/A)', () => {
+      let tmpDir;
+
+      /**
+       * ffmpeg falso: el vídeo no indica duración y el audio extraído dura audioDuration
+       */
+      function useFakeFfmpeg(audioDuration) {
+        const script = path.join(tmpDir, 'ffmpeg');
+        fs.writeFileSync(script, [
+          '#!/bin/sh',
+          'for last; do :; done',
+          'case "$*" in',
+          '  *-vn*|*-vf*) echo media > "$last" ;;',
+          `  *audio.mp3) echo "  Duration: ${audioDuration}, bitrate: 48 kb/s" >&2; echo "    Stream #0:0: Audio: mp3" >&2; exit 1 ;;`,
+          '  *) echo "  Duration: N/A, bitrate: N/A" >&2; echo "    Stream #0:0: Video: h264" >&2; echo "    Stream #0:1: Audio: aac" >&2; exit 1 ;;',
+          'esac'
+        ].join('\n'), { mode: 0o755 });
+        sinon.stub(config, 'FFMPEG_PATH').value(script);
+      }
+
+      beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fake-ffmpeg-'));
+      });
+
+      afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+      });
+
+      it('should measure the duration on the extracted audio', async () => {
+        useFakeFfmpeg('00:00:10.00');
+
+        const media = await videoExtractor.extractVideoMedia(Buffer.from('video'));
+
+        expect(media.duration).to.equal(10);
+        expect(media.audio).to.be.a('string');
+        expect(media.frameCount).to.equal(config.VIDEO_KEYFRAMES);
+      });
+
+      it('should reject it when the extracted audio is over the cap', async () => {
+        useFakeFfmpeg('00:03:01.00');
+
+        try {
+          await videoExtractor.extractVideoMedia(Buffer.from('video'));
+          expect.fail('Should have thrown');
+        } catch (error) {
+          expect(error.code).to.equal('VIDEO_TOO_LONG');
+        }
+      });
+    });
+  });
+
+  describe('processVideoToText', () => {
+    it('should combine transcript and visual summary in the client language', async () => {
+      sinon.stub(videoExtractor, 'extractVideoMedia').resolves({ duration: 12, audio: 'YXVkaW8=', frames: 'ZnJhbWVz', frameCount: 3 });
+      sinon.stub(aiProvider, 'transcribeAudio').resolves({ text: ' Mira cómo queda la cocina ', provider: 'openai', model: 'whisper-1' });
+      const describeStub = sinon.stub(aiProvider, 'describeImage').resolves({ text: 'Una cocina reformada', provider: 'openai', model: 'gpt-4o-mini' });
+
+      const text = await processVideoToText('dmlkZW8=', 'video/mp4', {}, { location_id: 'loc-001' });
+
+      expect(text).to.equal('video: transcripción: Mira cómo queda la cocina | resumen visual: Una cocina reformada');
+      expect(describeStub.firstCall.args[3].prompt).to.include('3 fotogramas');
+    });
+
+    it('should treat videos without image as audio', async () => {
+      sinon.stub(videoExtractor, 'extractVideoMedia').resolves({ duration: 4, audio: 'YXVkaW8=', frames: null, frameCount: 0 });
+      sinon.stub(aiProvider, 'transcribeAudio').resolves({ text: 'hello there', provider: 'openai', model: 'whisper-1' });
+
+      const text = await processVideoToText('dmlkZW8=', 'video/mp4', {}, { locale: 'en' });
+
+      expect(text).to.equal('audio: hello there');
+    });
+
+    it('should return null for videos over the limits', async () => {
+      const error = new Error('Video exceeds 180s');
+      error.code = 'VIDEO_TOO_LONG';
+      sinon.stub(videoExtractor, 'extractVideoMedia').rejects(error);
+
+      expect(await processVideoToText('dmlkZW8=', 'video/mp4')).to.be.null;
+    });
+
+    it('should only warn once when ffmpeg is not installed', async () => {
+      const logger = require('../../../utils/logger');
+      const error = new Error('ffmpeg failed: spawn ffmpeg ENOENT');
+      error.code = 'ENOENT';
+      sinon.stub(videoExtractor, 'extractVideoMedia').rejects(error);
+      const warnStub = sinon.stub(logger, 'warn');
+      const errorStub = sinon.stub(logger, 'error');
+
+      expect(await processVideoToText('dmlkZW8=', 'video/mp4')).to.be.null;
+      expect(await processVideoToText('dmlkZW8=', 'video/mp4')).to.be.null;
+
+      expect(warnStub.calledOnce).to.be.true;
+      expect(errorStub.called).to.be.false; // Sin error no hay alerta al admin
+    });
+
+    it('should warn without alerting when ffmpeg times out', async () => {
+      const logger = require('../../../utils/logger');
+      const error = new Error('ffmpeg failed: Command failed');
+      error.code = 'FFMPEG_TIMEOUT';
+      sinon.stub(videoExtractor, 'extractVideoMedia').rejects(error);
+      const warnStub = sinon.stub(logger, 'warn');
+      const errorStub = sinon.stub(logger, 'error');
+
+      expect(await processVideoToText('dmlkZW8=', 'video/mp4')).to.be.null;
+
+      expect(warnStub.calledOnce).to.be.true;
+      expect(errorStub.called).to.be.false;
+    });
+
+    it('should return what it has when the processing time limit is reached', async () => {
+      const logger = require('../../../utils/logger');
+      const clock = sinon.useFakeTimers();
+      sinon.stub(videoExtractor, 'extractVideoMedia').resolves({ duration: 12, audio: 'YXVkaW8=', frames: 'ZnJhbWVz', frameCount: 3 });
+      sinon.stub(aiProvider, 'transcribeAudio').resolves({ text: 'Mira la cocina', provider: 'openai', model: 'whisper-1' });
+      sinon.stub(aiProvider, 'describeImage').returns(new Promise(() => {})); // Vision no responde
+      const warnStub = sinon.stub(logger, 'warn');
+      const errorStub = sinon.stub(logger, 'error');
+
+      const result = processVideoToText('dmlkZW8=', 'video/mp4');
+      await clock.tickAsync(config.VIDEO_PROCESSING_TIMEOUT_SECONDS * 1000);
+
+      expect(await result).to.include('Mira la cocina');
+      expect(videoExtractor.extractVideoMedia.firstCall.args[1].deadline).to.equal(config.VIDEO_PROCESSING_TIMEOUT_SECONDS * 1000);
+      expect(warnStub.calledOnce).to.be.true;
+      expect(errorStub.called).to.be.false;
+    });
+  });
+});
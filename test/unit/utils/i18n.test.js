@@ -0,0 +1,56 @@
+const { expect } = require('chai');
+const config = require('../../../config');
+const { normalizeLocale, getLocale, getTranscriptionLanguage, t } = require('../../../utils/i18n');
+
+describe('i18n', () => {
+  const originalDefault = config.DEFAULT_LOCALE;
+
+  afterEach(() => {
+    config.DEFAULT_LOCALE = originalDefault;
+  });
+
+  describe('normalizeLocale', () => {
+    it('should reduce regional variants to supported languages', () => {
+      expect(normalizeLocale('pt-BR')).to.equal('pt');
+      expect(normalizeLocale('EN_us')).to.equal('en');
+      expect(normalizeLocale('fr')).to.be.null;
+      expect(normalizeLocale(null)).to.be.null;
+    });
+  });
+
+  describe('getLocale', () => {
+    it('should prefer client locale, then fallback, then DEFAULT_LOCALE', () => {
+      config.DEFAULT_LOCALE = 'pt';
+
+      expect(getLocale({ locale: 'en' }, 'es')).to.equal('en');
+      expect(getLocale({ locale: 'fr' }, 'es')).to.equal('es');
+      expect(getLocale({}, null)).to.equal('pt');
+    });
+
+    it('should fall back to Spanish when DEFAULT_LOCALE is invalid', () => {
+      config.DEFAULT_LOCALE = 'xx';
+
+      expect(getLocale(null)).to.equal('es');
+    });
+  });
+
+  describe('getTranscriptionLanguage', () => {
+    it('should only return a hint for explicit client locales', () => {
+      expect(getTranscriptionLanguage({ locale: 'pt-PT' })).to.equal('pt');
+      expect(getTranscriptionLanguage({})).to.be.undefined;
+      expect(getTranscriptionLanguage(null)).to.be.undefined;
+    });
+  });
+
+  describe('t', () => {
+    it('should interpolate params in the requested language', () => {
+      expect(t('en', 'split.part', { part: 1, total: 3 })).to.equal('📝 [Part 1/3]');
+      expect(t('pt', 'media.audio', { text: 'olá' })).to.equal('áudio: olá');
+    });
+
+    it('should fall back to Spanish for unknown locales and return the key if missing', () => {
+      expect(t('fr', 'media.audioFailed')).to.equal('🎤 [audio no procesado]');
+      expect(t('en', 'unknown.key')).to.equal('unknown.key');
+    });
+  });
+});
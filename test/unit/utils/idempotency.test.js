@@ -0,0 +1,87 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { EventEmitter } = require('events');
+const { deduplicateWebhook, clearProcessedMessages } = require('../../../utils/idempotency');
+
+describe('Idempotency Middleware', () => {
+  let res, next;
+
+  const buildRes = () => {
+    const response = new EventEmitter();
+    response.statusCode = 200;
+    response.status = sinon.stub().callsFake((code) => {
+      response.statusCode = code;
+      return response;
+    });
+    response.json = sinon.stub();
+    return response;
+  };
+
+  beforeEach(async () => {
+    await clearProcessedMessages();
+    res = buildRes();
+    next = sinon.stub();
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should short-circuit re-delivered WhatsApp messages with 200', async () => {
+    const req = { body: { event: 'messages.upsert', instance: 'inst-a', data: { key: { id: 'WA-1' } } } };
+    const middleware = deduplicateWebhook('whatsapp');
+
+    await middleware(req, res, next);
+    expect(next.calledOnce).to.be.true;
+
+    const duplicateRes = buildRes();
+    await middleware(req, duplicateRes, next);
+
+    expect(next.calledOnce).to.be.true;
+    expect(duplicateRes.status.calledWith(200)).to.be.true;
+    expect(duplicateRes.json.firstCall.args[0]).to.include({ duplicate: true });
+  });
+
+  it('should not deduplicate WhatsApp status updates', async () => {
+    const req = { body: { event: 'messages.update', instance: 'inst-a', data: { keyId: 'WA-1', key: { id: 'WA-1' } } } };
+    const middleware = deduplicateWebhook('whatsapp');
+
+    await middleware(req, res, next);
+    await middleware(req, buildRes(), next);
+
+    expect(next.calledTwice).to.be.true;
+  });
+
+  it('should deduplicate GHL messageId per location', async () => {
+    const middleware = deduplicateWebhook('ghl');
+
+    await middleware({ body: { locationId: 'loc-1', messageId: 'm1' } }, res, next);
+    await middleware({ body: { locationId: 'loc-2', messageId: 'm1' } }, buildRes(), next);
+    await middleware({ body: { locationId: 'loc-1', messageId: 'm1' } }, buildRes(), next);
+
+    expect(next.calledTwice).to.be.true;
+  });
+
+  it('should let agent webhooks without message ID through', async () => {
+    const middleware = deduplicateWebhook('agent');
+    const req = { body: { location_id: 'loc-1', customData: { message_body: 'Hola' } } };
+
+    await middleware(req, res, next);
+    await middleware(req, buildRes(), next);
+
+    expect(next.calledTwice).to.be.true;
+  });
+
+  it('should release the ID when processing fails with 5xx', async () => {
+    const middleware = deduplicateWebhook('ghl');
+    const req = { body: { locationId: 'loc-1', messageId: 'm-fail' } };
+
+    await middleware(req, res, next);
+    res.status(500);
+    res.emit('finish');
+    await new Promise(resolve => setImmediate(resolve));
+
+    await middleware(req, buildRes(), next);
+    expect(next.calledTwice).to.be.true;
+  });
+});
@@ -0,0 +1,39 @@
+const { expect } = require('chai');
+const { getFileExtension, formatOtherMediaType } = require('../../../utils/mediaHelper');
+
+describe('Media Helper', () => {
+
+  describe('getFileExtension', () => {
+    it('should use extension from fileName when available', () => {
+      expect(getFileExtension('application/octet-stream', 'factura.PDF')).to.equal('pdf');
+    });
+
+    it('should derive extension from mimetype ignoring codecs', () => {
+      expect(getFileExtension('audio/ogg; codecs=opus')).to.equal('ogg');
+      expect(getFileExtension('image/jpeg')).to.equal('jpeg');
+    });
+
+    it('should fallback to bin for long or missing mimetypes', () => {
+      expect(getFileExtension('application/vnd.openxmlformats-officedocument.wordprocessingml.document')).to.equal('bin');
+      expect(getFileExtension(undefined)).to.equal('bin');
+    });
+  });
+
+  describe('formatOtherMediaType', () => {
+    it('should point to WhatsApp when media is not attached', () => {
+      const text = formatOtherMediaType('document', { fileName: 'cv.pdf' });
+      expect(text).to.equal('📎 [cv.pdf] - Ver más en WhatsApp');
+    });
+
+    it('should omit WhatsApp reference when media is attached in GHL', () => {
+      const text = formatOtherMediaType('video', { caption: 'mira esto', attached: true });
+      expect(text).to.equal('🎥 [video] - mira esto');
+    });
+
+    it('should use the requested locale', () => {
+      expect(formatOtherMediaType('location', { name: 'Office' }, 'en')).to.equal('📍 [location]: Office - See more in WhatsApp');
+      expect(formatOtherMediaType('contact', {}, 'pt')).to.equal('👤 [contato: contato] - Ver mais no WhatsApp');
+    });
+  });
+
+});
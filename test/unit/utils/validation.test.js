@@ -30,6 +30,60 @@ describe('Validation Utils', () => {
       expect(result.valid).to.be.true;
     });
 
+    it('should accept attachments without message text', () => {
+      const payload = {
+        locationId: 'loc123',
+        messageId: 'msg456',
+        contactId: 'contact789',
+        attachments: ['https://storage.example.com/factura.pdf'],
+        type: 'SMS'
+      };
+
+      const result = validateGHLPayload(payload);
+      expect(result.valid).to.be.true;
+    });
+
+    it('should accept a structured location without message text', () => {
+      const payload = {
+        locationId: 'loc123',
+        messageId: 'msg456',
+        contactId: 'contact789',
+        location: { latitude: 40.4168, longitude: -3.7038, name: 'Oficina Madrid' },
+        type: 'SMS'
+      };
+
+      const result = validateGHLPayload(payload);
+      expect(result.valid).to.be.true;
+    });
+
+    it('should reject an incomplete structured location without message text', () => {
+      const payload = {
+        locationId: 'loc123',
+        messageId: 'msg456',
+        contactId: 'contact789',
+        location: { name: 'Oficina Madrid' },
+        type: 'SMS'
+      };
+
+      const result = validateGHLPayload(payload);
+      expect(result.valid).to.be.false;
+      expect(result.missing).to.equal('body or message');
+    });
+
+    it('should reject payload without text or attachments', () => {
+      const payload = {
+        locationId: 'loc123',
+        messageId: 'msg456',
+        contactId: 'contact789',
+        attachments: [],
+        type: 'SMS'
+      };
+
+      const result = validateGHLPayload(payload);
+      expect(result.valid).to.be.false;
+      expect(result.missing).to.equal('body or message');
+    });
+
     it('should reject payload without locationId', () => {
       const payload = {
         messageId: 'msg456',
@@ -145,6 +199,12 @@ describe('Validation Utils', () => {
       expect(result[0].length).to.be.at.most(120); // Incluye marcador de parte
     });
 
+    it('should translate the part marker', () => {
+      const result = splitMessage('a'.repeat(5000), 3500, 'en');
+
+      expect(result[0]).to.include('📝 [Part 1/2]');
+    });
+
     it('should handle null/undefined messages', () => {
       expect(splitMessage(null)).to.deep.equal([null]);
       expect(splitMessage(undefined)).to.deep.equal([undefined]);
@@ -1,6 +1,15 @@
 const { expect } = require('chai');
 const sinon = require('sinon');
-const { validateGHLWebhook, validateWhatsAppWebhook } = require('../../utils/webhookAuth');
+const crypto = require('crypto');
+const config = require('../../config');
+const { getCounters, resetMetrics } = require('../../services/metrics');
+const {
+  validateGHLWebhook,
+  validateWhatsAppWebhook,
+  verifyGHLSignature,
+  verifyWhatsAppToken,
+  verifyAgentSignature
+} = require('../../utils/webhookAuth');
 
 describe('Webhook Authentication', () => {
   let req, res, next;
@@ -84,4 +93,127 @@ describe('Webhook Authentication', () => {
       expect(res.status.called || next.called).to.be.true;
     });
   });
+
+  describe('Signatures', () => {
+    const rawBody = Buffer.from(JSON.stringify({ locationId: 'loc-001', message: 'Hola' }));
+    let headers;
+
+    beforeEach(() => {
+      resetMetrics();
+      headers = {};
+      req.body = JSON.parse(rawBody.toString());
+      req.rawBody = rawBody;
+      req.query = {};
+      req.get = (name) => headers[name.toLowerCase()];
+    });
+
+    afterEach(() => {
+      config.GHL_WEBHOOK_PUBLIC_KEY = undefined;
+      config.AGENT_WEBHOOK_SECRET = undefined;
+    });
+
+    describe('verifyGHLSignature', () => {
+      it('should skip verification when no public key is configured', () => {
+        verifyGHLSignature(req, res, next);
+        expect(next.calledOnce).to.be.true;
+      });
+
+      it('should accept a valid RSA signature (x-wh-signature)', () => {
+        const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+        config.GHL_WEBHOOK_PUBLIC_KEY = publicKey.export({ type: 'spki', format: 'pem' });
+        headers['x-wh-signature'] = crypto.sign('sha256', rawBody, privateKey).toString('base64');
+
+        verifyGHLSignature(req, res, next);
+
+        expect(next.calledOnce).to.be.true;
+      });
+
+      it('should accept a valid Ed25519 signature (x-ghl-signature)', () => {
+        const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+        config.GHL_WEBHOOK_PUBLIC_KEY = publicKey.export({ type: 'spki', format: 'pem' });
+        headers['x-ghl-signature'] = crypto.sign(null, rawBody, privateKey).toString('base64');
+
+        verifyGHLSignature(req, res, next);
+
+        expect(next.calledOnce).to.be.true;
+      });
+
+      it('should reject tampered body and count the rejection', () => {
+        const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+        config.GHL_WEBHOOK_PUBLIC_KEY = publicKey.export({ type: 'spki', format: 'pem' });
+        headers['x-ghl-signature'] = crypto.sign(null, Buffer.from('otro body'), privateKey).toString('base64');
+
+        verifyGHLSignature(req, res, next);
+
+        expect(res.status.calledWith(401)).to.be.true;
+        expect(next.called).to.be.false;
+        expect(getCounters().webhook_rejected['endpoint=ghl,reason=invalid_signature']).to.equal(1);
+      });
+
+      it('should reject missing signature', () => {
+        const { publicKey } = crypto.generateKeyPairSync('ed25519');
+        config.GHL_WEBHOOK_PUBLIC_KEY = publicKey.export({ type: 'spki', format: 'pem' });
+
+        verifyGHLSignature(req, res, next);
+
+        expect(res.status.calledWith(401)).to.be.true;
+        expect(getCounters().webhook_rejected['endpoint=ghl,reason=missing_signature']).to.equal(1);
+      });
+    });
+
+    describe('verifyWhatsAppToken', () => {
+      it('should skip verification when client has no webhook_secret', () => {
+        req.client = { instance_name: 'inst-a' };
+        verifyWhatsAppToken(req, res, next);
+        expect(next.calledOnce).to.be.true;
+      });
+
+      it('should accept token from header or query', () => {
+        req.client = { webhook_secret: 's3cret' };
+
+        headers['x-webhook-token'] = 's3cret';
+        verifyWhatsAppToken(req, res, next);
+
+        headers = {};
+        req.query = { token: 's3cret' };
+        verifyWhatsAppToken(req, res, next);
+
+        expect(next.calledTwice).to.be.true;
+      });
+
+      it('should reject invalid token', () => {
+        req.client = { webhook_secret: 's3cret' };
+        headers['x-webhook-token'] = 'nope';
+
+        verifyWhatsAppToken(req, res, next);
+
+        expect(res.status.calledWith(401)).to.be.true;
+        expect(getCounters().webhook_rejected['endpoint=whatsapp,reason=invalid_token']).to.equal(1);
+      });
+    });
+
+    describe('verifyAgentSignature', () => {
+      beforeEach(() => {
+        config.AGENT_WEBHOOK_SECRET = 'agent-secret';
+      });
+
+      it('should accept a valid HMAC (with sha256= prefix)', () => {
+        const hmac = crypto.createHmac('sha256', 'agent-secret').update(rawBody).digest('hex');
+        headers['x-agent-signature'] = `sha256=${hmac}`;
+
+        verifyAgentSignature(req, res, next);
+
+        expect(next.calledOnce).to.be.true;
+      });
+
+      it('should reject an HMAC made with another secret', () => {
+        headers['x-agent-signature'] = crypto.createHmac('sha256', 'other').update(rawBody).digest('hex');
+
+        verifyAgentSignature(req, res, next);
+
+        expect(res.status.calledWith(401)).to.be.true;
+        expect(getCounters().webhook_rejected['endpoint=agent,reason=invalid_signature']).to.equal(1);
+      });
+    });
+  });
 });
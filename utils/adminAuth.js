@@ -0,0 +1,35 @@
+/**
+ * Admin Authentication Middleware
+ * Protege los endpoints /admin con una API key (header x-admin-key o Authorization: Bearer)
+ */
+
+const config = require('../config');
+const logger = require('./logger');
+const { safeEqual } = require('./webhookAuth');
+
+/**
+ * Middleware para validar la API key de administración
+ * Sin ADMIN_API_KEY configurada la API admin queda desactivada
+ */
+function validateAdminApiKey(req, res, next) {
+  if (!config.ADMIN_API_KEY) {
+    return res.status(503).json({ error: 'Admin API disabled (ADMIN_API_KEY not configured)' });
+  }
+
+  const bearer = req.get('authorization')?.replace(/^Bearer\s+/i, '');
+  const providedKey = req.get('x-admin-key') || bearer;
+
+  if (!providedKey || !safeEqual(providedKey, config.ADMIN_API_KEY)) {
+    logger.warn('Admin API request with invalid API key', {
+      ip: req.ip,
+      path: req.originalUrl
+    });
+    return res.status(401).json({ error: 'Invalid admin API key' });
+  }
+
+  next();
+}
+
+module.exports = {
+  validateAdminApiKey
+};
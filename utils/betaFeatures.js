@@ -1,32 +1,41 @@
 const logger = require('./logger');
+const { isFeatureEnabled } = require('../services/featureFlags');
+
+// Flag used when no name is given (legacy is_beta behaviour)
+const DEFAULT_FLAG = 'beta';
 
 /**
- * Check if a client is enrolled in beta program
+ * Check if a client is enrolled in beta program (or in a named feature flag)
  *
  * @param {Object} client - Client object from Supabase
- * @returns {boolean} - True if client is in beta
+ * @param {string} [flagName='beta'] - Feature flag name (see services/featureFlags.js)
+ * @returns {boolean} - True if client is in beta / flag is enabled
  *
  * @example
  * const client = await getClientByLocationId(locationId);
  * if (isBetaClient(client)) {
  *   // Execute beta-only logic
  * }
+ * if (isBetaClient(client, 'natural_behavior')) {
+ *   // Execute logic behind a specific flag
+ * }
  */
-function isBetaClient(client) {
+function isBetaClient(client, flagName = DEFAULT_FLAG) {
   if (!client) {
     logger.warn('isBetaClient called with null/undefined client');
     return false;
   }
 
-  return client.is_beta === true;
+  return isFeatureEnabled(client, flagName);
 }
 
 /**
- * Execute different logic based on beta status
+ * Execute different logic based on beta status (or a named feature flag)
  *
  * @param {Object} client - Client object from Supabase
- * @param {Function} betaFn - Function to execute for beta clients
- * @param {Function} prodFn - Function to execute for production clients
+ * @param {string} [flagName='beta'] - Feature flag name (can be omitted)
+ * @param {Function} betaFn - Function to execute when the flag is enabled
+ * @param {Function} prodFn - Function to execute otherwise
  * @returns {*} - Result from executed function
  *
  * @example
@@ -35,13 +44,25 @@ function isBetaClient(client) {
  *   async () => await newBetaFeature(),
  *   async () => await currentProductionFeature()
  * );
+ * const parts = await executeBetaAware(
+ *   client,
+ *   'split_messages',
+ *   async () => await splitWithLLM(text),
+ *   async () => [text]
+ * );
  */
-async function executeBetaAware(client, betaFn, prodFn) {
-  const isBeta = isBetaClient(client);
+async function executeBetaAware(client, flagName, betaFn, prodFn) {
+  // Legacy signature: executeBetaAware(client, betaFn, prodFn)
+  if (typeof flagName === 'function') {
+    [flagName, betaFn, prodFn] = [DEFAULT_FLAG, flagName, betaFn];
+  }
+
+  const isBeta = isBetaClient(client, flagName);
 
   logger.info('Executing beta-aware logic', {
     locationId: client?.location_id,
     instanceName: client?.instance_name,
+    flag: flagName,
     isBeta
   });
 
@@ -49,17 +70,17 @@ async function executeBetaAware(client, betaFn, prodFn) {
 }
 
 /**
- * Log when beta feature is used (only logs for beta clients)
+ * Log when beta feature is used (only logs if the feature flag is enabled for the client)
  *
  * @param {Object} client - Client object from Supabase
- * @param {string} featureName - Name of the beta feature
+ * @param {string} featureName - Feature flag name
  * @param {Object} metadata - Additional metadata to log
  *
  * @example
- * logBetaUsage(client, 'new-audio-transcription', { model: 'whisper-v2' });
+ * logBetaUsage(client, 'natural_behavior', { typingDelay: 3200 });
  */
 function logBetaUsage(client, featureName, metadata = {}) {
-  if (isBetaClient(client)) {
+  if (isBetaClient(client, featureName)) {
     logger.info('Beta feature used', {
       feature: featureName,
       locationId: client?.location_id,
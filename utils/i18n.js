@@ -0,0 +1,160 @@
+/**
+ * i18n - Textos según el idioma del cliente (clients_details.locale: 'es' | 'en' | 'pt')
+ * Cubre el prompt de Vision, placeholders de media, marcador de partes y mensajes del panel
+ * Sin locale se usa DEFAULT_LOCALE (es); una clave que falte en un idioma cae al español
+ */
+
+const config = require('../config');
+
+const SUPPORTED_LOCALES = ['es', 'en', 'pt'];
+const FALLBACK_LOCALE = 'es';
+
+const MESSAGES = {
+  es: {
+    'vision.prompt': 'Describe la imagen en una sola linea y texto sin formato. Nunca uses comillas dobles "", mejor usa parentesis () ya que se usará dentro de un JSON.',
+    'vision.videoPrompt': 'La imagen contiene {count} fotogramas de un mismo video en orden, de izquierda a derecha. Resume en una sola linea y texto sin formato qué se ve y qué ocurre en el video. Nunca uses comillas dobles "", mejor usa parentesis () ya que se usará dentro de un JSON.',
+    'media.audio': 'audio: {text}',
+    'media.audioFailed': '🎤 [audio no procesado]',
+    'media.image': 'descripcion imagen: {text}',
+    'media.imageFailed': '🖼️ [imagen no procesada]',
+    'media.fileFailed': '📎 [archivo no procesado]',
+    'media.video': '🎥 [video]',
+    'media.videoText': 'video: {text}',
+    'media.videoTranscript': 'transcripción: {text}',
+    'media.videoSummary': 'resumen visual: {text}',
+    'media.document': 'documento',
+    'media.documentText': 'contenido documento: {text}',
+    'media.location': '📍 [ubicación]',
+    'media.contact': '👤 [contacto: {name}]',
+    'media.contactDefault': 'contacto',
+    'media.sticker': '😊 [sticker]',
+    'media.seeMore': ' - Ver más en WhatsApp',
+    'split.part': '📝 [Parte {part}/{total}]',
+    'panel.notConfigured': 'Servicio no dado de alta. Contacte con el equipo.',
+    'panel.official': 'Esta cuenta usa la API Oficial. Para gestionar la conexión, debe ir a "Configuración → WhatsApp"',
+    'panel.statusError': 'Error al obtener estado de la instancia',
+    'panel.clientNotFound': 'Cliente no encontrado',
+    'panel.alreadyConnected': 'Conexión ya establecida',
+    'panel.qrError': 'Error al generar código QR',
+    'panel.phoneRequired': 'Número de teléfono requerido',
+    'panel.phoneInvalid': 'Formato de número inválido. Debe ser solo dígitos sin el signo +, máximo 15 caracteres.',
+    'panel.pairingFailed': 'No se pudo generar el código de vinculación',
+    'panel.pairingUnavailable': 'Pairing code no disponible. Por favor, usa QR Code.'
+  },
+  en: {
+    'vision.prompt': 'Describe the image in a single line of plain text. Never use double quotes "", use parentheses () instead since it will be used inside a JSON.',
+    'vision.videoPrompt': 'The image contains {count} frames of the same video in order, from left to right. Summarize in a single line of plain text what is shown and what happens in the video. Never use double quotes "", use parentheses () instead since it will be used inside a JSON.',
+    'media.audio': 'audio: {text}',
+    'media.audioFailed': '🎤 [audio not processed]',
+    'media.image': 'image description: {text}',
+    'media.imageFailed': '🖼️ [image not processed]',
+    'media.fileFailed': '📎 [file not processed]',
+    'media.video': '🎥 [video]',
+    'media.videoText': 'video: {text}',
+    'media.videoTranscript': 'transcript: {text}',
+    'media.videoSummary': 'visual summary: {text}',
+    'media.document': 'document',
+    'media.documentText': 'document content: {text}',
+    'media.location': '📍 [location]',
+    'media.contact': '👤 [contact: {name}]',
+    'media.contactDefault': 'contact',
+    'media.sticker': '😊 [sticker]',
+    'media.seeMore': ' - See more in WhatsApp',
+    'split.part': '📝 [Part {part}/{total}]',
+    'panel.notConfigured': 'Service not activated. Please contact the team.',
+    'panel.official': 'This account uses the Official API. To manage the connection, go to "Settings → WhatsApp"',
+    'panel.statusError': 'Error getting instance status',
+    'panel.clientNotFound': 'Client not found',
+    'panel.alreadyConnected': 'Connection already established',
+    'panel.qrError': 'Error generating QR code',
+    'panel.phoneRequired': 'Phone number required',
+    'panel.phoneInvalid': 'Invalid number format. Digits only, without the + sign, 15 characters max.',
+    'panel.pairingFailed': 'Could not generate the pairing code',
+    'panel.pairingUnavailable': 'Pairing code not available. Please use the QR Code.'
+  },
+  pt: {
+    'vision.prompt': 'Descreva a imagem em uma única linha de texto sem formatação. Nunca use aspas duplas "", use parênteses () porque o texto será usado dentro de um JSON.',
+    'vision.videoPrompt': 'A imagem contém {count} quadros do mesmo vídeo em ordem, da esquerda para a direita. Resuma em uma única linha de texto sem formatação o que aparece e o que acontece no vídeo. Nunca use aspas duplas "", use parênteses () porque o texto será usado dentro de um JSON.',
+    'media.audio': 'áudio: {text}',
+    'media.audioFailed': '🎤 [áudio não processado]',
+    'media.image': 'descrição da imagem: {text}',
+    'media.imageFailed': '🖼️ [imagem não processada]',
+    'media.fileFailed': '📎 [arquivo não processado]',
+    'media.video': '🎥 [vídeo]',
+    'media.videoText': 'vídeo: {text}',
+    'media.videoTranscript': 'transcrição: {text}',
+    'media.videoSummary': 'resumo visual: {text}',
+    'media.document': 'documento',
+    'media.documentText': 'conteúdo do documento: {text}',
+    'media.location': '📍 [localização]',
+    'media.contact': '👤 [contato: {name}]',
+    'media.contactDefault': 'contato',
+    'media.sticker': '😊 [figurinha]',
+    'media.seeMore': ' - Ver mais no WhatsApp',
+    'split.part': '📝 [Parte {part}/{total}]',
+    'panel.notConfigured': 'Serviço não ativado. Entre em contato com a equipe.',
+    'panel.official': 'Esta conta usa a API Oficial. Para gerenciar a conexão, acesse "Configurações → WhatsApp"',
+    'panel.statusError': 'Erro ao obter o status da instância',
+    'panel.clientNotFound': 'Cliente não encontrado',
+    'panel.alreadyConnected': 'Conexão já estabelecida',
+    'panel.qrError': 'Erro ao gerar o QR code',
+    'panel.phoneRequired': 'Número de telefone obrigatório',
+    'panel.phoneInvalid': 'Formato de número inválido. Use apenas dígitos, sem o sinal +, no máximo 15 caracteres.',
+    'panel.pairingFailed': 'Não foi possível gerar o código de pareamento',
+    'panel.pairingUnavailable': 'Código de pareamento indisponível. Por favor, use o QR Code.'
+  }
+};
+
+/**
+ * Normaliza un locale ('pt-BR', 'en_US', 'ES' → 'pt', 'en', 'es')
+ * @returns {string|null} null si no es un idioma soportado
+ */
+function normalizeLocale(locale) {
+  if (!locale || typeof locale !== 'string') return null;
+  const language = locale.trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(language) ? language : null;
+}
+
+/**
+ * Idioma de un cliente
+ * @param {Object|null} client - Registro de clients_details
+ * @param {string} fallback - Idioma alternativo si el cliente no tiene locale (ej: Accept-Language del panel)
+ * @returns {string} 'es' | 'en' | 'pt'
+ */
+function getLocale(client, fallback = null) {
+  return normalizeLocale(client?.locale) ||
+    normalizeLocale(fallback) ||
+    normalizeLocale(config.DEFAULT_LOCALE) ||
+    FALLBACK_LOCALE;
+}
+
+/**
+ * Pista de idioma para Whisper (ISO-639-1)
+ * Solo si el cliente tiene locale explícito: sin él Whisper autodetecta (audios en otros idiomas)
+ * @returns {string|undefined}
+ */
+function getTranscriptionLanguage(client) {
+  return normalizeLocale(client?.locale) || undefined;
+}
+
+/**
+ * Texto traducido con parámetros: t('en', 'split.part', { part: 1, total: 2 }) → '📝 [Part 1/2]'
+ * @param {string} locale - Idioma (normalizado o no)
+ * @param {string} key - Clave de MESSAGES
+ * @param {Object} params - Valores para los {placeholders}
+ * @returns {string}
+ */
+function t(locale, key, params = {}) {
+  const messages = MESSAGES[normalizeLocale(locale) || FALLBACK_LOCALE];
+  const template = messages[key] ?? MESSAGES[FALLBACK_LOCALE][key] ?? key;
+
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  normalizeLocale,
+  getLocale,
+  getTranscriptionLanguage,
+  t
+};
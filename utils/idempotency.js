@@ -0,0 +1,109 @@
+/**
+ * Idempotency Middleware - Descarta webhooks re-entregados por el proveedor
+ * Evolution y GHL reintentan webhooks: se recuerda el ID de mensaje del proveedor
+ * durante IDEMPOTENCY_TTL_SECONDS y los duplicados se responden con 200 sin procesar
+ * Los IDs viven en services/storage.js: con Redis un reintento que llegue a otra réplica también se detecta
+ */
+
+const config = require('../config');
+const logger = require('./logger');
+const storage = require('../services/storage');
+const { incrementCounter } = require('../services/metrics');
+
+// IDs ya procesados (o en proceso) por source
+const processedMessages = storage.createStore('idempotency', {
+  ttlSeconds: config.IDEMPOTENCY_TTL_SECONDS,
+  checkPeriod: 600
+});
+
+// Eventos de Evolution que se repiten con el mismo key.id y NO son duplicados (acks, conexión)
+const WHATSAPP_NON_MESSAGE_EVENTS = ['connection.update', 'messages.update'];
+
+// Cómo obtener el ID de mensaje del proveedor en cada webhook
+const ID_EXTRACTORS = {
+  whatsapp: (body) => {
+    if (WHATSAPP_NON_MESSAGE_EVENTS.includes(body?.event)) return null;
+    const id = body?.data?.key?.id;
+    return id ? `${body.instance}:${id}` : null;
+  },
+  ghl: (body) => (body?.messageId ? `${body.locationId}:${body.messageId}` : null),
+  // GHL workflows no siempre incluyen el ID: se puede mapear en customData.message_id
+  agent: (body) => {
+    const id = body?.customData?.message_id || body?.message?.id || body?.messageId;
+    return id ? `${body.location_id || body.location?.id}:${id}` : null;
+  }
+};
+
+/**
+ * Marca un mensaje como procesado
+ * @param {string} source - 'whatsapp' | 'ghl' | 'agent'
+ * @param {string} id - ID del mensaje del proveedor
+ * @returns {Promise<boolean>} true si es la primera vez, false si es duplicado
+ */
+function claimMessage(source, id) {
+  // Comprobar y marcar en una sola operación (dos réplicas pueden recibir el mismo reintento a la vez)
+  return processedMessages.add(`${source}:${id}`, Date.now());
+}
+
+/**
+ * Libera un mensaje para que el reintento del proveedor se procese (ej: error 5xx)
+ * @param {string} source - 'whatsapp' | 'ghl' | 'agent'
+ * @param {string} id - ID del mensaje del proveedor
+ */
+async function releaseMessage(source, id) {
+  await processedMessages.del(`${source}:${id}`);
+}
+
+/**
+ * Middleware: corta los webhooks duplicados con 200
+ * Debe ir DESPUÉS de la validación (no recordar IDs de peticiones rechazadas)
+ * @param {string} source - 'whatsapp' | 'ghl' | 'agent'
+ */
+function deduplicateWebhook(source) {
+  const extractId = ID_EXTRACTORS[source];
+
+  return async (req, res, next) => {
+    const id = extractId(req.body);
+    if (!id) return next();
+
+    let claimed;
+    try {
+      claimed = await claimMessage(source, id);
+    } catch (error) {
+      // Si el storage no responde se procesa igual: mejor un posible duplicado que perder el mensaje
+      logger.error('Idempotency check failed - processing webhook anyway', { source, id, error: error.message });
+      return next();
+    }
+
+    if (!claimed) {
+      logger.info('🔁 Duplicate webhook ignored', { source, id });
+      incrementCounter('webhook_duplicate', { endpoint: source });
+      return res.status(200).json({ success: true, duplicate: true });
+    }
+
+    // Si el procesamiento falla con 5xx, permitir que el reintento del proveedor entre
+    res.on('finish', () => {
+      if (res.statusCode >= 500) {
+        releaseMessage(source, id).catch(error => {
+          logger.error('Failed to release webhook ID', { source, id, error: error.message });
+        });
+      }
+    });
+
+    next();
+  };
+}
+
+/**
+ * Limpia todos los IDs recordados (tests/operaciones)
+ */
+async function clearProcessedMessages() {
+  await processedMessages.flush();
+}
+
+module.exports = {
+  deduplicateWebhook,
+  claimMessage,
+  releaseMessage,
+  clearProcessedMessages
+};
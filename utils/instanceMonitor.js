@@ -4,6 +4,14 @@ const { notifyAdmin } = require('./notifications');
 const { createClient } = require('@supabase/supabase-js');
 const evolutionAPI = require('../services/evolution');
 const messageCache = require('../services/messageCache');
+const storage = require('../services/storage');
+const messageStatus = require('../services/messageStatus');
+const deadLetter = require('../services/deadLetter');
+const ghlAPI = require('../services/ghl');
+const { getClientByLocationId } = require('../services/supabase');
+const { splitMessageWithLLM } = require('../services/messageSplitter');
+const interactiveMessages = require('../services/interactiveMessages');
+const richMessages = require('../services/richMessages');
 
 const supabase = createClient(config.SUPABASE_URL, config.SUPABASE_KEY);
 
@@ -17,6 +25,19 @@ const previousStates = new Map(); // Key: instanceName, Value: { connected: bool
 // Flag para distinguir el check inicial (solo informativo) de los checks posteriores
 let isFirstCheck = true;
 
+// Delay entre partes de mensajes divididos con LLM (igual que el splitter de /webhook/ghl)
+const DELAY_BETWEEN_SPLIT_PARTS = 4000;
+
+// Con varias réplicas, solo una procesa la cola de cada instancia a la vez (lock retry:<instancia>)
+const QUEUE_PROCESSING_LOCK_MS = 10 * 60 * 1000;
+
+// Tras un auto-restart, los triggers automáticos (de cualquier réplica) no reinician esa instancia
+// durante esta ventana (lock restart:<instancia>). El reinicio forzado desde /admin no la respeta
+const RESTART_COOLDOWN_MS = 2 * 60 * 1000;
+
+// Lock restarting:<instancia> mientras se llama a Evolution (dos reinicios a la vez nunca, forzados o no)
+const RESTART_IN_PROGRESS_LOCK_MS = 60 * 1000;
+
 async function checkAllInstances() {
   logger.info('🔍 Starting instance connection check...');
 
@@ -133,6 +154,9 @@ async function checkAllInstances() {
         });
       }
 
+      // Retomar mensajes pendientes restaurados desde disco (solo instancias conectadas)
+      await processAllPendingMessages();
+
       // No intentar auto-restart en el primer check
       return {
         total: results.length,
@@ -210,9 +234,26 @@ async function checkAllInstances() {
 
 /**
  * Procesa los mensajes pendientes de una instancia específica
+ * Si otra réplica ya la está procesando no hace nada (skipped: true)
  */
 async function processQueuedMessages(instanceName, apiKey) {
-  const messages = messageCache.getMessagesReadyForRetry(instanceName);
+  const lockName = `retry:${instanceName}`;
+  const lockToken = await storage.acquireLock(lockName, { ttlMs: QUEUE_PROCESSING_LOCK_MS });
+
+  if (!lockToken) {
+    logger.info('Queued messages already being processed by another replica', { instanceName });
+    return { processed: 0, success: 0, failed: 0, skipped: true };
+  }
+
+  try {
+    return await processReadyMessages(instanceName, apiKey);
+  } finally {
+    await storage.releaseLock(lockName, lockToken);
+  }
+}
+
+async function processReadyMessages(instanceName, apiKey) {
+  const messages = await messageCache.getMessagesReadyForRetry(instanceName);
 
   if (messages.length === 0) {
     return { processed: 0, success: 0, failed: 0 };
@@ -228,8 +269,15 @@ async function processQueuedMessages(instanceName, apiKey) {
 
   for (const msg of messages) {
     try {
-      await evolutionAPI.sendText(instanceName, apiKey, msg.waNumber, msg.messageText);
-      messageCache.updateMessageRetry(instanceName, msg.messageId, true);
+      const sentMessages = await sendQueuedMessage(instanceName, apiKey, msg);
+
+      // Vincular para sincronizar acks (delivered/read) con GHL
+      sentMessages.forEach(sent => messageStatus.linkOutboundMessage(sent, {
+        locationId: msg.locationId,
+        messageId: msg.messageId
+      }));
+
+      await messageCache.updateMessageRetry(instanceName, msg.messageId, true);
       success++;
 
       logger.info('Queued message sent successfully', {
@@ -238,7 +286,7 @@ async function processQueuedMessages(instanceName, apiKey) {
         contactPhone: msg.contactPhone
       });
     } catch (error) {
-      messageCache.updateMessageRetry(instanceName, msg.messageId, false);
+      const deadLetterEntry = await messageCache.updateMessageRetry(instanceName, msg.messageId, false, error.message);
       failed++;
 
       logger.error('Failed to send queued message', {
@@ -246,6 +294,10 @@ async function processQueuedMessages(instanceName, apiKey) {
         messageId: msg.messageId,
         error: error.message
       });
+
+      if (deadLetterEntry) {
+        await handleDeadLetter(deadLetterEntry);
+      }
     }
 
     // Pequeño delay entre mensajes para no saturar
@@ -264,11 +316,159 @@ async function processQueuedMessages(instanceName, apiKey) {
   return { processed: messages.length, success, failed };
 }
 
+/**
+ * Envía un mensaje encolado respetando el flujo con el que se encoló
+ * - markup interactivo: botones/lista/encuesta y después los adjuntos, sin caption
+ * - splitWithLLM (split_messages): se divide con LLM y los adjuntos van después, sin caption
+ * - normal: texto completo (o como caption del primer adjunto si cabe), después la ubicación/contacto/sticker si hay markup
+ * @returns {Array} Respuestas de Evolution API (para vincular acks)
+ */
+async function sendQueuedMessage(instanceName, apiKey, msg) {
+  const attachments = msg.attachments || [];
+  const sentMessages = [];
+
+  const interactive = interactiveMessages.parseInteractiveMarkup(msg.messageText);
+  if (interactive) {
+    sentMessages.push(await interactiveMessages.sendInteractiveMessage(instanceName, apiKey, msg.waNumber, interactive));
+
+    if (attachments.length > 0) {
+      sentMessages.push(...await evolutionAPI.sendAttachments(instanceName, apiKey, msg.waNumber, attachments));
+    }
+
+    return sentMessages;
+  }
+
+  if (msg.splitWithLLM) {
+    const { parte1, parte2, parte3 } = msg.messageText
+      ? await splitMessageWithLLM(msg.messageText)
+      : { parte1: '', parte2: '', parte3: '' };
+    const parts = [parte1, parte2, parte3].filter(p => p && p.length > 0);
+
+    logger.info('✂️ Queued message re-split by LLM', {
+      instanceName,
+      messageId: msg.messageId,
+      totalParts: parts.length
+    });
+
+    for (let i = 0; i < parts.length; i++) {
+      sentMessages.push(await evolutionAPI.sendText(instanceName, apiKey, msg.waNumber, parts[i]));
+
+      // Mismo delay fijo entre partes que el splitter de /webhook/ghl
+      if (i < parts.length - 1) {
+        await new Promise(resolve => setTimeout(resolve, DELAY_BETWEEN_SPLIT_PARTS));
+      }
+    }
+
+    if (attachments.length > 0) {
+      sentMessages.push(...await evolutionAPI.sendAttachments(instanceName, apiKey, msg.waNumber, attachments));
+    }
+
+    return sentMessages;
+  }
+
+  const rich = richMessages.parseAllRichMarkup(msg.messageText);
+  const text = rich ? rich.text : msg.messageText;
+  const useCaption = evolutionAPI.canUseAsCaption(text, attachments);
+
+  if (text && !useCaption) {
+    sentMessages.push(await evolutionAPI.sendText(instanceName, apiKey, msg.waNumber, text));
+  }
+
+  for (const item of rich?.items || []) {
+    sentMessages.push(await richMessages.sendRichMessage(instanceName, apiKey, msg.waNumber, item));
+  }
+
+  if (attachments.length > 0) {
+    sentMessages.push(...await evolutionAPI.sendAttachments(
+      instanceName,
+      apiKey,
+      msg.waNumber,
+      attachments,
+      useCaption ? text : ''
+    ));
+  }
+
+  return sentMessages;
+}
+
+/**
+ * Marca como fallido en GHL un mensaje que agotó sus reintentos y avisa al admin
+ * @param {Object} entry - Entrada de dead-letter
+ */
+async function handleDeadLetter(entry) {
+  if (entry.messageId) {
+    try {
+      const client = await getClientByLocationId(entry.locationId);
+      await ghlAPI.updateMessageStatus(
+        client,
+        entry.messageId,
+        'failed',
+        `No se pudo entregar por WhatsApp tras ${entry.retryCount} reintentos`
+      );
+      logger.info('GHL message marked as failed (dead-letter)', {
+        messageId: entry.messageId,
+        locationId: entry.locationId
+      });
+    } catch (error) {
+      logger.error('Failed to mark dead-letter message as failed in GHL', {
+        messageId: entry.messageId,
+        locationId: entry.locationId,
+        error: error.response?.data || error.message
+      });
+    }
+  }
+
+  await notifyAdmin('Mensaje en Dead-Letter ☠️', {
+    location_id: entry.locationId,
+    instance_name: entry.instanceName,
+    contact_id: entry.contactId,
+    error: entry.lastError || 'Reintentos agotados',
+    endpoint: 'Message Queue',
+    details: `Mensaje ${entry.messageId || '(sin ID)'} movido a dead-letter (id: ${entry.id}). Reenviar con POST /admin/dead-letters/${entry.id}/replay`
+  });
+}
+
+/**
+ * Reenvía mensajes de la dead-letter: vuelven a la cola con reintento inmediato
+ * y se procesa la cola de cada instancia afectada
+ * @param {Array} entries - Entradas de dead-letter
+ * @returns {Object} { requeued, skipped, results: { instanceName: resultado } }
+ */
+async function replayDeadLetters(entries) {
+  const instances = new Map(); // instanceName → apiKey
+  let requeued = 0;
+  let skipped = 0;
+
+  for (const entry of entries) {
+    // Quitar metadata de dead-letter/retry: se encola como un mensaje nuevo
+    const { id, reason, lastError, deadAt, retryCount, queuedAt, nextRetryAt, ...messageData } = entry;
+
+    // Ya está en la cola (ej: GHL reenvió el mismo mensaje) - se deja en dead-letter
+    if (!(await messageCache.enqueueMessage(messageData, { immediate: true }))) {
+      skipped++;
+      continue;
+    }
+
+    await deadLetter.removeDeadLetter(id);
+    instances.set(entry.instanceName, entry.instanceApiKey);
+    requeued++;
+  }
+
+  logger.info('🔁 Replaying dead-letter messages', { requeued, skipped, instances: Array.from(instances.keys()) });
+
+  const results = {};
+  for (const [instanceName, apiKey] of instances) {
+    results[instanceName] = await processQueuedMessages(instanceName, apiKey);
+  }
+
+  return { requeued, skipped, results };
+}
+
 /**
  * Procesa mensajes pendientes de todas las instancias
  */
 async function processAllPendingMessages() {
-  const instances = messageCache.getInstancesWithPendingMessages();
+  const instances = await messageCache.getInstancesWithPendingMessages();
 
   if (instances.length === 0) {
     return;
@@ -313,12 +513,35 @@ async function processAllPendingMessages() {
  * @param {string} instanceName - Nombre de la instancia
  * @param {string} apiKey - API key de la instancia
  * @param {Array} locationIds - Location IDs afectados (para notificaciones)
- * @returns {Object} { success: boolean, needsQR: boolean }
+ * @param {Object} options
+ * @param {boolean} options.force - Reinicio pedido por un admin: ignora la ventana de RESTART_COOLDOWN_MS
+ * @returns {Object} { success: boolean, needsQR: boolean, skipped?: true si se acaba de reiniciar
+ *   (solo triggers automáticos) o hay otro reinicio en curso (inProgress: true) }
  */
-async function attemptAutoRestart(instanceName, apiKey, locationIds = []) {
-  logger.info('Attempting auto-restart for disconnected instance', { instanceName });
+async function attemptAutoRestart(instanceName, apiKey, locationIds = [], { force = false } = {}) {
+  // El lock de la ventana no se libera: expira solo y evita reiniciar dos veces la misma desconexión
+  if (!force) {
+    const cooldownToken = await storage.acquireLock(`restart:${instanceName}`, { ttlMs: RESTART_COOLDOWN_MS });
+    if (!cooldownToken) {
+      logger.info('Auto-restart skipped - instance restarted recently (this or another replica)', { instanceName });
+      return { success: false, needsQR: false, skipped: true };
+    }
+  }
 
-  const result = await evolutionAPI.restartInstance(instanceName, apiKey);
+  const restartToken = await storage.acquireLock(`restarting:${instanceName}`, { ttlMs: RESTART_IN_PROGRESS_LOCK_MS });
+  if (!restartToken) {
+    logger.info('Restart skipped - instance is already being restarted', { instanceName, force });
+    return { success: false, needsQR: false, skipped: true, inProgress: true };
+  }
+
+  logger.info('Attempting auto-restart for disconnected instance', { instanceName, force });
+
+  let result;
+  try {
+    result = await evolutionAPI.restartInstance(instanceName, apiKey);
+  } finally {
+    await storage.releaseLock(`restarting:${instanceName}`, restartToken);
+  }
 
   if (result.success) {
     // Reconexión exitosa
@@ -495,5 +718,6 @@ module.exports = {
   checkAllInstances,
   startMonitoring,
   attemptAutoRestart,
-  processQueuedMessages
+  processQueuedMessages,
+  replayDeadLetters
 };
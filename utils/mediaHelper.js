@@ -1,30 +1,41 @@
-const openaiAPI = require('../services/openai');
+const config = require('../config');
+const aiProvider = require('../services/aiProvider');
+const documentExtractor = require('../services/documentExtractor');
+const videoExtractor = require('../services/videoExtractor');
+const { uploadMedia } = require('../services/supabase');
 const logger = require('./logger');
 const { notifyAdmin } = require('./notifications');
+const { getLocale, t } = require('./i18n');
+
+// ffmpeg no instalado (fuera de Docker): se avisa una vez por proceso en lugar de alertar en cada vídeo
+let ffmpegMissingWarned = false;
 
 /**
- * Procesar audio a texto usando Whisper
+ * Procesar audio a texto con el proveedor STT del cliente (OpenAI Whisper por defecto)
  * @param {string} base64 - Audio en base64
  * @param {string} mimetype - Tipo MIME del audio
  * @param {object} context - Contexto para logging/notificaciones
- * @returns {Promise<string>} - Texto formateado: "audio: {transcripción}"
+ * @param {object|null} client - Registro de clients_details (elige proveedor/modelo)
+ * @returns {Promise<string>} - Texto formateado en el idioma del cliente: "audio: {transcripción}"
  */
-async function processAudioToText(base64, mimetype, context = {}) {
+async function processAudioToText(base64, mimetype, context = {}, client = null) {
   try {
-    logger.info('🎤 Transcribing audio with Whisper', {
+    logger.info('🎤 Transcribing audio', {
       mimetype,
       size: base64.length,
       ...context
     });
 
-    const transcription = await openaiAPI.transcribeAudio(base64, mimetype);
+    const { text: transcription, provider, model } = await aiProvider.transcribeAudio(client, base64, mimetype);
 
     logger.info('✅ Audio transcribed', {
       transcriptionLength: transcription.length,
+      provider,
+      model,
       ...context
     });
 
-    return `audio: ${transcription}`;
+    return t(getLocale(client), 'media.audio', { text: transcription });
 
   } catch (error) {
     logger.error('❌ Failed to transcribe audio', {
@@ -33,8 +44,8 @@ async function processAudioToText(base64, mimetype, context = {}) {
       ...context
     });
 
-    // Notificar al admin del fallo de OpenAI
-    await notifyAdmin('OpenAI Audio Processing Failed', {
+    // Notificar al admin del fallo del proveedor (OpenAI / Local AI)
+    await notifyAdmin(`${aiProvider.getProviderLabel(client, 'stt')} Audio Processing Failed`, {
       error: error.message,
       stack: error.stack,
       mimetype,
@@ -45,35 +56,39 @@ async function processAudioToText(base64, mimetype, context = {}) {
     });
 
     // Fallback
-    return '🎤 [audio no procesado]';
+    return t(getLocale(client), 'media.audioFailed');
   }
 }
 
 /**
- * Procesar imagen a texto usando Vision
+ * Procesar imagen a texto con el proveedor Vision del cliente (OpenAI gpt-4o-mini por defecto)
  * @param {string} base64 - Imagen en base64
  * @param {string} caption - Caption opcional de la imagen
  * @param {object} context - Contexto para logging/notificaciones
- * @returns {Promise<string>} - Texto formateado: "descripcion imagen: {descripción}"
+ * @param {object|null} client - Registro de clients_details (elige proveedor/modelo)
+ * @param {string} mimetype - Tipo MIME de la imagen
+ * @returns {Promise<string>} - Texto formateado en el idioma del cliente: "descripcion imagen: {descripción}"
  */
-async function processImageToText(base64, caption = '', context = {}) {
+async function processImageToText(base64, caption = '', context = {}, client = null, mimetype = 'image/jpeg') {
   try {
-    logger.info('🖼️ Analyzing image with Vision', {
+    logger.info('🖼️ Analyzing image', {
       size: base64.length,
       hasCaption: !!caption,
       ...context
     });
 
-    const description = await openaiAPI.analyzeImage(base64);
+    const { text: description, provider, model } = await aiProvider.describeImage(client, base64, mimetype);
 
     logger.info('✅ Image analyzed', {
       descriptionLength: description.length,
       hasCaption: !!caption,
+      provider,
+      model,
       ...context
     });
 
     const captionSuffix = caption ? ` - ${caption}` : '';
-    return `descripcion imagen: ${description}${captionSuffix}`;
+    return t(getLocale(client), 'media.image', { text: description }) + captionSuffix;
 
   } catch (error) {
     logger.error('❌ Failed to analyze image', {
@@ -82,8 +97,8 @@ async function processImageToText(base64, caption = '', context = {}) {
       ...context
     });
 
-    // Notificar al admin del fallo de OpenAI
-    await notifyAdmin('OpenAI Image Processing Failed', {
+    // Notificar al admin del fallo del proveedor (OpenAI / Local AI)
+    await notifyAdmin(`${aiProvider.getProviderLabel(client, 'vision')} Image Processing Failed`, {
       error: error.message,
       stack: error.stack,
       status: error.response?.status,
@@ -94,46 +109,298 @@ async function processImageToText(base64, caption = '', context = {}) {
 
     // Fallback (incluir caption si existe)
     const captionSuffix = caption ? ` - ${caption}` : '';
-    return `🖼️ [imagen no procesada]${captionSuffix}`;
+    return t(getLocale(client), 'media.imageFailed') + captionSuffix;
+  }
+}
+
+/**
+ * Espera una promesa como mucho hasta deadline (la llamada sigue en segundo plano, su resultado se ignora)
+ * @param {Promise} promise
+ * @param {number} deadline - Timestamp límite
+ * @returns {Promise} Rechaza con code VIDEO_TIMEOUT si llega el plazo
+ */
+function withDeadline(promise, deadline) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error('Video processing time limit reached');
+      error.code = 'VIDEO_TIMEOUT';
+      reject(error);
+    }, Math.max(deadline - Date.now(), 0));
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Procesar vídeo a texto: transcripción del audio + resumen visual de VIDEO_KEYFRAMES fotogramas
+ * Todo (ffmpeg + STT + Vision) cabe en VIDEO_PROCESSING_TIMEOUT_SECONDS: el webhook espera a este texto
+ * @param {string} base64 - Vídeo en base64
+ * @param {string} mimetype - Tipo MIME del vídeo
+ * @param {object} context - Contexto para logging/notificaciones
+ * @param {object|null} client - Registro de clients_details (proveedor de IA e idioma)
+ * @returns {Promise<string|null>} - "video: transcripción: ... | resumen visual: ..." o null si no se pudo
+ *   procesar (supera los límites, ffmpeg falla o la IA no devuelve nada). Si se agota el plazo
+ *   se devuelve lo que se obtuvo hasta entonces
+ */
+async function processVideoToText(base64, mimetype, context = {}, client = null) {
+  const locale = getLocale(client);
+  const deadline = Date.now() + config.VIDEO_PROCESSING_TIMEOUT_SECONDS * 1000;
+  let media;
+
+  try {
+    logger.info('🎥 Processing video', { mimetype, size: base64.length, ...context });
+    media = await videoExtractor.extractVideoMedia(Buffer.from(base64, 'base64'), { deadline });
+  } catch (error) {
+    if (error.code === 'VIDEO_TOO_LARGE' || error.code === 'VIDEO_TOO_LONG') {
+      logger.info('🎥 Video over limits - not processed', { reason: error.message, ...context });
+      return null;
+    }
+
+    // Entorno sin ffmpeg o vídeo que tarda demasiado: no es un fallo de extracción, solo se loguea
+    if (error.code === 'ENOENT') {
+      if (!ffmpegMissingWarned) {
+        ffmpegMissingWarned = true;
+        logger.warn('⚠️ ffmpeg not found (FFMPEG_PATH) - videos will not be processed', { error: error.message, ...context });
+      }
+      return null;
+    }
+
+    if (error.code === 'FFMPEG_TIMEOUT') {
+      logger.warn('⚠️ ffmpeg timed out - video not processed', { error: error.message, mimetype, ...context });
+      return null;
+    }
+
+    logger.error('❌ Failed to extract video media', { error: error.message, mimetype, ...context });
+    await notifyAdmin('Video Processing Failed', {
+      error: error.message,
+      stack: error.stack,
+      mimetype,
+      ...context
+    });
+    return null;
+  }
+
+  // Sin imagen (ej: notas de voz de Instagram/FB enviadas como mp4): se trata como audio
+  if (!media.frames) {
+    if (!media.audio) return null;
+
+    return withDeadline(processAudioToText(media.audio, 'audio/mpeg', context, client), deadline).catch(error => {
+      if (error.code !== 'VIDEO_TIMEOUT') throw error;
+      logger.warn('⚠️ Video processing time limit reached - not transcribed', { ...context });
+      return null;
+    });
+  }
+
+  const parts = [];
+
+  if (media.audio) {
+    try {
+      const { text } = await withDeadline(aiProvider.transcribeAudio(client, media.audio, 'audio/mpeg'), deadline);
+      if (text.trim()) {
+        parts.push(t(locale, 'media.videoTranscript', { text: text.trim() }));
+      }
+    } catch (error) {
+      if (error.code === 'VIDEO_TIMEOUT') {
+        logger.warn('⚠️ Video processing time limit reached - transcript skipped', { ...context });
+      } else {
+        logger.error('❌ Failed to transcribe video audio', { error: error.message, ...context });
+        await notifyAdmin(`${aiProvider.getProviderLabel(client, 'stt')} Video Processing Failed`, {
+          error: error.message,
+          stack: error.stack,
+          status: error.response?.status,
+          ...context
+        });
+      }
+    }
+  }
+
+  try {
+    const { text } = await withDeadline(aiProvider.describeImage(client, media.frames, 'image/jpeg', {
+      prompt: t(locale, 'vision.videoPrompt', { count: media.frameCount })
+    }), deadline);
+    parts.push(t(locale, 'media.videoSummary', { text }));
+  } catch (error) {
+    if (error.code === 'VIDEO_TIMEOUT') {
+      logger.warn('⚠️ Video processing time limit reached - visual summary skipped', { ...context });
+    } else {
+      logger.error('❌ Failed to describe video frames', { error: error.message, ...context });
+      await notifyAdmin(`${aiProvider.getProviderLabel(client, 'vision')} Video Processing Failed`, {
+        error: error.message,
+        stack: error.stack,
+        status: error.response?.status,
+        ...context
+      });
+    }
+  }
+
+  if (parts.length === 0) {
+    return null;
+  }
+
+  logger.info('✅ Video processed', {
+    duration: media.duration,
+    parts: parts.length,
+    ...context
+  });
+
+  return t(locale, 'media.videoText', { text: parts.join(' | ') });
+}
+
+/**
+ * Extraer texto de un documento (PDF, DOCX, XLSX, texto plano)
+ * Un documento dañado o protegido no alerta al admin: es contenido del contacto, no un fallo nuestro
+ * @param {string} base64 - Documento en base64
+ * @param {string} mimetype - Tipo MIME del documento
+ * @param {string} fileName - Nombre del archivo (detecta el tipo si el MIME es genérico)
+ * @param {object} context - Contexto para logging
+ * @param {object|null} client - Registro de clients_details (idioma del texto)
+ * @param {number} maxLength - Longitud máxima del contenido (default: extracto para GHL)
+ * @returns {Promise<string|null>} - "contenido documento: {texto}" o null si no hay texto extraíble
+ */
+async function processDocumentToText(base64, mimetype, fileName = '', context = {}, client = null, maxLength = documentExtractor.EXCERPT_LENGTH) {
+  if (!documentExtractor.getDocumentType(mimetype, fileName)) {
+    return null;
+  }
+
+  try {
+    const buffer = Buffer.from(base64, 'base64');
+    const extracted = await documentExtractor.extractText(buffer, mimetype, fileName);
+
+    if (!extracted?.text) {
+      logger.info('📎 Document has no extractable text', { fileName, mimetype, size: buffer.length, ...context });
+      return null;
+    }
+
+    logger.info('✅ Document text extracted', {
+      fileName,
+      type: extracted.type,
+      textLength: extracted.text.length,
+      truncated: extracted.truncated,
+      ...context
+    });
+
+    const text = documentExtractor.truncateText(extracted.text, maxLength);
+    return t(getLocale(client), 'media.documentText', { text });
+
+  } catch (error) {
+    logger.warn('⚠️ Failed to extract document text', {
+      error: error.message,
+      fileName,
+      mimetype,
+      ...context
+    });
+    return null;
+  }
+}
+
+/**
+ * Obtener extensión de archivo a partir del nombre o del tipo MIME
+ * @param {string} mimetype - Tipo MIME (ej: "audio/ogg; codecs=opus")
+ * @param {string} fileName - Nombre original del archivo (opcional)
+ * @returns {string} - Extensión sin punto (ej: "ogg")
+ */
+function getFileExtension(mimetype, fileName = '') {
+  const fromName = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+  if (/^[a-z0-9]{1,5}$/.test(fromName)) {
+    return fromName;
+  }
+
+  const subtype = (mimetype || '').split(';')[0].split('/')[1] || '';
+  return /^[a-z0-9]{1,5}$/.test(subtype) ? subtype : 'bin';
+}
+
+/**
+ * Subir media de WhatsApp a storage público para adjuntarla en GHL
+ * No es crítico: si falla, el mensaje se registra solo con texto
+ * @param {string} base64 - Archivo en base64
+ * @param {string} mimetype - Tipo MIME del archivo
+ * @param {object} file - { locationId, messageId, fileName? }
+ * @param {object} context - Contexto para logging/notificaciones
+ * @returns {Promise<string[]>} - URLs para el campo attachments de GHL ([] si falla)
+ */
+async function storeMediaForGHL(base64, mimetype, file, context = {}) {
+  const { locationId, messageId, fileName } = file;
+  const extension = getFileExtension(mimetype, fileName);
+  const filePath = `${locationId}/${messageId}.${extension}`;
+
+  try {
+    const buffer = Buffer.from(base64, 'base64');
+    const url = await uploadMedia(filePath, buffer, (mimetype || 'application/octet-stream').split(';')[0]);
+
+    logger.info('📎 Media stored for GHL attachment', {
+      filePath,
+      size: buffer.length,
+      ...context
+    });
+
+    return [url];
+
+  } catch (error) {
+    logger.error('❌ Failed to store media for GHL', {
+      error: error.message,
+      filePath,
+      ...context
+    });
+
+    await notifyAdmin('Media Upload Failed', {
+      error: error.message,
+      stack: error.stack,
+      mimetype,
+      filePath,
+      ...context
+    });
+
+    return [];
   }
 }
 
 /**
  * Formatear otros tipos de mensajes (video, documento, etc.)
  * @param {string} type - Tipo de mensaje
- * @param {object} data - Datos adicionales (caption, fileName, etc.)
+ * @param {object} data - Datos adicionales (caption, fileName, attached, etc.)
+ * @param {string} locale - Idioma de los textos ('es' | 'en' | 'pt', default DEFAULT_LOCALE)
  * @returns {string} - Texto formateado
  */
-function formatOtherMediaType(type, data = {}) {
-  const { caption, fileName, name, lat, lng, displayName } = data;
+function formatOtherMediaType(type, data = {}, locale = null) {
+  const { caption, fileName, name, lat, lng, displayName, attached } = data;
+  const lang = getLocale(null, locale);
+
+  // Si el archivo va adjunto en GHL no hace falta remitir a WhatsApp
+  const seeMoreText = t(lang, 'media.seeMore');
+  const seeMore = attached ? '' : seeMoreText;
 
   switch (type) {
     case 'video':
-      return `🎥 [video]${caption ? ' - ' + caption : ''} - Ver más en WhatsApp`;
+      return `${t(lang, 'media.video')}${caption ? ' - ' + caption : ''}${seeMore}`;
 
     case 'document':
-      const docName = fileName || 'documento';
-      return `📎 [${docName}]${caption ? ' - ' + caption : ''} - Ver más en WhatsApp`;
+      const docName = fileName || t(lang, 'media.document');
+      return `📎 [${docName}]${caption ? ' - ' + caption : ''}${seeMore}`;
 
     case 'location':
       const locationName = name ? ': ' + name : '';
       const coords = lat && lng ? ` (${lat}, ${lng})` : '';
-      return `📍 [ubicación]${locationName}${coords} - Ver más en WhatsApp`;
+      return `${t(lang, 'media.location')}${locationName}${coords}${seeMoreText}`;
 
     case 'contact':
-      const contactName = displayName || 'contacto';
-      return `👤 [contacto: ${contactName}] - Ver más en WhatsApp`;
+      const contactName = displayName || t(lang, 'media.contactDefault');
+      return `${t(lang, 'media.contact', { name: contactName })}${seeMoreText}`;
 
     case 'sticker':
-      return '😊 [sticker]';
+      return t(lang, 'media.sticker');
 
     default:
-      return `📎 [${type}] - Ver más en WhatsApp`;
+      return `📎 [${type}]${seeMoreText}`;
   }
 }
 
 module.exports = {
   processAudioToText,
   processImageToText,
+  processVideoToText,
+  processDocumentToText,
+  storeMediaForGHL,
+  getFileExtension,
   formatOtherMediaType
 };
@@ -165,6 +165,12 @@ function getQuickFixSuggestions(errorType, details) {
     suggestions.push('Check OpenAI API status: https://status.openai.com');
   }
 
+  // Errores del endpoint local de IA (LOCAL_STT_BASE_URL / LOCAL_VISION_BASE_URL)
+  if (errorType.includes('Local AI')) {
+    suggestions.push('Verificar que el servidor local (whisper/Ollama/vLLM) esté levantado y accesible');
+    suggestions.push('Revisar stt_base_url/vision_base_url del cliente o LOCAL_*_BASE_URL y el modelo configurado');
+  }
+
   // Errores de Evolution API
   if (errorType.includes('WhatsApp') || details.instance_name) {
     suggestions.push('Verificar que la instancia esté conectada');
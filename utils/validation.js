@@ -1,3 +1,6 @@
+const { getLocale, t } = require('./i18n');
+const { payloadToMarkup } = require('../services/richMessages');
+
 function validateGHLPayload(body) {
   // Campos requeridos básicos
   const required = ['locationId', 'messageId', 'contactId'];
@@ -9,7 +12,10 @@ function validateGHLPayload(body) {
   }
 
   // El texto del mensaje puede venir como 'body' o 'message'
-  if (!body.body && !body.message) {
+  // (puede faltar si el mensaje solo trae adjuntos o una ubicación/contacto/sticker estructurado válido)
+  const hasAttachments = Array.isArray(body.attachments) && body.attachments.length > 0;
+  const hasRichPayload = payloadToMarkup(body).length > 0;
+  if (!body.body && !body.message && !hasAttachments && !hasRichPayload) {
     return { valid: false, missing: 'body or message' };
   }
 
@@ -49,7 +55,14 @@ function validateWhatsAppPayload(body) {
   return { valid: true };
 }
 
-function splitMessage(message, maxLength = 3500) {
+/**
+ * Divide un mensaje largo en partes de como máximo maxLength caracteres (marcador "📝 [Parte 1/2]")
+ * @param {string} message - Mensaje completo
+ * @param {number} maxLength - Longitud máxima por parte
+ * @param {string} locale - Idioma del marcador ('es' | 'en' | 'pt', default DEFAULT_LOCALE)
+ * @returns {Array<string>}
+ */
+function splitMessage(message, maxLength = 3500, locale = null) {
   if (!message || message.length <= maxLength) {
     return [message];
   }
@@ -81,7 +94,7 @@ function splitMessage(message, maxLength = 3500) {
     // Extraer parte y añadir marcador
     const part = remaining.substring(0, cutPoint).trim();
     const totalParts = Math.ceil(message.length / maxLength);
-    parts.push(`${part}\n\n📝 [Parte ${partNumber}/${totalParts}]`);
+    parts.push(`${part}\n\n${t(getLocale(null, locale), 'split.part', { part: partNumber, total: totalParts })}`);
 
     remaining = remaining.substring(cutPoint).trim();
     partNumber++;
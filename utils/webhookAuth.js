@@ -1,10 +1,14 @@
 /**
  * Webhook Authentication Middleware
  * Valida que los webhooks provengan de clientes configurados en BD (whitelist)
+ * y, si hay secreto configurado, que estén firmados (GHL, Evolution, Agent)
  */
 
+const crypto = require('crypto');
+const config = require('../config');
 const logger = require('../utils/logger');
 const { getClientByLocationId, getClientByInstanceName } = require('../services/supabase');
+const { incrementCounter } = require('../services/metrics');
 
 /**
  * Middleware para validar webhook de GHL
@@ -19,6 +23,7 @@ async function validateGHLWebhook(req, res, next) {
         ip: req.ip,
         body: req.body
       });
+      incrementCounter('webhook_rejected', { endpoint: 'ghl', reason: 'missing_location' });
       return res.status(400).json({ error: 'Missing locationId' });
     }
 
@@ -30,6 +35,7 @@ async function validateGHLWebhook(req, res, next) {
         locationId,
         ip: req.ip
       });
+      incrementCounter('webhook_rejected', { endpoint: 'ghl', reason: 'unknown_location' });
       return res.status(403).json({ error: 'Unauthorized locationId' });
     }
 
@@ -59,6 +65,7 @@ async function validateWhatsAppWebhook(req, res, next) {
         ip: req.ip,
         event: req.body?.event
       });
+      incrementCounter('webhook_rejected', { endpoint: 'whatsapp', reason: 'missing_instance' });
       return res.status(400).json({ error: 'Missing instance' });
     }
 
@@ -71,6 +78,7 @@ async function validateWhatsAppWebhook(req, res, next) {
         ip: req.ip,
         event: req.body?.event
       });
+      incrementCounter('webhook_rejected', { endpoint: 'whatsapp', reason: 'unknown_instance' });
       return res.status(403).json({ error: 'Unauthorized instance' });
     }
 
@@ -101,6 +109,7 @@ async function validateAgentWhitelist(req, res, next) {
         ip: req.ip,
         body: req.body
       });
+      incrementCounter('webhook_rejected', { endpoint: 'agent', reason: 'missing_location' });
       return res.status(400).json({ error: 'Missing location_id or location.id' });
     }
 
@@ -112,6 +121,7 @@ async function validateAgentWhitelist(req, res, next) {
         locationId,
         ip: req.ip
       });
+      incrementCounter('webhook_rejected', { endpoint: 'agent', reason: 'unknown_location' });
       return res.status(403).json({ error: 'Unauthorized location_id' });
     }
 
@@ -128,8 +138,140 @@ async function validateAgentWhitelist(req, res, next) {
   }
 }
 
+// ============================================================================
+// FIRMAS - Verificación criptográfica (opcional por secreto configurado)
+// ============================================================================
+
+/**
+ * Compara dos strings en tiempo constante (evita timing attacks)
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+
+  if (bufferA.length !== bufferB.length) return false;
+  return crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Registra y responde un intento rechazado por firma/token
+ */
+function rejectSignature(req, res, endpoint, reason, details = {}) {
+  logger.warn('🚫 Webhook rejected (signature)', {
+    endpoint,
+    reason,
+    ip: req.ip,
+    path: req.originalUrl,
+    ...details
+  });
+  incrementCounter('webhook_rejected', { endpoint, reason });
+  return res.status(401).json({ error: 'Invalid webhook signature' });
+}
+
+// Clave pública de GHL parseada una sola vez (RSA → x-wh-signature, Ed25519 → x-ghl-signature)
+let ghlPublicKey = { pem: null, key: null };
+function getGHLPublicKey() {
+  const pem = config.GHL_WEBHOOK_PUBLIC_KEY;
+  if (!pem) return null;
+
+  if (ghlPublicKey.pem !== pem) {
+    ghlPublicKey = { pem, key: crypto.createPublicKey(pem.replace(/\\n/g, '\n')) };
+  }
+  return ghlPublicKey.key;
+}
+
+/**
+ * Verifica una firma de GHL sobre el body original
+ * @param {Buffer} rawBody - Body sin parsear
+ * @param {string} signature - Firma en base64
+ * @param {KeyObject} publicKey - Clave pública de GHL
+ * @returns {boolean}
+ */
+function verifyGHLSignatureValue(rawBody, signature, publicKey) {
+  try {
+    // Ed25519 no usa algoritmo de hash separado
+    const algorithm = publicKey.asymmetricKeyType === 'ed25519' ? null : 'sha256';
+    return crypto.verify(algorithm, rawBody, publicKey, Buffer.from(signature, 'base64'));
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Middleware: firma de GHL (x-ghl-signature o x-wh-signature) en /webhook/ghl
+ * Sin GHL_WEBHOOK_PUBLIC_KEY configurada no se verifica (compatibilidad)
+ */
+function verifyGHLSignature(req, res, next) {
+  const publicKey = getGHLPublicKey();
+  if (!publicKey) return next();
+
+  const signature = req.get('x-ghl-signature') || req.get('x-wh-signature');
+
+  if (!signature) {
+    return rejectSignature(req, res, 'ghl', 'missing_signature', { locationId: req.body?.locationId });
+  }
+
+  if (!req.rawBody || !verifyGHLSignatureValue(req.rawBody, signature, publicKey)) {
+    return rejectSignature(req, res, 'ghl', 'invalid_signature', { locationId: req.body?.locationId });
+  }
+
+  next();
+}
+
+/**
+ * Middleware: token compartido por instancia en /webhook/whatsapp
+ * Se configura en el webhook de Evolution como header x-webhook-token (o ?token= en la URL)
+ * Debe ir DESPUÉS de validateWhatsAppWebhook (usa req.client.webhook_secret)
+ */
+function verifyWhatsAppToken(req, res, next) {
+  const secret = req.client?.webhook_secret;
+  if (!secret) return next();
+
+  const token = req.get('x-webhook-token') || req.query?.token;
+
+  if (!token) {
+    return rejectSignature(req, res, 'whatsapp', 'missing_token', { instance: req.body?.instance });
+  }
+
+  if (!safeEqual(token, secret)) {
+    return rejectSignature(req, res, 'whatsapp', 'invalid_token', { instance: req.body?.instance });
+  }
+
+  next();
+}
+
+/**
+ * Middleware: HMAC-SHA256 del body en /webhook/agent (header x-agent-signature, hex, admite prefijo sha256=)
+ * Sin AGENT_WEBHOOK_SECRET configurado no se verifica (compatibilidad)
+ */
+function verifyAgentSignature(req, res, next) {
+  if (!config.AGENT_WEBHOOK_SECRET) return next();
+
+  const signature = req.get('x-agent-signature')?.replace(/^sha256=/, '');
+  const locationId = req.body?.location_id || req.body?.location?.id;
+
+  if (!signature) {
+    return rejectSignature(req, res, 'agent', 'missing_signature', { locationId });
+  }
+
+  const expected = crypto
+    .createHmac('sha256', config.AGENT_WEBHOOK_SECRET)
+    .update(req.rawBody || '')
+    .digest('hex');
+
+  if (!req.rawBody || !safeEqual(signature.toLowerCase(), expected)) {
+    return rejectSignature(req, res, 'agent', 'invalid_signature', { locationId });
+  }
+
+  next();
+}
+
 module.exports = {
   validateGHLWebhook,
   validateWhatsAppWebhook,
-  validateAgentWhitelist
+  validateAgentWhitelist,
+  verifyGHLSignature,
+  verifyWhatsAppToken,
+  verifyAgentSignature,
+  safeEqual
 };
@@ -8,6 +8,261 @@ const langfuseAPI = require('../services/langfuse');
 const flowiseAPI = require('../services/flowise');
 const agentBuffer = require('../services/agentBuffer');
 const mediaProcessor = require('../services/mediaProcessor');
+const { isFeatureEnabled } = require('../services/featureFlags');
+const { stripInteractiveMarkup } = require('../services/interactiveMessages');
+const { stripRichMarkup } = require('../services/richMessages');
+
+// Canales que llegan a WhatsApp vía /webhook/ghl (donde se interpreta el markup interactivo)
+const INTERACTIVE_CHANNELS = ['SMS', 'WhatsApp'];
+
+/**
+ * Procesa el buffer de un contacto/canal con Flowise y envía la respuesta por GHL
+ * Se ejecuta al vencer el debounce, o desde el scheduler de agentBuffer si el proceso
+ * se reinició antes de terminar (entonces client y agentConfig se vuelven a cargar)
+ * @param {Object} job - { contact_id, location_id, canal, agente, tags, info_crm, info_crm_adicional,
+ *                       resumen_llamadas, recuento_llamadas } (serializable, se persiste con el buffer)
+ * @param {Object} context - { client, agentConfig } ya cargados por el webhook (opcional)
+ */
+async function processBufferedMessages(job, context = {}) {
+  const {
+    contact_id, location_id, canal, agente, tags,
+    info_crm, info_crm_adicional, resumen_llamadas, recuento_llamadas
+  } = job;
+  let { client, agentConfig } = context;
+  // Mensajes que procesa esta ejecución (los que lleguen mientras tanto quedan para el siguiente debounce)
+  let currentBuffer = [];
+
+  try {
+    if (!client) {
+      client = await getClientByLocationId(location_id);
+    }
+    if (!agentConfig) {
+      agentConfig = await getAgentConfig(location_id, agente);
+    }
+
+    logger.info('⏰ Debounce fired, processing buffered messages...', {
+      contact_id,
+      canal,
+      location_id
+    });
+
+    // Obtener estado actual del buffer
+    // (si llegó otro mensaje durante el debounce, este callback no se ejecuta: dispara el del último mensaje)
+    currentBuffer = await agentBuffer.getBuffer(contact_id, canal);
+
+    if (!currentBuffer || currentBuffer.length === 0) {
+      logger.warn('⚠️ Buffer empty or deleted, skipping processing', {
+        contact_id,
+        canal
+      });
+      return;
+    }
+
+    logger.info('✅ Buffer verification passed', {
+      contact_id,
+      canal,
+      messageCount: currentBuffer.length
+    });
+
+    // Obtener prompt desde Langfuse usando las keys del cliente
+    logger.info('🔍 Step 6: Getting prompt from Langfuse...', { agente });
+
+    // Validar que el cliente tenga las keys de Langfuse configuradas
+    if (!client.langfuse_public_key || !client.langfuse_secret_key) {
+      throw new Error(`Client ${location_id} missing Langfuse API keys. Please configure langfuse_public_key and langfuse_secret_key in clients_details.`);
+    }
+
+    const prompt = await langfuseAPI.getPrompt(
+      agente,
+      client.langfuse_public_key,
+      client.langfuse_secret_key
+    );
+
+    logger.info('✅ Step 6 COMPLETE: Prompt retrieved', {
+      agente,
+      promptLength: prompt.length
+    });
+
+    // Preparar datos para Flowise
+    logger.info('🔍 Step 7: Preparing Flowise request...');
+
+    // Obtener datos del contacto desde GHL (contact_id es el GHL contactId)
+    let ghlContactId = await getCachedContactId(location_id, contact_id);
+
+    if (!ghlContactId) {
+      // El contact_id del webhook YA ES el contactId de GHL
+      ghlContactId = contact_id;
+      await setCachedContactId(location_id, contact_id, ghlContactId);
+    }
+
+    // Obtener o crear conversación
+    let conversationId = await getCachedConversationId(location_id, ghlContactId);
+
+    if (!conversationId) {
+      const convSearch = await ghlAPI.searchConversation(client, ghlContactId);
+
+      if (convSearch.total >= 1) {
+        conversationId = convSearch.conversations[0].id;
+        await setCachedConversationId(location_id, ghlContactId, conversationId);
+        logger.info('✅ Conversation found', { conversationId });
+      } else {
+        // Crear conversación
+        logger.info('➕ Creating new conversation...', { ghlContactId });
+        const newConv = await ghlAPI.createConversation(client, ghlContactId);
+        conversationId = newConv.id;
+        await setCachedConversationId(location_id, ghlContactId, conversationId);
+        logger.info('✅ Conversation created', { conversationId });
+      }
+    }
+
+    // Preparar startState para Flowise (todo en snake_case)
+    const startState = {
+      contact_id: contact_id,
+      conversation_id: conversationId,
+      location_id: location_id,
+      canal: canal,
+      tags: tags,
+      info_crm: info_crm || '',
+      info_crm_adicional: info_crm_adicional || '',
+      resumen_llamadas: resumen_llamadas || '',
+      recuento_llamadas: recuento_llamadas || 0,
+      prompt: prompt
+    };
+
+    // Unir todos los mensajes del buffer
+    const combinedMessages = currentBuffer.join('\n');
+
+    logger.info('✅ Step 7 COMPLETE: Flowise request prepared', {
+      ghlContactId,
+      conversationId,
+      canal,
+      messageCount: currentBuffer.length,
+      combinedLength: combinedMessages.length,
+      hasTags: !!startState.tags,
+      hasInfoCrm: !!startState.info_crm,
+      hasInfoCrmAdicional: !!startState.info_crm_adicional,
+      hasResumenLlamadas: !!startState.resumen_llamadas,
+      recuentoLlamadas: startState.recuento_llamadas
+    });
+
+    // Llamar a Flowise
+    logger.info('🔍 Step 8: Calling Flowise API...', {
+      agentName: agentConfig.agent_name,
+      messagePreview: combinedMessages.substring(0, 100)
+    });
+
+    // Preparar overrideConfig con sessionId y startState
+    const overrideConfig = {
+      sessionId: conversationId,  // ✅ Mantiene memoria de conversación en Flowise
+      startState: Object.entries(startState).map(([key, value]) => ({
+        key,
+        value
+      }))
+    };
+
+    const flowiseResponse = await flowiseAPI.callFlowiseAgent(
+      agentConfig,
+      combinedMessages,
+      overrideConfig
+    );
+
+    logger.info('✅ Step 8 COMPLETE: Flowise response received', {
+      agentName: agentConfig.agent_name,
+      sessionId: conversationId
+    });
+
+    // Parsear respuesta (3-level fallback)
+    logger.info('🔍 Step 9: Parsing Flowise response...');
+    const parsed = flowiseAPI.parseFlowiseResponse(flowiseResponse);
+
+    logger.info('✅ Step 9 COMPLETE: Response parsed', {
+      hasParte1: !!parsed.parte1,
+      hasParte2: !!parsed.parte2,
+      hasParte3: !!parsed.parte3
+    });
+
+    // Enviar respuestas a GHL (que las enviará al canal correcto)
+    logger.info('🔍 Step 10: Sending responses via GHL...', {
+      ghlContactId,
+      canal
+    });
+
+    // Filtrar partes que existan
+    // El markup de botones/lista/encuesta solo se envía tal cual por WhatsApp (SMS = proveedor WhatsApp);
+    // en IG, FB y Live Chat se convierte en opciones numeradas.
+    // Igual con ubicación/contacto/sticker (richParts): fuera de WhatsApp se envían como texto (enlace de Maps, teléfono)
+    const parts = [parsed.parte1, parsed.parte2, parsed.parte3, ...(parsed.richParts || [])]
+      .filter(Boolean)
+      .map(part => (INTERACTIVE_CHANNELS.includes(canal) ? part : stripRichMarkup(stripInteractiveMarkup(part))))
+      .filter(Boolean);
+
+    // Enviar cada parte a GHL (se enviarán automáticamente al canal especificado)
+    for (let i = 0; i < parts.length; i++) {
+      await ghlAPI.sendMessage(
+        client,
+        ghlContactId,
+        parts[i],
+        canal  // SMS, WhatsApp, IG, FB
+      );
+
+      logger.info(`✅ Sent part ${i + 1}/${parts.length} via GHL`, {
+        ghlContactId,
+        canal,
+        length: parts[i].length
+      });
+
+      // Delay entre mensajes para mantener orden (igual que n8n)
+      if (i < parts.length - 1) {
+        const delay = Math.min(Math.max(parts[i].length * 50, 2000), 10000);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        logger.info(`⏱️ Wait ${delay}ms before next part`);
+      }
+    }
+
+    logger.info('✅ Step 10 COMPLETE: All responses sent via GHL', {
+      ghlContactId,
+      canal,
+      totalParts: parts.length
+    });
+
+    // Quitar del buffer los mensajes procesados
+    await agentBuffer.consumeBuffer(contact_id, canal, currentBuffer);
+
+    logger.info('🎉 Agent processing complete!', {
+      contact_id,
+      conversationId,
+      canal,
+      location_id,
+      agente
+    });
+
+  } catch (debounceError) {
+    // Error durante procesamiento asíncrono
+    logger.error('❌ Error in debounce callback', {
+      error: debounceError.message,
+      stack: debounceError.stack,
+      contact_id,
+      canal,
+      location_id
+    });
+
+    await notifyAdmin('Agent Debounce Processing Error', {
+      contact_id,
+      canal,
+      location_id,
+      agente,
+      error: debounceError.message,
+      stack: debounceError.stack,
+      endpoint: '/webhook/agent',
+      status: debounceError.response?.status,
+      statusText: debounceError.response?.statusText,
+      responseData: debounceError.response?.data
+    });
+
+    // Descartar también en caso de error los mensajes de esta ejecución (no los que llegaron después)
+    await agentBuffer.consumeBuffer(contact_id, canal, currentBuffer);
+  }
+}
 
 async function handleAgentWebhook(req, res) {
   // 🐛 DEBUG: Log INMEDIATO para confirmar que llega el webhook
@@ -72,19 +327,23 @@ async function handleAgentWebhook(req, res) {
     // Cliente viene del middleware (ya validado)
     const client = req.client;
 
-    // ⛔ VALIDACIÓN: Rechazar clientes beta (usan GHL Conversation AI, no Flowise)
-    if (client && client.is_beta) {
-      logger.warn('⛔ Beta client - Agent System disabled (uses GHL Conversation AI)', {
+    // ⛔ VALIDACIÓN: Rechazar clientes con GHL Conversation AI (no usan Flowise)
+    if (client && client.ai_provider === 'ghl_native') {
+      logger.warn('⛔ Client uses GHL Conversation AI - Agent System disabled', {
         location_id,
         contact_id,
         agente,
-        is_beta: client.is_beta
+        ai_provider: client.ai_provider
       });
 
+      const splitMessages = isFeatureEnabled(client, 'split_messages');
       return res.status(200).json({
         success: false,
-        message: 'Beta client - Agent System disabled. This client uses GHL Conversation AI instead of Flowise.',
-        note: 'Configure GHL Conversation AI in GHL settings. Messages are processed via /webhook/ghl with LLM message splitter.'
+        message: 'Client uses GHL Conversation AI. Agent System (Flowise) is disabled.',
+        note: 'Messages are processed via /webhook/ghl. LLM message splitter is ' +
+              (splitMessages ? 'enabled' : 'disabled') + '.',
+        ai_provider: client.ai_provider,
+        split_messages: splitMessages
       });
     }
 
@@ -93,7 +352,8 @@ async function handleAgentWebhook(req, res) {
       contact_id,
       agente,
       canal,
-      is_beta: client?.is_beta || false
+      ai_provider: client?.ai_provider || 'flowise',
+      split_messages: isFeatureEnabled(client, 'split_messages')
     });
 
     // 🐛 DEBUG: Loguear payload completo para Instagram
@@ -123,7 +383,7 @@ async function handleAgentWebhook(req, res) {
         const attachment = message.attachments[i];
         try {
           logger.info(`🔄 Processing attachment ${i + 1}/${message.attachments.length}`, { attachment });
-          const attachmentText = await mediaProcessor.processAttachment(attachment);
+          const attachmentText = await mediaProcessor.processAttachment(attachment, client);
           processedMessage += `\n${attachmentText}`;  // Siempre concatenar con newline
           logger.info(`✅ Attachment ${i + 1} processed successfully`);
         } catch (attachmentError) {
@@ -145,7 +405,7 @@ async function handleAgentWebhook(req, res) {
       logger.info('📎 Processing customData.message_attachment', { url: customData.message_attachment });
 
       try {
-        const attachmentText = await mediaProcessor.processAttachment(customData.message_attachment);
+        const attachmentText = await mediaProcessor.processAttachment(customData.message_attachment, client);
         processedMessage += `\n${attachmentText}`;  // Siempre concatenar con newline
         logger.info('✅ customData.message_attachment processed successfully');
       } catch (attachmentError) {
@@ -175,271 +435,62 @@ async function handleAgentWebhook(req, res) {
     logger.info('🔍 Step 3: Getting agent config...', { location_id, agente });
     const agentConfig = await getAgentConfig(location_id, agente);
 
+    // Ventana de debounce y límite del buffer del agente (ver AGENT_BUFFER.md)
+    const attachmentUrls = [...(message.attachments || []), customData.message_attachment];
+    const bufferSettings = agentBuffer.getBufferSettings(agentConfig, canal, {
+      hasAudio: attachmentUrls.some(mediaProcessor.isAudioAttachment)
+    });
+
     logger.info('✅ Step 3 COMPLETE: Agent config found', {
       agente,
-      agent_name: agentConfig.agent_name
+      agent_name: agentConfig.agent_name,
+      bufferSettings
     });
 
     // Gestión de buffer
     logger.info('🔍 Step 4: Managing message buffer...', { contact_id, canal });
 
     // Añadir mensaje al buffer (getBuffer crea automáticamente si no existe)
-    agentBuffer.pushMessage(contact_id, canal, processedMessage);
-
-    // Obtener buffer actualizado
-    const buffer = agentBuffer.getBuffer(contact_id, canal);
+    const pushResult = await agentBuffer.pushMessage(contact_id, canal, processedMessage, bufferSettings);
 
     logger.info('✅ Step 4 COMPLETE: Message added to buffer', {
       contact_id,
       canal,
-      bufferSize: buffer.length
+      added: pushResult.added,
+      bufferSize: pushResult.bufferSize
     });
 
-    // Configurar debounce (7 segundos)
-    logger.info('🔍 Step 5: Setting up debounce (7s)...', { contact_id, canal });
+    // Configurar debounce (flush = buffer lleno con política flush: procesar ya)
+    const debounceMs = pushResult.flush ? 0 : bufferSettings.debounceMs;
+    logger.info(`🔍 Step 5: Setting up debounce (${debounceMs}ms)...`, { contact_id, canal });
 
     try {
-      agentBuffer.setupDebounce(contact_id, canal, async () => {
-        // IMPORTANTE: Este callback se ejecuta de forma asíncrona
-        // Necesita su propio manejo de errores
-        try {
-        logger.info('⏰ Debounce fired, processing buffered messages...', {
-          contact_id,
-          canal,
-          location_id
-        });
-
-        // Obtener estado actual del buffer
-        const currentBuffer = agentBuffer.getBuffer(contact_id, canal);
-
-        if (!currentBuffer || currentBuffer.length === 0) {
-          logger.warn('⚠️ Buffer empty or deleted, skipping processing', {
-            contact_id,
-            canal
-          });
-          return;
-        }
-
-        // v1: Verificación simple - comparar cantidad de mensajes
-        const expectedCount = buffer.length;
-        const actualCount = currentBuffer.length;
-
-        if (actualCount !== expectedCount) {
-          logger.warn('⚠️ Buffer changed during debounce, discarding', {
-            contact_id,
-            canal,
-            expectedCount,
-            actualCount
-          });
-          // Limpiar buffer y no procesar
-          agentBuffer.clearBuffer(contact_id, canal);
-          return;
-        }
-
-        logger.info('✅ Buffer verification passed', {
-          contact_id,
-          canal,
-          messageCount: actualCount
-        });
-
-        // Obtener prompt desde Langfuse usando las keys del cliente
-        logger.info('🔍 Step 6: Getting prompt from Langfuse...', { agente });
-
-        // Validar que el cliente tenga las keys de Langfuse configuradas
-        if (!client.langfuse_public_key || !client.langfuse_secret_key) {
-          throw new Error(`Client ${location_id} missing Langfuse API keys. Please configure langfuse_public_key and langfuse_secret_key in clients_details.`);
-        }
-
-        const prompt = await langfuseAPI.getPrompt(
-          agente,
-          client.langfuse_public_key,
-          client.langfuse_secret_key
-        );
-
-        logger.info('✅ Step 6 COMPLETE: Prompt retrieved', {
-          agente,
-          promptLength: prompt.length
-        });
-
-        // Preparar datos para Flowise
-        logger.info('🔍 Step 7: Preparing Flowise request...');
-
-        // Obtener datos del contacto desde GHL (contact_id es el GHL contactId)
-        let ghlContactId = getCachedContactId(location_id, contact_id);
-
-        if (!ghlContactId) {
-          // El contact_id del webhook YA ES el contactId de GHL
-          ghlContactId = contact_id;
-          setCachedContactId(location_id, contact_id, ghlContactId);
-        }
-
-        // Obtener o crear conversación
-        let conversationId = getCachedConversationId(location_id, ghlContactId);
-
-        if (!conversationId) {
-          const convSearch = await ghlAPI.searchConversation(client, ghlContactId);
-
-          if (convSearch.total >= 1) {
-            conversationId = convSearch.conversations[0].id;
-            setCachedConversationId(location_id, ghlContactId, conversationId);
-            logger.info('✅ Conversation found', { conversationId });
-          } else {
-            // Crear conversación
-            logger.info('➕ Creating new conversation...', { ghlContactId });
-            const newConv = await ghlAPI.createConversation(client, ghlContactId);
-            conversationId = newConv.id;
-            setCachedConversationId(location_id, ghlContactId, conversationId);
-            logger.info('✅ Conversation created', { conversationId });
-          }
-        }
-
-        // Preparar startState para Flowise (todo en snake_case)
-        const startState = {
-          contact_id: contact_id,
-          conversation_id: conversationId,
-          location_id: location_id,
-          canal: canal,
-          tags: tags,
-          info_crm: customData.info_crm || '',
-          info_crm_adicional: customData.info_crm_adicional || '',
-          resumen_llamadas: customData.resumen_llamadas || '',
-          recuento_llamadas: customData.recuento_llamadas || 0,
-          prompt: prompt
-        };
-
-        // Unir todos los mensajes del buffer
-        const combinedMessages = currentBuffer.join('\n');
-
-        logger.info('✅ Step 7 COMPLETE: Flowise request prepared', {
-          ghlContactId,
-          conversationId,
-          canal,
-          messageCount: currentBuffer.length,
-          combinedLength: combinedMessages.length,
-          hasTags: !!startState.tags,
-          hasInfoCrm: !!startState.info_crm,
-          hasInfoCrmAdicional: !!startState.info_crm_adicional,
-          hasResumenLlamadas: !!startState.resumen_llamadas,
-          recuentoLlamadas: startState.recuento_llamadas
-        });
-
-        // Llamar a Flowise
-        logger.info('🔍 Step 8: Calling Flowise API...', {
-          agentName: agentConfig.agent_name,
-          messagePreview: combinedMessages.substring(0, 100)
-        });
-
-        // Preparar overrideConfig con sessionId y startState
-        const overrideConfig = {
-          sessionId: conversationId,  // ✅ Mantiene memoria de conversación en Flowise
-          startState: Object.entries(startState).map(([key, value]) => ({
-            key,
-            value
-          }))
-        };
-
-        const flowiseResponse = await flowiseAPI.callFlowiseAgent(
-          agentConfig,
-          combinedMessages,
-          overrideConfig
-        );
-
-        logger.info('✅ Step 8 COMPLETE: Flowise response received', {
-          agentName: agentConfig.agent_name,
-          sessionId: conversationId
-        });
-
-        // Parsear respuesta (3-level fallback)
-        logger.info('🔍 Step 9: Parsing Flowise response...');
-        const parsed = flowiseAPI.parseFlowiseResponse(flowiseResponse);
-
-        logger.info('✅ Step 9 COMPLETE: Response parsed', {
-          hasParte1: !!parsed.parte1,
-          hasParte2: !!parsed.parte2,
-          hasParte3: !!parsed.parte3
-        });
-
-        // Enviar respuestas a GHL (que las enviará al canal correcto)
-        logger.info('🔍 Step 10: Sending responses via GHL...', {
-          ghlContactId,
-          canal
-        });
-
-        // Filtrar partes que existan
-        const parts = [parsed.parte1, parsed.parte2, parsed.parte3].filter(Boolean);
-
-        // Enviar cada parte a GHL (se enviarán automáticamente al canal especificado)
-        for (let i = 0; i < parts.length; i++) {
-          await ghlAPI.sendMessage(
-            client,
-            ghlContactId,
-            parts[i],
-            canal  // SMS, WhatsApp, IG, FB
-          );
-
-          logger.info(`✅ Sent part ${i + 1}/${parts.length} via GHL`, {
-            ghlContactId,
-            canal,
-            length: parts[i].length
-          });
-
-          // Delay entre mensajes para mantener orden (igual que n8n)
-          if (i < parts.length - 1) {
-            const delay = Math.min(Math.max(parts[i].length * 50, 2000), 10000);
-            await new Promise(resolve => setTimeout(resolve, delay));
-            logger.info(`⏱️ Wait ${delay}ms before next part`);
-          }
-        }
-
-        logger.info('✅ Step 10 COMPLETE: All responses sent via GHL', {
-          ghlContactId,
-          canal,
-          totalParts: parts.length
-        });
-
-        // Limpiar buffer
-        agentBuffer.clearBuffer(contact_id, canal);
-
-        logger.info('🎉 Agent processing complete!', {
-          contact_id,
-          conversationId,
-          canal,
-          location_id,
-          agente
-        });
-
-      } catch (debounceError) {
-        // Error durante procesamiento asíncrono
-        logger.error('❌ Error in debounce callback', {
-          error: debounceError.message,
-          stack: debounceError.stack,
-          contact_id,
-          canal,
-          location_id
-        });
-
-        await notifyAdmin('Agent Debounce Processing Error', {
-          contact_id,
-          canal,
-          location_id,
-          agente,
-          error: debounceError.message,
-          stack: debounceError.stack,
-          endpoint: '/webhook/agent',
-          status: debounceError.response?.status,
-          statusText: debounceError.response?.statusText,
-          responseData: debounceError.response?.data
-        });
-
-        // Limpiar buffer en caso de error
-        agentBuffer.clearBuffer(contact_id, canal);
-      }
-      }, 7000);
+      // Datos para reprocesar el buffer si el proceso se reinicia antes de terminar
+      const job = {
+        contact_id,
+        location_id,
+        canal,
+        agente,
+        tags,
+        info_crm: customData.info_crm,
+        info_crm_adicional: customData.info_crm_adicional,
+        resumen_llamadas: customData.resumen_llamadas,
+        recuento_llamadas: customData.recuento_llamadas
+      };
+
+      // IMPORTANTE: El callback se ejecuta de forma asíncrona (processBufferedMessages maneja sus errores)
+      await agentBuffer.setupDebounce(
+        contact_id,
+        canal,
+        () => processBufferedMessages(job, { client, agentConfig }),
+        debounceMs,
+        job
+      );
 
       logger.info('✅ Step 5 COMPLETE: Debounce configured', {
         contact_id,
         canal,
-        delay: '7s'
+        delay: `${debounceMs}ms`
       });
 
     } catch (setupError) {
@@ -460,7 +511,7 @@ async function handleAgentWebhook(req, res) {
       });
 
       // Limpiar buffer para evitar leaks
-      agentBuffer.clearBuffer(contact_id, canal);
+      await agentBuffer.clearBuffer(contact_id, canal);
     }
 
     // Retornar 200 inmediatamente (procesamiento asíncrono)
@@ -500,4 +551,4 @@ async function handleAgentWebhook(req, res) {
   }
 }
 
-module.exports = { handleAgentWebhook };
+module.exports = { handleAgentWebhook, processBufferedMessages };
@@ -1,11 +1,18 @@
 const logger = require('../utils/logger');
 const { notifyAdmin } = require('../utils/notifications');
 const { validateGHLPayload, splitMessage } = require('../utils/validation');
+const { getLocale } = require('../utils/i18n');
 const { getClientByLocationId } = require('../services/supabase');
 const ghlAPI = require('../services/ghl');
 const evolutionAPI = require('../services/evolution');
 const messageCache = require('../services/messageCache');
+const messageStatus = require('../services/messageStatus');
+const naturalBehavior = require('../services/naturalBehavior');
 const { splitMessageWithLLM } = require('../services/messageSplitter');
+const { isFeatureEnabled } = require('../services/featureFlags');
+const groups = require('../services/groups');
+const interactiveMessages = require('../services/interactiveMessages');
+const richMessages = require('../services/richMessages');
 
 async function handleGHLWebhook(req, res) {
   // Log COMPLETO del webhook para debugging
@@ -30,13 +37,34 @@ async function handleGHLWebhook(req, res) {
 
     const { locationId, contactId, messageId } = req.body;
 
-    // El texto puede venir como 'body' o 'message'
-    const messageText = req.body.body || req.body.message;
+    // El texto puede venir como 'body' o 'message' (vacío si solo hay adjuntos)
+    // Los campos location/contact/sticker del payload se añaden como markup (ver services/richMessages.js)
+    const messageText = [req.body.body || req.body.message, ...richMessages.payloadToMarkup(req.body)]
+      .filter(Boolean)
+      .join('\n');
 
-    logger.info('✅ GHL webhook validated', { locationId, contactId, messageId, messageText });
+    // Adjuntos (URLs) del mensaje de GHL: imágenes, documentos, notas de voz...
+    const attachments = Array.isArray(req.body.attachments) ? req.body.attachments.filter(Boolean) : [];
+
+    // Markup de botones/lista/encuesta en el texto (ver services/interactiveMessages.js)
+    const interactive = interactiveMessages.parseInteractiveMarkup(messageText);
+
+    // Markup de ubicación/contacto/sticker (uno o varios bloques, se envían después del texto)
+    const rich = interactive ? null : richMessages.parseAllRichMarkup(messageText);
+
+    logger.info('✅ GHL webhook validated', {
+      locationId,
+      contactId,
+      messageId,
+      messageText,
+      attachments: attachments.length,
+      interactive: interactive?.type,
+      rich: rich?.items.map(item => item.type)
+    });
 
     // Obtener cliente (viene de middleware o buscar en BD como fallback)
     const client = req.client || await getClientByLocationId(locationId);
+    const splitMessages = isFeatureEnabled(client, 'split_messages');
 
     logger.info('Client found', {
       locationId,
@@ -44,18 +72,24 @@ async function handleGHLWebhook(req, res) {
       hasApiKey: !!client.instance_apikey,
       provider: client.whatsapp_provider,
       fromCache: !!req.client,
-      isBeta: client.is_beta
+      ai_provider: client.ai_provider,
+      split_messages: splitMessages
     });
 
-    // 🧪 BETA FEATURE: Dividir mensajes con LLM para mayor naturalidad
-    // Solo para clientes beta usando Evolution API
-    if (client.is_beta && client.whatsapp_provider === 'evolution') {
-      logger.info('🧪 Beta client - Using LLM message splitter', {
+    // ✂️ Dividir mensajes con LLM para mayor naturalidad (flag split_messages, independiente del ai_provider)
+    // Las partes se envían por Evolution API (los mensajes interactivos y con ubicación/contacto/sticker no se dividen)
+    if (splitMessages && client.whatsapp_provider === 'evolution' && !interactive && !rich) {
+      logger.info('✂️ Using LLM message splitter', {
         locationId,
         messageLength: messageText.length,
-        instanceName: client.instance_name
+        instanceName: client.instance_name,
+        ai_provider: client.ai_provider,
+        whatsapp_provider: client.whatsapp_provider
       });
 
+      // Teléfono del contacto (fuera del try para poder encolar si falla el envío)
+      let contactPhone;
+
       try {
         // ✅ VERIFICAR ESTADO DE INSTANCIA ANTES DE PROCESAR
         logger.info('🔍 Checking instance connection state...', {
@@ -73,21 +107,10 @@ async function handleGHLWebhook(req, res) {
           state: instanceState.state
         });
 
-        // Obtener teléfono del contacto
-        let contactPhone;
-
-        if (req.body.phone) {
-          contactPhone = req.body.phone;
-          logger.info('Phone from webhook', { contactPhone });
-        } else {
-          logger.info('Fetching contact from GHL', { contactId });
-          const contact = await ghlAPI.getContact(client, contactId);
-          contactPhone = contact.phone;
-          logger.info('Contact retrieved', { contactId, contactPhone });
-        }
-
-        // Formatear número WhatsApp
-        const waNumber = contactPhone.replace(/^\+/, '') + '@s.whatsapp.net';
+        // Destino WhatsApp del contacto (teléfono o JID del grupo)
+        const target = await resolveWhatsAppTarget(client, req.body, contactId);
+        contactPhone = target.contactPhone;
+        const waNumber = target.waNumber;
 
         // ✅ SI INSTANCIA ESTÁ DESCONECTADA → ENCOLAR MENSAJE SIN DIVIDIR
         if (!instanceState.connected) {
@@ -97,14 +120,19 @@ async function handleGHLWebhook(req, res) {
             messageId
           });
 
-          // Encolar mensaje original completo (no dividido)
-          messageCache.addMessage(
-            client.instance_name,
+          // Encolar mensaje original completo (se divide con LLM al reenviarlo)
+          await messageCache.enqueueMessage({
+            locationId,
+            instanceName: client.instance_name,
+            instanceApiKey: client.instance_apikey,
+            contactId,
             messageId,
+            messageText,
+            attachments,
             waNumber,
             contactPhone,
-            messageText
-          );
+            splitWithLLM: true
+          });
 
           await notifyAdmin('Instance disconnected - message queued', {
             instance_name: client.instance_name,
@@ -121,8 +149,10 @@ async function handleGHLWebhook(req, res) {
           });
         }
 
-        // Dividir mensaje con LLM
-        const { parte1, parte2, parte3 } = await splitMessageWithLLM(messageText);
+        // Dividir mensaje con LLM (mensajes solo con adjuntos no tienen texto que dividir)
+        const { parte1, parte2, parte3 } = messageText
+          ? await splitMessageWithLLM(messageText)
+          : { parte1: '', parte2: '', parte3: '' };
 
         // Filtrar partes vacías
         const parts = [parte1, parte2, parte3].filter(p => p && p.length > 0);
@@ -143,69 +173,58 @@ async function handleGHLWebhook(req, res) {
             partPreview: parts[i].substring(0, 50)
           });
 
-          await evolutionAPI.sendText(
-            client.instance_name,
-            client.instance_apikey,
-            waNumber,
-            parts[i]
-          );
+          // Con comportamiento natural muestra "escribiendo..." proporcional a la parte
+          const sent = await naturalBehavior.sendTextWithTyping(client, waNumber, parts[i]);
+
+          // Vincular para sincronizar acks (delivered/read) con GHL
+          messageStatus.linkOutboundMessage(sent, { locationId, messageId });
 
           logger.info(`✅ Part ${i + 1}/${parts.length} sent successfully`, {
             instanceName: client.instance_name,
             waNumber
           });
 
-          // ✅ DELAY FIJO DE 4 SEGUNDOS entre partes
-          if (i < parts.length - 1) {
+          // ✅ DELAY FIJO DE 4 SEGUNDOS entre partes (el "escribiendo..." ya marca el ritmo)
+          if (i < parts.length - 1 && !naturalBehavior.isEnabled(client)) {
             const DELAY_BETWEEN_PARTS = 4000; // 4 segundos fijos
             logger.debug(`⏱️ Waiting ${DELAY_BETWEEN_PARTS}ms before next part...`);
             await new Promise(resolve => setTimeout(resolve, DELAY_BETWEEN_PARTS));
           }
         }
 
-        logger.info('✅ Beta flow completed - All parts sent to Evolution API', {
+        // Enviar adjuntos después del texto (el texto ya va dividido, sin caption)
+        if (attachments.length > 0) {
+          const sentAttachments = await evolutionAPI.sendAttachments(
+            client.instance_name,
+            client.instance_apikey,
+            waNumber,
+            attachments
+          );
+          sentAttachments.forEach(sent => messageStatus.linkOutboundMessage(sent, { locationId, messageId }));
+        }
+
+        logger.info('✅ Splitter flow completed - All parts sent to Evolution API', {
           locationId,
           totalParts: parts.length,
+          attachments: attachments.length,
           waNumber
         });
 
-        // ✅ MARCAR COMO DELIVERED EN BACKGROUND (no bloqueante)
-        // No esperar a que complete - retornar 200 OK inmediatamente
-        setTimeout(async () => {
-          try {
-            // Esperar a que Evolution API entregue la última parte (~10s máximo)
-            const EVOLUTION_MAX_DELAY = 10000;
-            await new Promise(resolve => setTimeout(resolve, EVOLUTION_MAX_DELAY));
-
-            // Ahora actualizar estado en GHL
-            await ghlAPI.updateMessageStatus(client, messageId, 'delivered');
-            logger.debug('✅ Message marked as delivered in GHL (background)', {
-              messageId,
-              locationId
-            });
-          } catch (statusError) {
-            // Esperado para mensajes no-provider (403 errors son normales)
-            logger.debug('Could not update message status (background)', {
-              messageId,
-              error: statusError.message
-            });
-          }
-        }, 0);
-
-        // ✅ RETORNAR 200 OK INMEDIATAMENTE (no esperar status update)
+        // El estado en GHL (delivered/read) se actualiza con los acks de WhatsApp
+        // (evento messages.update en /webhook/whatsapp)
         return res.status(200).json({
           success: true,
-          beta: true,
+          split: true,
           parts: parts.length
         });
 
-      } catch (betaError) {
-        logger.error('❌ Beta flow failed', {
+      } catch (splitError) {
+        logger.error('❌ Splitter flow failed', {
           locationId,
-          error: betaError.message,
-          apiStatus: betaError.response?.status,
-          apiResponse: betaError.response?.data,
-          stack: betaError.stack
+          error: splitError.message,
+          apiStatus: splitError.response?.status,
+          apiResponse: splitError.response?.data,
+          stack: splitError.stack
         });
 
         // ✅ VERIFICAR SI ES PROBLEMA DE INSTANCIA
@@ -214,17 +233,23 @@ async function handleGHLWebhook(req, res) {
           client.instance_apikey
         );
 
-        if (!instanceState.connected) {
-          // Instancia está caída - encolar mensaje para retry
-          const waNumber = contactPhone?.replace(/^\+/, '') + '@s.whatsapp.net' || '';
+        // Sin teléfono no se puede encolar (falló antes de obtener el contacto)
+        const queuePhone = contactPhone || req.body.phone;
 
-          messageCache.addMessage(
-            client.instance_name,
+        if (!instanceState.connected && queuePhone) {
+          // Instancia está caída - encolar mensaje original para retry (se divide al reenviarlo)
+          await messageCache.enqueueMessage({
+            locationId,
+            instanceName: client.instance_name,
+            instanceApiKey: client.instance_apikey,
+            contactId,
             messageId,
-            waNumber,
-            contactPhone || req.body.phone || '',
-            messageText  // Mensaje original
-          );
+            messageText,
+            attachments,
+            waNumber: toWhatsAppNumber(queuePhone),
+            contactPhone: queuePhone,
+            splitWithLLM: true
+          });
 
           logger.info('Instance disconnected - message queued after error', {
             instanceName: client.instance_name,
@@ -239,12 +264,12 @@ async function handleGHLWebhook(req, res) {
         }
 
         // ✅ NO ES PROBLEMA DE INSTANCIA - NOTIFICAR ADMIN
-        await notifyAdmin('Beta message splitter failed', {
+        await notifyAdmin('LLM message splitter failed', {
           location_id: locationId,
-          error: betaError.message,
-          api_status: betaError.response?.status,
-          api_response: betaError.response?.data,
-          stack: betaError.stack,
+          error: splitError.message,
+          api_status: splitError.response?.status,
+          api_response: splitError.response?.data,
+          stack: splitError.stack,
           endpoint: '/webhook/ghl',
           instance_state: instanceState.state,
           contactId,
@@ -252,7 +277,7 @@ async function handleGHLWebhook(req, res) {
         });
 
         // Continuar con flujo normal como fallback
-        logger.info('⚠️ Continuing with normal flow after beta failure');
+        logger.info('⚠️ Continuing with normal flow after splitter failure');
         // NO RETURN - falls through to normal flow
       }
     }
@@ -270,31 +295,22 @@ async function handleGHLWebhook(req, res) {
       });
     }
 
-    // Obtener teléfono del contacto
-    let contactPhone;
-
-    if (req.body.phone) {
-      // El webhook nuevo trae el teléfono directamente
-      contactPhone = req.body.phone;
-      logger.info('Phone from webhook', { contactPhone });
-    } else {
-      // El webhook antiguo requiere obtenerlo de GHL API
-      logger.info('Fetching contact from GHL', { contactId });
-      const contact = await ghlAPI.getContact(client, contactId);
-      contactPhone = contact.phone;
-      logger.info('Contact retrieved', { contactId, contactPhone });
-    }
+    // Destino WhatsApp del contacto (teléfono o JID del grupo)
+    const { contactPhone, waNumber } = await resolveWhatsAppTarget(client, req.body, contactId);
 
-    // Formatear número WhatsApp
-    const waNumber = contactPhone.replace(/^\+/, '') + '@s.whatsapp.net';
+    // Texto sin el markup de ubicación/contacto/sticker
+    const text = rich ? rich.text : messageText;
+
+    // Si hay adjuntos que admiten caption, el texto viaja como caption del primero
+    const useCaption = !interactive && evolutionAPI.canUseAsCaption(text, attachments);
 
     // Dividir mensaje si es muy largo (GHL → WhatsApp)
-    const messageParts = splitMessage(messageText);
+    const messageParts = text && !useCaption && !interactive ? splitMessage(text, undefined, getLocale(client)) : [];
 
     if (messageParts.length > 1) {
       logger.info('📝 Message split into multiple parts', {
         totalParts: messageParts.length,
-        originalLength: messageText.length,
+        originalLength: text.length,
         locationId
       });
     }
@@ -305,17 +321,34 @@ async function handleGHLWebhook(req, res) {
         instanceName: client.instance_name,
         waNumber,
         parts: messageParts.length,
-        messageLength: messageText.length
+        attachments: attachments.length,
+        useCaption,
+        interactive: interactive?.type,
+        rich: rich?.items.map(item => item.type),
+        messageLength: text.length
       });
 
-      // Enviar cada parte como mensaje separado
-      for (let i = 0; i < messageParts.length; i++) {
-        await evolutionAPI.sendText(
+      // Mensaje interactivo (botones, lista o encuesta) en lugar del texto
+      if (interactive) {
+        if (naturalBehavior.isEnabled(client)) {
+          await naturalBehavior.simulateTyping(client, waNumber, interactive.text);
+        }
+
+        const sent = await interactiveMessages.sendInteractiveMessage(
           client.instance_name,
           client.instance_apikey,
           waNumber,
-          messageParts[i]
+          interactive
         );
+        messageStatus.linkOutboundMessage(sent, { locationId, messageId });
+      }
+
+      // Enviar cada parte como mensaje separado
+      for (let i = 0; i < messageParts.length; i++) {
+        const sent = await naturalBehavior.sendTextWithTyping(client, waNumber, messageParts[i]);
+
+        // Vincular para sincronizar acks (delivered/read) con GHL
+        messageStatus.linkOutboundMessage(sent, { locationId, messageId });
 
         if (messageParts.length > 1) {
           logger.info(`✅ Sent part ${i + 1}/${messageParts.length}`);
@@ -327,24 +360,38 @@ async function handleGHLWebhook(req, res) {
         }
       }
 
+      // Ubicación, tarjeta de contacto o sticker después del texto (un mensaje por bloque)
+      for (const item of rich?.items || []) {
+        const sent = await richMessages.sendRichMessage(
+          client.instance_name,
+          client.instance_apikey,
+          waNumber,
+          item
+        );
+        messageStatus.linkOutboundMessage(sent, { locationId, messageId });
+      }
+
+      // Enviar adjuntos (imagen, video, documento o nota de voz)
+      if (attachments.length > 0) {
+        const sentAttachments = await evolutionAPI.sendAttachments(
+          client.instance_name,
+          client.instance_apikey,
+          waNumber,
+          attachments,
+          useCaption ? text : ''
+        );
+        sentAttachments.forEach(sent => messageStatus.linkOutboundMessage(sent, { locationId, messageId }));
+      }
+
       logger.info('✅ Message sent to WhatsApp successfully', {
         locationId,
         waNumber,
-        totalParts: messageParts.length
+        totalParts: messageParts.length,
+        attachments: attachments.length
       });
 
-      // Intentar marcar como entregado en GHL (no crítico si falla)
-      try {
-        logger.debug('Attempting to update message status in GHL', { messageId });
-        await ghlAPI.updateMessageStatus(client, messageId, 'delivered');
-        logger.debug('✅ Message marked as delivered in GHL', { messageId });
-      } catch (statusError) {
-        logger.debug('Could not update message status (expected for non-provider messages)', {
-          messageId,
-          error: statusError.message
-        });
-      }
-
+      // El estado en GHL (delivered/read) se actualiza con los acks de WhatsApp
+      // (evento messages.update en /webhook/whatsapp)
       return res.status(200).json({ success: true });
 
     } catch (sendError) {
@@ -371,13 +418,14 @@ async function handleGHLWebhook(req, res) {
         });
 
         // Encolar mensaje
-        messageCache.enqueueMessage({
+        await messageCache.enqueueMessage({
           locationId,
           instanceName: client.instance_name,
           instanceApiKey: client.instance_apikey,
           contactId,
           messageId,
           messageText,
+          attachments,
           waNumber,
           contactPhone
         });
@@ -390,7 +438,7 @@ async function handleGHLWebhook(req, res) {
           endpoint: '/webhook/ghl',
           contactId,
           phone: contactPhone,
-          queueStats: messageCache.getStats()
+          queueStats: await messageCache.getStats()
         });
 
         return res.status(503).json({
@@ -400,8 +448,8 @@ async function handleGHLWebhook(req, res) {
         });
       }
 
-      // PASO 2: Instancia conectada, verificar si tiene WhatsApp
-      const hasWhatsApp = await evolutionAPI.checkWhatsAppNumber(
+      // PASO 2: Instancia conectada, verificar si tiene WhatsApp (un grupo siempre existe)
+      const hasWhatsApp = groups.isGroupJid(waNumber) || await evolutionAPI.checkWhatsAppNumber(
         client.instance_name,
         client.instance_apikey,
         contactPhone
@@ -449,13 +497,14 @@ async function handleGHLWebhook(req, res) {
         });
 
         // Encolar mensaje por si acaso
-        messageCache.enqueueMessage({
+        await messageCache.enqueueMessage({
           locationId,
           instanceName: client.instance_name,
           instanceApiKey: client.instance_apikey,
           contactId,
           messageId,
           messageText,
+          attachments,
           waNumber,
           contactPhone
         });
@@ -515,4 +564,41 @@ async function handleGHLWebhook(req, res) {
   }
 }
 
+// ============================================================================
+// HELPER: Destino WhatsApp de un contacto GHL
+// ============================================================================
+
+/**
+ * Contactos-grupo (services/groups.js) → JID del grupo; resto → teléfono del contacto
+ * @returns {Object} { contactPhone, waNumber }
+ */
+async function resolveWhatsAppTarget(client, body, contactId) {
+  const groupJid = await groups.getGroupJidByContactId(client, contactId);
+  if (groupJid) {
+    logger.info('👥 Contact is a WhatsApp group', { contactId, groupJid });
+    return { contactPhone: groupJid, waNumber: groupJid };
+  }
+
+  let contactPhone;
+
+  if (body.phone) {
+    // El webhook nuevo trae el teléfono directamente
+    contactPhone = body.phone;
+    logger.info('Phone from webhook', { contactPhone });
+  } else {
+    // El webhook antiguo requiere obtenerlo de GHL API
+    logger.info('Fetching contact from GHL', { contactId });
+    const contact = await ghlAPI.getContact(client, contactId);
+    contactPhone = contact.phone;
+    logger.info('Contact retrieved', { contactId, contactPhone });
+  }
+
+  return { contactPhone, waNumber: toWhatsAppNumber(contactPhone) };
+}
+
+// Teléfono (+34660722687) → 34660722687@s.whatsapp.net; los JID (grupos) se dejan igual
+function toWhatsAppNumber(phone) {
+  return phone.includes('@') ? phone : phone.replace(/^\+/, '') + '@s.whatsapp.net';
+}
+
 module.exports = { handleGHLWebhook };
\ No newline at end of file
@@ -1,16 +1,44 @@
+const crypto = require('crypto');
 const logger = require('../utils/logger');
 const { notifyAdmin } = require('../utils/notifications');
 const { validateWhatsAppPayload, splitMessage } = require('../utils/validation');
-const { getClientByInstanceName } = require('../services/supabase');
+const { getClientByInstanceName, getClientByLocationId } = require('../services/supabase');
+const { isFeatureEnabled } = require('../services/featureFlags');
 const ghlAPI = require('../services/ghl');
 const evolutionAPI = require('../services/evolution');
 const mediaHelper = require('../utils/mediaHelper');
+const { getLocale } = require('../utils/i18n');
+const messageStatus = require('../services/messageStatus');
+const naturalBehavior = require('../services/naturalBehavior');
+const groups = require('../services/groups');
+const messageEvents = require('../services/messageEvents');
+const interactiveMessages = require('../services/interactiveMessages');
+const sharedData = require('../services/sharedData');
 const { getCachedContactId, setCachedContactId, getCachedConversationId, setCachedConversationId } = require('../services/cache');
 const { attemptAutoRestart, processQueuedMessages } = require('../utils/instanceMonitor');
+const storage = require('../services/storage');
 
 // ✅ GRACE PERIOD para auto-restart (tiempo real via webhooks)
+// La desconexión pendiente se guarda en storage: el 'open' puede llegar a otra réplica distinta de la del timer
 const GRACE_PERIOD_MS = 60 * 1000; // 1 minuto
-const gracePeriodTimers = new Map(); // Key: instanceName, Value: { timer, disconnectedAt }
+const gracePeriods = storage.createStore('grace-periods', { ttlSeconds: 600 }); // Key: instanceName, Value: { token, disconnectedAt }
+const gracePeriodTimers = new Map(); // Timers de esta réplica - Key: instanceName, Value: timer
+
+/**
+ * Reclama el fin del grace period (con lock, para que solo una réplica lo resuelva)
+ * @param {string} instanceName - Nombre de instancia
+ * @param {string|null} token - Token del 'close' que programó el timer (null = cualquiera, para el 'open')
+ * @returns {Promise<Object|null>} Grace period pendiente ({ token, disconnectedAt }) o null si ya no aplica
+ */
+function claimGracePeriod(instanceName, token = null) {
+  return storage.withLock(`grace:${instanceName}`, async () => {
+    const pending = await gracePeriods.get(instanceName);
+    if (!pending || (token && pending.token !== token)) return null;
+
+    await gracePeriods.del(instanceName);
+    return pending;
+  });
+}
 
 async function handleWhatsAppWebhook(req, res) {
   const startTime = Date.now();
@@ -53,9 +81,10 @@ async function handleWhatsAppWebhook(req, res) {
         gracePeriodMs: GRACE_PERIOD_MS
       });
 
-      // Cancelar timer anterior si existe
+      // Cancelar timer anterior si existe (los de otras réplicas quedan invalidados por el nuevo token)
       if (gracePeriodTimers.has(instanceName)) {
-        clearTimeout(gracePeriodTimers.get(instanceName).timer);
+        clearTimeout(gracePeriodTimers.get(instanceName));
+        gracePeriodTimers.delete(instanceName);
         logger.debug('Cleared previous grace period timer', { instanceName });
       }
 
@@ -76,7 +105,26 @@ async function handleWhatsAppWebhook(req, res) {
       });
 
       // ✅ PROGRAMAR AUTO-RESTART DESPUÉS DEL GRACE PERIOD
+      const token = crypto.randomUUID();
+      await gracePeriods.set(instanceName, { token, disconnectedAt: Date.now() });
+
       const timer = setTimeout(async () => {
+        // Limpiar timer
+        if (gracePeriodTimers.get(instanceName) === timer) {
+          gracePeriodTimers.delete(instanceName);
+        }
+
+        // Si reconectó (webhook 'open' en cualquier réplica) o hubo otro 'close' después, no hacer nada
+        try {
+          if (!(await claimGracePeriod(instanceName, token))) {
+            logger.info('Grace period already resolved - no restart needed', { instanceName });
+            return;
+          }
+        } catch (error) {
+          logger.error('Failed to resolve grace period', { instanceName, error: error.message });
+          return;
+        }
+
         logger.info('Grace period expired - attempting auto-restart', {
           instanceName,
           gracePeriodMs: GRACE_PERIOD_MS
@@ -103,16 +151,10 @@ async function handleWhatsAppWebhook(req, res) {
             state: currentState.state
           });
         }
-
-        // Limpiar timer
-        gracePeriodTimers.delete(instanceName);
       }, GRACE_PERIOD_MS);
 
       // Guardar timer para poder cancelarlo si reconecta
-      gracePeriodTimers.set(instanceName, {
-        timer: timer,
-        disconnectedAt: new Date()
-      });
+      gracePeriodTimers.set(instanceName, timer);
 
       return res.status(200).json({
         success: true,
@@ -126,13 +168,15 @@ async function handleWhatsAppWebhook(req, res) {
       // ✅ INSTANCIA RECONECTADA
       logger.info('Instance reconnected via webhook', { instanceName, state });
 
-      // Cancelar grace period timer si existe
+      // Cancelar grace period si existe (lo pudo iniciar otra réplica)
       if (gracePeriodTimers.has(instanceName)) {
-        const gracePeriod = gracePeriodTimers.get(instanceName);
-        clearTimeout(gracePeriod.timer);
+        clearTimeout(gracePeriodTimers.get(instanceName));
         gracePeriodTimers.delete(instanceName);
+      }
 
-        const disconnectedDuration = new Date() - gracePeriod.disconnectedAt;
+      const gracePeriod = await claimGracePeriod(instanceName);
+      if (gracePeriod) {
+        const disconnectedDuration = Date.now() - gracePeriod.disconnectedAt;
         logger.info('Instance reconnected during grace period - auto-restart canceled', {
           instanceName,
           disconnectedDurationMs: disconnectedDuration
@@ -160,6 +204,14 @@ async function handleWhatsAppWebhook(req, res) {
     return res.status(200).json({ success: true, handled: 'connection_update', state });
   }
 
+  // ============================================================================
+  // MANEJAR ACKS (MESSAGES_UPDATE) - Sincronizar delivered/read con GHL
+  // ============================================================================
+
+  if (event === 'messages.update') {
+    return await handleMessageStatusUpdate(req, res);
+  }
+
   // ============================================================================
   // MANEJAR MENSAJES (flujo normal)
   // ============================================================================
@@ -190,21 +242,7 @@ async function handleWhatsAppWebhook(req, res) {
       fromMe: messageData.key.fromMe
     });
 
-    // Filtrar mensajes de grupos, listas y canales
     const remoteJid = messageData.key.remoteJid;
-    if (remoteJid.endsWith('@g.us') || remoteJid.endsWith('@lid')) {
-      const messageType = remoteJid.endsWith('@g.us') ? 'grupo' : 'lista/canal';
-      log.info(`⏭️ Mensaje de ${messageType} ignorado`, {
-        instance,
-        remoteJid,
-        messageType
-      });
-      return res.status(200).json({
-        success: true,
-        ignored: true,
-        reason: `Mensajes de ${messageType}s no se procesan`
-      });
-    }
 
     // Obtener cliente (viene de middleware o buscar en BD como fallback)
     log.info('🔍 Step 2: Getting client...', { instance });
@@ -226,21 +264,78 @@ async function handleWhatsAppWebhook(req, res) {
       fromMiddleware: !!req.client
     });
 
+    // Filtrar listas/canales y grupos (los grupos solo si el cliente no los tiene activados)
+    const isGroup = groups.isGroupJid(remoteJid);
+    if ((isGroup && !groups.isGroupSupportEnabled(client)) || remoteJid.endsWith('@lid')) {
+      const messageType = isGroup ? 'grupo' : 'lista/canal';
+      log.info(`⏭️ Mensaje de ${messageType} ignorado`, {
+        instance,
+        remoteJid,
+        messageType
+      });
+      return res.status(200).json({
+        success: true,
+        ignored: true,
+        reason: `Mensajes de ${messageType}s no se procesan`
+      });
+    }
+
     // Extraer datos (quitar @s.whatsapp.net y device ID como :0, :1, etc.)
-    const phone = '+' + messageData.key.remoteJid
+    // Los grupos no tienen teléfono: se identifican por su JID
+    const phone = isGroup ? null : '+' + messageData.key.remoteJid
       .replace(/@s\.whatsapp\.net$/, '')
       .replace(/:\d+$/, '');
     const userName = messageData.pushName;
     const messageId = messageData.key.id;
 
-    log.info('📋 Extracted data', { phone, userName, messageId });
+    log.info('📋 Extracted data', { phone, userName, messageId, isGroup });
 
     // Detectar tipo de mensaje
     log.info('🔍 Step 3: Detecting message type...');
     let messageText = '';
     let contentType = 'text';
-    
-    if (messageData.message.conversation) {
+    let attachments = []; // URLs de media adjunta para GHL
+    let sharedLocation = null; // Ubicación recibida (se guarda en el custom field del contacto)
+    let sharedContacts = []; // Personas de las tarjetas de contacto (vCard) recibidas
+    const locale = getLocale(client); // Idioma de placeholders y marcadores (clients_details.locale)
+
+    // Contexto compartido para logging/notificaciones de media
+    const mediaContext = {
+      endpoint: '/webhook/whatsapp',
+      instance_name: client.instance_name,
+      messageId,
+      remoteJid: messageData.key.remoteJid
+    };
+
+    // Reacciones, ediciones y borrados (se registran como nota, no como mensaje nuevo)
+    const messageEvent = messageEvents.parseMessageEvent(messageData.message);
+
+    // Respuestas a botones, listas y encuestas enviados desde GHL
+    const interactiveResponse = interactiveMessages.parseInteractiveResponse(instance, messageData.message);
+
+    if (messageEvent?.type === 'protocol') {
+      // Mensajes de sistema (temporales, sincronización...) - no van al CRM ni alertan
+      log.info('⏭️ Protocol message ignored', { instance, messageId, protocolType: messageEvent.protocolType });
+      return res.status(200).json({ success: true, ignored: true, reason: 'Protocol message' });
+    }
+
+    if (messageEvent) {
+      contentType = messageEvent.type;
+      const original = messageEvents.getRememberedMessage(instance, messageEvent.targetId);
+      messageText = messageEvents.formatMessageEvent(messageEvent, { original, fromMe: messageData.key.fromMe });
+      log.info('🔁 Message event detected', {
+        type: messageEvent.type,
+        targetId: messageEvent.targetId,
+        hasOriginal: !!original
+      });
+    } else if (interactiveResponse) {
+      contentType = `${interactiveResponse.type}_response`;
+      messageText = interactiveMessages.formatInteractiveResponse(interactiveResponse);
+      log.info('🔘 Interactive response detected', {
+        type: interactiveResponse.type,
+        selected: interactiveResponse.text
+      });
+    } else if (messageData.message.conversation) {
       contentType = 'text';
       messageText = messageData.message.conversation;
       log.info('📝 Text message detected (conversation)', { messageText });
@@ -258,18 +353,22 @@ async function handleWhatsAppWebhook(req, res) {
         client.instance_apikey,
         messageId
       );
-      log.info('✅ Audio fetched, processing with Whisper...', { mimetype: audioData.mimetype });
+      log.info('✅ Audio fetched, transcribing...', { mimetype: audioData.mimetype });
 
       // Procesar audio usando helper compartido (maneja errores y notificaciones)
       messageText = await mediaHelper.processAudioToText(
         audioData.base64,
         audioData.mimetype,
-        {
-          endpoint: '/webhook/whatsapp',
-          instance_name: client.instance_name,
-          messageId,
-          remoteJid: messageData.key.remoteJid
-        }
+        mediaContext,
+        client
+      );
+
+      // Adjuntar nota de voz original en GHL (transcripción queda como texto)
+      attachments = await mediaHelper.storeMediaForGHL(
+        audioData.base64,
+        audioData.mimetype,
+        { locationId: client.location_id, messageId },
+        mediaContext
       );
 
     } else if (messageData.message.imageMessage) {
@@ -282,52 +381,109 @@ async function handleWhatsAppWebhook(req, res) {
         client.instance_apikey,
         messageId
       );
-      log.info('✅ Image fetched, processing with Vision...', { mimetype: imageData.mimetype });
+      log.info('✅ Image fetched, analyzing...', { mimetype: imageData.mimetype });
 
       // Procesar imagen usando helper compartido (maneja errores y notificaciones)
       const caption = messageData.message.imageMessage.caption || '';
       messageText = await mediaHelper.processImageToText(
         imageData.base64,
         caption,
-        {
-          endpoint: '/webhook/whatsapp',
-          instance_name: client.instance_name,
-          messageId,
-          remoteJid: messageData.key.remoteJid
-        }
+        mediaContext,
+        client,
+        imageData.mimetype
+      );
+
+      // Adjuntar imagen original en GHL (descripción queda como texto)
+      attachments = await mediaHelper.storeMediaForGHL(
+        imageData.base64,
+        imageData.mimetype,
+        { locationId: client.location_id, messageId },
+        mediaContext
       );
 
     } else if (messageData.message.videoMessage) {
       contentType = 'video';
       const caption = messageData.message.videoMessage.caption || '';
-      messageText = mediaHelper.formatOtherMediaType('video', { caption });
-      log.info('🎥 Video message detected', { hasCaption: !!caption });
+      log.info('🎥 Video message detected, fetching media...', { hasCaption: !!caption });
+
+      // Adjuntar el vídeo en GHL y registrar transcripción + resumen visual (ffmpeg + proveedor de IA)
+      const videoData = await fetchMedia(client, messageId, mediaContext);
+      let videoText = null;
+      if (videoData) {
+        attachments = await mediaHelper.storeMediaForGHL(
+          videoData.base64,
+          videoData.mimetype,
+          { locationId: client.location_id, messageId },
+          mediaContext
+        );
+        videoText = await mediaHelper.processVideoToText(
+          videoData.base64,
+          videoData.mimetype,
+          mediaContext,
+          client
+        );
+      }
+
+      messageText = mediaHelper.formatOtherMediaType('video', { caption, attached: attachments.length > 0 }, locale);
+      if (videoText) {
+        messageText += `\n${videoText}`;
+      }
 
     } else if (messageData.message.documentMessage) {
       contentType = 'document';
       const fileName = messageData.message.documentMessage.fileName || 'documento';
       const caption = messageData.message.documentMessage.caption || '';
-      messageText = mediaHelper.formatOtherMediaType('document', { fileName, caption });
-      log.info('📎 Document message detected', { fileName, hasCaption: !!caption });
+      log.info('📎 Document message detected, fetching media...', { fileName, hasCaption: !!caption });
+
+      // Adjuntar el documento en GHL y registrar un extracto de su texto (PDF, DOCX, XLSX, texto plano)
+      const documentData = await fetchMedia(client, messageId, mediaContext);
+      let documentText = null;
+      if (documentData) {
+        attachments = await mediaHelper.storeMediaForGHL(
+          documentData.base64,
+          documentData.mimetype,
+          { locationId: client.location_id, messageId, fileName },
+          mediaContext
+        );
+        documentText = await mediaHelper.processDocumentToText(
+          documentData.base64,
+          documentData.mimetype,
+          fileName,
+          mediaContext,
+          client
+        );
+      }
+
+      messageText = mediaHelper.formatOtherMediaType('document', { fileName, caption, attached: attachments.length > 0 }, locale);
+      if (documentText) {
+        messageText += `\n${documentText}`;
+      }
 
     } else if (messageData.message.locationMessage) {
       contentType = 'location';
       const lat = messageData.message.locationMessage.degreesLatitude;
       const lng = messageData.message.locationMessage.degreesLongitude;
       const name = messageData.message.locationMessage.name || '';
-      messageText = mediaHelper.formatOtherMediaType('location', { name, lat, lng });
+      const address = messageData.message.locationMessage.address || '';
+      sharedLocation = { latitude: lat, longitude: lng, name, address };
+      messageText = mediaHelper.formatOtherMediaType('location', { name, lat, lng }, locale);
       log.info('📍 Location message detected', { lat, lng, name });
 
-    } else if (messageData.message.contactMessage) {
+    } else if (messageData.message.contactMessage || messageData.message.contactsArrayMessage) {
       contentType = 'contact';
-      const displayName = messageData.message.contactMessage.displayName || 'contacto';
-      messageText = mediaHelper.formatOtherMediaType('contact', { displayName });
-      log.info('👤 Contact message detected', { displayName });
+      sharedContacts = sharedData.parseSharedContacts(messageData.message);
+      const displayName = sharedContacts.map(sharedData.formatSharedContact).filter(Boolean).join(', ') ||
+        messageData.message.contactMessage?.displayName ||
+        messageData.message.contactsArrayMessage?.displayName;
+      messageText = mediaHelper.formatOtherMediaType('contact', { displayName }, locale);
+      log.info('👤 Contact message detected', { displayName, contacts: sharedContacts.length });
 
     } else if (messageData.message.stickerMessage) {
       contentType = 'sticker';
-      messageText = mediaHelper.formatOtherMediaType('sticker');
-      log.info('😊 Sticker message detected');
+      messageText = mediaHelper.formatOtherMediaType('sticker', {}, locale);
+      log.info('😊 Sticker message detected, fetching media...');
+
+      attachments = await fetchAndStoreMedia(client, messageId, {}, mediaContext);
 
     } else {
       // Tipo de mensaje no soportado - IMPORTANTE: Loguear y notificar
@@ -351,17 +507,37 @@ async function handleWhatsAppWebhook(req, res) {
       return res.status(200).json({ success: true, ignored: true, reason: 'Unsupported message type' });
     }
 
-    log.info('✅ Step 3 COMPLETE: Message processed', { contentType, messageText: messageText.substring(0, 100) });
+    log.info('✅ Step 3 COMPLETE: Message processed', {
+      contentType,
+      messageText: messageText.substring(0, 100),
+      attachments: attachments.length
+    });
+
+    // Texto "limpio" para poder citarlo después en reacciones/ediciones/borrados
+    const plainText = messageEvent?.type === 'edit' ? messageEvent.text : messageText;
+
+    // Respuesta citando un mensaje anterior
+    const quotedText = messageEvent || interactiveResponse ? null : messageEvents.getQuotedText(instance, messageData);
+    if (quotedText) {
+      messageText = messageEvents.formatQuote(quotedText, messageText);
+    }
+
+    // En grupos, cada mensaje lleva delante quién lo escribió
+    if (isGroup && !messageData.key.fromMe) {
+      messageText = groups.formatGroupMessage(messageData, messageText);
+    }
     
     // Buscar o crear contacto en GHL (formato E.164 estándar)
-    log.info('🔍 Step 4: Searching for contact in GHL...', { phone });
+    log.info('🔍 Step 4: Searching for contact in GHL...', { phone, isGroup });
     let contactId;
 
-    // Verificar caché primero
-    contactId = getCachedContactId(client.location_id, phone);
+    // Verificar caché primero (un grupo se resuelve siempre por su JID: contacto con el subject)
+    contactId = isGroup
+      ? await groups.getGroupContactId(client, remoteJid)
+      : await getCachedContactId(client.location_id, phone);
 
     if (contactId) {
-      log.info('✅ Step 4 COMPLETE: Contact found in cache', { contactId, phone });
+      log.info('✅ Step 4 COMPLETE: Contact found in cache', { contactId, phone, isGroup });
     } else {
       // No en caché, buscar en GHL API
       const searchResult = await ghlAPI.searchContact(client, phone);
@@ -372,7 +548,7 @@ async function handleWhatsAppWebhook(req, res) {
 
       if (searchResult.total > 0) {
         contactId = searchResult.contacts[0].id;
-        setCachedContactId(client.location_id, phone, contactId);
+        await setCachedContactId(client.location_id, phone, contactId);
         log.info('✅ Step 4 COMPLETE: Contact found', { contactId, phone });
       } else {
         // No existe, crear contacto (con fallback de duplicado)
@@ -380,14 +556,14 @@ async function handleWhatsAppWebhook(req, res) {
         try {
           const newContact = await ghlAPI.createContact(client, userName, phone);
           contactId = newContact.id;
-          setCachedContactId(client.location_id, phone, contactId);
+          await setCachedContactId(client.location_id, phone, contactId);
           log.info('✅ Step 4 COMPLETE: Contact created', { contactId, phone });
         } catch (createError) {
           // Si falla por duplicado, GHL nos da el contactId en el error
           if (createError.response?.status === 400 &&
               createError.response?.data?.meta?.contactId) {
             contactId = createError.response.data.meta.contactId;
-            setCachedContactId(client.location_id, phone, contactId);
+            await setCachedContactId(client.location_id, phone, contactId);
             log.info('✅ Step 4 COMPLETE: Contact exists (from duplicate error)', {
               contactId,
               matchingField: createError.response.data.meta.matchingField
@@ -404,7 +580,7 @@ async function handleWhatsAppWebhook(req, res) {
     let conversationId;
 
     // Verificar caché primero
-    conversationId = getCachedConversationId(client.location_id, contactId);
+    conversationId = await getCachedConversationId(client.location_id, contactId);
 
     if (conversationId) {
       log.info('✅ Step 5 COMPLETE: Conversation found in cache', { conversationId });
@@ -418,13 +594,13 @@ async function handleWhatsAppWebhook(req, res) {
 
       if (convSearch.total >= 1) {
         conversationId = convSearch.conversations[0].id;
-        setCachedConversationId(client.location_id, contactId, conversationId);
+        await setCachedConversationId(client.location_id, contactId, conversationId);
         log.info('✅ Step 5 COMPLETE: Conversation found', { conversationId });
       } else {
         log.info('➕ Creating new conversation...', { contactId });
         const newConv = await ghlAPI.createConversation(client, contactId);
         conversationId = newConv.id;
-        setCachedConversationId(client.location_id, contactId, conversationId);
+        await setCachedConversationId(client.location_id, contactId, conversationId);
         log.info('✅ Step 5 COMPLETE: Conversation created', { conversationId });
       }
     }
@@ -433,7 +609,7 @@ async function handleWhatsAppWebhook(req, res) {
     const direction = messageData.key.fromMe ? 'outbound' : 'inbound';
 
     // Dividir mensaje si es muy largo (WhatsApp → GHL)
-    const messageParts = splitMessage(messageText);
+    const messageParts = splitMessage(messageText, undefined, locale);
 
     if (messageParts.length > 1) {
       log.info('📝 Message split into multiple parts', {
@@ -452,14 +628,15 @@ async function handleWhatsAppWebhook(req, res) {
       messagePreview: messageParts[0].substring(0, 100)
     });
 
-    // Enviar cada parte como mensaje separado
+    // Enviar cada parte como mensaje separado (adjuntos solo en la primera)
     for (let i = 0; i < messageParts.length; i++) {
       await ghlAPI.registerMessage(
         client,
         conversationId,
         contactId,
         messageParts[i],
-        direction
+        direction,
+        i === 0 ? attachments : []
       );
 
       if (messageParts.length > 1) {
@@ -474,6 +651,41 @@ async function handleWhatsAppWebhook(req, res) {
       totalParts: messageParts.length
     });
 
+    // Recordar el texto (una edición actualiza el del mensaje original)
+    if (!messageEvent) {
+      messageEvents.rememberMessage(instance, messageId, plainText);
+    } else if (messageEvent.type === 'edit') {
+      messageEvents.rememberMessage(instance, messageEvent.targetId, plainText);
+    }
+
+    // Tag con la opción elegida para que los workflows de GHL puedan ramificar (opt-in)
+    if (interactiveResponse && isFeatureEnabled(client, 'reply_tags')) {
+      const tags = interactiveMessages.getReplyTags(interactiveResponse);
+      if (tags.length > 0) {
+        try {
+          await ghlAPI.addTags(client, contactId, tags);
+        } catch (tagError) {
+          // No crítico: la respuesta ya está registrada en la conversación (addTags ya loguea el error)
+        }
+      }
+    }
+
+    // Ubicación y tarjetas de contacto recibidas en la ficha de GHL (no críticos, solo de contactos individuales)
+    if (!messageData.key.fromMe && !isGroup) {
+      if (sharedLocation) {
+        await sharedData.saveLocation(client, contactId, sharedLocation);
+      }
+
+      if (sharedContacts.length > 0) {
+        await sharedData.createReferredContacts(client, { contactId, name: userName, phone }, sharedContacts);
+      }
+    }
+
+    // Comportamiento natural: "leído" aleatorio de mensajes entrantes (nunca los propios ni en grupos)
+    if (!messageData.key.fromMe && !isGroup) {
+      naturalBehavior.scheduleReadReceipt(client, messageData.key.remoteJid, messageId);
+    }
+
     // Log final de éxito con timing
     const processingTime = Date.now() - startTime;
     logger.info('✅ Webhook processed successfully', {
@@ -484,6 +696,7 @@ async function handleWhatsAppWebhook(req, res) {
       conversationId,
       direction,
       contentType,
+      attachments: attachments.length,
       processingTimeMs: processingTime,
       location_id: client.location_id
     });
@@ -526,6 +739,109 @@ async function handleWhatsAppWebhook(req, res) {
   }
 }
 
+// ============================================================================
+// HELPER: Sincronizar acks de WhatsApp (server/delivery/read/played) con GHL
+// ============================================================================
+
+async function handleMessageStatusUpdate(req, res) {
+  const instanceName = req.body?.instance;
+  const updates = messageStatus.extractStatusUpdates(req.body?.data);
+  let synced = 0;
+
+  for (const update of updates) {
+    const link = messageStatus.getLinkedMessage(update.evolutionMessageId);
+
+    // Solo nos interesan mensajes enviados desde GHL (los demás no tienen messageId de GHL)
+    if (!link) {
+      logger.debug('Status update for unlinked message - ignored', {
+        instanceName,
+        evolutionMessageId: update.evolutionMessageId,
+        status: update.status
+      });
+      continue;
+    }
+
+    const ghlStatus = messageStatus.mapEvolutionStatus(update.status);
+    if (!ghlStatus || !messageStatus.shouldUpdateStatus(update.evolutionMessageId, ghlStatus)) {
+      continue;
+    }
+
+    try {
+      // Una instancia puede servir a varias locations - usar la del mensaje original
+      const client = req.client?.location_id === link.locationId
+        ? req.client
+        : await getClientByLocationId(link.locationId);
+
+      await ghlAPI.updateMessageStatus(
+        client,
+        link.messageId,
+        ghlStatus,
+        ghlStatus === 'failed' ? 'WhatsApp reported a delivery error' : null
+      );
+      synced++;
+
+      logger.info('✅ Message status synced to GHL', {
+        instanceName,
+        messageId: link.messageId,
+        evolutionMessageId: update.evolutionMessageId,
+        evolutionStatus: update.status,
+        ghlStatus
+      });
+    } catch (statusError) {
+      // Esperado para mensajes no-provider (403 errors son normales)
+      logger.debug('Could not update message status', {
+        messageId: link.messageId,
+        ghlStatus,
+        error: statusError.message
+      });
+    }
+  }
+
+  return res.status(200).json({
+    success: true,
+    handled: 'messages_update',
+    updates: updates.length,
+    synced
+  });
+}
+
+// ============================================================================
+// HELPER: Descargar media de Evolution y subirla para adjuntar en GHL
+// ============================================================================
+
+async function fetchAndStoreMedia(client, messageId, file, context) {
+  const mediaData = await fetchMedia(client, messageId, context);
+  if (!mediaData) {
+    return [];
+  }
+
+  return mediaHelper.storeMediaForGHL(
+    mediaData.base64,
+    mediaData.mimetype,
+    { locationId: client.location_id, messageId, fileName: file.fileName },
+    context
+  );
+}
+
+// Descargar media de Evolution API ({ base64, mimetype } o null si falla)
+async function fetchMedia(client, messageId, context) {
+  try {
+    return await evolutionAPI.getMediaBase64(
+      client.instance_name,
+      client.instance_apikey,
+      messageId
+    );
+  } catch (error) {
+    // No crítico: el mensaje se registra igualmente con el texto placeholder
+    logger.warn('Could not fetch media from Evolution API', {
+      ...context,
+      error: error.message,
+      status: error.response?.status
+    });
+    return null;
+  }
+}
+
 // ============================================================================
 // HELPER: Formatear notificación de grace period
 // ============================================================================